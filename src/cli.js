@@ -1,16 +1,44 @@
 #!/usr/bin/env node
 require('dotenv').config();
-const { program } = require('commander');
+const { program, CommanderError } = require('commander');
 const chalk = require('chalk');
 const OBSMetrics = require('./lib/metrics');
 const { colorizeValue, getStatusIcon, getBitrateBar, formatWarnings, getOverallStatus } = require('./lib/alerts');
+const { MACHINE_READABLE, EXIT_CODES, resolveFormat, setFormat, isMachineReadable, printData, printError } = require('./lib/output');
 
 const obs = new OBSMetrics();
 
+// Set while obs shell runs commands in this process, where a bad --format must not exit
+let interactive = false;
+
 program
   .name('obs')
   .description('OBS Stream Control & Monitoring CLI')
-  .version('2.0.0');
+  .version('2.0.0')
+  .option('--json', 'Machine-readable JSON output (same as --format json)')
+  .option('--format <format>', `Output format: text, json, yaml or table (${MACHINE_READABLE.join(', ')})`);
+
+// Resolve the output format before any command runs (see docs/json-output.md)
+program.hook('preAction', (root, command) => {
+  const options = root.opts();
+  // Commands with their own --format (screenshot's image format) keep it
+  if (options.format !== undefined && command.options.some(o => o.long === '--format')) {
+    command.setOptionValue('format', options.format);
+    options.format = undefined;
+  }
+
+  try {
+    setFormat(resolveFormat(options));
+    if (isMachineReadable() && !MACHINE_READABLE.includes(command.name())) {
+      throw new Error(`"${command.name()}" has no machine-readable output. Supported: ${MACHINE_READABLE.join(', ')}`);
+    }
+  } catch (error) {
+    setFormat(options.json ? 'json' : 'text');
+    printError(error);
+    if (interactive) throw new CommanderError(process.exitCode || 1, 'obs.format', error.message);
+    process.exit(process.exitCode || 1);
+  }
+});
 
 // Start streaming
 program
@@ -24,7 +52,7 @@ program
       if (error.message.includes('already active')) {
         console.log(chalk.yellow('Stream is already running'));
       } else {
-        console.error(chalk.red('Failed:'), error.message);
+        printError(error);
       }
     } finally {
       await obs.disconnect();
@@ -43,7 +71,7 @@ program
       if (error.message.includes('not active')) {
         console.log(chalk.yellow('Stream is not running'));
       } else {
-        console.error(chalk.red('Failed:'), error.message);
+        printError(error);
       }
     } finally {
       await obs.disconnect();
@@ -57,14 +85,21 @@ program
   .action(async () => {
     try {
       const metrics = await obs.getFullMetrics();
+      if (isMachineReadable()) {
+        printData(metrics);
+        return;
+      }
 
       console.log('\n' + chalk.bold('=== OBS Status ==='));
       console.log(`Stream: ${metrics.stream.active ? chalk.green('LIVE') : chalk.gray('OFFLINE')}`);
+      const recordState = !metrics.record.active ? chalk.gray('OFF')
+        : metrics.record.paused ? chalk.yellow('PAUSED') : chalk.red('REC');
+      console.log(`Recording: ${recordState}${metrics.record.active ? ` ${obs.formatDuration(metrics.record.duration)}` : ''}`);
 
       if (metrics.stream.active) {
         console.log(`Duration: ${obs.formatDuration(metrics.stream.duration)}`);
-        console.log(`Bitrate: ${colorizeValue('bitrate', metrics.stream.bitrate)} kbps`);
-        console.log(`Dropped: ${colorizeValue('droppedPercent', metrics.stream.droppedPercent)}%`);
+        console.log(`Bitrate: ${colorizeValue('bitrate', metrics.stream.bitrate)} kbps (avg ${metrics.stream.lifetimeBitrate} kbps)`);
+        console.log(`Dropped: ${colorizeValue('droppedPercent', metrics.stream.droppedPercent)}% (lifetime ${metrics.stream.lifetimeDroppedPercent}%)`);
       }
 
       console.log(`\nScene: ${metrics.scene}`);
@@ -74,7 +109,7 @@ program
       console.log(`FPS: ${colorizeValue('fps', metrics.system.fps)}`);
 
     } catch (error) {
-      console.error(chalk.red('Failed:'), error.message);
+      printError(error);
     } finally {
       await obs.disconnect();
     }
@@ -91,6 +126,10 @@ program
       const sources = await obs.getSources();
       const audio = await obs.getAudioSources();
       const status = getOverallStatus(metrics);
+      if (isMachineReadable()) {
+        printData({ health: status, metrics, sources: sources.sources, audio });
+        return;
+      }
 
       console.log('\n' + chalk.bold('=== OBS Diagnostic ==='));
       console.log(`Status: ${getStatusIcon(status.level)} ${chalk[status.level === 'red' ? 'red' : status.level === 'yellow' ? 'yellow' : 'green'](status.label)}`);
@@ -100,7 +139,8 @@ program
       if (metrics.stream.active) {
         console.log(`Duration: ${obs.formatDuration(metrics.stream.duration)}`);
         console.log(`Bitrate: ${colorizeValue('bitrate', metrics.stream.bitrate)} kbps  ${getBitrateBar(metrics.stream.bitrate)}`);
-        console.log(`Dropped: ${colorizeValue('droppedPercent', metrics.stream.droppedPercent)}% (${metrics.stream.skippedFrames}/${metrics.stream.totalFrames})`);
+        console.log(`Avg Bitrate: ${metrics.stream.lifetimeBitrate} kbps`);
+        console.log(`Dropped: ${colorizeValue('droppedPercent', metrics.stream.droppedPercent)}% (${metrics.stream.skippedFrames}/${metrics.stream.totalFrames}, lifetime ${metrics.stream.lifetimeDroppedPercent}%)`);
       }
 
       console.log('\n' + chalk.bold('--- System ---'));
@@ -133,7 +173,7 @@ program
       console.log(`FPS: ${metrics.video.fps}`);
 
     } catch (error) {
-      console.error(chalk.red('Failed:'), error.message);
+      printError(error);
     } finally {
       await obs.disconnect();
     }
@@ -146,6 +186,10 @@ program
   .action(async () => {
     try {
       const { scene, sources } = await obs.getSources();
+      if (isMachineReadable()) {
+        printData({ scene, sources });
+        return;
+      }
       console.log(`\n${chalk.bold('=== Sources in "')}${scene}${chalk.bold('" ===')}`);
 
       for (const source of sources) {
@@ -156,7 +200,7 @@ program
         }
       }
     } catch (error) {
-      console.error(chalk.red('Failed:'), error.message);
+      printError(error);
     } finally {
       await obs.disconnect();
     }
@@ -169,6 +213,10 @@ program
   .action(async () => {
     try {
       const sources = await obs.getAudioSources();
+      if (isMachineReadable()) {
+        printData(sources);
+        return;
+      }
       console.log('\n' + chalk.bold('=== Audio Sources ==='));
 
       for (const src of sources) {
@@ -179,7 +227,7 @@ program
         console.log(`   Volume: ${src.volumeDb} dB`);
       }
     } catch (error) {
-      console.error(chalk.red('Failed:'), error.message);
+      printError(error);
     } finally {
       await obs.disconnect();
     }
@@ -194,7 +242,7 @@ program
       const name = await obs.setSourceEnabled(source, true);
       console.log(chalk.green(`${name} ENABLED`));
     } catch (error) {
-      console.error(chalk.red('Failed:'), error.message);
+      printError(error);
     } finally {
       await obs.disconnect();
     }
@@ -209,7 +257,7 @@ program
       const name = await obs.setSourceEnabled(source, false);
       console.log(chalk.yellow(`${name} DISABLED`));
     } catch (error) {
-      console.error(chalk.red('Failed:'), error.message);
+      printError(error);
     } finally {
       await obs.disconnect();
     }
@@ -224,7 +272,7 @@ program
       const name = await obs.refreshSource(source);
       console.log(chalk.green(`${name} refreshed`));
     } catch (error) {
-      console.error(chalk.red('Failed:'), error.message);
+      printError(error);
     } finally {
       await obs.disconnect();
     }
@@ -239,7 +287,7 @@ program
       const name = await obs.setMute(source, true);
       console.log(chalk.yellow(`${name} MUTED`));
     } catch (error) {
-      console.error(chalk.red('Failed:'), error.message);
+      printError(error);
     } finally {
       await obs.disconnect();
     }
@@ -254,7 +302,7 @@ program
       const name = await obs.setMute(source, false);
       console.log(chalk.green(`${name} UNMUTED`));
     } catch (error) {
-      console.error(chalk.red('Failed:'), error.message);
+      printError(error);
     } finally {
       await obs.disconnect();
     }
@@ -269,44 +317,247 @@ program
       const name = await obs.setCaptureAudio(source, true);
       console.log(chalk.green(`${name}: Capture Audio ENABLED`));
     } catch (error) {
-      console.error(chalk.red('Failed:'), error.message);
+      printError(error);
     } finally {
       await obs.disconnect();
     }
   });
 
-// Scene
+// Volume
 program
-  .command('scene [name]')
-  .description('Switch scene or list available scenes')
-  .action(async (name) => {
+  .command('volume <source> [level]')
+  .description('Show or set an audio source volume (-20dB, -6, 50%)')
+  // Negative levels like -20dB are values, not options
+  .allowUnknownOption()
+  .action(async (source, level) => {
+    const { parseVolume, formatVolume } = require('./lib/audio');
     try {
-      if (name) {
-        await obs.switchScene(name);
-        console.log(chalk.green(`Switched to scene: ${name}`));
-      } else {
-        const { current, scenes } = await obs.getScenes();
-        console.log('\n' + chalk.bold('=== Scenes ==='));
-        for (const scene of scenes) {
-          const marker = scene === current ? chalk.green(' ← current') : '';
-          console.log(`  ${scene}${marker}`);
-        }
+      const name = await obs.resolveAudioInput(source);
+      if (level !== undefined) {
+        await obs.setVolume(name, parseVolume(level));
       }
+      const { volumeDb } = await obs.getVolume(name);
+      console.log(`${name}: ${chalk.cyan(formatVolume(volumeDb))}`);
     } catch (error) {
-      console.error(chalk.red('Failed:'), error.message);
+      printError(error);
     } finally {
       await obs.disconnect();
     }
   });
 
+// Fade
+program
+  .command('fade <source> <level> [duration]')
+  .description('Fade an audio source to a volume over time (e.g. fade music -20dB 3s)')
+  // Negative levels like -20dB are values, not options
+  .allowUnknownOption()
+  .action(async (source, level, duration = '1s') => {
+    const { parseVolume, parseDuration, formatVolume } = require('./lib/audio');
+    try {
+      const target = parseVolume(level);
+      const ms = parseDuration(duration);
+      const name = await obs.resolveAudioInput(source);
+      const { from, to } = await obs.fadeVolume(name, target, ms);
+      console.log(`${name}: ${formatVolume(from)} → ${chalk.cyan(formatVolume(to))} over ${ms / 1000}s`);
+    } catch (error) {
+      printError(error);
+    } finally {
+      await obs.disconnect();
+    }
+  });
+
+// Mic ducking
+program
+  .command('duck')
+  .description('Lower music/desktop audio while the mic is live (settings: audio.ducking in obs.config.json)')
+  .option('-m, --mic <source>', 'Mic input to listen to (default: global Mic/Aux)')
+  .option('-t, --targets <sources>', 'Comma-separated inputs to lower (default: desktop audio and "music" inputs)')
+  .option('--threshold <dBFS>', 'Mic level that counts as talking')
+  .option('--amount <dB>', 'How far to lower the targets')
+  .action(async (options) => {
+    const duck = require('./commands/duck');
+    await duck(options);
+  });
+
+// Scene
+program
+  .command('scene [name]')
+  .description('Switch scene or list scenes (program and studio mode preview)')
+  .option('-t, --transition <name>', 'Transition for this switch only (e.g. fade, cut)')
+  .option('-d, --duration <ms>', 'Transition duration for this switch only (800, 1.5s)')
+  .option('-p, --preview', 'Load the scene into the studio mode preview instead')
+  .option('-a, --after <media>', 'Switch once this media source finishes (e.g. the intro video)')
+  .action(async (name, options) => {
+    const { scene } = require('./commands/scene');
+    await scene(name, options);
+  });
+
+// Media sources
+program
+  .command('media [action] [source] [position]')
+  .description('Media sources: status, play, pause, stop, restart, seek <position>, wait')
+  .option('-w, --wait', 'With play/restart: wait until the media finishes')
+  .option('--timeout <duration>', 'Give up waiting after this long (e.g. 5m)')
+  // Backward seeks like -5s are values, not options
+  .allowUnknownOption()
+  .action(async (action, source, position, options) => {
+    const media = require('./commands/media');
+    await media(action, source, position, options);
+  });
+
+// Text sources
+program
+  .command('text <source> [value]')
+  .description('Show or set the text of a text source')
+  .action(async (source, value) => {
+    const { text } = require('./commands/text');
+    await text(source, value);
+  });
+
+program
+  .command('text-feed')
+  .description('Keep text sources updated from git, a countdown, session uptime or follower count')
+  .option('-b, --bind <source:provider[:option]>', 'Bind a text source, e.g. "Branch:git:~/code/app" or "Countdown:countdown:19:00" (repeatable; default: textFeed in obs.config.json)', (value, list) => [...list, value], [])
+  .option('--once', 'Update every source once and exit')
+  .action(async (options) => {
+    const { textFeed } = require('./commands/text');
+    await textFeed(options);
+  });
+
+// Studio mode
+program
+  .command('studio [action]')
+  .description('Studio mode: on, off, go (send preview to program), status')
+  .option('-t, --transition <name>', 'With go: transition for this switch only')
+  .option('-d, --duration <ms>', 'With go: transition duration for this switch only')
+  .action(async (action, options) => {
+    const { studio } = require('./commands/scene');
+    await studio(action, options);
+  });
+
+// Transitions
+program
+  .command('transition [name]')
+  .description('List transitions or select one')
+  .option('-d, --duration <ms>', 'Set the transition duration (800, 1.5s)')
+  .action(async (name, options) => {
+    const { transition } = require('./commands/scene');
+    await transition(name, options);
+  });
+
+// Recording
+program
+  .command('record [action]')
+  .description('Control local recording (start, stop, pause, resume, split, status)')
+  .action(async (action) => {
+    const record = require('./commands/record');
+    await record(action);
+  });
+
+// Replay buffer
+program
+  .command('replay [action]')
+  .description('Control the replay buffer (start, stop, save, status)')
+  .action(async (action) => {
+    const replay = require('./commands/replay');
+    await replay(action);
+  });
+
+// Screenshot
+program
+  .command('screenshot [source]')
+  .description('Save the program output or a source as an image (for thumbnails)')
+  .option('-f, --format <format>', 'Image format (png, jpg)', 'png')
+  .option('-w, --width <px>', 'Scale to width (keeps aspect ratio if height is omitted)')
+  .option('-H, --height <px>', 'Scale to height')
+  .option('-q, --quality <0-100>', 'Compression quality (-1 for default)')
+  .option('-d, --dir <path>', 'Output directory (default: OBS_THUMBNAILS_DIR or data/thumbnails)')
+  .option('-e, --every <minutes>', 'Keep capturing while live and build a contact sheet')
+  .action(async (source, options) => {
+    const screenshot = require('./commands/screenshot');
+    await screenshot(source, options);
+  });
+
+// Terminal overlay
+program
+  .command('overlay <action> [args...]')
+  .description('Terminal overlay: create, show, hide, pick, 0.0-1.0 (opacity), bigger/smaller [%], left/right/full, "80% top-left", save/load <name>, presets')
+  .option('-w, --window <title>', 'With pick: capture the window whose title contains this text')
+  .action(async (action, args, options) => {
+    const { overlay } = require('./commands/overlay');
+    await overlay(action, args, options);
+  });
+
+// Follower celebration overlay
+program
+  .command('celebration <action>')
+  .description('Follower celebration overlay (create, show, hide, refresh)')
+  .action(async (action) => {
+    const { celebration } = require('./commands/overlay');
+    await celebration(action);
+  });
+
+// Source filters
+program
+  .command('filters <source>')
+  .description('List a source\'s filters with their enabled state and settings')
+  .action(async (source) => {
+    const { filters } = require('./commands/filter');
+    await filters(source);
+  });
+
+program
+  .command('filter <action> [source] [filter] [settings...]')
+  .description('Filters: enable, disable, toggle, set <key=value...>, add <preset|kind> [key=value...], remove (presets: noise, compressor, limiter, gain, color, chroma)')
+  .option('-n, --name <name>', 'With add: name for the new filter')
+  .action(async (action, source, filterName, settings, options) => {
+    const { filter } = require('./commands/filter');
+    await filter(action, source, filterName, settings, options);
+  });
+
+// Scene collection backup
+program
+  .command('backup')
+  .description('Snapshot scenes, sources, filters and audio settings to a JSON file')
+  .option('-o, --output <file>', 'Write to this file (default: data/backups/<collection>-<timestamp>.json)')
+  .option('-l, --list', 'List saved backups')
+  .option('--diff <files...>', 'Compare two backups, or one backup against live OBS')
+  .action(async (options) => {
+    const { backup } = require('./commands/backup');
+    await backup(options);
+  });
+
+program
+  .command('restore <file>')
+  .description('Recreate scenes, sources and filters from a backup that are missing in OBS')
+  .option('-n, --dry-run', 'Show what would be created without changing OBS')
+  .action(async (file, options) => {
+    const { restore } = require('./commands/backup');
+    await restore(file, options);
+  });
+
+// Scenes as code
+program
+  .command('apply [file]')
+  .description('Make OBS match a layout file of scenes, sources and filters (default: layout.json)')
+  .option('-n, --dry-run', 'Only print the plan')
+  .option('-y, --yes', 'Apply without asking for confirmation')
+  .option('--prune', 'Also remove scenes the layout does not mention')
+  .action(async (file, options) => {
+    const apply = require('./commands/apply');
+    await apply(file, options);
+  });
+
 // Monitor (live dashboard)
 program
   .command('monitor')
   .description('Live stream monitoring dashboard')
   .option('-i, --interval <seconds>', 'Update interval', '2')
+  .option('-w, --window <seconds>', 'Rolling window for bitrate and dropped frames', '10')
+  .option('-d, --duck', 'Also duck music/desktop audio while the mic is live (see duck)')
   .action(async (options) => {
     const monitor = require('./commands/monitor');
-    await monitor(parseInt(options.interval) * 1000);
+    await monitor(parseInt(options.interval) * 1000, parseInt(options.window) * 1000, { duck: options.duck });
   });
 
 // Report
@@ -336,12 +587,9 @@ program
   .option('-s, --show', 'Show current channel settings without applying')
   .action(async (options) => {
     const TwitchClient = require('./lib/twitch');
-    const fs = require('fs');
-    const path = require('path');
+    const { loadStreamConfig, buildChannelUpdate } = require('./lib/stream-config');
     const twitch = new TwitchClient();
 
-    const configPath = path.join(process.cwd(), 'stream.config.json');
-
     try {
       if (options.show) {
         // Show current channel settings
@@ -356,49 +604,27 @@ program
       }
 
       // Load config file
-      if (!fs.existsSync(configPath)) {
+      const config = loadStreamConfig();
+      if (!config) {
         console.error(chalk.red('stream.config.json not found'));
         console.log(chalk.yellow('Create one with: npm run obs stream-config --show'));
+        process.exitCode = EXIT_CODES.not_found;
         return;
       }
 
-      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
       console.log(chalk.bold('\n=== Applying Stream Config ===\n'));
 
       // Build update payload
-      const update = {};
-
-      if (config.title) {
-        update.title = config.title;
-        console.log(`Title: ${chalk.cyan(config.title)}`);
-      }
-
-      if (config.category) {
-        // Look up category ID
-        const category = await twitch.getCategoryByName(config.category);
-        if (category) {
-          update.game_id = category.id;
-          console.log(`Category: ${chalk.cyan(config.category)} (${category.id})`);
+      const { update, lines } = await buildChannelUpdate(twitch, config);
+      for (const line of lines) {
+        if (line.skipped) {
+          console.log(chalk.yellow(`${line.label} "${line.value}" not found - skipping`));
         } else {
-          console.log(chalk.yellow(`Category "${config.category}" not found - skipping`));
+          const value = ['Title', 'Category'].includes(line.label) ? chalk.cyan(line.value) : line.value;
+          console.log(`${line.label}: ${value}${line.detail ? ` (${line.detail})` : ''}`);
         }
       }
 
-      if (config.language) {
-        update.broadcaster_language = config.language;
-        console.log(`Language: ${config.language}`);
-      }
-
-      if (config.tags) {
-        update.tags = config.tags;
-        console.log(`Tags: ${config.tags.join(', ')}`);
-      }
-
-      if (config.branded_content !== undefined) {
-        update.is_branded_content = config.branded_content;
-        console.log(`Branded Content: ${config.branded_content ? 'Yes' : 'No'}`);
-      }
-
       // Apply update
       if (Object.keys(update).length > 0) {
         await twitch.updateChannel(update);
@@ -408,7 +634,41 @@ program
       }
 
     } catch (error) {
-      console.error(chalk.red('Failed:'), error.message);
+      printError(error);
+    }
+  });
+
+// Fake OBS - local obs-websocket stand-in for offline testing
+program
+  .command('fake-obs')
+  .description('Run a fake OBS WebSocket server for offline testing')
+  .option('-p, --port <port>', 'Port to listen on', '4455')
+  .option('--password <password>', 'Require authentication')
+  .option('-s, --scenario <name|file>', 'Scenario to play (idle, live, bitrate-collapse, reconnecting, cpu-spike, obs-restart, talking, dead-mic)')
+  .action(async (options) => {
+    const FakeOBS = require('./lib/fake-obs');
+
+    try {
+      const fake = new FakeOBS({
+        port: parseInt(options.port),
+        password: options.password,
+        scenario: options.scenario
+      });
+
+      fake.on('step', (step) => {
+        console.log(chalk.cyan(`[t=${(step.at / 1000).toFixed(0)}s]`), step.action || 'set', step.state ? JSON.stringify(step.state) : '');
+      });
+
+      const port = await fake.start({ realtime: true });
+      console.log(chalk.green(`Fake OBS listening on ws://localhost:${port}`));
+      console.log(chalk.gray(`Point the CLI at it with OBS_WEBSOCKET_PORT=${port}. Ctrl+C to stop.`));
+
+      process.on('SIGINT', async () => {
+        await fake.stop();
+        process.exit(0);
+      });
+    } catch (error) {
+      printError(error);
     }
   });
 
@@ -419,8 +679,7 @@ program
   .option('-c, --check', 'Only check current band, don\'t reconnect')
   .action(async (options) => {
     const { execSync } = require('child_process');
-    const SSID = 'shemonhedin';
-    const INTERFACE = 'Wi-Fi';
+    const { WIFI_SSID: SSID, WIFI_INTERFACE: INTERFACE } = require('./lib/preflight');
 
     try {
       // Check current connection
@@ -482,82 +741,121 @@ program
       }
 
     } catch (error) {
-      console.error(chalk.red('Failed:'), error.message);
+      printError(error);
     }
   });
 
-// Go Live - WiFi check + start stream
+// Go Live - stream config, pre-flight, Starting Soon, start, countdown, main scene
 program
-  .command('go')
-  .alias('golive')
-  .description('Pre-flight check (WiFi) + start streaming')
-  .action(async () => {
-    const { execSync } = require('child_process');
-
-    try {
-      console.log(chalk.bold('\n=== Pre-flight Check ===\n'));
-
-      // Check WiFi band
-      const status = execSync(`netsh wlan show interfaces`, { encoding: 'utf8' });
-      const bandMatch = status.match(/Band\s*:\s*(.+)/i);
-      const signalMatch = status.match(/Signal\s*:\s*(\d+)%/i);
-      const currentBand = bandMatch ? bandMatch[1].trim() : 'Unknown';
-      const currentSignal = signalMatch ? parseInt(signalMatch[1]) : 0;
-
-      console.log(`WiFi Band: ${currentBand.includes('5') ? chalk.green(currentBand + ' ✓') : chalk.red(currentBand + ' ✗')}`);
-      console.log(`Signal: ${currentSignal >= 50 ? chalk.green(currentSignal + '%') : chalk.yellow(currentSignal + '%')}`);
+  .command('go-live')
+  .aliases(['go', 'golive'])
+  .description('Go live: apply stream.config.json, pre-flight checks, Starting Soon, start, countdown, main scene')
+  .option('-n, --dry-run', 'Print the plan without changing anything')
+  .option('--no-twitch', 'Skip applying stream.config.json to Twitch')
+  .option('-c, --countdown <duration>', 'Countdown on the Starting Soon scene (e.g. 2m, 0 to skip)')
+  .option('--text <source>', 'Draw the countdown into this text source')
+  .option('--starting <scene>', 'Scene to start on (default: Starting Soon)')
+  .option('-s, --scene <scene>', 'Scene to switch to after the countdown (default: Main)')
+  .option('-t, --transition <name>', 'Transition into the main scene')
+  .option('-d, --duration <ms>', 'Transition duration into the main scene (800, 1.5s)')
+  .option('--fix-wifi', 'Reconnect to 5 GHz WiFi in pre-flight when on 2.4 GHz')
+  .action(async (options) => {
+    const { goLive } = require('./commands/go-live');
+    await goLive(options);
+  });
 
-      // If on 2.4GHz, try to fix
-      if (!currentBand.includes('5')) {
-        console.log(chalk.yellow('\n⚠ On 2.4 GHz - attempting fix...'));
+// Macros from obs.config.json
+program
+  .command('run [macro] [vars...]')
+  .description('Run a macro from obs.config.json (name=value variables), or list macros')
+  .option('-n, --dry-run', 'Print the steps without running them')
+  .action(async (macro, vars, options) => {
+    const run = require('./commands/run');
+    await run(macro, vars, options);
+  });
 
-        execSync(`netsh wlan disconnect interface="Wi-Fi"`, { encoding: 'utf8' });
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        execSync(`netsh wlan connect name="shemonhedin" interface="Wi-Fi"`, { encoding: 'utf8' });
-        await new Promise(resolve => setTimeout(resolve, 2000));
+// Interactive prompt on one connection
+program
+  .command('shell')
+  .description('Interactive prompt that keeps one OBS connection open (tab completion, history)')
+  .action(async () => {
+    const shell = require('./commands/shell');
+    interactive = true;
+    try {
+      await shell(program, obs);
+    } finally {
+      interactive = false;
+    }
+  });
 
-        const newStatus = execSync(`netsh wlan show interfaces`, { encoding: 'utf8' });
-        const newBandMatch = newStatus.match(/Band\s*:\s*(.+)/i);
-        const newBand = newBandMatch ? newBandMatch[1].trim() : 'Unknown';
+// HTTP control API for Stream Deck and other controllers
+program
+  .command('serve')
+  .description('Run a local HTTP control API with a WebSocket event stream (Stream Deck, controllers)')
+  .option('-p, --port <port>', 'Port to listen on (default: 4456)')
+  .option('--host <host>', 'Interface to bind (default: 127.0.0.1)')
+  .option('--token <token>', 'API token (default: OBS_API_TOKEN or serve.token in obs.config.json)')
+  .action(async (options) => {
+    const serve = require('./commands/serve');
+    await serve(options);
+  });
 
-        if (newBand.includes('5')) {
-          console.log(chalk.green('✓ Fixed! Now on 5 GHz'));
-        } else {
-          console.log(chalk.red('✗ Still on 2.4 GHz - stream may have issues'));
-        }
-      }
+// Prometheus exporter
+program
+  .command('exporter')
+  .description('Serve OBS and Twitch health at /metrics for Prometheus/Grafana')
+  .option('-p, --port <port>', 'Port to listen on (default: 9464)')
+  .option('--host <host>', 'Interface to bind (default: 127.0.0.1)')
+  .option('--cache <duration>', 'Reuse an OBS scrape for this long (default: 5s)')
+  .option('--no-twitch', 'Leave out the Twitch viewer/follower gauges')
+  .action(async (options) => {
+    const exporter = require('./commands/exporter');
+    await exporter(options);
+  });
 
-      // Test latency
-      console.log('\nTesting network...');
-      try {
-        const ping = execSync(`ping -n 3 10.0.0.1`, { encoding: 'utf8' });
-        const avgMatch = ping.match(/Average = (\d+)ms/i);
-        const avgLatency = avgMatch ? parseInt(avgMatch[1]) : 999;
-        console.log(`Router latency: ${avgLatency < 10 ? chalk.green(avgLatency + 'ms ✓') : chalk.yellow(avgLatency + 'ms')}`);
-      } catch (e) {
-        console.log(chalk.yellow('Could not test latency'));
-      }
+// Webhooks
+program
+  .command('webhooks [action] [url]')
+  .description('List webhooks and the outbox, or: test [url], flush, retry')
+  .option('--secret <secret>', 'Sign test deliveries to a URL with this secret')
+  .action(async (action, url, options) => {
+    const { webhooks } = require('./commands/webhooks');
+    await webhooks(action, url, options);
+  });
 
-      // Start stream
-      console.log(chalk.bold('\n=== Starting Stream ===\n'));
-      await obs.startStream();
-      console.log(chalk.green('Stream started!'));
+// Breaks
+program
+  .command('brb [duration]')
+  .description('Switch to the BRB scene, mute the mic and start a break timer (e.g. brb 5m)')
+  .option('-s, --scene <scene>', 'BRB scene (default: BRB)')
+  .option('--text <source>', 'Draw the timer into this text source until back')
+  .action(async (duration, options) => {
+    const { brb } = require('./commands/brb');
+    await brb(duration, options);
+  });
 
-      // Quick health check
-      await new Promise(resolve => setTimeout(resolve, 3000));
-      const metrics = await obs.getFullMetrics();
-      console.log(`\nBitrate: ${colorizeValue('bitrate', metrics.stream.bitrate)} kbps`);
-      console.log(`Dropped: ${colorizeValue('droppedPercent', metrics.stream.droppedPercent)}%`);
+program
+  .command('back')
+  .description('End the break: restore the previous scene and mic')
+  .action(async () => {
+    const { back } = require('./commands/brb');
+    await back();
+  });
 
-    } catch (error) {
-      if (error.message.includes('already active')) {
-        console.log(chalk.yellow('Stream is already running'));
-      } else {
-        console.error(chalk.red('Failed:'), error.message);
-      }
-    } finally {
-      await obs.disconnect();
-    }
+// End - Ending scene, raid, delay, stop, finalise session, report
+program
+  .command('end')
+  .description('End the stream: Ending scene, optional raid, delay, stop, finalise the session and report')
+  .option('-n, --dry-run', 'Print the plan without changing anything')
+  .option('-r, --raid <channel>', 'Raid this channel before stopping')
+  .option('--delay <duration>', 'Wait this long on the Ending scene before stopping (default: 30s)')
+  .option('--text <source>', 'Count the delay down in this text source')
+  .option('-s, --scene <scene>', 'Ending scene (default: Ending)')
+  .option('-t, --transition <name>', 'Transition into the Ending scene')
+  .option('-d, --duration <ms>', 'Transition duration into the Ending scene (800, 1.5s)')
+  .action(async (options) => {
+    const end = require('./commands/end');
+    await end(options);
   });
 
 program.parse();
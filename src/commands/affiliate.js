@@ -11,14 +11,9 @@
 const chalk = require('chalk');
 const StreamDatabase = require('../lib/db');
 const TwitchClient = require('../lib/twitch');
-
-// Affiliate requirements
-const REQUIREMENTS = {
-  streamDays: 7,
-  streamHours: 8,
-  avgViewers: 3,
-  followers: 50,
-};
+const { REQUIREMENTS, getStreamProgress, sendMilestones } = require('../lib/affiliate');
+const { sendWebhooks } = require('./webhooks');
+const { isMachineReadable, printData, printError } = require('../lib/output');
 
 function progressBar(current, target, width = 20) {
   const percent = Math.min(current / target, 1);
@@ -45,50 +40,22 @@ function formatRequirement(label, current, target, suffix = '') {
   return `${icon} ${paddedLabel} ${value.padEnd(20)} ${bar}`;
 }
 
-async function affiliate(options = {}) {
-  const db = new StreamDatabase();
-  const twitch = new TwitchClient();
-
-  console.log('');
-  console.log(chalk.bold('Twitch Affiliate Progress'));
-  console.log(chalk.gray('══════════════════════════════════════════════════════'));
-  console.log('');
-
-  // Get local stream data (last 30 days)
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-  const sessions = db.getRecentSessions(100).filter(s => {
-    const sessionDate = new Date(s.started_at);
-    return sessionDate >= thirtyDaysAgo && s.ended_at;
-  });
-
-  // Calculate stream days (unique dates)
-  const streamDates = new Set(
-    sessions.map(s => new Date(s.started_at).toDateString())
-  );
-  const streamDays = streamDates.size;
-
-  // Calculate total hours
-  const totalMs = sessions.reduce((sum, s) => sum + (s.duration_ms || 0), 0);
-  const streamHours = totalMs / (1000 * 60 * 60);
+/**
+ * Progress as plain data (the --json schema)
+ */
+async function getAffiliateProgress(db, twitch) {
+  const { sessions, streamDays, streamHours } = getStreamProgress(db);
 
-  // Get Twitch data
   let followers = 0;
   let avgViewers = 0;
+  let channel = null;
   let twitchError = null;
 
   if (twitch.isConfigured()) {
     try {
       const data = await twitch.getAffiliateData();
       followers = data.followers;
-
-      // Show current stream status if live
-      if (data.stream.live) {
-        console.log(chalk.red.bold('🔴 LIVE NOW'));
-        console.log(chalk.gray(`   ${data.stream.viewers} viewers | ${data.stream.game}`));
-        console.log('');
-      }
+      channel = { broadcasterType: data.broadcasterType, followers: data.followers, stream: data.stream };
     } catch (error) {
       twitchError = error.message;
     }
@@ -96,16 +63,10 @@ async function affiliate(options = {}) {
     twitchError = 'Twitch API not configured (check ~/twitch-secrets/.env)';
   }
 
-  // Display requirements
-  console.log(chalk.bold('30-Day Requirements:'));
-  console.log('');
-  console.log(formatRequirement('Stream Days', streamDays, REQUIREMENTS.streamDays));
-  console.log(formatRequirement('Hours Streamed', streamHours.toFixed(1), REQUIREMENTS.streamHours, 'h'));
-  console.log(formatRequirement('Avg Viewers', avgViewers, REQUIREMENTS.avgViewers));
-  console.log(formatRequirement('Followers', followers, REQUIREMENTS.followers));
-  console.log('');
+  const progress = { streamDays, streamHours: Math.round(streamHours * 10) / 10, avgViewers, followers };
+  const met = Object.fromEntries(Object.entries(REQUIREMENTS).map(([key, target]) => [key, progress[key] >= target]));
 
-  // Show what's needed
+  // What's still needed
   const needed = [];
   if (streamDays < REQUIREMENTS.streamDays) {
     needed.push(`${REQUIREMENTS.streamDays - streamDays} more stream days`);
@@ -120,6 +81,72 @@ async function affiliate(options = {}) {
     needed.push(`${REQUIREMENTS.followers - followers} more followers`);
   }
 
+  return {
+    requirements: REQUIREMENTS,
+    progress,
+    met,
+    eligible: needed.length === 0,
+    needed,
+    twitch: channel,
+    twitchError,
+    sessions: sessions.map(s => ({
+      id: s.id,
+      startedAt: s.started_at,
+      durationMs: s.duration_ms,
+      avgBitrate: s.avg_bitrate,
+      droppedPercent: s.dropped_percent
+    }))
+  };
+}
+
+// Only what was actually measured counts toward milestones
+function sendAffiliateMilestones(db, { progress, twitch }) {
+  const measured = { streamDays: progress.streamDays, streamHours: progress.streamHours };
+  if (twitch) measured.followers = twitch.followers;
+  return sendWebhooks(db, dispatcher => sendMilestones(dispatcher, measured));
+}
+
+async function affiliate(options = {}) {
+  const db = new StreamDatabase();
+  const twitch = new TwitchClient();
+
+  if (isMachineReadable()) {
+    try {
+      const data = await getAffiliateProgress(db, twitch);
+      printData(data);
+      await sendAffiliateMilestones(db, data);
+    } catch (error) {
+      printError(error);
+    } finally {
+      db.close();
+    }
+    return;
+  }
+
+  console.log('');
+  console.log(chalk.bold('Twitch Affiliate Progress'));
+  console.log(chalk.gray('══════════════════════════════════════════════════════'));
+  console.log('');
+
+  const data = await getAffiliateProgress(db, twitch);
+  const { progress, needed, twitch: channel, twitchError, sessions } = data;
+
+  // Show current stream status if live
+  if (channel?.stream.live) {
+    console.log(chalk.red.bold('🔴 LIVE NOW'));
+    console.log(chalk.gray(`   ${channel.stream.viewers} viewers | ${channel.stream.game}`));
+    console.log('');
+  }
+
+  // Display requirements
+  console.log(chalk.bold('30-Day Requirements:'));
+  console.log('');
+  console.log(formatRequirement('Stream Days', progress.streamDays, REQUIREMENTS.streamDays));
+  console.log(formatRequirement('Hours Streamed', progress.streamHours.toFixed(1), REQUIREMENTS.streamHours, 'h'));
+  console.log(formatRequirement('Avg Viewers', progress.avgViewers, REQUIREMENTS.avgViewers));
+  console.log(formatRequirement('Followers', progress.followers, REQUIREMENTS.followers));
+  console.log('');
+
   if (needed.length === 0) {
     console.log(chalk.green.bold('🎉 You meet all Affiliate requirements!'));
     console.log(chalk.gray('   Apply at: https://dashboard.twitch.tv/monetization'));
@@ -136,13 +163,13 @@ async function affiliate(options = {}) {
     console.log('');
 
     sessions.slice(0, 7).forEach(s => {
-      const date = new Date(s.started_at).toLocaleDateString();
-      const duration = s.duration_ms ? (s.duration_ms / (1000 * 60 * 60)).toFixed(1) : '?';
-      const health = s.dropped_percent !== null
-        ? (s.dropped_percent < 1 ? chalk.green('●') : chalk.yellow('●'))
+      const date = new Date(s.startedAt).toLocaleDateString();
+      const duration = s.durationMs ? (s.durationMs / (1000 * 60 * 60)).toFixed(1) : '?';
+      const health = s.droppedPercent !== null
+        ? (s.droppedPercent < 1 ? chalk.green('●') : chalk.yellow('●'))
         : chalk.gray('○');
 
-      console.log(`   ${health} ${date}  ${duration}h  ${chalk.gray(s.avg_bitrate ? Math.round(s.avg_bitrate) + ' kbps' : '')}`);
+      console.log(`   ${health} ${date}  ${duration}h  ${chalk.gray(s.avgBitrate ? Math.round(s.avgBitrate) + ' kbps' : '')}`);
     });
   }
 
@@ -156,6 +183,7 @@ async function affiliate(options = {}) {
   console.log('');
   console.log(chalk.gray('Note: Avg viewers requires Twitch user auth (node auth.js user in ~/twitch-client)'));
 
+  await sendAffiliateMilestones(db, data);
   db.close();
 }
 
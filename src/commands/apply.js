@@ -0,0 +1,110 @@
+/**
+ * Apply Command
+ *
+ * Reconciles OBS with a layout file (layout.json by default): prints the plan,
+ * asks for confirmation, then creates, updates and removes scenes, sources,
+ * transforms and filters until OBS matches. See lib/layout.js for the format.
+ */
+
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const OBSMetrics = require('../lib/metrics');
+const { planLayoutFor, applyPlan } = require('../lib/layout');
+const { EXIT_CODES, printError } = require('../lib/output');
+const { formatValue } = require('../lib/format');
+
+const ICONS = {
+  create: chalk.green('+'),
+  update: chalk.yellow('~'),
+  replace: chalk.magenta('±'),
+  remove: chalk.red('-')
+};
+
+function printPlan(steps) {
+  for (const step of steps) {
+    console.log(`  ${ICONS[step.action]} ${chalk.gray(step.kind.padEnd(6))} ${step.target}`);
+    for (const d of step.details || []) {
+      console.log(chalk.gray(`      ${d.key}: `) + `${formatValue(d.before)} → ${formatValue(d.after)}`);
+    }
+  }
+
+  const count = (...actions) => steps.filter(s => actions.includes(s.action)).length;
+  console.log(chalk.bold(`\nPlan: ${count('create')} to create, ${count('update', 'replace')} to change, ${count('remove')} to remove`));
+}
+
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+async function apply(file = 'layout.json', options = {}) {
+  const layoutPath = path.resolve(file);
+  if (!fs.existsSync(layoutPath)) {
+    console.error(chalk.red(`${file} not found`));
+    console.log(chalk.yellow('Start from a snapshot of your current setup with: npm run obs backup'));
+    process.exitCode = EXIT_CODES.not_found;
+    return;
+  }
+
+  const obs = new OBSMetrics();
+
+  try {
+    const layout = JSON.parse(fs.readFileSync(layoutPath, 'utf8'));
+    const steps = await planLayoutFor(obs, layout, { prune: options.prune });
+
+    console.log('\n' + chalk.bold(`=== Plan: ${path.basename(layoutPath)} ===`));
+    if (steps.length === 0) {
+      console.log(chalk.green('  ✓ OBS already matches the layout'));
+      return;
+    }
+    printPlan(steps);
+
+    if (options.dryRun) {
+      console.log(chalk.gray('Dry run - nothing was changed'));
+      return;
+    }
+
+    if (!options.yes) {
+      if (!process.stdin.isTTY) {
+        console.log(chalk.yellow('Not a terminal - re-run with --yes to apply'));
+        process.exitCode = EXIT_CODES.failed;
+        return;
+      }
+      if (!await confirm('\nApply these changes? (y/N) ')) {
+        console.log(chalk.gray('Cancelled - nothing was changed'));
+        return;
+      }
+    }
+
+    console.log('');
+    await applyPlan(obs, steps);
+    for (const step of steps) {
+      if (step.ok) {
+        console.log(`  ${chalk.green('✓')} ${chalk.gray(step.kind.padEnd(6))} ${step.target}`);
+      } else if (step.ok === false) {
+        console.log(`  ${chalk.red('✗')} ${chalk.gray(step.kind.padEnd(6))} ${step.target} ${chalk.red(step.error)}`);
+      }
+    }
+
+    const applied = steps.filter(s => s.ok).length;
+    if (applied === steps.length) {
+      console.log(chalk.green(`\n✓ Applied ${applied} changes`));
+    } else {
+      console.log(chalk.red(`\nStopped after ${applied} of ${steps.length} changes - fix the error and apply again`));
+      process.exitCode = EXIT_CODES.failed;
+    }
+  } catch (error) {
+    printError(error);
+  } finally {
+    await obs.disconnect();
+  }
+}
+
+module.exports = apply;
@@ -0,0 +1,148 @@
+/**
+ * Scene Collection Backup & Restore Commands
+ *
+ * backup            - Snapshot the current scene collection to data/backups/
+ * backup --list     - List saved backups
+ * backup --diff a b - Show what changed between two backups (or a backup and live OBS)
+ * restore <file>    - Recreate scenes, sources and filters missing from OBS
+ */
+
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const OBSMetrics = require('../lib/metrics');
+const {
+  exportSceneCollection,
+  restoreSceneCollection,
+  diffSceneCollections,
+  validateSnapshot
+} = require('../lib/scene-collection');
+const { CommandError, EXIT_CODES, printError } = require('../lib/output');
+const { slugify, formatValue } = require('../lib/format');
+
+const BACKUP_DIR = path.join(__dirname, '../../data/backups');
+
+function resolveBackupFile(file) {
+  if (fs.existsSync(file)) return path.resolve(file);
+  const inBackupDir = path.join(BACKUP_DIR, file);
+  if (fs.existsSync(inBackupDir)) return inBackupDir;
+  if (fs.existsSync(inBackupDir + '.json')) return inBackupDir + '.json';
+  throw new CommandError(`Backup "${file}" not found`, 'not_found');
+}
+
+function loadBackup(file) {
+  const snapshot = JSON.parse(fs.readFileSync(resolveBackupFile(file), 'utf8'));
+  validateSnapshot(snapshot);
+  return snapshot;
+}
+
+function printDiff(changes) {
+  if (changes.length === 0) {
+    console.log(chalk.green('  ✓ No differences'));
+    return;
+  }
+
+  const icons = { added: chalk.green('+'), removed: chalk.red('-'), changed: chalk.yellow('~') };
+  for (const c of changes) {
+    console.log(`  ${icons[c.change]} ${chalk.gray(c.kind.padEnd(9))} ${c.target}`);
+    for (const d of c.details || []) {
+      console.log(chalk.gray(`      ${d.key}: `) + `${formatValue(d.before)} → ${formatValue(d.after)}`);
+    }
+  }
+
+  const count = (type) => changes.filter(c => c.change === type).length;
+  console.log(chalk.gray(`\n  ${count('added')} added, ${count('removed')} removed, ${count('changed')} changed`));
+}
+
+function listBackups() {
+  const files = fs.existsSync(BACKUP_DIR)
+    ? fs.readdirSync(BACKUP_DIR).filter(f => f.endsWith('.json')).sort().reverse()
+    : [];
+
+  console.log('\n' + chalk.bold('=== Backups ==='));
+  if (files.length === 0) {
+    console.log(chalk.gray('No backups yet. Create one with: npm run obs backup'));
+    return;
+  }
+  for (const file of files) {
+    const snapshot = JSON.parse(fs.readFileSync(path.join(BACKUP_DIR, file), 'utf8'));
+    console.log(`  ${file}  ${chalk.gray(`${snapshot.scenes.length} scenes, ${snapshot.inputs.length} inputs`)}`);
+  }
+}
+
+async function backup(options = {}) {
+  const obs = new OBSMetrics();
+
+  try {
+    if (options.list) {
+      listBackups();
+      return;
+    }
+
+    if (options.diff) {
+      const [beforeFile, afterFile] = options.diff;
+      const before = loadBackup(beforeFile);
+      const after = afterFile ? loadBackup(afterFile) : await exportSceneCollection(obs);
+
+      console.log('\n' + chalk.bold(`=== Diff: ${path.basename(beforeFile)} → ${afterFile ? path.basename(afterFile) : 'live OBS'} ===`));
+      printDiff(diffSceneCollections(before, after));
+      return;
+    }
+
+    const snapshot = await exportSceneCollection(obs);
+    const stamp = snapshot.createdAt.replace(/[:.]/g, '-').slice(0, 19);
+    const file = options.output
+      ? path.resolve(options.output)
+      : path.join(BACKUP_DIR, `${slugify(snapshot.sceneCollection, 'scenes')}-${stamp}.json`);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(snapshot, null, 2));
+
+    const filterCount = [...snapshot.scenes, ...snapshot.inputs].reduce((sum, s) => sum + s.filters.length, 0);
+    console.log(chalk.green(`Backed up "${snapshot.sceneCollection || 'scene collection'}"`));
+    console.log(`  ${snapshot.scenes.length} scenes, ${snapshot.inputs.length} inputs, ${filterCount} filters`);
+    console.log(`File: ${chalk.cyan(file)}`);
+  } catch (error) {
+    printError(error);
+  } finally {
+    await obs.disconnect();
+  }
+}
+
+async function restore(file, options = {}) {
+  const obs = new OBSMetrics();
+
+  try {
+    const snapshot = loadBackup(file);
+    const steps = await restoreSceneCollection(obs, snapshot, { dryRun: options.dryRun });
+
+    console.log('\n' + chalk.bold(`=== ${options.dryRun ? 'Restore Plan' : 'Restore'}: ${path.basename(file)} ===`));
+    if (steps.length === 0) {
+      console.log(chalk.green('  ✓ Nothing missing - OBS already has everything in this backup'));
+      return;
+    }
+
+    for (const step of steps) {
+      if (step.kind === 'skip') {
+        console.log(`  ${chalk.gray('·')} ${step.target} ${chalk.gray(`(skipped: ${step.reason})`)}`);
+      } else if (options.dryRun) {
+        console.log(`  ${chalk.green('+')} ${chalk.gray(step.kind.padEnd(9))} ${step.target}`);
+      } else if (step.ok) {
+        console.log(`  ${chalk.green('✓')} ${chalk.gray(step.kind.padEnd(9))} ${step.target}`);
+      } else {
+        console.log(`  ${chalk.red('✗')} ${chalk.gray(step.kind.padEnd(9))} ${step.target} ${chalk.red(step.error)}`);
+        process.exitCode = EXIT_CODES.failed;
+      }
+    }
+
+    if (options.dryRun) {
+      console.log(chalk.gray('\nDry run - nothing was changed'));
+    }
+  } catch (error) {
+    printError(error);
+  } finally {
+    await obs.disconnect();
+  }
+}
+
+module.exports = { backup, restore };
@@ -0,0 +1,89 @@
+/**
+ * Break Commands
+ *
+ * brb [duration]  - Switch to the BRB scene, mute the mic and start the break timer.
+ *                   With --text (or brb.text in obs.config.json) keeps running and
+ *                   draws the timer into that text source until back.
+ * back            - Return to the scene from before the break and restore the mic
+ */
+
+const chalk = require('chalk');
+const OBSMetrics = require('../lib/metrics');
+const StreamDatabase = require('../lib/db');
+const { formatMediaTime } = require('../lib/media');
+const { loadBrbOptions, getBreak, startBreak, endBreak, renderBreakText } = require('../lib/brb');
+const { sleep } = require('../lib/sequence');
+const { printError } = require('../lib/output');
+
+// Redraw the timer once a second until back is run (from any terminal) or Ctrl+C
+async function runTimer(obs, db, current, settings) {
+  const text = await obs.resolveTextInput(settings.text);
+  const controller = new AbortController();
+  const onSigint = () => controller.abort();
+  process.once('SIGINT', onSigint);
+
+  console.log(chalk.gray(`Timer running in "${text}". Ctrl+C stops the timer, the break goes on.`));
+  let last = null;
+  try {
+    while (getBreak(db)?.id === current.id) {
+      const value = renderBreakText(current, settings);
+      if (value !== last) {
+        await obs.setText(text, value);
+        last = value;
+      }
+      await sleep(1000, controller.signal);
+    }
+    console.log(chalk.gray('Back - timer stopped.'));
+  } catch (error) {
+    if (error.message !== 'Aborted') throw error;
+    console.log(chalk.yellow('\nTimer stopped. Still on break - return with: npm run obs back'));
+  } finally {
+    process.removeListener('SIGINT', onSigint);
+  }
+}
+
+async function brb(duration, options = {}) {
+  const obs = new OBSMetrics();
+  const db = new StreamDatabase();
+
+  try {
+    const settings = loadBrbOptions({ scene: options.scene, text: options.text, duration });
+    const current = await startBreak(obs, db, settings);
+
+    console.log(`${chalk.yellow('BRB')} on "${settings.scene}" ${chalk.gray(`(was ${current.scene})`)}`);
+    console.log(current.muted ? chalk.gray(`${current.mic} was already muted`) : `${current.mic} ${chalk.red('muted')}`);
+    if (current.duration) {
+      const at = new Date(current.startedAt + current.duration).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      console.log(`Back in ${chalk.cyan(formatMediaTime(current.duration))} ${chalk.gray(`(${at})`)}`);
+    }
+
+    if (settings.text) {
+      await runTimer(obs, db, current, settings);
+    } else {
+      console.log(chalk.gray('Return with: npm run obs back'));
+    }
+  } catch (error) {
+    printError(error);
+  } finally {
+    await obs.disconnect();
+    db.close();
+  }
+}
+
+async function back() {
+  const obs = new OBSMetrics();
+  const db = new StreamDatabase();
+
+  try {
+    const current = await endBreak(obs, db);
+    console.log(`${chalk.green('Back')} on "${current.scene}" ${chalk.gray(`after ${formatMediaTime(current.away)}`)}`);
+    console.log(current.muted ? chalk.gray(`${current.mic} left muted, as before the break`) : `${current.mic} ${chalk.green('unmuted')}`);
+  } catch (error) {
+    printError(error);
+  } finally {
+    await obs.disconnect();
+    db.close();
+  }
+}
+
+module.exports = { brb, back };
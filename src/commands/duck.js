@@ -0,0 +1,67 @@
+/**
+ * Duck Command
+ *
+ * Runs until Ctrl+C, lowering music and desktop audio while the mic is live.
+ * Settings come from audio.ducking in obs.config.json:
+ *
+ *   "audio": { "ducking": { "mic": "Mic/Aux", "targets": ["Music"], "threshold": -30,
+ *                           "amount": 12, "attack": 150, "release": 800, "hold": 400 } }
+ *
+ * Targets go back to their normal level when the daemon stops.
+ */
+
+const chalk = require('chalk');
+const OBSMetrics = require('../lib/metrics');
+const { Ducker, loadDuckingOptions } = require('../lib/audio');
+const { printError } = require('../lib/output');
+
+function parseOptions(options) {
+  const number = (value) => (value !== undefined ? parseFloat(value) : undefined);
+  return loadDuckingOptions({
+    mic: options.mic,
+    targets: options.targets ? options.targets.split(',').map(t => t.trim()).filter(Boolean) : undefined,
+    threshold: number(options.threshold),
+    amount: number(options.amount)
+  });
+}
+
+async function duck(options = {}) {
+  const settings = parseOptions(options);
+  const obs = new OBSMetrics({ reconnect: true });
+  const ducker = new Ducker(obs, settings);
+
+  let inputs;
+  try {
+    inputs = await ducker.start();
+  } catch (error) {
+    printError(error);
+    await obs.disconnect();
+    return;
+  }
+
+  console.log(chalk.bold('\nDucking'), inputs.targets.join(', '), chalk.bold('while'), inputs.mic, chalk.bold('is live'));
+  console.log(chalk.gray(`Threshold ${settings.threshold} dBFS, -${settings.amount} dB, attack ${settings.attack}ms, release ${settings.release}ms, hold ${settings.hold}ms`));
+  console.log(chalk.gray('Ctrl+C to stop\n'));
+
+  const time = () => new Date().toLocaleTimeString();
+  ducker.on('duck', ({ level }) => {
+    console.log(`${chalk.gray(time())} ${chalk.yellow('▼ ducked')}   mic ${level.toFixed(1)} dBFS`);
+  });
+  ducker.on('release', () => {
+    console.log(`${chalk.gray(time())} ${chalk.green('▲ released')}`);
+  });
+  obs.on('reconnecting', ({ attempt, delay }) => {
+    console.log(chalk.yellow(`Lost OBS - reconnecting (attempt ${attempt}, ${Math.round(delay / 1000)}s)`));
+  });
+
+  await new Promise(resolve => {
+    process.once('SIGINT', async () => {
+      await ducker.stop();
+      await obs.disconnect();
+      console.log(chalk.bold('\nStopped - volumes restored'));
+      resolve();
+    });
+  });
+}
+
+module.exports = duck;
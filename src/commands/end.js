@@ -0,0 +1,110 @@
+/**
+ * End Command
+ *
+ * end  - Switch to the Ending scene, optionally --raid a channel, wait --delay
+ *        (optionally counting down into a text source), stop the stream,
+ *        finalise the session in the stream database and print the report.
+ *        Stops at the first failed step; --dry-run prints the plan instead.
+ */
+
+const chalk = require('chalk');
+const OBSMetrics = require('../lib/metrics');
+const StreamDatabase = require('../lib/db');
+const { loadEndOptions, buildEndSteps } = require('../lib/end');
+const { runSequence } = require('../lib/sequence');
+const { parseTransitionDuration } = require('../lib/audio');
+const { printPlan, sequenceHooks, printTicker } = require('./go-live');
+const { sendWebhooks } = require('./webhooks');
+const { sessionCompletedData } = require('../lib/webhooks');
+const { getStreamProgress, sendMilestones } = require('../lib/affiliate');
+const { EXIT_CODES, printError } = require('../lib/output');
+
+// Sent once OBS reports the stream stopped. The monitor sends these too when it sees the stop;
+// the session's dedupe keys keep them single. sessionId is the session live before the stop, so
+// it's set even when the monitor finalised it first. Without one there's nothing to key them by.
+async function notifyEnded(db, sessionId, durationMs) {
+  await sendWebhooks(db, (dispatcher) => {
+    let queued = 0;
+    if (sessionId) {
+      queued += dispatcher.send('stream.stopped', { sessionId, durationMs }, { dedupeKey: `stream.stopped:${sessionId}` });
+      queued += dispatcher.send('session.completed', sessionCompletedData(db, sessionId), { dedupeKey: `session.completed:${sessionId}` });
+    }
+    return queued + sendMilestones(dispatcher, getStreamProgress(db));
+  });
+}
+
+async function end(options = {}) {
+  let steps;
+  try {
+    steps = buildEndSteps(loadEndOptions({
+      scene: options.scene,
+      raid: options.raid,
+      delay: options.delay,
+      text: options.text,
+      transition: options.transition,
+      duration: parseTransitionDuration(options.duration)
+    }));
+  } catch (error) {
+    printError(error);
+    return;
+  }
+
+  if (options.dryRun) {
+    printPlan('End', steps, 'end the stream');
+    return;
+  }
+
+  const obs = new OBSMetrics();
+  const db = new StreamDatabase();
+  const controller = new AbortController();
+  const onSigint = () => {
+    console.log(chalk.yellow('\nAborting...'));
+    controller.abort();
+  };
+  process.once('SIGINT', onSigint);
+
+  const context = {
+    obs,
+    db,
+    signal: controller.signal,
+    // Only load the Twitch client when raiding
+    get twitch() {
+      const TwitchClient = require('../lib/twitch');
+      return new TwitchClient();
+    },
+    onTick: printTicker
+  };
+
+  console.log(chalk.bold('\n=== End Stream ===\n'));
+
+  try {
+    const result = await runSequence(steps, context, sequenceHooks());
+    if (result.results.some(r => r.id === 'stop-stream' && r.status === 'done')) {
+      await notifyEnded(db, context.sessionId, context.duration);
+    }
+    if (!result.ok) {
+      const offline = result.results.some(r => r.id === 'stop-stream' && r.status === 'done');
+      console.log(chalk.red(`\nEnd stopped at: ${result.failed.title}`));
+      process.exitCode = EXIT_CODES.failed;
+      if (!offline && result.results.length > 1) {
+        console.log(chalk.yellow('The stream is still live. Stop it with: npm run obs stop'));
+      }
+      return;
+    }
+  } catch (error) {
+    printError(error);
+    return;
+  } finally {
+    process.removeListener('SIGINT', onSigint);
+    await obs.disconnect();
+    db.close();
+  }
+
+  console.log(chalk.green('\nStream ended.'));
+  if (context.sessionId) {
+    const report = require('./report');
+    await report(context.sessionId);
+  }
+}
+
+module.exports = end;
@@ -0,0 +1,65 @@
+/**
+ * Exporter Command
+ *
+ * exporter  - Serve OBS and Twitch health at /metrics in the Prometheus text
+ *             format (settings: exporter in obs.config.json). Keeps one OBS
+ *             connection open, reconnecting while OBS restarts.
+ */
+
+const chalk = require('chalk');
+const OBSMetrics = require('../lib/metrics');
+const TwitchClient = require('../lib/twitch');
+const { loadExporterOptions, MetricsExporter } = require('../lib/exporter');
+const { CommandError, printError } = require('../lib/output');
+
+async function exporter(options = {}) {
+  const obs = new OBSMetrics({ reconnect: true });
+  const time = () => chalk.gray(new Date().toLocaleTimeString());
+
+  let server;
+  try {
+    const settings = loadExporterOptions({
+      port: options.port,
+      host: options.host,
+      cache: options.cache
+    });
+    server = new MetricsExporter(obs, { ...settings, twitch: options.twitch === false ? null : new TwitchClient() });
+    await server.start();
+  } catch (error) {
+    printError(error.code === 'EADDRINUSE' ? new CommandError(`Port ${error.port} is already in use`) : error);
+    await obs.disconnect();
+    return;
+  }
+
+  obs.on('state', ({ state }) => {
+    console.log(`${time()} OBS ${state === 'connected' ? chalk.green(state) : chalk.yellow(state)}`);
+  });
+  // Log each failing source once until it recovers
+  const failing = new Set();
+  server.on('scrape-error', ({ source, error }) => {
+    if (failing.has(source)) return;
+    failing.add(source);
+    console.log(`${time()} ${chalk.yellow(`${source} scrape failed: ${error.message}`)}`);
+  });
+  server.on('request', ({ path, status }) => {
+    if (path === '/metrics' && status === 200) failing.clear();
+  });
+  obs.connect().catch(error => {
+    console.log(`${time()} ${chalk.yellow(error.message)} - retrying`);
+  });
+
+  console.log(chalk.bold(`\nPrometheus metrics on http://${server.host}:${server.port}/metrics`));
+  console.log(`Cache:  OBS ${server.cacheMs / 1000}s${server.twitch ? `, Twitch ${server.twitchCacheMs / 1000}s` : chalk.gray(' (Twitch off)')}`);
+  console.log(chalk.gray(`\nprometheus.yml:\n  - job_name: obs\n    static_configs:\n      - targets: ['${server.host}:${server.port}']`));
+  console.log(chalk.gray('\nCtrl+C to stop\n'));
+
+  await new Promise(resolve => {
+    process.once('SIGINT', async () => {
+      await server.stop();
+      await obs.disconnect();
+      resolve();
+    });
+  });
+}
+
+module.exports = exporter;
@@ -0,0 +1,115 @@
+/**
+ * Filter Commands
+ *
+ * filters <source>                            - List a source's filters with their state and settings
+ * filter enable|disable|toggle <source> <filter>
+ * filter set <source> <filter> key=value...   - Change settings (or pass one JSON object)
+ * filter add <source> <preset|kind> [key=value...]
+ * filter remove <source> <filter>
+ *
+ * <filter> can be the filter's name, part of it, or a preset name like "noise".
+ */
+
+const chalk = require('chalk');
+const OBSMetrics = require('../lib/metrics');
+const { FILTER_PRESETS, parseSettings } = require('../lib/filters');
+const { CommandError, printError } = require('../lib/output');
+
+const ACTIONS = ['enable', 'disable', 'toggle', 'set', 'add', 'remove'];
+
+function formatSettings(settings) {
+  return Object.entries(settings || {})
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join('  ');
+}
+
+function printPresets() {
+  console.log(chalk.bold('\nPresets:'));
+  for (const [key, preset] of Object.entries(FILTER_PRESETS)) {
+    console.log(`  ${key.padEnd(12)} ${preset.name.padEnd(18)} ${chalk.gray(preset.kind)}`);
+  }
+}
+
+async function filters(source) {
+  const obs = new OBSMetrics();
+
+  try {
+    const { sourceName, filters: list } = await obs.getSourceFilters(source);
+
+    console.log(chalk.bold(`\n=== Filters: ${sourceName} ===`));
+    if (list.length === 0) {
+      console.log(chalk.gray('No filters. Add one with: npm run obs filter add <source> <preset>'));
+      printPresets();
+      return;
+    }
+
+    for (const f of list) {
+      const state = f.filterEnabled ? chalk.green('● on ') : chalk.gray('○ off');
+      console.log(`  ${state}  ${f.filterName} ${chalk.gray(`(${f.filterKind})`)}`);
+      const settings = formatSettings(f.filterSettings);
+      if (settings) {
+        console.log(chalk.gray(`         ${settings}`));
+      }
+    }
+  } catch (error) {
+    printError(error);
+  } finally {
+    await obs.disconnect();
+  }
+}
+
+async function filter(action, source, name, args = [], options = {}) {
+  if (!ACTIONS.includes(action)) {
+    printError(new CommandError(`Invalid action. Use: ${ACTIONS.join(', ')}`));
+    printPresets();
+    return;
+  }
+  if (!source || !name) {
+    printError(new CommandError(`Usage: filter ${action} <source> <${action === 'add' ? 'preset|kind' : 'filter'}>`));
+    return;
+  }
+
+  const obs = new OBSMetrics();
+
+  try {
+    switch (action) {
+      case 'enable':
+      case 'disable':
+      case 'toggle': {
+        const enabled = action === 'toggle' ? undefined : action === 'enable';
+        const result = await obs.setFilterEnabled(source, name, enabled);
+        console.log(result.enabled
+          ? chalk.green(`${result.sourceName} → ${result.filterName} enabled`)
+          : chalk.yellow(`${result.sourceName} → ${result.filterName} disabled`));
+        break;
+      }
+      case 'set': {
+        const settings = parseSettings(args);
+        if (Object.keys(settings).length === 0) {
+          throw new Error('Nothing to set. Pass key=value pairs');
+        }
+        const result = await obs.setFilterSettings(source, name, settings);
+        console.log(chalk.green(`${result.sourceName} → ${result.filterName} updated`));
+        console.log(chalk.gray(`  ${formatSettings(result.settings)}`));
+        break;
+      }
+      case 'add': {
+        const result = await obs.addFilter(source, name, { name: options.name, settings: parseSettings(args) });
+        console.log(chalk.green(`Added ${result.filterName} (${result.kind}) to ${result.sourceName}`));
+        console.log(chalk.gray(`  ${formatSettings(result.settings)}`));
+        break;
+      }
+      case 'remove': {
+        const result = await obs.removeFilter(source, name);
+        console.log(chalk.yellow(`Removed ${result.filterName} from ${result.sourceName}`));
+        break;
+      }
+    }
+  } catch (error) {
+    printError(error);
+  } finally {
+    await obs.disconnect();
+  }
+}
+
+module.exports = { filters, filter };
@@ -0,0 +1,159 @@
+/**
+ * Go-Live Command
+ *
+ * go-live  - Apply stream.config.json to Twitch, run pre-flight checks, switch to
+ *            the Starting Soon scene, start streaming (opening the session and
+ *            sending stream.started), count down (optionally into a text source)
+ *            and switch to the main scene. Stops at the first failed step;
+ *            --dry-run prints the plan instead. Ctrl+C aborts between steps and
+ *            during the countdown.
+ */
+
+const chalk = require('chalk');
+const OBSMetrics = require('../lib/metrics');
+const StreamDatabase = require('../lib/db');
+const { colorizeValue } = require('../lib/alerts');
+const { formatMediaTime } = require('../lib/media');
+const { loadGoLiveOptions, buildGoLiveSteps } = require('../lib/go-live');
+const { runSequence, sleep } = require('../lib/sequence');
+const { parseTransitionDuration } = require('../lib/audio');
+const { sendWebhooks } = require('./webhooks');
+const { EXIT_CODES, printError } = require('../lib/output');
+
+const CHECK_ICONS = {
+  ok: chalk.green('✓'),
+  warn: chalk.yellow('⚠'),
+  fail: chalk.red('✗')
+};
+
+// Shared with end: the --dry-run plan and step progress for runSequence
+function printPlan(title, steps, hint) {
+  console.log(chalk.bold(`\n=== ${title} Plan (dry run) ===\n`));
+  steps.forEach((step, i) => {
+    // Skips decided at run time (macro conditions) are part of the title instead
+    const skip = typeof step.skip === 'string' ? step.skip : null;
+    console.log(`${i + 1}. ${step.title}${skip ? chalk.gray(` - skipped: ${skip}`) : ''}`);
+    if (!skip) {
+      for (const line of step.plan || []) {
+        console.log(chalk.gray(`   ${line}`));
+      }
+    }
+  });
+  console.log(chalk.gray(`\nNothing was changed. Run without --dry-run to ${hint}.`));
+}
+
+function sequenceHooks() {
+  // The countdown redraws one line in a terminal; start the result on a fresh one
+  const clearTicker = (step) => {
+    if (process.stdout.isTTY && ['countdown', 'delay'].includes(step.id)) process.stdout.write('\r');
+  };
+  return {
+    onStart: (step) => console.log(chalk.cyan(`→ ${step.title}`)),
+    onDone: (step, detail) => {
+      clearTicker(step);
+      console.log(chalk.green(`  ✓ ${detail || 'done'}`));
+    },
+    onSkip: (step, reason) => console.log(chalk.gray(`- ${step.title} (skipped: ${reason})`)),
+    onFail: (step, error) => {
+      clearTicker(step);
+      console.log(chalk.red(`  ✗ ${step.title}: ${error.message}`));
+    }
+  };
+}
+
+function printTicker(remaining) {
+  if (process.stdout.isTTY) {
+    process.stdout.write(`\r   ${formatMediaTime(Math.ceil(remaining / 1000) * 1000)} `);
+  }
+}
+
+// Bitrate and dropped frames a few seconds after going live, like the old go command
+async function healthCheck(obs) {
+  await sleep(3000);
+  const metrics = await obs.getFullMetrics();
+  console.log(`\nBitrate: ${colorizeValue('bitrate', metrics.stream.bitrate)} kbps`);
+  console.log(`Dropped: ${colorizeValue('droppedPercent', metrics.stream.droppedPercent)}%`);
+}
+
+// The monitor sends this too when it sees the stream start; the dedupe key keeps it single
+async function notifyStarted(db, sessionId, scene) {
+  await sendWebhooks(db, (dispatcher) =>
+    dispatcher.send('stream.started', { sessionId, scene }, { dedupeKey: `stream.started:${sessionId}` }));
+}
+
+async function goLive(options = {}) {
+  let settings;
+  let steps;
+  try {
+    settings = loadGoLiveOptions({
+      startingScene: options.starting,
+      mainScene: options.scene,
+      countdown: options.countdown,
+      text: options.text,
+      transition: options.transition,
+      duration: parseTransitionDuration(options.duration),
+      // commander defaults --no-twitch to true; only override goLive.twitch when passed
+      twitch: options.twitch === false ? false : undefined,
+      fixWifi: options.fixWifi
+    });
+    steps = buildGoLiveSteps(settings);
+  } catch (error) {
+    printError(error);
+    return;
+  }
+
+  if (options.dryRun) {
+    printPlan('Go-Live', steps, 'go live');
+    return;
+  }
+
+  const obs = new OBSMetrics();
+  const db = new StreamDatabase();
+  const controller = new AbortController();
+  const onSigint = () => {
+    console.log(chalk.yellow('\nAborting...'));
+    controller.abort();
+  };
+  process.once('SIGINT', onSigint);
+
+  const context = {
+    obs,
+    db,
+    signal: controller.signal,
+    // Only load the Twitch client if stream.config.json is applied
+    get twitch() {
+      const TwitchClient = require('../lib/twitch');
+      return new TwitchClient();
+    },
+    onCheck: (check) => console.log(`   ${CHECK_ICONS[check.level]} ${check.message}`),
+    onTick: printTicker,
+    onLive: (sessionId) => notifyStarted(db, sessionId, settings.startingScene)
+  };
+
+  console.log(chalk.bold('\n=== Go Live ===\n'));
+
+  try {
+    const result = await runSequence(steps, context, sequenceHooks());
+
+    if (!result.ok) {
+      const live = result.results.some(r => r.id === 'start-stream' && r.status === 'done');
+      console.log(chalk.red(`\nGo-live stopped at: ${result.failed.title}`));
+      process.exitCode = EXIT_CODES.failed;
+      if (live) {
+        console.log(chalk.yellow('The stream is live. Switch scenes by hand or stop with: npm run obs stop'));
+      }
+      return;
+    }
+
+    console.log(chalk.green(`\nLive on "${settings.mainScene}"!`));
+    await healthCheck(obs);
+  } catch (error) {
+    printError(error);
+  } finally {
+    process.removeListener('SIGINT', onSigint);
+    await obs.disconnect();
+    db.close();
+  }
+}
+
+module.exports = { goLive, printPlan, sequenceHooks, printTicker };
@@ -0,0 +1,91 @@
+/**
+ * Media Command
+ *
+ * media [status] [source]               - Playback state of one or all media sources
+ * media play|pause|stop|restart <source> - Control playback (--wait blocks until it finishes)
+ * media seek <source> <position>         - Jump to 1:30 / 90s, or skip +10s / -5s
+ * media wait <source>                    - Block until the source finishes playing
+ */
+
+const chalk = require('chalk');
+const OBSMetrics = require('../lib/metrics');
+const { MEDIA_ACTIONS, formatMediaTime, parseSeek } = require('../lib/media');
+const { parseDuration } = require('../lib/audio');
+const { printError } = require('../lib/output');
+
+const STATE_COLORS = {
+  playing: 'green',
+  paused: 'yellow',
+  opening: 'cyan',
+  buffering: 'cyan',
+  error: 'red'
+};
+
+function formatStatus(status) {
+  const color = STATE_COLORS[status.state] || 'gray';
+  const position = status.duration !== null
+    ? chalk.gray(`  ${formatMediaTime(status.cursor)} / ${formatMediaTime(status.duration)}`)
+    : '';
+  return `${status.name}: ${chalk[color](status.state)}${position}`;
+}
+
+async function waitForEnd(obs, name, options) {
+  const timeout = options.timeout ? parseDuration(options.timeout) : 0;
+  console.log(chalk.gray(`Waiting for ${name} to finish...`));
+  const status = await obs.waitForMediaEnd(name, { timeout });
+  console.log(chalk.green(`${name} finished`) + chalk.gray(` (${status.state})`));
+}
+
+async function media(action = 'status', source, position, options = {}) {
+  const obs = new OBSMetrics();
+
+  try {
+    if (action === 'status') {
+      const names = source ? [await obs.resolveMediaInput(source)] : await obs.getMediaInputs();
+      if (names.length === 0) {
+        console.log(chalk.gray('No media sources'));
+        return;
+      }
+      console.log(chalk.bold('\n=== Media ==='));
+      for (const name of names) {
+        console.log(`  ${formatStatus(await obs.getMediaStatus(name))}`);
+      }
+      return;
+    }
+
+    if (action !== 'seek' && action !== 'wait' && !MEDIA_ACTIONS[action]) {
+      throw new Error(`Invalid action. Use: status, ${Object.keys(MEDIA_ACTIONS).join(', ')}, seek, wait`);
+    }
+    if (!source) {
+      throw new Error(`Usage: media ${action} <source>${action === 'seek' ? ' <position>' : ''}`);
+    }
+
+    const name = await obs.resolveMediaInput(source);
+
+    if (action === 'wait') {
+      await waitForEnd(obs, name, options);
+      return;
+    }
+
+    if (action === 'seek') {
+      if (!position) {
+        throw new Error('Usage: media seek <source> <position>');
+      }
+      console.log(formatStatus(await obs.seekMedia(name, parseSeek(position))));
+      return;
+    }
+
+    await obs.controlMedia(name, action);
+    console.log(chalk.green(`${name}: ${action}`));
+
+    if (options.wait && (action === 'play' || action === 'restart')) {
+      await waitForEnd(obs, name, options);
+    }
+  } catch (error) {
+    printError(error);
+  } finally {
+    await obs.disconnect();
+  }
+}
+
+module.exports = media;
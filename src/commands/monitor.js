@@ -2,9 +2,22 @@ const React = require('react');
 const { render, Box, Text, useInput, useApp } = require('ink');
 const OBSMetrics = require('../lib/metrics');
 const StreamDatabase = require('../lib/db');
-const { getLevel, getBitrateBar, analyzeMetrics } = require('../lib/alerts');
+const { getLevel, getBitrateBar, analyzeMetrics, getOverallStatus } = require('../lib/alerts');
+const { Ducker, AudioLevels, loadDuckingOptions } = require('../lib/audio');
+const { WebhookDispatcher } = require('../lib/webhooks');
+const { SessionTracker } = require('../lib/sessions');
+const {
+  HISTORY_WINDOWS,
+  RingBuffer,
+  sampleFromMetrics,
+  sampleFromRow,
+  summarize,
+  bucketize,
+  sparkline,
+  brailleChart
+} = require('../lib/timeseries');
 
-const obs = new OBSMetrics();
+const obs = new OBSMetrics({ reconnect: true });
 const db = new StreamDatabase();
 
 // Color helper
@@ -28,6 +41,17 @@ const StatusBadge = ({ active, reconnecting }) => {
   return React.createElement(Text, { color: 'gray' }, '○ OFFLINE');
 };
 
+// Recording indicator component
+const RecordBadge = ({ record }) => {
+  if (!record.active) {
+    return React.createElement(Text, { color: 'gray' }, '○ REC OFF');
+  }
+  if (record.paused) {
+    return React.createElement(Text, { color: 'yellow', bold: true }, `❚❚ REC PAUSED ${obs.formatDuration(record.duration)}`);
+  }
+  return React.createElement(Text, { color: 'red', bold: true }, `● REC ${obs.formatDuration(record.duration)}`);
+};
+
 // Metric row component
 const MetricRow = ({ label, value, unit, metric }) => {
   const level = metric ? getLevel(metric, value) : 'white';
@@ -52,6 +76,88 @@ const BitrateBar = ({ bitrate, target = 6000 }) => {
   );
 };
 
+// Peak meter: 20 cells from -60 dBFS to 0, green/yellow/red like the OBS mixer
+const METER_FLOOR = -60;
+const METER_CELLS = 20;
+const meterCells = (db) => Math.round(Math.max(0, Math.min(1, (db - METER_FLOOR) / -METER_FLOOR)) * METER_CELLS);
+
+const PeakBar = ({ peakDb }) => {
+  const filled = meterCells(peakDb);
+  const yellowFrom = meterCells(-20);
+  const redFrom = meterCells(-9);
+
+  return React.createElement(Box, null,
+    React.createElement(Text, { color: 'green' }, '█'.repeat(Math.min(filled, yellowFrom))),
+    React.createElement(Text, { color: 'yellow' }, '█'.repeat(Math.max(0, Math.min(filled, redFrom) - yellowFrom))),
+    React.createElement(Text, { color: 'red' }, '█'.repeat(Math.max(0, filled - redFrom))),
+    React.createElement(Text, { color: 'gray' }, '░'.repeat(METER_CELLS - filled))
+  );
+};
+
+// Audio levels component
+const AudioMeters = ({ audio }) => {
+  const width = Math.max(...audio.inputs.map(i => i.name.length));
+
+  return React.createElement(Box, { flexDirection: 'column' },
+    audio.inputs.map(input =>
+      React.createElement(Box, { key: input.name },
+        React.createElement(Text, { color: input.name === audio.mic.name ? 'white' : 'gray' }, `${input.name.padEnd(width)}  `),
+        input.muted
+          ? React.createElement(Text, { color: input.name === audio.mic.name ? 'red' : 'gray' }, 'muted')
+          : React.createElement(Box, null,
+            React.createElement(PeakBar, { peakDb: input.peakDb }),
+            React.createElement(Text, { color: audio.clipping.includes(input.name) ? 'red' : 'gray' },
+              input.peakDb <= METER_FLOOR ? '  -inf' : `  ${input.peakDb.toFixed(0).padStart(4)} dB`
+            )
+          )
+      )
+    )
+  );
+};
+
+// History charts: one character per bucket, two for the braille bitrate chart
+const CHART_WIDTH = 40;
+const HISTORY_SERIES = [
+  { key: 'bitrate', label: 'Bitrate', metric: 'bitrate', unit: 'kbps', digits: 0, braille: true },
+  { key: 'droppedPercent', label: 'Dropped', metric: 'droppedPercent', unit: '%', digits: 2 },
+  { key: 'cpu', label: 'CPU', metric: 'cpu', unit: '%', digits: 1 },
+  { key: 'fps', label: 'FPS', metric: 'fps', unit: '', digits: 1 }
+];
+
+// Charts over the selected window, coloured by the latest value, with min/avg/max
+const History = ({ samples, window, interval }) => {
+  const end = Date.now();
+  const recent = samples.filter(s => s.at > end - window.ms);
+
+  return React.createElement(Box, { flexDirection: 'column' },
+    React.createElement(Text, { color: 'gray' }, `History (${window.label}):`),
+    HISTORY_SERIES.flatMap(series => {
+      const values = bucketize(samples, series.key, {
+        window: window.ms,
+        width: series.braille ? CHART_WIDTH * 2 : CHART_WIDTH,
+        end,
+        hold: interval * 2
+      });
+      const lines = series.braille ? brailleChart(values) : [sparkline(values)];
+      const latest = values.filter(v => v !== null).pop();
+      const color = latest === undefined ? 'gray' : levelColor(getLevel(series.metric, latest));
+      const stats = summarize(recent.map(s => s[series.key]));
+      const format = (value) => value.toFixed(series.digits);
+      const unit = series.unit ? ` ${series.unit}` : '';
+
+      return lines.map((line, i) =>
+        React.createElement(Box, { key: `${series.key}-${i}` },
+          React.createElement(Text, { color: 'gray' }, (i === 0 ? series.label : '').padEnd(9)),
+          React.createElement(Text, { color }, line),
+          i === 0 && React.createElement(Text, { color: 'gray' }, stats
+            ? `  min ${format(stats.min)}  avg ${format(stats.avg)}  max ${format(stats.max)}${unit}`
+            : '  no data')
+        )
+      );
+    })
+  );
+};
+
 // Warnings component
 const Warnings = ({ warnings }) => {
   if (warnings.length === 0) {
@@ -68,13 +174,48 @@ const Warnings = ({ warnings }) => {
   );
 };
 
+// OBS connection banner (only shown when the session is down)
+const ConnectionBanner = ({ connection }) => {
+  if (connection.state === 'reconnecting') {
+    return React.createElement(Text, { color: 'yellow', bold: true },
+      `⟳ OBS connection lost - reconnecting (attempt ${connection.attempt}, next in ${Math.round(connection.delay / 1000)}s)`
+    );
+  }
+  if (connection.state === 'disconnected') {
+    return React.createElement(Text, { color: 'red', bold: true }, '✗ OBS disconnected');
+  }
+  return null;
+};
+
 // Main monitor component
-const Monitor = ({ interval }) => {
+const Monitor = ({ interval, ducker, levels, webhooks }) => {
   const { exit } = useApp();
   const [metrics, setMetrics] = React.useState(null);
   const [error, setError] = React.useState(null);
-  const [sessionId, setSessionId] = React.useState(null);
+  const [connection, setConnection] = React.useState({ state: 'connecting' });
+  const [notice, setNotice] = React.useState(null);
+  const [ducking, setDucking] = React.useState(null);
+  const [audio, setAudio] = React.useState(null);
   const [lastUpdate, setLastUpdate] = React.useState(new Date());
+  const [windowIndex, setWindowIndex] = React.useState(0);
+  // Enough samples at this interval for the longest window
+  const [history] = React.useState(() => new RingBuffer(HISTORY_WINDOWS[HISTORY_WINDOWS.length - 1].ms / interval + 1));
+
+  // Refs so timer and OBS event callbacks see current values
+  const metricsRef = React.useRef(null);
+  const audioAlertsRef = React.useRef(new Set());
+  const healthRef = React.useRef(null);
+
+  // Queue a webhook event and deliver it right away; the outbox keeps it if that fails
+  const notify = (event, data, options) => {
+    if (!webhooks) return 0;
+    const queued = webhooks.send(event, data, options);
+    if (queued > 0) {
+      webhooks.flush().catch(() => {});
+    }
+    return queued;
+  };
+  const [sessions] = React.useState(() => new SessionTracker(db, { notify }));
 
   // Handle keyboard input
   useInput((input, key) => {
@@ -85,26 +226,26 @@ const Monitor = ({ interval }) => {
     if (input === 'r') {
       fetchMetrics();
     }
+    if (input === 'w') {
+      setWindowIndex(i => (i + 1) % HISTORY_WINDOWS.length);
+    }
   });
 
+  // Fill the charts from the samples that session already logged
+  const backfill = (sessionId) => {
+    const since = new Date(Date.now() - HISTORY_WINDOWS[HISTORY_WINDOWS.length - 1].ms);
+    const samples = [...db.getSessionMetrics(sessionId, since).map(sampleFromRow), ...history.toArray()];
+    history.clear();
+    samples.sort((a, b) => a.at - b.at).forEach(sample => history.push(sample));
+  };
+
   const cleanup = async () => {
     try {
-      if (sessionId) {
-        const sessionMetrics = db.getSessionMetrics(sessionId);
-        if (sessionMetrics.length > 0) {
-          const lastMetric = sessionMetrics[sessionMetrics.length - 1];
-          db.endSession(sessionId, {
-            duration: metrics?.stream?.duration || 0,
-            avgBitrate: sessionMetrics.reduce((a, m) => a + m.bitrate, 0) / sessionMetrics.length,
-            totalFrames: lastMetric.total_frames,
-            droppedFrames: lastMetric.dropped_frames,
-            droppedPercent: lastMetric.dropped_percent,
-            peakCpu: Math.max(...sessionMetrics.map(m => m.cpu_usage)),
-            peakMemory: Math.max(...sessionMetrics.map(m => m.memory_mb)),
-            errors: 0
-          });
-        }
-      }
+      // The session stays open: the stream may still be live, and the next monitor or end picks it up
+      sessions.detach();
+      levels.stop();
+      if (ducker) await ducker.stop();
+      if (webhooks) await webhooks.stop();
       await obs.disconnect();
     } catch (e) {}
   };
@@ -112,45 +253,203 @@ const Monitor = ({ interval }) => {
   const fetchMetrics = async () => {
     try {
       const data = await obs.getFullMetrics();
+      history.push(sampleFromMetrics(data));
+      metricsRef.current = data;
       setMetrics(data);
       setError(null);
       setLastUpdate(new Date());
 
-      // Start session if streaming and no session exists
-      if (data.stream.active && !sessionId) {
-        const id = db.startSession();
-        setSessionId(id);
-      }
-
-      // End session if stopped streaming
-      if (!data.stream.active && sessionId) {
-        cleanup();
-        setSessionId(null);
-      }
+      // Open (or pick up) the session when the stream starts, end it when OBS reports it stopped
+      const change = sessions.update(data);
+      if (change?.resumed) backfill(change.id);
+      if (change?.ended) healthRef.current = null;
 
       // Record metrics if streaming
-      if (data.stream.active && sessionId) {
-        db.recordMetric(sessionId, {
+      if (data.stream.active && sessions.id) {
+        db.recordMetric(sessions.id, {
           bitrate: data.stream.bitrate,
           cpuUsage: parseFloat(data.system.cpuUsage),
           memoryMb: parseFloat(data.system.memoryUsage),
           fps: parseFloat(data.system.fps),
           droppedFrames: data.stream.skippedFrames,
           totalFrames: data.stream.totalFrames,
-          droppedPercent: parseFloat(data.stream.droppedPercent)
+          droppedPercent: parseFloat(data.stream.droppedPercent),
+          congestion: data.stream.congestion
         });
+        recordAudioAlerts(data);
+        notifyHealth(data);
       }
     } catch (err) {
-      setError(err.message);
+      // While reconnecting the connection banner already explains the gap
+      if (obs.state !== 'reconnecting') {
+        setError(err.message);
+      }
+    }
+  };
+
+  // Log each muted/silent/clipping episode once, when it starts
+  const recordAudioAlerts = (data) => {
+    const alerts = analyzeMetrics({ ...data, audio: levels.snapshot() }).filter(w => w.type);
+    const active = new Set();
+
+    for (const w of alerts) {
+      const key = `${w.type}:${w.source}`;
+      if (!audioAlertsRef.current.has(key)) {
+        db.recordError(sessions.id, w.type, w.message);
+      }
+      active.add(key);
     }
+    audioAlertsRef.current = active;
+  };
+
+  // health.changed on each level transition while live; a healthy start isn't news
+  const notifyHealth = (data) => {
+    const status = getOverallStatus({ ...data, audio: levels.snapshot() });
+    const previous = healthRef.current;
+    if (status.level === previous) return;
+    healthRef.current = status.level;
+    if (!previous && status.level === 'green') return;
+
+    notify('health.changed', {
+      sessionId: sessions.id,
+      from: previous,
+      to: status.level,
+      label: status.label,
+      warnings: status.warnings.map(w => w.message),
+      bitrate: data.stream.bitrate,
+      droppedPercent: parseFloat(data.stream.droppedPercent),
+      cpu: parseFloat(data.system.cpuUsage)
+    });
   };
 
-  // Initial fetch and interval
+  // OBS connection and event subscriptions
   React.useEffect(() => {
-    fetchMetrics();
-    const timer = setInterval(fetchMetrics, interval);
+    const onState = (info) => {
+      setConnection(info);
+      if (info.state === 'connected') {
+        setError(null);
+        fetchMetrics();
+        startDucking();
+        startLevels();
+      }
+    };
+
+    // Like ducking, the meters subscription is kept across reconnects
+    const startLevels = () => {
+      if (levels.mic) return;
+      levels.start().catch(err => setNotice(`Audio meters off: ${err.message}`));
+    };
+
+    // Ducking starts on the first connection and survives reconnects
+    const startDucking = () => {
+      if (!ducker || ducker.mic) return;
+      ducker.start()
+        .then(({ targets }) => setDucking({ ducked: false, targets }))
+        .catch(err => setNotice(`Ducking off: ${err.message}`));
+    };
+    const onDuck = () => setDucking(d => d && { ...d, ducked: true });
+    const onRelease = () => setDucking(d => d && { ...d, ducked: false });
+    if (ducker) {
+      ducker.on('duck', onDuck);
+      ducker.on('release', onRelease);
+    }
+
+    const onStreamState = ({ outputActive, outputState }) => {
+      setNotice(`Stream ${outputState.replace('OBS_WEBSOCKET_OUTPUT_', '').toLowerCase()}`);
+      // Started/stopped transitions open and close sessions right away
+      if (outputActive !== !!metricsRef.current?.stream?.active) {
+        fetchMetrics();
+      }
+    };
+
+    const onSceneChanged = ({ sceneName }) => {
+      notify('scene.changed', { scene: sceneName, previous: metricsRef.current?.scene ?? null, live: !!metricsRef.current?.stream?.active });
+      if (metricsRef.current) {
+        metricsRef.current = { ...metricsRef.current, scene: sceneName };
+        setMetrics(metricsRef.current);
+      }
+    };
+
+    const onMuteChanged = ({ inputName, inputMuted }) => {
+      setNotice(`${inputName} ${inputMuted ? 'muted' : 'unmuted'}`);
+    };
+
+    // Log recording files so the report can match them to this session
+    const onRecordState = ({ outputState, outputPath }) => {
+      if (outputState === 'OBS_WEBSOCKET_OUTPUT_STARTED') {
+        db.startRecording(outputPath);
+        setNotice(`Recording started: ${outputPath}`);
+      } else if (outputState === 'OBS_WEBSOCKET_OUTPUT_STOPPED') {
+        db.endRecording(outputPath, metricsRef.current?.record || {});
+        setNotice(`Recording saved: ${outputPath}`);
+      }
+      fetchMetrics();
+    };
+
+    const onRecordFileChanged = ({ newOutputPath }) => {
+      db.endRecording(null, metricsRef.current?.record || {});
+      db.startRecording(newOutputPath);
+      setNotice(`Recording split: ${newOutputPath}`);
+    };
+
+    // Replays saved from an OBS hotkey are logged too (CLI saves are deduped)
+    const onReplaySaved = ({ savedReplayPath }) => {
+      db.recordEvent(sessions.id, 'replay_saved', savedReplayPath, { unique: true });
+      setNotice(`Replay saved: ${savedReplayPath}`);
+    };
+
+    const onExit = () => {
+      setNotice('OBS is shutting down');
+    };
+
+    obs.on('state', onState);
+    obs.on('StreamStateChanged', onStreamState);
+    obs.on('CurrentProgramSceneChanged', onSceneChanged);
+    obs.on('InputMuteStateChanged', onMuteChanged);
+    obs.on('RecordStateChanged', onRecordState);
+    obs.on('RecordFileChanged', onRecordFileChanged);
+    obs.on('ReplayBufferSaved', onReplaySaved);
+    obs.on('ExitStarted', onExit);
+
+    // Deliveries retry in the background, so only report the failures
+    const onWebhookFailed = ({ name, event, error }) => setNotice(`Webhook ${event} → ${name} failed: ${error}`);
+    const onWebhookError = (err) => setNotice(`Webhooks: ${err.message}`);
+    if (webhooks) {
+      webhooks.on('failed', onWebhookFailed);
+      webhooks.on('error', onWebhookError);
+      webhooks.start();
+    }
+
+    obs.connect().catch(err => {
+      if (obs.state !== 'reconnecting') setError(err.message);
+    });
+
+    const timer = setInterval(() => {
+      if (obs.state === 'connected') fetchMetrics();
+    }, interval);
+
+    // Meters arrive every 50ms; redraw the bars at a calmer rate
+    const meterTimer = setInterval(() => setAudio(levels.snapshot()), 150);
+
     return () => {
       clearInterval(timer);
+      clearInterval(meterTimer);
+      obs.off('state', onState);
+      obs.off('StreamStateChanged', onStreamState);
+      obs.off('CurrentProgramSceneChanged', onSceneChanged);
+      obs.off('InputMuteStateChanged', onMuteChanged);
+      obs.off('RecordStateChanged', onRecordState);
+      obs.off('RecordFileChanged', onRecordFileChanged);
+      obs.off('ReplayBufferSaved', onReplaySaved);
+      obs.off('ExitStarted', onExit);
+      if (ducker) {
+        ducker.off('duck', onDuck);
+        ducker.off('release', onRelease);
+      }
+      if (webhooks) {
+        webhooks.off('failed', onWebhookFailed);
+        webhooks.off('error', onWebhookError);
+      }
       cleanup();
     };
   }, []);
@@ -166,12 +465,13 @@ const Monitor = ({ interval }) => {
 
   // Loading state
   if (!metrics) {
-    return React.createElement(Box, { padding: 1 },
-      React.createElement(Text, { color: 'yellow' }, 'Connecting to OBS...')
+    return React.createElement(Box, { flexDirection: 'column', padding: 1 },
+      React.createElement(Text, { color: 'yellow' }, 'Connecting to OBS...'),
+      React.createElement(ConnectionBanner, { connection })
     );
   }
 
-  const warnings = analyzeMetrics(metrics);
+  const warnings = analyzeMetrics({ ...metrics, audio });
 
   return React.createElement(Box, { flexDirection: 'column', padding: 1 },
     // Header
@@ -181,6 +481,11 @@ const Monitor = ({ interval }) => {
 
     React.createElement(Text, null, ''),
 
+    // Connection status (metrics below are stale while reconnecting)
+    connection.state !== 'connected' && React.createElement(Box, { marginBottom: 1 },
+      React.createElement(ConnectionBanner, { connection })
+    ),
+
     // Stream status row
     React.createElement(Box, { marginBottom: 1 },
       React.createElement(StatusBadge, {
@@ -189,7 +494,9 @@ const Monitor = ({ interval }) => {
       }),
       metrics.stream.active && React.createElement(Text, { color: 'white' },
         `  ${obs.formatDuration(metrics.stream.duration)}`
-      )
+      ),
+      React.createElement(Text, null, '   '),
+      React.createElement(RecordBadge, { record: metrics.record })
     ),
 
     // Bitrate section
@@ -199,7 +506,10 @@ const Monitor = ({ interval }) => {
         React.createElement(Text, {
           color: levelColor(getLevel('bitrate', metrics.stream.bitrate)),
           bold: true
-        }, `${metrics.stream.bitrate} kbps`)
+        }, `${metrics.stream.bitrate} kbps`),
+        React.createElement(Text, { color: 'gray' },
+          `  (avg ${metrics.stream.lifetimeBitrate} kbps)`
+        )
       ),
       React.createElement(BitrateBar, { bitrate: metrics.stream.bitrate })
     ),
@@ -233,34 +543,75 @@ const Monitor = ({ interval }) => {
         color: levelColor(getLevel('droppedPercent', metrics.stream.droppedPercent))
       }, `${metrics.stream.droppedPercent}%`),
       React.createElement(Text, { color: 'gray' },
-        ` (${metrics.stream.skippedFrames}/${metrics.stream.totalFrames})`
+        ` (${metrics.stream.skippedFrames}/${metrics.stream.totalFrames}, lifetime ${metrics.stream.lifetimeDroppedPercent}%)`
       )
     ),
 
+    // Trends over the selected window
+    React.createElement(Box, { marginBottom: 1 },
+      React.createElement(History, { samples: history.toArray(), window: HISTORY_WINDOWS[windowIndex], interval })
+    ),
+
     // Scene
     React.createElement(Box, { marginBottom: 1 },
       React.createElement(Text, { color: 'gray' }, 'Scene: '),
       React.createElement(Text, null, metrics.scene)
     ),
 
+    // Audio levels
+    audio && React.createElement(Box, { flexDirection: 'column', marginBottom: 1 },
+      React.createElement(Text, { color: 'gray' }, 'Audio:'),
+      React.createElement(AudioMeters, { audio })
+    ),
+
+    // Mic ducking
+    ducking && React.createElement(Box, { marginBottom: 1 },
+      React.createElement(Text, { color: 'gray' }, 'Ducking: '),
+      ducking.ducked
+        ? React.createElement(Text, { color: 'yellow' }, `▼ -${ducker.options.amount} dB`)
+        : React.createElement(Text, { color: 'green' }, '▲ open'),
+      React.createElement(Text, { color: 'gray' }, `  ${ducking.targets.join(', ')}`)
+    ),
+
     // Warnings
     React.createElement(Box, { flexDirection: 'column', marginTop: 1 },
       React.createElement(Text, { bold: true, color: 'gray' }, 'Status:'),
       React.createElement(Warnings, { warnings })
     ),
 
+    // Latest pushed OBS event
+    notice && React.createElement(Box, { marginTop: 1 },
+      React.createElement(Text, { color: 'cyan' }, `» ${notice}`)
+    ),
+
     // Footer
     React.createElement(Box, { marginTop: 1 },
       React.createElement(Text, { color: 'gray', dimColor: true },
-        `Updated: ${lastUpdate.toLocaleTimeString()}  |  q: quit  r: refresh`
+        `Updated: ${lastUpdate.toLocaleTimeString()}  |  q: quit  r: refresh  w: window (${HISTORY_WINDOWS[windowIndex].label})`
       )
     )
   );
 };
 
-module.exports = async function monitor(interval = 2000) {
+module.exports = async function monitor(interval = 2000, bitrateWindow, options = {}) {
+  if (bitrateWindow) {
+    obs.config.bitrateWindow = bitrateWindow;
+  }
+
+  const ducker = options.duck ? new Ducker(obs, loadDuckingOptions()) : null;
+  const levels = new AudioLevels(obs);
+
+  // A broken webhooks section shouldn't stop the monitor
+  let webhooks = null;
+  try {
+    webhooks = new WebhookDispatcher(db);
+    if (webhooks.webhooks.length === 0) webhooks = null;
+  } catch (error) {
+    console.error(`Webhooks off: ${error.message}`);
+  }
+
   const { waitUntilExit } = render(
-    React.createElement(Monitor, { interval })
+    React.createElement(Monitor, { interval, ducker, levels, webhooks })
   );
 
   await waitUntilExit();
@@ -0,0 +1,196 @@
+/**
+ * Overlay Commands
+ *
+ * overlay <action>     - Terminal overlay: create, show, hide, opacity, positions and presets
+ * overlay pick         - Choose which window the overlay captures (remembered in obs.config.json)
+ * celebration <action> - Follower celebration browser overlay: create, show, hide, refresh
+ */
+
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const OBSMetrics = require('../lib/metrics');
+const { updateConfig, getConfigPath } = require('../lib/config');
+const { printError } = require('../lib/output');
+
+// Page the celebration browser source loads (see controlCelebrationOverlay)
+const CELEBRATION_PAGE = path.join(__dirname, '../../overlay/index.html');
+
+function describeBox(box) {
+  const percent = (value) => `${Math.round(value * 100)}%`;
+  const size = box.width === box.height ? percent(box.width) : `${percent(box.width)} x ${percent(box.height)}`;
+  return `${size} ${box.anchor}`;
+}
+
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+async function chooseWindow(windows, match) {
+  if (match) {
+    const matches = windows.filter(w => w.name.toLowerCase().includes(match.toLowerCase()));
+    if (matches.length === 1) return matches[0];
+    if (matches.length === 0) {
+      throw new Error(`No window matches "${match}"`);
+    }
+    windows = matches;
+  }
+
+  console.log(chalk.bold('\n=== Windows ==='));
+  windows.forEach((w, i) => console.log(`  ${chalk.cyan(String(i + 1).padStart(2))}  ${w.name}`));
+
+  if (!process.stdin.isTTY) {
+    console.log(chalk.yellow('\nNot a terminal - re-run with --window <part of the title>'));
+    return null;
+  }
+
+  const answer = await ask(`\nCapture which window? (1-${windows.length}) `);
+  const choice = windows[parseInt(answer) - 1];
+  if (!choice) {
+    console.log(chalk.gray('Cancelled'));
+  }
+  return choice || null;
+}
+
+async function pick(obs, options) {
+  const overlay = await obs.findTerminalOverlay(await obs.getCurrentScene());
+  if (!overlay) {
+    throw new Error('Terminal overlay not found. Run: npm run obs overlay create');
+  }
+
+  const capture = await obs.getCaptureWindows(overlay.sourceName);
+
+  if (capture.button) {
+    await obs.openCapturePicker(overlay.sourceName, capture.button);
+    updateConfig('overlay', { inputKind: capture.inputKind });
+    console.log(chalk.green('Opened the screen sharing dialog - pick the window there'));
+    console.log(chalk.gray('OBS remembers the PipeWire selection itself'));
+    return;
+  }
+
+  if (capture.windows.length === 0) {
+    console.log(chalk.yellow('OBS reports no capturable windows'));
+    return;
+  }
+
+  const window = await chooseWindow(capture.windows, options.window);
+  if (!window) return;
+
+  await obs.setCaptureWindow(overlay.sourceName, capture.property, window.value);
+  updateConfig('overlay', {
+    inputKind: capture.inputKind,
+    property: capture.property,
+    value: window.value,
+    windowName: window.name
+  });
+
+  console.log(chalk.green(`${overlay.sourceName} now captures "${window.name}"`));
+  console.log(chalk.gray(`Saved to ${getConfigPath()}`));
+}
+
+function printResult(result) {
+  switch (result.action) {
+    case 'show':
+      console.log(chalk.green(`${result.name} shown`));
+      break;
+    case 'hide':
+      console.log(chalk.yellow(`${result.name} hidden`));
+      break;
+    case 'refresh':
+      console.log(chalk.green(`${result.name} refreshed`));
+      break;
+    case 'opacity':
+      console.log(chalk.green(`${result.name} opacity: ${Math.round(result.opacity * 100)}%`));
+      break;
+    case 'position':
+    case 'load': {
+      const t = result.transform;
+      const label = result.preset ? `preset "${result.preset}"` : describeBox(result.box);
+      console.log(chalk.green(`${result.name} → ${label}`));
+      console.log(chalk.gray(`  ${t.boundsWidth}x${t.boundsHeight} at ${t.positionX},${t.positionY}`));
+      break;
+    }
+    case 'save':
+      console.log(chalk.green(`Saved preset "${result.preset}" (${describeBox(result.box)})`));
+      break;
+    case 'presets': {
+      const names = Object.keys(result.presets);
+      console.log(chalk.bold('\n=== Overlay Presets ==='));
+      if (names.length === 0) {
+        console.log(chalk.gray('No presets yet. Save one with: npm run obs overlay save <name>'));
+      }
+      for (const name of names) {
+        console.log(`  ${name.padEnd(16)} ${chalk.gray(describeBox(result.presets[name]))}`);
+      }
+      if (result.last) {
+        console.log(chalk.gray(`\nLast position: ${describeBox(result.last)}`));
+      }
+      break;
+    }
+  }
+}
+
+function printCreated(result, hint) {
+  if (!result.created) {
+    console.log(chalk.yellow(`${result.name} already exists in this scene`));
+    return;
+  }
+  console.log(chalk.green(`Created ${result.name} (${result.width}x${result.height})`));
+  if (result.restored) {
+    console.log(chalk.gray('Restored its last position'));
+  }
+  if (hint) {
+    console.log(chalk.gray(hint));
+  }
+}
+
+async function overlay(action, args = [], options = {}) {
+  const obs = new OBSMetrics();
+
+  try {
+    if (action === 'pick') {
+      await pick(obs, options);
+      return;
+    }
+
+    const result = await obs.controlOverlay(action, ...args);
+    if (action === 'create') {
+      printCreated(result, 'Choose the window to capture with: npm run obs overlay pick');
+    } else {
+      printResult(result);
+    }
+  } catch (error) {
+    printError(error);
+  } finally {
+    await obs.disconnect();
+  }
+}
+
+async function celebration(action) {
+  const obs = new OBSMetrics();
+
+  try {
+    const result = await obs.controlCelebrationOverlay(action);
+    if (action === 'create') {
+      printCreated(result, result.url && `Loading ${result.url}`);
+      if (result.url && !fs.existsSync(CELEBRATION_PAGE)) {
+        console.log(chalk.yellow(`${path.relative(process.cwd(), CELEBRATION_PAGE)} is missing - the browser source will stay blank`));
+      }
+    } else {
+      printResult(result);
+    }
+  } catch (error) {
+    printError(error);
+  } finally {
+    await obs.disconnect();
+  }
+}
+
+module.exports = { overlay, celebration };
@@ -0,0 +1,104 @@
+/**
+ * Recording Control Command
+ *
+ * Wraps OBS local recording (start, stop, pause, resume, split, status)
+ * and logs each recording file in SQLite so `report` can match files to
+ * stream sessions.
+ */
+
+const chalk = require('chalk');
+const OBSMetrics = require('../lib/metrics');
+const StreamDatabase = require('../lib/db');
+const { CommandError, EXIT_CODES, printError } = require('../lib/output');
+
+const ACTIONS = ['start', 'stop', 'pause', 'resume', 'split', 'status'];
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 MB';
+  const mb = bytes / (1024 * 1024);
+  return mb >= 1024 ? `${(mb / 1024).toFixed(2)} GB` : `${mb.toFixed(1)} MB`;
+}
+
+function printStatus(obs, status) {
+  const state = !status.active
+    ? chalk.gray('OFF')
+    : status.paused ? chalk.yellow('PAUSED') : chalk.red('● REC');
+
+  console.log('\n' + chalk.bold('=== Recording ==='));
+  console.log(`State: ${state}`);
+  if (status.active) {
+    console.log(`Elapsed: ${obs.formatDuration(status.duration)}`);
+    console.log(`Size: ${formatBytes(status.bytes)}`);
+  }
+}
+
+async function record(action = 'status') {
+  if (!ACTIONS.includes(action)) {
+    printError(new CommandError(`Unknown action "${action}". Use: ${ACTIONS.join(', ')}`));
+    return;
+  }
+
+  const obs = new OBSMetrics();
+  const db = new StreamDatabase();
+
+  try {
+    switch (action) {
+      case 'start': {
+        const { outputPath } = await obs.startRecord();
+        db.startRecording(outputPath);
+        console.log(chalk.green('Recording started'));
+        if (outputPath) console.log(`File: ${chalk.cyan(outputPath)}`);
+        break;
+      }
+
+      case 'stop': {
+        const result = await obs.stopRecord();
+        db.endRecording(result.outputPath, result);
+        console.log(chalk.green('Recording stopped'));
+        console.log(`File: ${chalk.cyan(result.outputPath)}`);
+        console.log(`Elapsed: ${obs.formatDuration(result.duration)} (${formatBytes(result.bytes)})`);
+        break;
+      }
+
+      case 'pause': {
+        const status = await obs.pauseRecord();
+        console.log(chalk.yellow(`Recording PAUSED at ${obs.formatDuration(status.duration)}`));
+        break;
+      }
+
+      case 'resume': {
+        const status = await obs.resumeRecord();
+        console.log(chalk.green(`Recording RESUMED at ${obs.formatDuration(status.duration)}`));
+        break;
+      }
+
+      case 'split': {
+        const result = await obs.splitRecordFile();
+        db.endRecording(null, result);
+        db.startRecording(result.newOutputPath);
+        console.log(chalk.green(`Recording split after ${obs.formatDuration(result.duration)}`));
+        if (result.newOutputPath) console.log(`New file: ${chalk.cyan(result.newOutputPath)}`);
+        break;
+      }
+
+      case 'status':
+        printStatus(obs, await obs.getRecordStatus());
+        break;
+    }
+  } catch (error) {
+    if (error.message.includes('already active')) {
+      console.log(chalk.yellow('Recording is already running'));
+    } else if (error.message.includes('not active')) {
+      console.log(chalk.yellow('Recording is not running'));
+      // Nothing to stop is fine; nothing to pause, resume or split is a failure
+      if (action !== 'stop') process.exitCode = EXIT_CODES.failed;
+    } else {
+      printError(error);
+    }
+  } finally {
+    await obs.disconnect();
+    db.close();
+  }
+}
+
+module.exports = record;
@@ -0,0 +1,70 @@
+/**
+ * Replay Buffer Command
+ *
+ * Controls the OBS replay buffer (start, stop, save, status). Saved replays
+ * are logged against the active stream session so `report` can list them.
+ */
+
+const chalk = require('chalk');
+const OBSMetrics = require('../lib/metrics');
+const StreamDatabase = require('../lib/db');
+const { CommandError, EXIT_CODES, printError } = require('../lib/output');
+
+const ACTIONS = ['start', 'stop', 'save', 'status'];
+
+async function replay(action = 'status') {
+  if (!ACTIONS.includes(action)) {
+    printError(new CommandError(`Unknown action "${action}". Use: ${ACTIONS.join(', ')}`));
+    return;
+  }
+
+  const obs = new OBSMetrics();
+  const db = new StreamDatabase();
+
+  try {
+    switch (action) {
+      case 'start':
+        await obs.startReplayBuffer();
+        console.log(chalk.green('Replay buffer started'));
+        break;
+
+      case 'stop':
+        await obs.stopReplayBuffer();
+        console.log(chalk.yellow('Replay buffer stopped'));
+        break;
+
+      case 'save': {
+        const { savedReplayPath } = await obs.saveReplayBuffer();
+        const session = db.getActiveSession();
+        db.recordEvent(session?.id, 'replay_saved', savedReplayPath, { unique: true });
+
+        console.log(chalk.green('Replay saved'));
+        console.log(`File: ${chalk.cyan(savedReplayPath)}`);
+        if (!session) {
+          console.log(chalk.gray('No active stream session - replay logged without a session'));
+        }
+        break;
+      }
+
+      case 'status': {
+        const { active } = await obs.getReplayBufferStatus();
+        console.log(`Replay buffer: ${active ? chalk.green('ACTIVE') : chalk.gray('OFF')}`);
+        break;
+      }
+    }
+  } catch (error) {
+    if (error.message.includes('already active')) {
+      console.log(chalk.yellow('Replay buffer is already running'));
+    } else if (error.message.includes('not active')) {
+      console.log(chalk.yellow('Replay buffer is not running. Start it with: npm run obs replay start'));
+      if (action === 'save') process.exitCode = EXIT_CODES.failed;
+    } else {
+      printError(error);
+    }
+  } finally {
+    await obs.disconnect();
+    db.close();
+  }
+}
+
+module.exports = replay;
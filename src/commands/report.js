@@ -1,7 +1,6 @@
 const chalk = require('chalk');
 const StreamDatabase = require('../lib/db');
-
-const db = new StreamDatabase();
+const { CommandError, EXIT_CODES, isMachineReadable, printData, printError } = require('../lib/output');
 
 function formatDuration(ms) {
   if (!ms) return '0m';
@@ -37,146 +36,238 @@ function formatDate(isoString) {
   });
 }
 
-module.exports = async function report(sessionId) {
-  try {
-    let session;
+function getRecommendations(summary, errors) {
+  const recommendations = [];
 
-    if (sessionId) {
-      session = db.getSession(parseInt(sessionId));
-      if (!session) {
-        console.log(chalk.red(`Session ${sessionId} not found`));
-        return;
-      }
-    } else {
-      session = db.getLatestSession();
-      if (!session) {
-        console.log(chalk.yellow('No stream sessions recorded yet.'));
-        console.log(chalk.gray('Run `npm run monitor` during a stream to record metrics.'));
-        return;
-      }
+  if (summary) {
+    if (summary.avgBitrate < 5500) {
+      recommendations.push('Consider checking network stability - average bitrate was below target');
+    }
+    if (parseFloat(summary.peakDropped) > 5) {
+      recommendations.push('High dropped frames detected - may indicate network or encoding issues');
+    }
+    if (parseFloat(summary.peakCpu) > 90) {
+      recommendations.push('CPU peaked above 90% - consider lowering encoding preset or resolution');
     }
+  }
 
-    const data = db.getSessionSummary(session.id);
+  if (errors.some(e => e.message.includes('decode'))) {
+    recommendations.push('Video decode errors detected - check iOS camera connection stability');
+  }
 
-    if (!data.summary && data.metrics.length === 0) {
-      console.log(chalk.yellow('\nNo metrics recorded for this session.'));
-      console.log(chalk.gray('The monitor must be running during the stream to collect data.'));
-      return;
-    }
+  if (errors.some(e => e.type === 'mic_muted' || e.type === 'mic_silent')) {
+    recommendations.push('Mic was muted or silent while live - watch the Audio meters in the monitor');
+  }
+  if (errors.some(e => e.type === 'audio_clipping')) {
+    recommendations.push('Audio clipped - lower the input gain or add a limiter filter');
+  }
 
-    const healthScore = db.calculateHealthScore(data.summary);
+  return recommendations;
+}
 
-    // Header
-    console.log('\n' + chalk.bold.cyan('═'.repeat(50)));
-    console.log(chalk.bold.cyan('  STREAM REPORT'));
-    console.log(chalk.bold.cyan('═'.repeat(50)));
+/**
+ * Everything the report shows, as plain data (the --json schema)
+ * @param {StreamDatabase} db
+ * @param {Object} session - Row from the sessions table
+ */
+function buildReport(db, session) {
+  const data = db.getSessionSummary(session.id);
 
-    // Session info
-    console.log(`\n${chalk.gray('Date:')} ${formatDate(session.started_at)}`);
-    console.log(`${chalk.gray('Duration:')} ${formatDuration(session.duration_ms)}`);
-    if (!session.ended_at) {
-      console.log(chalk.yellow('⚠ Session still active or ended unexpectedly'));
+  const errorGroups = {};
+  for (const err of data.errors) {
+    if (!errorGroups[err.type]) {
+      errorGroups[err.type] = { type: err.type, count: 0, messages: [] };
+    }
+    errorGroups[err.type].count += err.count;
+    if (!errorGroups[err.type].messages.includes(err.message)) {
+      errorGroups[err.type].messages.push(err.message);
     }
+  }
 
-    // Health score
-    console.log(`\n${chalk.bold('Health Score:')} ${healthScore}/100 ${getHealthBar(healthScore)}`);
+  const breaks = db.getSessionEvents(session.id, 'back');
 
-    // Performance metrics
-    console.log('\n' + chalk.bold('─── Performance ───'));
+  return {
+    session: {
+      id: session.id,
+      startedAt: session.started_at,
+      endedAt: session.ended_at,
+      durationMs: session.duration_ms,
+      active: !session.ended_at
+    },
+    dataPoints: data.metrics.length,
+    healthScore: data.summary ? db.calculateHealthScore(data.summary) : null,
+    summary: data.summary,
+    errors: Object.values(errorGroups),
+    recordings: db.getSessionRecordings(session.id).map(rec => ({
+      path: rec.output_path,
+      startedAt: rec.started_at,
+      endedAt: rec.ended_at,
+      durationMs: rec.duration_ms,
+      bytes: rec.bytes
+    })),
+    replays: db.getSessionEvents(session.id, 'replay_saved').map(r => ({ timestamp: r.timestamp, path: r.detail })),
+    breaks: {
+      count: breaks.length,
+      awayMs: breaks.reduce((sum, b) => sum + (parseInt(b.detail) || 0), 0)
+    },
+    recommendations: getRecommendations(data.summary, data.errors),
+    recentSessions: db.getRecentSessions(5).map(s => ({
+      id: s.id,
+      startedAt: s.started_at,
+      durationMs: s.duration_ms,
+      healthScore: db.calculateHealthScore(db.getSessionSummary(s.id)?.summary)
+    }))
+  };
+}
 
-    if (data.summary) {
-      const bitrateColor = data.summary.avgBitrate >= 5500 ? 'green' :
-                          data.summary.avgBitrate >= 4000 ? 'yellow' : 'red';
-      console.log(`${chalk.gray('Avg Bitrate:')} ${chalk[bitrateColor](data.summary.avgBitrate + ' kbps')}`);
-      console.log(`${chalk.gray('Bitrate Range:')} ${data.summary.minBitrate} - ${data.summary.maxBitrate} kbps`);
+function printReport(report) {
+  const { session, summary } = report;
 
-      const droppedColor = parseFloat(data.summary.avgDropped) < 1 ? 'green' :
-                          parseFloat(data.summary.avgDropped) < 5 ? 'yellow' : 'red';
-      console.log(`${chalk.gray('Avg Dropped:')} ${chalk[droppedColor](data.summary.avgDropped + '%')}`);
-      console.log(`${chalk.gray('Peak Dropped:')} ${data.summary.peakDropped}%`);
+  // Header
+  console.log('\n' + chalk.bold.cyan('═'.repeat(50)));
+  console.log(chalk.bold.cyan('  STREAM REPORT'));
+  console.log(chalk.bold.cyan('═'.repeat(50)));
 
-      const cpuColor = parseFloat(data.summary.peakCpu) < 70 ? 'green' :
-                      parseFloat(data.summary.peakCpu) < 90 ? 'yellow' : 'red';
-      console.log(`${chalk.gray('Avg CPU:')} ${data.summary.avgCpu}%`);
-      console.log(`${chalk.gray('Peak CPU:')} ${chalk[cpuColor](data.summary.peakCpu + '%')}`);
-      console.log(`${chalk.gray('Peak Memory:')} ${data.summary.peakMemory} MB`);
-    }
+  // Session info
+  console.log(`\n${chalk.gray('Date:')} ${formatDate(session.startedAt)}`);
+  console.log(`${chalk.gray('Duration:')} ${formatDuration(session.durationMs)}`);
+  if (session.active) {
+    console.log(chalk.yellow('⚠ Session still active or ended unexpectedly'));
+  }
 
-    // Errors
-    if (data.errors.length > 0) {
-      console.log('\n' + chalk.bold('─── Errors ───'));
-      console.log(`${chalk.gray('Total:')} ${chalk.red(data.summary.totalErrors)}`);
+  // Health score
+  const healthScore = report.healthScore ?? 0;
+  console.log(`\n${chalk.bold('Health Score:')} ${healthScore}/100 ${getHealthBar(healthScore)}`);
 
-      const errorGroups = {};
-      for (const err of data.errors) {
-        if (!errorGroups[err.type]) {
-          errorGroups[err.type] = { count: 0, messages: [] };
-        }
-        errorGroups[err.type].count += err.count;
-        if (!errorGroups[err.type].messages.includes(err.message)) {
-          errorGroups[err.type].messages.push(err.message);
-        }
-      }
+  // Performance metrics
+  console.log('\n' + chalk.bold('─── Performance ───'));
 
-      for (const [type, info] of Object.entries(errorGroups)) {
-        console.log(`  ${chalk.red('•')} ${type}: ${info.count}x`);
-        for (const msg of info.messages.slice(0, 3)) {
-          console.log(chalk.gray(`    "${msg}"`));
-        }
+  if (summary) {
+    const bitrateColor = summary.avgBitrate >= 5500 ? 'green' :
+                        summary.avgBitrate >= 4000 ? 'yellow' : 'red';
+    console.log(`${chalk.gray('Avg Bitrate:')} ${chalk[bitrateColor](summary.avgBitrate + ' kbps')}`);
+    console.log(`${chalk.gray('Bitrate Range:')} ${summary.minBitrate} - ${summary.maxBitrate} kbps`);
+
+    const droppedColor = parseFloat(summary.avgDropped) < 1 ? 'green' :
+                        parseFloat(summary.avgDropped) < 5 ? 'yellow' : 'red';
+    console.log(`${chalk.gray('Avg Dropped:')} ${chalk[droppedColor](summary.avgDropped + '%')}`);
+    console.log(`${chalk.gray('Peak Dropped:')} ${summary.peakDropped}%`);
+
+    const cpuColor = parseFloat(summary.peakCpu) < 70 ? 'green' :
+                    parseFloat(summary.peakCpu) < 90 ? 'yellow' : 'red';
+    console.log(`${chalk.gray('Avg CPU:')} ${summary.avgCpu}%`);
+    console.log(`${chalk.gray('Peak CPU:')} ${chalk[cpuColor](summary.peakCpu + '%')}`);
+    console.log(`${chalk.gray('Peak Memory:')} ${summary.peakMemory} MB`);
+  }
+
+  // Errors
+  console.log('\n' + chalk.bold('─── Errors ───'));
+  if (report.errors.length > 0) {
+    console.log(`${chalk.gray('Total:')} ${chalk.red(summary.totalErrors)}`);
+    for (const group of report.errors) {
+      console.log(`  ${chalk.red('•')} ${group.type}: ${group.count}x`);
+      for (const msg of group.messages.slice(0, 3)) {
+        console.log(chalk.gray(`    "${msg}"`));
       }
-    } else {
-      console.log('\n' + chalk.bold('─── Errors ───'));
-      console.log(chalk.green('  ✓ No errors recorded'));
     }
+  } else {
+    console.log(chalk.green('  ✓ No errors recorded'));
+  }
 
-    // Recommendations
-    console.log('\n' + chalk.bold('─── Recommendations ───'));
+  // Local recordings made during this session
+  if (report.recordings.length > 0) {
+    console.log('\n' + chalk.bold('─── Recordings ───'));
+    for (const rec of report.recordings) {
+      const size = rec.bytes ? ` ${(rec.bytes / (1024 * 1024)).toFixed(0)} MB` : '';
+      const length = rec.endedAt ? formatDuration(rec.durationMs) : chalk.yellow('in progress');
+      console.log(`  ${chalk.cyan('•')} ${rec.path || chalk.gray('(unknown file)')}`);
+      console.log(chalk.gray(`    ${length}${size}`));
+    }
+  }
 
-    const recommendations = [];
+  // Replays saved during this session
+  if (report.replays.length > 0) {
+    console.log('\n' + chalk.bold('─── Replays ───'));
+    for (const r of report.replays) {
+      const time = new Date(r.timestamp).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+      console.log(`  ${chalk.cyan('•')} ${chalk.gray(time)}  ${r.path}`);
+    }
+  }
 
-    if (data.summary) {
-      if (data.summary.avgBitrate < 5500) {
-        recommendations.push('Consider checking network stability - average bitrate was below target');
-      }
-      if (parseFloat(data.summary.peakDropped) > 5) {
-        recommendations.push('High dropped frames detected - may indicate network or encoding issues');
-      }
-      if (parseFloat(data.summary.peakCpu) > 90) {
-        recommendations.push('CPU peaked above 90% - consider lowering encoding preset or resolution');
-      }
+  // Breaks taken with brb / back
+  if (report.breaks.count > 0) {
+    console.log('\n' + chalk.bold('─── Breaks ───'));
+    console.log(`${chalk.gray('Breaks:')} ${report.breaks.count} (${formatDuration(report.breaks.awayMs)} away)`);
+  }
+
+  // Recommendations
+  console.log('\n' + chalk.bold('─── Recommendations ───'));
+  if (report.recommendations.length === 0) {
+    console.log(chalk.green('  ✓ Stream was healthy, no recommendations'));
+  } else {
+    for (const rec of report.recommendations) {
+      console.log(`  ${chalk.yellow('•')} ${rec}`);
     }
+  }
 
-    if (data.errors.some(e => e.message.includes('decode'))) {
-      recommendations.push('Video decode errors detected - check iOS camera connection stability');
+  // Recent sessions summary
+  if (report.recentSessions.length > 1) {
+    console.log('\n' + chalk.bold('─── Recent Sessions ───'));
+    for (const s of report.recentSessions) {
+      const scoreColor = s.healthScore >= 85 ? 'green' : s.healthScore >= 70 ? 'yellow' : 'red';
+      const current = s.id === session.id ? chalk.cyan(' ← current') : '';
+      console.log(`  ${formatDate(s.startedAt).padEnd(30)} ${formatDuration(s.durationMs).padEnd(8)} Score: ${chalk[scoreColor](s.healthScore)}${current}`);
     }
+  }
+
+  console.log('\n' + chalk.gray('─'.repeat(50)));
+  console.log(chalk.gray(`Session ID: ${session.id}`));
+  console.log(chalk.gray(`Data points: ${report.dataPoints}`));
+  console.log();
+}
+
+module.exports = async function report(sessionId) {
+  const db = new StreamDatabase();
+  try {
+    let session;
 
-    if (recommendations.length === 0) {
-      console.log(chalk.green('  ✓ Stream was healthy, no recommendations'));
+    if (sessionId) {
+      session = db.getSession(parseInt(sessionId));
+      if (!session) {
+        throw new CommandError(`Session ${sessionId} not found`, 'not_found');
+      }
     } else {
-      for (const rec of recommendations) {
-        console.log(`  ${chalk.yellow('•')} ${rec}`);
+      session = db.getLatestSession();
+      if (!session) {
+        if (isMachineReadable()) {
+          throw new CommandError('No stream sessions recorded yet', 'not_found');
+        }
+        console.log(chalk.yellow('No stream sessions recorded yet.'));
+        console.log(chalk.gray('Run `npm run monitor` during a stream to record metrics.'));
+        return;
       }
     }
 
-    // Recent sessions summary
-    const recentSessions = db.getRecentSessions(5);
-    if (recentSessions.length > 1) {
-      console.log('\n' + chalk.bold('─── Recent Sessions ───'));
-      for (const s of recentSessions) {
-        const score = db.calculateHealthScore(db.getSessionSummary(s.id)?.summary);
-        const scoreColor = score >= 85 ? 'green' : score >= 70 ? 'yellow' : 'red';
-        const current = s.id === session.id ? chalk.cyan(' ← current') : '';
-        console.log(`  ${formatDate(s.started_at).padEnd(30)} ${formatDuration(s.duration_ms).padEnd(8)} Score: ${chalk[scoreColor](score)}${current}`);
-      }
+    const data = buildReport(db, session);
+    if (isMachineReadable()) {
+      printData(data);
+      return;
     }
 
-    console.log('\n' + chalk.gray('─'.repeat(50)));
-    console.log(chalk.gray(`Session ID: ${session.id}`));
-    console.log(chalk.gray(`Data points: ${data.metrics.length}`));
-    console.log();
+    if (!data.summary && data.dataPoints === 0) {
+      console.log(chalk.yellow('\nNo metrics recorded for this session.'));
+      console.log(chalk.gray('The monitor must be running during the stream to collect data.'));
+      return;
+    }
 
+    printReport(data);
   } catch (error) {
-    console.error(chalk.red('Failed to generate report:'), error.message);
+    if (error.code === 'not_found' && !isMachineReadable()) {
+      console.log(chalk.red(error.message));
+      process.exitCode = EXIT_CODES.not_found;
+    } else {
+      printError(error, 'Failed to generate report:');
+    }
   } finally {
     db.close();
   }
@@ -0,0 +1,96 @@
+/**
+ * Run Command
+ *
+ * run                    - List the macros in obs.config.json
+ * run <macro> [vars...]  - Run a macro step by step, with name=value variables.
+ *                          Stops at the first failed step; --dry-run prints the plan.
+ */
+
+const chalk = require('chalk');
+const OBSMetrics = require('../lib/metrics');
+const { getConfigPath } = require('../lib/config');
+const { loadMacros, getMacro, parseVars, buildMacroSteps } = require('../lib/macros');
+const { runSequence } = require('../lib/sequence');
+const { printPlan, sequenceHooks } = require('./go-live');
+const { EXIT_CODES, printError } = require('../lib/output');
+
+function listMacros() {
+  const macros = loadMacros();
+  const names = Object.keys(macros);
+  if (names.length === 0) {
+    console.log(chalk.yellow('No macros defined.'));
+    console.log(chalk.gray(`Add a "macros" section to ${getConfigPath()}, e.g.`));
+    console.log(chalk.gray('  "macros": { "brb-quick": { "steps": [{ "action": "scene", "scene": "BRB" }, { "action": "mute", "source": "Mic/Aux" }] } }'));
+    return;
+  }
+
+  console.log(chalk.bold('\n=== Macros ==='));
+  for (const name of names) {
+    const macro = macros[name];
+    const steps = Array.isArray(macro) ? macro : macro.steps || [];
+    const description = macro.description ? ` - ${macro.description}` : '';
+    console.log(`  ${chalk.cyan(name)}${description} ${chalk.gray(`(${steps.length} step${steps.length === 1 ? '' : 's'})`)}`);
+  }
+  console.log(chalk.gray('\nRun one with: npm run obs run <macro> [name=value...]'));
+}
+
+async function run(name, args = [], options = {}) {
+  let macro;
+  let steps;
+  try {
+    if (!name) {
+      listMacros();
+      return;
+    }
+    macro = getMacro(name);
+    steps = buildMacroSteps(macro, parseVars(args));
+  } catch (error) {
+    printError(error);
+    return;
+  }
+
+  if (options.dryRun) {
+    printPlan(`Macro "${name}"`, steps, 'run it');
+    return;
+  }
+
+  const obs = new OBSMetrics();
+  const controller = new AbortController();
+  const onSigint = () => {
+    console.log(chalk.yellow('\nAborting...'));
+    controller.abort();
+  };
+  process.once('SIGINT', onSigint);
+
+  const context = {
+    obs,
+    signal: controller.signal,
+    // Only load the Twitch client for title steps
+    get twitch() {
+      const TwitchClient = require('../lib/twitch');
+      return new TwitchClient();
+    }
+  };
+
+  console.log(chalk.bold(`\n=== ${name} ===`) + (macro.description ? chalk.gray(` ${macro.description}`) : '') + '\n');
+
+  try {
+    const result = await runSequence(steps, context, sequenceHooks());
+    const count = (status) => result.results.filter(r => r.status === status).length;
+    const summary = `${count('done')} done, ${count('skipped')} skipped`;
+    if (result.ok) {
+      console.log(chalk.green(`\n✓ ${name}: ${summary}`));
+    } else {
+      const index = steps.indexOf(result.failed) + 1;
+      console.log(chalk.red(`\n✗ ${name} stopped at step ${index} of ${steps.length} (${summary})`));
+      process.exitCode = EXIT_CODES.failed;
+    }
+  } catch (error) {
+    printError(error);
+  } finally {
+    process.removeListener('SIGINT', onSigint);
+    await obs.disconnect();
+  }
+}
+
+module.exports = run;
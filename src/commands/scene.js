@@ -0,0 +1,150 @@
+/**
+ * Scene Commands
+ *
+ * scene [name]          - List scenes (program and preview) or switch, optionally with
+ *                         a one-off --transition/--duration, --preview in studio mode, or
+ *                         --after a media source (intro video) finishes
+ * studio [on|off|go]    - Show or toggle studio mode; go sends preview to program
+ * transition [name]     - List transitions or select one, and set its --duration
+ */
+
+const chalk = require('chalk');
+const OBSMetrics = require('../lib/metrics');
+const { parseTransitionDuration } = require('../lib/audio');
+const { isMachineReadable, printData, printError } = require('../lib/output');
+
+function transitionOptions(options) {
+  return {
+    transition: options.transition,
+    duration: parseTransitionDuration(options.duration)
+  };
+}
+
+function describeTransition(options) {
+  const parts = [options.transition, options.duration !== undefined && `${options.duration}ms`].filter(Boolean);
+  return parts.length > 0 ? chalk.gray(` (${parts.join(', ')})`) : '';
+}
+
+async function listScenes(obs) {
+  const { current, preview, scenes } = await obs.getScenes();
+  if (isMachineReadable()) {
+    printData({ current, preview, scenes });
+    return;
+  }
+
+  console.log('\n' + chalk.bold('=== Scenes ==='));
+  for (const scene of scenes) {
+    const markers = [];
+    if (scene === current) markers.push(chalk.green(preview ? '← program' : '← current'));
+    if (scene === preview) markers.push(chalk.yellow('← preview'));
+    console.log(`  ${scene}${markers.length ? ' ' + markers.join(' ') : ''}`);
+  }
+  if (preview) {
+    console.log(chalk.gray('\nStudio mode on. Send preview to program with: npm run obs studio go'));
+  }
+}
+
+async function scene(name, options = {}) {
+  const obs = new OBSMetrics();
+
+  try {
+    if (!name) {
+      await listScenes(obs);
+      return;
+    }
+
+    if (options.after) {
+      const media = await obs.resolveMediaInput(options.after);
+      if (!isMachineReadable()) console.log(chalk.gray(`Waiting for ${media} to finish...`));
+      await obs.waitForMediaEnd(media);
+    }
+
+    if (options.preview) {
+      await obs.setPreviewScene(name);
+      if (isMachineReadable()) {
+        printData({ scene: name, preview: true, transition: null, duration: null });
+      } else {
+        console.log(chalk.yellow(`Preview: ${name}`));
+      }
+      return;
+    }
+
+    const transition = transitionOptions(options);
+    const switched = await obs.switchScene(name, transition);
+    if (isMachineReadable()) {
+      printData({ scene: switched, preview: false, transition: transition.transition ?? null, duration: transition.duration ?? null });
+      return;
+    }
+    console.log(chalk.green(`Switched to scene: ${name}`) + describeTransition(transition));
+  } catch (error) {
+    printError(error);
+  } finally {
+    await obs.disconnect();
+  }
+}
+
+async function studio(action = 'status', options = {}) {
+  const obs = new OBSMetrics();
+
+  try {
+    switch (action) {
+      case 'on':
+      case 'off':
+        await obs.setStudioMode(action === 'on');
+        console.log(action === 'on' ? chalk.green('Studio mode on') : chalk.yellow('Studio mode off'));
+        break;
+      case 'go': {
+        const transition = transitionOptions(options);
+        const { program, preview } = await obs.triggerStudioTransition(transition);
+        console.log(chalk.green(`Program: ${program}`) + describeTransition(transition));
+        console.log(chalk.gray(`Preview: ${preview}`));
+        break;
+      }
+      case 'status': {
+        const enabled = await obs.getStudioMode();
+        console.log(`Studio mode: ${enabled ? chalk.green('on') : chalk.gray('off')}`);
+        if (enabled) {
+          const { current, preview } = await obs.getScenes();
+          console.log(`  Program: ${chalk.green(current)}`);
+          console.log(`  Preview: ${chalk.yellow(preview)}`);
+        }
+        break;
+      }
+      default:
+        throw new Error('Invalid action. Use: on, off, go, status');
+    }
+  } catch (error) {
+    printError(error);
+  } finally {
+    await obs.disconnect();
+  }
+}
+
+async function transition(name, options = {}) {
+  const obs = new OBSMetrics();
+
+  try {
+    const duration = parseTransitionDuration(options.duration);
+    if (name || duration !== undefined) {
+      const result = await obs.setTransition(name, duration);
+      const length = result.duration !== null ? ` ${result.duration}ms` : '';
+      console.log(chalk.green(`Transition: ${result.current}${length}`));
+      return;
+    }
+
+    const { current, duration: currentDuration, transitions } = await obs.getTransitions();
+    console.log('\n' + chalk.bold('=== Transitions ==='));
+    for (const t of transitions) {
+      const marker = t.name === current
+        ? chalk.green(` ← current${currentDuration !== null ? ` (${currentDuration}ms)` : ''}`)
+        : '';
+      console.log(`  ${t.name} ${chalk.gray(`(${t.kind})`)}${marker}`);
+    }
+  } catch (error) {
+    printError(error);
+  } finally {
+    await obs.disconnect();
+  }
+}
+
+module.exports = { scene, studio, transition };
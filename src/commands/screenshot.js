@@ -0,0 +1,163 @@
+/**
+ * Screenshot Command
+ *
+ * Captures the program output or a named source via GetSourceScreenshot and
+ * saves it to the thumbnails directory (OBS_THUMBNAILS_DIR or data/thumbnails).
+ * With --every, keeps capturing while the stream is live and maintains an
+ * HTML contact sheet to pick a VOD thumbnail from.
+ */
+
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const OBSMetrics = require('../lib/metrics');
+const { CommandError, printError } = require('../lib/output');
+const { slugify } = require('../lib/format');
+
+const DEFAULT_DIR = path.join(__dirname, '../../data/thumbnails');
+
+function getThumbnailsDir(dir) {
+  return path.resolve(dir || process.env.OBS_THUMBNAILS_DIR || DEFAULT_DIR);
+}
+
+// 2024-05-01T18-30-05 (safe for filenames on every OS)
+function fileTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-').slice(0, 19);
+}
+
+async function capture(obs, source, options, dir) {
+  const shot = await obs.getSourceScreenshot(source, {
+    format: options.format,
+    width: options.width ? parseInt(options.width) : undefined,
+    height: options.height ? parseInt(options.height) : undefined,
+    quality: options.quality !== undefined ? parseInt(options.quality) : undefined
+  });
+
+  fs.mkdirSync(dir, { recursive: true });
+  const takenAt = new Date();
+  const ext = shot.format === 'jpeg' ? 'jpg' : shot.format;
+  const file = path.join(dir, `${slugify(shot.sourceName, 'source')}-${fileTimestamp(takenAt)}.${ext}`);
+  fs.writeFileSync(file, shot.data);
+
+  return { file, sourceName: shot.sourceName, takenAt, bytes: shot.data.length };
+}
+
+function writeContactSheet(dir, shots) {
+  const escape = (text) => String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+  const tiles = shots.map(shot => `
+    <figure>
+      <a href="${escape(path.basename(shot.file))}"><img src="${escape(path.basename(shot.file))}" loading="lazy"></a>
+      <figcaption>${escape(shot.timecode || '')} &middot; ${escape(shot.takenAt.toLocaleTimeString())}</figcaption>
+    </figure>`).join('');
+
+  const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Contact Sheet - ${escape(path.basename(dir))}</title>
+<style>
+  body { background: #111; color: #ddd; font-family: sans-serif; margin: 16px; }
+  main { display: grid; grid-template-columns: repeat(auto-fill, minmax(320px, 1fr)); gap: 12px; }
+  figure { margin: 0; }
+  img { width: 100%; border-radius: 4px; }
+  figcaption { font-size: 13px; color: #999; padding-top: 4px; }
+</style>
+</head>
+<body>
+<h1>${escape(path.basename(dir))} &middot; ${shots.length} frames</h1>
+<main>${tiles}
+</main>
+</body>
+</html>
+`;
+
+  const sheet = path.join(dir, 'contact-sheet.html');
+  fs.writeFileSync(sheet, html);
+  return sheet;
+}
+
+async function captureEvery(source, options) {
+  const minutes = parseFloat(options.every);
+  if (!(minutes > 0)) {
+    printError(new CommandError('Invalid --every value. Use a number of minutes, e.g. --every 5'));
+    return;
+  }
+
+  const obs = new OBSMetrics({ reconnect: true });
+  const runDir = path.join(getThumbnailsDir(options.dir), `stream-${fileTimestamp()}`);
+  const shots = [];
+  let wasLive = false;
+  let finished = false;
+  let timer;
+
+  console.log(chalk.bold(`\nCapturing every ${minutes} min while live`));
+  console.log(chalk.gray(`Saving to ${runDir} (Ctrl+C to finish)\n`));
+
+  return new Promise(resolve => {
+    const finish = async (reason) => {
+      if (finished) return;
+      finished = true;
+      clearInterval(timer);
+      process.removeListener('SIGINT', onSigint);
+      await obs.disconnect();
+
+      console.log(chalk.bold(`\n${reason}`));
+      if (shots.length > 0) {
+        console.log(`Captured ${shots.length} frames`);
+        console.log(`Contact sheet: ${chalk.cyan(path.join(runDir, 'contact-sheet.html'))}`);
+      } else {
+        console.log(chalk.yellow('No frames captured'));
+      }
+      resolve();
+    };
+
+    const onSigint = () => finish('Stopped');
+
+    const tick = async () => {
+      try {
+        const status = await obs.getStreamStatus();
+        if (!status.active) {
+          if (wasLive) {
+            await finish('Stream ended');
+          } else {
+            console.log(chalk.gray('Waiting for stream to go live...'));
+          }
+          return;
+        }
+
+        wasLive = true;
+        const shot = await capture(obs, source, options, runDir);
+        shot.timecode = status.timecode.split('.')[0];
+        shots.push(shot);
+        writeContactSheet(runDir, shots);
+        console.log(`${chalk.green('✓')} ${shot.timecode}  ${path.basename(shot.file)}`);
+      } catch (error) {
+        console.error(chalk.red('Capture failed:'), error.message);
+      }
+    };
+
+    process.on('SIGINT', onSigint);
+    timer = setInterval(tick, minutes * 60 * 1000);
+    tick();
+  });
+}
+
+async function screenshot(source, options = {}) {
+  if (options.every) {
+    return captureEvery(source, options);
+  }
+
+  const obs = new OBSMetrics();
+  try {
+    const shot = await capture(obs, source, options, getThumbnailsDir(options.dir));
+    console.log(chalk.green(`Captured ${shot.sourceName}`));
+    console.log(`File: ${chalk.cyan(shot.file)} (${Math.round(shot.bytes / 1024)} KB)`);
+  } catch (error) {
+    printError(error);
+  } finally {
+    await obs.disconnect();
+  }
+}
+
+module.exports = screenshot;
@@ -0,0 +1,72 @@
+/**
+ * Serve Command
+ *
+ * serve  - Run the HTTP control API (and /events WebSocket) on localhost for
+ *          Stream Deck buttons and other controllers. The token comes from
+ *          --token, OBS_API_TOKEN or serve.token in obs.config.json, and is
+ *          generated and saved there on first run.
+ */
+
+const chalk = require('chalk');
+const OBSMetrics = require('../lib/metrics');
+const { loadConfig, updateConfig, getConfigPath } = require('../lib/config');
+const { ApiServer, DEFAULT_PORT, generateToken } = require('../lib/api-server');
+const { CommandError, printError } = require('../lib/output');
+
+function resolveToken(options, config) {
+  const token = options.token || process.env.OBS_API_TOKEN || config.token;
+  if (token) return { token, generated: false };
+  const generated = generateToken();
+  updateConfig('serve', { token: generated });
+  return { token: generated, generated: true };
+}
+
+async function serve(options = {}) {
+  const obs = new OBSMetrics({ reconnect: true });
+  const time = () => chalk.gray(new Date().toLocaleTimeString());
+
+  let server;
+  let auth;
+  try {
+    const config = loadConfig().serve || {};
+    auth = resolveToken(options, config);
+    server = new ApiServer(obs, {
+      token: auth.token,
+      port: options.port !== undefined ? parseInt(options.port) : config.port ?? DEFAULT_PORT,
+      host: options.host || config.host
+    });
+    await server.start();
+  } catch (error) {
+    printError(error.code === 'EADDRINUSE' ? new CommandError(`Port ${error.port} is already in use`) : error);
+    await obs.disconnect();
+    return;
+  }
+
+  obs.on('state', ({ state }) => {
+    console.log(`${time()} OBS ${state === 'connected' ? chalk.green(state) : chalk.yellow(state)}`);
+  });
+  server.on('request', ({ method, path, status }) => {
+    const color = status < 300 ? 'green' : status < 500 ? 'yellow' : 'red';
+    console.log(`${time()} ${method} ${path} ${chalk[color](status)}`);
+  });
+  obs.connect().catch(error => {
+    console.log(`${time()} ${chalk.yellow(error.message)} - retrying`);
+  });
+
+  const base = `http://${server.host}:${server.port}`;
+  console.log(chalk.bold(`\nOBS control API on ${base}`));
+  console.log(`Events:  ws://${server.host}:${server.port}/events`);
+  console.log(`Token:   ${chalk.cyan(auth.token)}${auth.generated ? chalk.gray(` (saved to ${getConfigPath()})`) : ''}`);
+  console.log(chalk.gray(`\nExample: curl -X POST -H "Authorization: Bearer <token>" ${base}/scenes/BRB`));
+  console.log(chalk.gray('Ctrl+C to stop\n'));
+
+  await new Promise(resolve => {
+    process.once('SIGINT', async () => {
+      await server.stop();
+      await obs.disconnect();
+      resolve();
+    });
+  });
+}
+
+module.exports = serve;
@@ -0,0 +1,359 @@
+/**
+ * Shell Command
+ *
+ * shell  - An interactive prompt that runs any obs command on one OBS
+ *          connection kept open between commands, instead of connecting and
+ *          disconnecting for each. Tab completes commands, options and scene
+ *          and source names (fetched live from OBS). History is kept across
+ *          runs in data/shell_history (or OBS_SHELL_HISTORY). The prompt shows
+ *          the current scene, whether the stream is LIVE and the health level.
+ *
+ * Ctrl+C stops a running command the way it would outside the shell (break
+ * timer, serve, ...) or clears the line; exit, quit or Ctrl+D leave.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const chalk = require('chalk');
+const { CommanderError } = require('commander');
+const OBSMetrics = require('../lib/metrics');
+const { getOverallStatus } = require('../lib/alerts');
+
+const HISTORY_SIZE = 500;
+const NAMES_TTL = 5000;
+const REFRESH_INTERVAL = 10000;
+
+// Commands that take over the terminal or the process
+const UNAVAILABLE = {
+  shell: 'already in the shell',
+  monitor: 'the dashboard needs the whole terminal; run it in another one',
+  'fake-obs': 'run it in another terminal'
+};
+
+// Live names completing an argument or option value: `${command}.${argument}`, then the value name
+const NAME_LISTS = {
+  'scene.name': 'scenes',
+  scene: 'scenes',
+  source: 'sources'
+};
+
+const EXIT_WORDS = ['exit', 'quit'];
+
+function getHistoryPath() {
+  return process.env.OBS_SHELL_HISTORY || path.join(__dirname, '../../data/shell_history');
+}
+
+function loadHistory(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).slice(-HISTORY_SIZE);
+}
+
+function saveHistory(file, history) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, history.join('\n') + '\n');
+}
+
+/**
+ * Split a line into words like a shell: "double" or 'single' quotes and
+ * backslash escapes keep spaces in a word (scene "Starting Soon")
+ * @returns {Object} { words, partial, quote } - partial is the unfinished last
+ *   word ({ value, start, quote }) or null after whitespace; quote is set when
+ *   a quote is still open
+ */
+function splitLine(line) {
+  const words = [];
+  let word = null;
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) {
+        quote = null;
+      } else if (ch === '\\' && quote === '"' && i + 1 < line.length) {
+        word.value += line[++i];
+      } else {
+        word.value += ch;
+      }
+    } else if (/\s/.test(ch)) {
+      if (word) words.push(word.value);
+      word = null;
+    } else {
+      if (!word) word = { value: '', start: i, quote: null };
+      if (ch === '"' || ch === "'") {
+        quote = ch;
+        if (word.start === i) word.quote = ch;
+      } else if (ch === '\\' && i + 1 < line.length) {
+        word.value += line[++i];
+      } else {
+        word.value += ch;
+      }
+    }
+  }
+
+  if (word) words.push(word.value);
+  return { words, partial: word, quote };
+}
+
+// Write a completed name back the way the word was started
+function quoteName(name, quote) {
+  if (quote) return `${quote}${name}${quote}`;
+  return name.replace(/([\s"'\\])/g, '\\$1');
+}
+
+// Option value placeholder, e.g. "scene" for "-s, --scene <scene>"
+function valueName(option) {
+  return option.flags.match(/[<[]([\w-]+)(\.\.\.)?[>\]]/)?.[1] || null;
+}
+
+function findOption(options, word) {
+  return options.find(o => o.long === word || o.short === word);
+}
+
+/**
+ * What the word at the end of the line completes to
+ * @returns {Object} { kind: 'command' | 'option' | 'names' | null, command, list }
+ */
+function completionContext(program, words) {
+  let command = null;
+  let argument = 0;
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const options = command ? [...command.options, ...program.options] : program.options;
+    if (word.startsWith('-')) {
+      const option = findOption(options, word);
+      if (option && (option.required || option.optional) && !word.includes('=')) {
+        if (i === words.length - 1) {
+          return { kind: 'names', command, list: NAME_LISTS[valueName(option)] };
+        }
+        i++;
+      }
+    } else if (!command) {
+      command = program.commands.find(c => c.name() === word || c.aliases().includes(word));
+      if (!command) return { kind: null };
+    } else {
+      argument++;
+    }
+  }
+
+  if (!command) return { kind: 'command' };
+  const args = command.registeredArguments;
+  const arg = args[Math.min(argument, args.length - 1)];
+  if (!arg || (argument >= args.length && !arg.variadic)) return { kind: 'option', command };
+  return { kind: 'names', command, list: NAME_LISTS[`${command.name()}.${arg.name()}`] || NAME_LISTS[arg.name()] };
+}
+
+/**
+ * Tab completion for readline
+ * @param {Command} program
+ * @param {Function} getNames - () => Promise<{ scenes, sources }>
+ * @returns {Function} (line) => Promise<[completions, word]>
+ */
+function createCompleter(program, getNames) {
+  return async (line) => {
+    const { words, partial } = splitLine(line);
+    const raw = partial ? line.slice(partial.start) : '';
+    const prefix = partial ? partial.value : '';
+    const context = completionContext(program, partial ? words.slice(0, -1) : words);
+    const startsWith = (candidates) => candidates.filter(c => c.startsWith(prefix));
+
+    if (prefix.startsWith('-') && !partial.quote) {
+      const options = context.command ? [...context.command.options, ...program.options] : program.options;
+      return [startsWith(options.map(o => o.long).filter(Boolean)), raw];
+    }
+    if (context.kind === 'command') {
+      const names = program.commands.flatMap(c => [c.name(), ...c.aliases()]);
+      return [startsWith([...names, 'help', ...EXIT_WORDS]).sort(), raw];
+    }
+    if (context.kind !== 'names' || !context.list) return [[], raw];
+
+    try {
+      const names = (await getNames())[context.list];
+      return [startsWith(names).map(name => quoteName(name, partial?.quote)), raw];
+    } catch (error) {
+      return [[], raw];
+    }
+  };
+}
+
+// Scene and source names, fetched at most every NAMES_TTL and after each command
+function createNameCache(obs) {
+  let cached = null;
+  const get = () => {
+    if (!cached || Date.now() - cached.at > NAMES_TTL) {
+      cached = { at: Date.now(), names: obs.getNames() };
+      cached.names.catch(() => {
+        cached = null;
+      });
+    }
+    return cached.names;
+  };
+  get.clear = () => {
+    cached = null;
+  };
+  return get;
+}
+
+/**
+ * [scene LIVE HEALTH] obs>, or [scene OFFLINE] obs> off air
+ * @param {OBSMetrics} obs
+ */
+async function buildPrompt(obs) {
+  const prompt = chalk.bold('obs> ');
+  try {
+    const metrics = await obs.getFullMetrics();
+    if (!metrics.stream.active) {
+      return `[${chalk.cyan(metrics.scene)} ${chalk.gray('OFFLINE')}] ${prompt}`;
+    }
+    // Only while live: off air the bitrate is 0, which always reads as critical
+    const { level, label } = getOverallStatus(metrics);
+    return `[${chalk.cyan(metrics.scene)} ${chalk.red.bold('LIVE')} ${chalk[level](label)}] ${prompt}`;
+  } catch (error) {
+    const state = obs.state === 'reconnecting' ? chalk.yellow('reconnecting') : chalk.red('OBS down');
+    return `[${state}] ${prompt}`;
+  }
+}
+
+// Commander keeps option values between parses; put every command back to its defaults
+function resetOptions(command) {
+  for (const option of command.options) {
+    const value = option.negate && option.defaultValue === undefined ? true : option.defaultValue;
+    command.setOptionValueWithSource(option.attributeName(), value, 'default');
+  }
+  command.commands.forEach(resetOptions);
+}
+
+async function runCommand(program, words) {
+  resetOptions(program);
+  try {
+    await program.parseAsync(words, { from: 'user' });
+  } catch (error) {
+    // Commander has already printed its own errors and help
+    if (!(error instanceof CommanderError)) {
+      console.error(chalk.red('Failed:'), error.message);
+    }
+  } finally {
+    process.exitCode = undefined;
+  }
+}
+
+/**
+ * @param {Command} program - The obs program from cli.js
+ * @param {OBSMetrics} obs - The connection to keep open and share
+ */
+async function shell(program, obs) {
+  obs.config.reconnect = true;
+  OBSMetrics.share(obs);
+
+  // Errors and help must come back to the prompt rather than exit
+  for (const command of [program, ...program.commands]) {
+    command.exitOverride();
+  }
+  program.hook('preAction', (root, command) => {
+    const reason = UNAVAILABLE[command.name()];
+    if (reason) throw new Error(`"${command.name()}" isn't available in the shell: ${reason}`);
+  });
+
+  const historyPath = getHistoryPath();
+  const history = loadHistory(historyPath);
+  const names = createNameCache(obs);
+  const completer = createCompleter(program, names);
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    completer: (line, callback) => {
+      completer(line).then(result => callback(null, result), callback);
+    },
+    history: [...history].reverse(),
+    historySize: HISTORY_SIZE,
+    removeHistoryDuplicates: true
+  });
+  // Before any await, so piped lines aren't read before there is a loop to take them
+  const lines = rl[Symbol.asyncIterator]();
+
+  // Also true until the first prompt, so connecting doesn't draw an extra one
+  let busy = true;
+  let prompt = null;
+  const refresh = async () => {
+    const next = await buildPrompt(obs);
+    if (busy || next === prompt) return;
+    prompt = next;
+    rl.setPrompt(prompt);
+    if (rl.terminal) rl.prompt(true);
+  };
+  const onChange = () => {
+    if (!busy) refresh();
+  };
+  const REFRESH_EVENTS = ['CurrentProgramSceneChanged', 'StreamStateChanged', 'state'];
+  for (const event of REFRESH_EVENTS) {
+    obs.on(event, onChange);
+  }
+  const timer = setInterval(onChange, REFRESH_INTERVAL);
+
+  rl.on('SIGINT', () => {
+    if (busy) {
+      // Commands that handle Ctrl+C (break timer, serve, ...) stop as they would outside the shell
+      process.emit('SIGINT', 'SIGINT');
+      return;
+    }
+    const empty = rl.line === '';
+    rl.write(null, { ctrl: true, name: 'e' });
+    rl.write(null, { ctrl: true, name: 'u' });
+    if (empty) {
+      console.log(chalk.gray('\n(type exit or press Ctrl+D to leave)'));
+      rl.prompt();
+    }
+  });
+
+  console.log(`${chalk.bold('OBS shell')} ${chalk.gray('- any obs command, Tab to complete, exit to leave')}`);
+  try {
+    await obs.connect();
+  } catch (error) {
+    console.log(chalk.yellow(`${error.message} - retrying in the background`));
+  }
+
+  try {
+    prompt = await buildPrompt(obs);
+    rl.setPrompt(prompt);
+    rl.prompt();
+    busy = false;
+
+    for await (const line of lines) {
+      const trimmed = line.trim();
+      if (trimmed && trimmed !== history[history.length - 1]) {
+        history.push(trimmed);
+        saveHistory(historyPath, history.slice(-HISTORY_SIZE));
+      }
+
+      const { words, quote } = splitLine(trimmed);
+      if (EXIT_WORDS.includes(words[0])) break;
+      if (quote) {
+        console.error(chalk.red('Failed:'), `Unclosed ${quote}`);
+      } else if (words.length > 0) {
+        busy = true;
+        await runCommand(program, words);
+        names.clear();
+        busy = false;
+      }
+
+      prompt = await buildPrompt(obs);
+      rl.setPrompt(prompt);
+      rl.prompt();
+    }
+  } finally {
+    clearInterval(timer);
+    for (const event of REFRESH_EVENTS) {
+      obs.removeListener(event, onChange);
+    }
+    rl.close();
+    OBSMetrics.share(null);
+    await obs.disconnect();
+  }
+}
+
+module.exports = shell;
+module.exports.splitLine = splitLine;
+module.exports.createCompleter = createCompleter;
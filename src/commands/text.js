@@ -0,0 +1,123 @@
+/**
+ * Text Commands
+ *
+ * text <source> [value]  - Show or set the text of a text source
+ * text-feed              - Keep text sources updated from git, a countdown, session
+ *                          uptime and follower count (textFeed in obs.config.json, or --bind)
+ */
+
+const chalk = require('chalk');
+const OBSMetrics = require('../lib/metrics');
+const { loadConfig, getConfigPath } = require('../lib/config');
+const { TextFeed, parseBinding } = require('../lib/text-feed');
+const { printError } = require('../lib/output');
+
+async function text(source, value, options = {}) {
+  const obs = new OBSMetrics();
+
+  try {
+    const name = await obs.resolveTextInput(source);
+    if (value === undefined) {
+      const current = await obs.getText(name);
+      console.log(`${name}: ${current ? chalk.cyan(current) : chalk.gray('(empty)')}`);
+      return;
+    }
+
+    if (await obs.getText(name) === value) {
+      console.log(chalk.gray(`${name} already shows "${value}"`));
+      return;
+    }
+    await obs.setText(name, value);
+    console.log(`${name}: ${chalk.green(value)}`);
+  } catch (error) {
+    printError(error);
+  } finally {
+    await obs.disconnect();
+  }
+}
+
+// Only open the database and Twitch client if a binding needs them
+function createContext(bindings) {
+  const uses = (provider) => bindings.some(b => b.provider === provider);
+  const context = {};
+  if (uses('uptime')) {
+    const StreamDatabase = require('../lib/db');
+    context.db = new StreamDatabase();
+  }
+  if (uses('followers')) {
+    const TwitchClient = require('../lib/twitch');
+    context.twitch = new TwitchClient();
+  }
+  return context;
+}
+
+async function textFeed(options = {}) {
+  let bindings;
+  try {
+    bindings = options.bind && options.bind.length > 0
+      ? options.bind.map(parseBinding)
+      : loadConfig().textFeed || [];
+  } catch (error) {
+    printError(error);
+    return;
+  }
+
+  if (bindings.length === 0) {
+    console.log(chalk.yellow('Nothing to feed.'));
+    console.log(chalk.gray(`Add a "textFeed" list to ${getConfigPath()} or pass --bind "Source:git:~/code/app"`));
+    return;
+  }
+
+  const obs = new OBSMetrics({ reconnect: !options.once });
+  const context = createContext(bindings);
+  const time = () => chalk.gray(new Date().toLocaleTimeString());
+
+  let feed;
+  try {
+    feed = new TextFeed(obs, bindings, context);
+  } catch (error) {
+    printError(error);
+    if (context.db) context.db.close();
+    return;
+  }
+
+  const close = async () => {
+    feed.stop();
+    await obs.disconnect();
+    if (context.db) context.db.close();
+  };
+
+  feed.on('update', ({ source, text: value }) => {
+    console.log(`${time()} ${source}: ${chalk.cyan(value || '(empty)')}`);
+  });
+  feed.on('error', ({ source, provider, error }) => {
+    console.log(`${time()} ${chalk.red(`${source} (${provider}):`)} ${error.message}`);
+  });
+
+  try {
+    if (options.once) {
+      const updated = await feed.updateAll();
+      console.log(chalk.gray(`${updated.filter(Boolean).length} of ${updated.length} sources changed`));
+      await close();
+      return;
+    }
+    await feed.start();
+  } catch (error) {
+    printError(error);
+    await close();
+    return;
+  }
+
+  console.log(chalk.bold(`\nFeeding ${feed.bindings.length} text source${feed.bindings.length === 1 ? '' : 's'}`) +
+    chalk.gray(` (${feed.bindings.map(b => `${b.inputName} ← ${b.provider}`).join(', ')})`));
+  console.log(chalk.gray('Ctrl+C to stop\n'));
+
+  await new Promise(resolve => {
+    process.once('SIGINT', async () => {
+      await close();
+      resolve();
+    });
+  });
+}
+
+module.exports = { text, textFeed };
@@ -0,0 +1,145 @@
+/**
+ * Webhooks Command
+ *
+ * webhooks             - List configured webhooks and the outbox (pending, delivered, failed)
+ * webhooks test [url]  - Send a signed "test" event straight to url (e.g. a local
+ *                        receiver) or to every configured hook, bypassing the outbox
+ * webhooks flush       - Deliver everything due in the outbox now
+ * webhooks retry       - Requeue deliveries that gave up, then flush
+ */
+
+const chalk = require('chalk');
+const StreamDatabase = require('../lib/db');
+const { getConfigPath } = require('../lib/config');
+const { WEBHOOK_EVENTS, loadWebhooks, buildPayload, deliver, WebhookDispatcher } = require('../lib/webhooks');
+const { CommandError, EXIT_CODES, isMachineReadable, printError } = require('../lib/output');
+
+const ACTIONS = ['list', 'test', 'flush', 'retry'];
+
+/**
+ * Queue events from a CLI command and deliver them before it exits. Webhook
+ * trouble is reported but never fails the command; undelivered events stay in
+ * the outbox for the monitor or `webhooks flush`. Quiet in --json and the other
+ * machine formats so stdout stays parseable.
+ * @param {StreamDatabase} db
+ * @param {Function} send - (dispatcher) => queue events with dispatcher.send
+ */
+async function sendWebhooks(db, send) {
+  try {
+    const dispatcher = new WebhookDispatcher(db);
+    if (dispatcher.webhooks.length === 0) return;
+    if (send(dispatcher) === 0) return;
+    const { delivered, failed } = await dispatcher.flush();
+    if (isMachineReadable()) return;
+    const parts = [`${delivered} delivered`];
+    if (failed > 0) parts.push(chalk.yellow(`${failed} queued for retry`));
+    console.log(chalk.gray(`Webhooks: ${parts.join(', ')}`));
+  } catch (error) {
+    if (isMachineReadable()) return;
+    console.log(chalk.yellow(`Webhooks: ${error.message}`));
+  }
+}
+
+function printOutbox(db) {
+  const counts = db.getWebhookCounts();
+  console.log(chalk.bold('\nOutbox:'));
+  console.log(`  ${counts.pending} pending, ${counts.delivered} delivered, ${counts.failed > 0 ? chalk.red(`${counts.failed} failed`) : '0 failed'}`);
+
+  const pending = db.getWebhookOutbox('pending', 5);
+  for (const row of pending.filter(r => r.attempts > 0)) {
+    const next = new Date(row.next_attempt_at).toLocaleTimeString();
+    console.log(chalk.yellow(`  ⟳ ${row.event} → ${row.url}: ${row.last_error} (attempt ${row.attempts}, next ${next})`));
+  }
+  for (const row of db.getWebhookOutbox('failed', 5)) {
+    console.log(chalk.red(`  ✗ ${row.event} → ${row.url}: ${row.last_error} (gave up after ${row.attempts})`));
+  }
+  if (counts.failed > 0) {
+    console.log(chalk.gray('\nRequeue failed deliveries with: npm run obs webhooks retry'));
+  }
+}
+
+function listWebhooks(hooks, db) {
+  if (hooks.length === 0) {
+    console.log(chalk.yellow('No webhooks configured.'));
+    console.log(chalk.gray(`Add a "webhooks" list to ${getConfigPath()}, e.g.`));
+    console.log(chalk.gray('  "webhooks": [{ "url": "https://example.com/obs", "secret": "...", "events": ["stream.started"] }]'));
+    console.log(chalk.gray(`Events: ${WEBHOOK_EVENTS.join(', ')}`));
+  } else {
+    console.log(chalk.bold('\n=== Webhooks ==='));
+    for (const hook of hooks) {
+      const events = hook.events.length === WEBHOOK_EVENTS.length ? 'all events' : hook.events.join(', ');
+      console.log(`  ${chalk.cyan(hook.name)} ${hook.url}${hook.secret ? '' : chalk.yellow(' (unsigned)')}`);
+      console.log(chalk.gray(`    ${events}`));
+    }
+  }
+  printOutbox(db);
+}
+
+async function testWebhooks(hooks, url, options) {
+  const targets = url
+    ? [{ name: url, url, secret: options.secret || null }]
+    : hooks;
+  if (targets.length === 0) {
+    throw new Error('No webhooks configured. Give a URL: npm run obs webhooks test http://localhost:9000/hook');
+  }
+
+  const body = buildPayload('test', { message: 'Test delivery from obs webhooks test' });
+  for (const hook of targets) {
+    try {
+      const status = await deliver(hook.url, 'test', body, hook.secret);
+      console.log(chalk.green(`✓ ${hook.name}: HTTP ${status}${hook.secret ? ' (signed)' : ''}`));
+    } catch (error) {
+      console.log(chalk.red(`✗ ${hook.name}: ${error.message}`));
+      process.exitCode = EXIT_CODES.failed;
+    }
+  }
+}
+
+async function flushOutbox(db, hooks) {
+  const dispatcher = new WebhookDispatcher(db, { webhooks: hooks });
+  dispatcher.on('delivered', ({ name, event, status }) => console.log(chalk.green(`✓ ${event} → ${name}: HTTP ${status}`)));
+  dispatcher.on('failed', ({ name, event, error, retryAt }) => {
+    const next = retryAt ? `retry at ${retryAt.toLocaleTimeString()}` : 'giving up';
+    console.log(chalk.red(`✗ ${event} → ${name}: ${error} (${next})`));
+  });
+  const { delivered, failed } = await dispatcher.flush();
+  if (delivered + failed === 0) {
+    console.log(chalk.gray('Nothing due in the outbox.'));
+  }
+  if (failed > 0) process.exitCode = EXIT_CODES.failed;
+}
+
+async function webhooks(action = 'list', url, options = {}) {
+  if (!ACTIONS.includes(action)) {
+    printError(new CommandError(`Unknown action "${action}". Use: ${ACTIONS.join(', ')}`));
+    return;
+  }
+
+  const db = new StreamDatabase();
+  try {
+    const hooks = loadWebhooks();
+    switch (action) {
+      case 'list':
+        listWebhooks(hooks, db);
+        break;
+      case 'test':
+        await testWebhooks(hooks, url, options);
+        break;
+      case 'flush':
+        await flushOutbox(db, hooks);
+        break;
+      case 'retry': {
+        const requeued = db.retryFailedWebhooks();
+        console.log(`Requeued ${requeued} failed deliver${requeued === 1 ? 'y' : 'ies'}.`);
+        await flushOutbox(db, hooks);
+        break;
+      }
+    }
+  } catch (error) {
+    printError(error);
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = { webhooks, sendWebhooks };
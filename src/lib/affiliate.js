@@ -0,0 +1,68 @@
+/**
+ * Twitch Affiliate Progress
+ *
+ * The 30-day requirements, measured from the stream database (days, hours)
+ * and Twitch (followers, viewers), and the milestones reached.
+ */
+
+const REQUIREMENTS = {
+  streamDays: 7,
+  streamHours: 8,
+  avgViewers: 3,
+  followers: 50,
+};
+
+const LABELS = {
+  streamDays: 'Stream Days',
+  streamHours: 'Hours Streamed',
+  avgViewers: 'Avg Viewers',
+  followers: 'Followers'
+};
+
+/**
+ * Stream days and hours over the last 30 days of finished sessions
+ * @returns {Object} { sessions, streamDays, streamHours }
+ */
+function getStreamProgress(db) {
+  const thirtyDaysAgo = new Date();
+  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+
+  const sessions = db.getRecentSessions(100).filter(s => {
+    const sessionDate = new Date(s.started_at);
+    return sessionDate >= thirtyDaysAgo && s.ended_at;
+  });
+
+  // Stream days are unique dates
+  const streamDays = new Set(sessions.map(s => new Date(s.started_at).toDateString())).size;
+  const totalMs = sessions.reduce((sum, s) => sum + (s.duration_ms || 0), 0);
+  const streamHours = totalMs / (1000 * 60 * 60);
+
+  return { sessions, streamDays, streamHours };
+}
+
+/**
+ * Requirements met by the given progress. Requirements missing from progress
+ * (e.g. Twitch not configured) are left out. There is no "all" milestone:
+ * average viewers aren't measured, so it could never be known to be met.
+ * @param {Object} progress - { streamDays, streamHours, avgViewers?, followers? }
+ * @returns {Object[]} [{ key, label, current, target }]
+ */
+function getMilestones(progress) {
+  return Object.entries(REQUIREMENTS)
+    .filter(([key, target]) => progress[key] !== undefined && progress[key] >= target)
+    .map(([key, target]) => ({ key, label: LABELS[key], current: Math.round(progress[key] * 10) / 10, target }));
+}
+
+/**
+ * Queue affiliate.milestone webhooks for the milestones reached, once per
+ * milestone per calendar month (the requirements are a rolling window)
+ * @param {WebhookDispatcher} dispatcher
+ * @returns {number} Deliveries queued
+ */
+function sendMilestones(dispatcher, progress) {
+  const month = new Date().toISOString().slice(0, 7);
+  return getMilestones(progress).reduce((queued, milestone) =>
+    queued + dispatcher.send('affiliate.milestone', milestone, { dedupeKey: `affiliate.milestone:${milestone.key}:${month}` }), 0);
+}
+
+module.exports = { REQUIREMENTS, LABELS, getStreamProgress, getMilestones, sendMilestones };
@@ -21,6 +21,11 @@ const THRESHOLDS = {
     green: 60,     // 60 = perfect
     yellow: 55,    // 55-59 = warning
     // < 55 = critical
+  },
+  audio: {
+    silenceDb: -60,     // mic peak below this (dBFS) = silence
+    silentSeconds: 30,  // silent this long while live = warning
+    clipDb: -0.5        // peak at or above this (dBFS) = clipping
   }
 };
 
@@ -164,6 +169,35 @@ function analyzeMetrics(metrics) {
     });
   }
 
+  // Check audio (only present when the live meters are being watched)
+  if (metrics.audio) {
+    const { mic, clipping } = metrics.audio;
+    if (metrics.stream.active && mic.muted) {
+      warnings.push({
+        level: 'critical',
+        type: 'mic_muted',
+        source: mic.name,
+        message: `Mic muted while live: ${mic.name}`
+      });
+    } else if (metrics.stream.active && mic.silentFor >= THRESHOLDS.audio.silentSeconds * 1000) {
+      warnings.push({
+        level: 'warning',
+        type: 'mic_silent',
+        source: mic.name,
+        message: `Mic silent for ${Math.floor(mic.silentFor / 1000)}s while live: ${mic.name}`
+      });
+    }
+
+    for (const name of clipping) {
+      warnings.push({
+        level: 'warning',
+        type: 'audio_clipping',
+        source: name,
+        message: `Input clipping: ${name}`
+      });
+    }
+  }
+
   return warnings;
 }
 
@@ -0,0 +1,296 @@
+/**
+ * HTTP Control API
+ *
+ * A small authenticated REST API over one persistent OBSMetrics connection, for
+ * Stream Deck buttons and other controllers, plus a WebSocket stream of state
+ * changes at /events. Every request needs the token, either as
+ * "Authorization: Bearer <token>" or ?token=<token> for clients that can't set headers.
+ *
+ *   GET  /status                             Stream, system and recording metrics
+ *   GET  /scenes                             { current, preview, scenes }
+ *   POST /stream/start, /stream/stop
+ *   POST /scenes/:name                       Switch scene; body { transition?, duration? }
+ *   POST /inputs/:name/mute, /unmute, /toggle-mute
+ *   POST /sources/:name/enable, /disable, /toggle
+ *   POST /overlay/:action                    Terminal overlay action; body { args? }
+ *   POST /celebration/:action                Celebration overlay: create, show, hide, refresh
+ *   GET  /macros                             Macros from obs.config.json
+ *   POST /macros/:name/run                   body { vars? }; responds with per-step results.
+ *                                            Macros with a shell step refuse vars.
+ *
+ * Responses are JSON. Errors are { error } with 400 for failed operations, 401
+ * without a valid token, 404/405 for unknown routes or methods and 503 while OBS
+ * is unreachable.
+ *
+ * /events messages: { type: 'hello', connection, scene?, live? } on connect, then
+ * { type: 'event', event, data } for each OBS event and { type: 'connection', state }.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { WebSocketServer } = require('ws');
+const { loadMacros, getMacro, buildMacroSteps } = require('./macros');
+const { runSequence } = require('./sequence');
+
+const DEFAULT_PORT = 4456;
+const MAX_BODY = 64 * 1024;
+// Level meters fire every 50ms; too chatty for controllers
+const SKIPPED_EVENTS = ['InputVolumeMeters'];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function summarizeMacro(name, macro) {
+  const steps = Array.isArray(macro) ? macro : macro.steps || [];
+  return { name, description: macro.description || '', steps: steps.length };
+}
+
+class ApiServer extends EventEmitter {
+  /**
+   * @param {OBSMetrics} obs - Shared connection; create it with { reconnect: true }
+   * @param {Object} options
+   * @param {string} options.token - Required on every request
+   * @param {number} [options.port] - 0 picks a free port
+   * @param {string} [options.host] - Defaults to localhost only
+   * @param {Function} [options.createTwitch] - Twitch client factory for macro title steps
+   */
+  constructor(obs, options = {}) {
+    super();
+    if (!options.token) {
+      throw new Error('An API token is required');
+    }
+    this.obs = obs;
+    this.token = options.token;
+    this.port = options.port ?? DEFAULT_PORT;
+    this.host = options.host || '127.0.0.1';
+    this.createTwitch = options.createTwitch || (() => new (require('./twitch'))());
+    this.server = null;
+    this.wss = null;
+    this.listeners = [];
+    this.routes = [];
+    this.defineRoutes();
+  }
+
+  route(method, pattern, handler) {
+    const keys = [];
+    const regex = new RegExp('^' + pattern.replace(/:(\w+)/g, (match, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    }) + '/?$');
+    this.routes.push({ method, pattern, regex, keys, handler });
+  }
+
+  defineRoutes() {
+    const obs = this.obs;
+
+    this.route('GET', '/status', () => obs.getFullMetrics());
+    this.route('GET', '/scenes', () => obs.getScenes());
+
+    this.route('POST', '/stream/start', async () => {
+      await obs.startStream();
+      return { streaming: true };
+    });
+    this.route('POST', '/stream/stop', async () => {
+      await obs.stopStream();
+      return { streaming: false };
+    });
+
+    this.route('POST', '/scenes/:name', async ({ params, body }) => {
+      const scene = await obs.switchScene(params.name, { transition: body.transition, duration: body.duration });
+      return { scene };
+    });
+
+    this.route('POST', '/inputs/:name/mute', async ({ params }) => ({ name: await obs.setMute(params.name, true), muted: true }));
+    this.route('POST', '/inputs/:name/unmute', async ({ params }) => ({ name: await obs.setMute(params.name, false), muted: false }));
+    this.route('POST', '/inputs/:name/toggle-mute', ({ params }) => obs.toggleMute(params.name));
+
+    this.route('POST', '/sources/:name/enable', async ({ params }) => ({ name: await obs.setSourceEnabled(params.name, true), enabled: true }));
+    this.route('POST', '/sources/:name/disable', async ({ params }) => ({ name: await obs.setSourceEnabled(params.name, false), enabled: false }));
+    this.route('POST', '/sources/:name/toggle', ({ params }) => obs.toggleSource(params.name));
+
+    this.route('POST', '/overlay/:action', ({ params, body }) => obs.controlOverlay(params.action, ...(body.args || [])));
+    this.route('POST', '/celebration/:action', ({ params }) => obs.controlCelebrationOverlay(params.action));
+
+    this.route('GET', '/macros', () => {
+      const macros = loadMacros();
+      return Object.entries(macros).map(([name, macro]) => summarizeMacro(name, macro));
+    });
+    this.route('POST', '/macros/:name/run', async ({ params, body }) => {
+      const macro = getMacro(params.name);
+      const vars = body.vars || {};
+      // Vars go into shell commands unquoted, so shell macros only run with their own vars here
+      if (Object.keys(vars).length > 0 && macro.steps.some(step => step.action === 'shell')) {
+        throw new HttpError(400, `Macro "${macro.name}" runs shell commands and takes no vars over the API`);
+      }
+      const steps = buildMacroSteps(macro, vars);
+      const createTwitch = this.createTwitch;
+      const result = await runSequence(steps, {
+        obs,
+        get twitch() {
+          return createTwitch();
+        }
+      });
+      return {
+        macro: macro.name,
+        ok: result.ok,
+        results: result.results.map((r, i) => ({
+          step: i + 1,
+          title: steps[i].title,
+          status: r.status,
+          detail: r.detail,
+          error: r.error?.message
+        }))
+      };
+    });
+  }
+
+  // Constant-time token check
+  authorized(req, url) {
+    const header = req.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token') || '';
+    const a = Buffer.from(given);
+    const b = Buffer.from(this.token);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY) {
+          reject(new HttpError(413, 'Request body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8').trim();
+        if (!text) return resolve({});
+        try {
+          resolve(JSON.parse(text));
+        } catch (e) {
+          reject(new HttpError(400, `Invalid JSON body: ${e.message}`));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+      this.emit('request', { method: req.method, path: url.pathname, status });
+    };
+
+    try {
+      if (!this.authorized(req, url)) {
+        throw new HttpError(401, 'Missing or invalid token');
+      }
+
+      const candidates = this.routes.filter(r => r.regex.test(url.pathname));
+      if (candidates.length === 0) {
+        throw new HttpError(404, `No route for ${url.pathname}`);
+      }
+      const route = candidates.find(r => r.method === req.method);
+      if (!route) {
+        throw new HttpError(405, `Use ${candidates.map(r => r.method).join(' or ')} for ${url.pathname}`);
+      }
+
+      const match = url.pathname.match(route.regex);
+      const params = Object.fromEntries(route.keys.map((key, i) => [key, decodeURIComponent(match[i + 1])]));
+      const body = req.method === 'POST' ? await this.readBody(req) : {};
+      send(200, await route.handler({ params, body, query: url.searchParams }));
+    } catch (error) {
+      const status = error.status || (error.message.includes('OBS not running') ? 503 : 400);
+      send(status, { error: error.message });
+    }
+  }
+
+  async handleEventsConnection(socket) {
+    const hello = { type: 'hello', connection: this.obs.state };
+    try {
+      const [{ current }, stream] = await Promise.all([this.obs.getScenes(), this.obs.getStreamStatus()]);
+      Object.assign(hello, { connection: this.obs.state, scene: current, live: stream.active });
+    } catch (e) {
+      // OBS is down; the connection event follows when it comes back
+    }
+    socket.send(JSON.stringify(hello));
+  }
+
+  broadcast(message) {
+    if (!this.wss) return;
+    const text = JSON.stringify(message);
+    for (const client of this.wss.clients) {
+      if (client.readyState === client.OPEN) client.send(text);
+    }
+  }
+
+  subscribe(event, handler) {
+    this.obs.on(event, handler);
+    this.listeners.push([event, handler]);
+  }
+
+  /**
+   * @returns {Promise<number>} The port the server listens on
+   */
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.wss = new WebSocketServer({ noServer: true });
+
+    this.server.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== '/events' || !this.authorized(req, url)) {
+        socket.write(`HTTP/1.1 ${url.pathname !== '/events' ? '404 Not Found' : '401 Unauthorized'}\r\n\r\n`);
+        socket.destroy();
+        return;
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) => this.handleEventsConnection(ws));
+    });
+
+    for (const event of this.obs.constructor.FORWARDED_EVENTS.filter(e => !SKIPPED_EVENTS.includes(e))) {
+      this.subscribe(event, (data) => this.broadcast({ type: 'event', event, data }));
+    }
+    this.subscribe('state', ({ state }) => this.broadcast({ type: 'connection', state }));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+    return this.port;
+  }
+
+  async stop() {
+    for (const [event, handler] of this.listeners) {
+      this.obs.off(event, handler);
+    }
+    this.listeners = [];
+    if (this.wss) {
+      for (const client of this.wss.clients) client.terminate();
+      this.wss.close();
+      this.wss = null;
+    }
+    if (this.server) {
+      const closed = new Promise(resolve => this.server.close(resolve));
+      this.server.closeAllConnections();
+      await closed;
+      this.server = null;
+    }
+  }
+}
+
+module.exports = { ApiServer, DEFAULT_PORT, generateToken };
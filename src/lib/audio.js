@@ -0,0 +1,341 @@
+/**
+ * Audio Helpers
+ *
+ * Volume/duration parsing for the volume and fade commands, the Ducker,
+ * which lowers music and desktop audio while the mic's live level (from the
+ * high-volume InputVolumeMeters event) is above a threshold, and AudioLevels,
+ * which feeds the monitor's peak bars and muted/silent mic warnings.
+ */
+
+const EventEmitter = require('events');
+const { loadConfig } = require('./config');
+const { THRESHOLDS } = require('./alerts');
+
+// OBS faders go from -100 dB (silent) to +26 dB
+const MIN_DB = -100;
+const MAX_DB = 26;
+
+// How often fades and ducking ramps update the fader
+const RAMP_INTERVAL = 50;
+
+const DUCKING_DEFAULTS = {
+  threshold: -30, // mic peak in dBFS that counts as talking
+  amount: 12, // dB to lower the targets by
+  attack: 150, // ms to fade down once the mic opens
+  release: 800, // ms to fade back up
+  hold: 400 // ms of silence before releasing
+};
+
+// Peak bars fall back at this rate instead of jumping between meter updates
+const PEAK_FALLOFF = 20; // dB per second
+
+// A clip stays reported this long, so a 2s monitor refresh can't miss it
+const CLIP_HOLD = 3000;
+
+// Meters older than this mean OBS stopped sending them
+const METERS_STALE = 5000;
+
+const mulToDb = (mul) => (mul > 0 ? Math.max(MIN_DB, 20 * Math.log10(mul)) : MIN_DB);
+const dbToMul = (db) => (db <= MIN_DB ? 0 : Math.pow(10, db / 20));
+
+/**
+ * Parse a volume like "-20dB", "-6", "50%"
+ * @returns {number} Volume in dB
+ */
+function parseVolume(value) {
+  const match = String(value).trim().match(/^(-?\d+(?:\.\d+)?)\s*(db|%)?$/i);
+  if (!match) {
+    throw new Error(`Invalid volume "${value}". Use dB (-20dB) or percent (50%)`);
+  }
+
+  const number = parseFloat(match[1]);
+  if (match[2] === '%') {
+    if (number < 0 || number > 2000) throw new Error('Percent volume must be between 0% and 2000%');
+    return mulToDb(number / 100);
+  }
+  return Math.min(MAX_DB, Math.max(MIN_DB, number));
+}
+
+/**
+ * Parse a duration like "3s", "500ms", "1.5s" or "2m" (bare numbers are seconds)
+ * @returns {number} Duration in ms
+ */
+function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m)?$/i);
+  if (!match) {
+    throw new Error(`Invalid duration "${value}". Use e.g. 3s, 500ms or 2m`);
+  }
+  const units = { ms: 1, s: 1000, m: 60000 };
+  return Math.round(parseFloat(match[1]) * units[(match[2] || 's').toLowerCase()]);
+}
+
+/**
+ * Parse a transition duration: like parseDuration, but bare numbers are ms ("800")
+ * @returns {number|undefined} Duration in ms, undefined when not given
+ */
+function parseTransitionDuration(value) {
+  if (value === undefined) return undefined;
+  return /^\d+$/.test(String(value).trim()) ? parseInt(value) : parseDuration(value);
+}
+
+function formatVolume(db) {
+  if (db <= MIN_DB) return '-inf dB (0%)';
+  return `${db.toFixed(1)} dB (${Math.round(dbToMul(db) * 100)}%)`;
+}
+
+// Loudest peak across channels of an InputVolumeMeters entry
+function peakDb(input) {
+  const peak = Math.max(0, ...(input.inputLevelsMul || []).map(channel => channel[1] || 0));
+  return mulToDb(peak);
+}
+
+/**
+ * Ducking settings: defaults, then audio.mic and audio.ducking from obs.config.json, then overrides
+ * @param {Object} [overrides] - e.g. from command line flags
+ */
+function loadDuckingOptions(overrides = {}) {
+  const audio = loadConfig().audio || {};
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+  return { ...DUCKING_DEFAULTS, mic: audio.mic, ...audio.ducking, ...defined };
+}
+
+class Ducker extends EventEmitter {
+  /**
+   * @param {OBSMetrics} obs
+   * @param {Object} [options] - DUCKING_DEFAULTS plus mic (input name) and targets (input names)
+   */
+  constructor(obs, options = {}) {
+    super();
+    this.obs = obs;
+    this.options = { ...DUCKING_DEFAULTS, ...options };
+    this.mic = null;
+    this.baseVolumes = new Map();
+    this.sentVolumes = new Map();
+    this.offset = 0;
+    this.ducked = false;
+    this.level = MIN_DB;
+    this.lastTalking = 0;
+    this.ramp = null;
+
+    this.onMeters = (data) => this.handleMeters(data);
+    this.onVolumeChanged = (data) => this.handleVolumeChanged(data);
+  }
+
+  /**
+   * Resolve the mic and targets, then start listening to the meters
+   * @returns {Promise<Object>} { mic, targets }
+   */
+  async start() {
+    const { mic, targets } = await this.obs.getDuckingInputs(this.options.mic, this.options.targets);
+    if (targets.length === 0) {
+      throw new Error('Nothing to duck. Set audio.ducking.targets in obs.config.json or pass --targets');
+    }
+
+    this.mic = mic;
+    for (const name of targets) {
+      const { volumeDb } = await this.obs.getVolume(name);
+      this.baseVolumes.set(name, volumeDb);
+    }
+
+    await this.obs.enableVolumeMeters();
+    this.obs.on('InputVolumeMeters', this.onMeters);
+    this.obs.on('InputVolumeChanged', this.onVolumeChanged);
+    return { mic, targets };
+  }
+
+  handleMeters({ inputs }) {
+    const mic = inputs.find(i => i.inputName === this.mic);
+    if (!mic) return;
+
+    const now = Date.now();
+    this.level = peakDb(mic);
+    if (this.level >= this.options.threshold) {
+      this.lastTalking = now;
+      if (!this.ducked) this.setDucked(true);
+    } else if (this.ducked && now - this.lastTalking >= this.options.hold) {
+      this.setDucked(false);
+    }
+  }
+
+  // Someone moved a target's fader by hand: treat that as its new base level
+  handleVolumeChanged({ inputName, inputVolumeDb }) {
+    if (!this.baseVolumes.has(inputName)) return;
+    // Echoes of our own ramp steps can arrive after the next step was sent
+    const ours = (this.sentVolumes.get(inputName) || []).some(db => Math.abs(db - inputVolumeDb) < 0.05);
+    if (!ours) {
+      this.baseVolumes.set(inputName, inputVolumeDb - this.offset);
+    }
+  }
+
+  setDucked(ducked) {
+    this.ducked = ducked;
+    this.emit(ducked ? 'duck' : 'release', { level: this.level });
+    this.rampTo(ducked ? -this.options.amount : 0, ducked ? this.options.attack : this.options.release);
+  }
+
+  faderLevel(base) {
+    return Math.max(MIN_DB, base + this.offset);
+  }
+
+  rampTo(target, duration) {
+    clearInterval(this.ramp);
+    this.ramp = null;
+
+    const from = this.offset;
+    const startedAt = Date.now();
+    const step = () => {
+      const progress = duration > 0 ? Math.min(1, (Date.now() - startedAt) / duration) : 1;
+      this.offset = from + (target - from) * progress;
+      this.applyOffset();
+      if (progress >= 1 && this.ramp) {
+        clearInterval(this.ramp);
+        this.ramp = null;
+      }
+      return progress >= 1;
+    };
+
+    if (!step()) {
+      this.ramp = setInterval(step, RAMP_INTERVAL);
+    }
+  }
+
+  applyOffset() {
+    for (const [inputName, base] of this.baseVolumes) {
+      const volumeDb = this.faderLevel(base);
+      this.sentVolumes.set(inputName, [volumeDb, ...(this.sentVolumes.get(inputName) || [])].slice(0, 8));
+      this.obs.setVolume(inputName, volumeDb).catch(() => {});
+    }
+  }
+
+  // Stop listening and put every target back at its base level
+  async stop() {
+    this.obs.off('InputVolumeMeters', this.onMeters);
+    this.obs.off('InputVolumeChanged', this.onVolumeChanged);
+    clearInterval(this.ramp);
+    this.ramp = null;
+    this.offset = 0;
+    this.ducked = false;
+
+    await Promise.all([...this.baseVolumes].map(([inputName, base]) =>
+      this.obs.setVolume(inputName, base).catch(() => {})
+    ));
+  }
+}
+
+class AudioLevels {
+  /**
+   * @param {OBSMetrics} obs
+   * @param {Object} [options]
+   * @param {string} [options.mic] - Input to watch for muted/silent warnings (default: global Mic/Aux)
+   * @param {number} [options.silenceDb] - Mic peak below this counts as silence
+   * @param {number} [options.clipDb] - Peak at or above this counts as clipping
+   */
+  constructor(obs, options = {}) {
+    this.obs = obs;
+    this.options = {
+      mic: loadConfig().audio?.mic || loadConfig().audio?.ducking?.mic,
+      silenceDb: THRESHOLDS.audio.silenceDb,
+      clipDb: THRESHOLDS.audio.clipDb,
+      ...options
+    };
+    this.mic = null;
+    this.inputs = new Map(); // inputName -> { peakDb, updatedAt, clippedAt, muted }
+    this.lastMeters = 0;
+    this.lastHeard = 0;
+
+    this.onMeters = (data) => this.handleMeters(data);
+    this.onMuteChanged = (data) => this.handleMuteChanged(data);
+  }
+
+  async start() {
+    const mic = await this.obs.getMicInput(this.options.mic);
+    this.mic = mic;
+    this.lastHeard = Date.now();
+    this.inputs.set(mic, { peakDb: MIN_DB, updatedAt: 0, clippedAt: 0, muted: await this.obs.getMute(mic) });
+
+    await this.obs.enableVolumeMeters();
+    this.obs.on('InputVolumeMeters', this.onMeters);
+    this.obs.on('InputMuteStateChanged', this.onMuteChanged);
+    return { mic };
+  }
+
+  stop() {
+    this.obs.off('InputVolumeMeters', this.onMeters);
+    this.obs.off('InputMuteStateChanged', this.onMuteChanged);
+  }
+
+  handleMeters({ inputs }, now = Date.now()) {
+    this.lastMeters = now;
+
+    for (const input of inputs) {
+      const level = peakDb(input);
+      let entry = this.inputs.get(input.inputName);
+      if (!entry) {
+        entry = { peakDb: MIN_DB, updatedAt: now, clippedAt: 0, muted: null };
+        this.inputs.set(input.inputName, entry);
+        // Meters don't carry mute state; look it up once and follow the events after that
+        this.obs.getMute(input.inputName).then(muted => { entry.muted = muted; }).catch(() => {});
+      }
+
+      const fallen = entry.peakDb - PEAK_FALLOFF * (now - entry.updatedAt) / 1000;
+      entry.peakDb = Math.max(level, fallen, MIN_DB);
+      entry.updatedAt = now;
+      if (level >= this.options.clipDb) entry.clippedAt = now;
+
+      if (input.inputName === this.mic && level >= this.options.silenceDb) {
+        this.lastHeard = now;
+      }
+    }
+  }
+
+  handleMuteChanged({ inputName, inputMuted }, now = Date.now()) {
+    const entry = this.inputs.get(inputName);
+    if (entry) entry.muted = inputMuted;
+    // Time spent muted is reported as muted, not as silence
+    if (inputName === this.mic && !inputMuted) this.lastHeard = now;
+  }
+
+  /**
+   * Current levels for the monitor and analyzeMetrics
+   * @returns {Object|null} { inputs: [{ name, peakDb, muted }], mic: { name, muted, silentFor }, clipping: [names] }
+   *   or null when no meters have arrived recently
+   */
+  snapshot(now = Date.now()) {
+    if (!this.mic || now - this.lastMeters > METERS_STALE) return null;
+
+    const inputs = [...this.inputs].map(([name, entry]) => ({
+      name,
+      peakDb: Math.max(MIN_DB, entry.peakDb - PEAK_FALLOFF * (now - entry.updatedAt) / 1000),
+      muted: !!entry.muted
+    }));
+    const mic = this.inputs.get(this.mic);
+
+    return {
+      inputs,
+      mic: {
+        name: this.mic,
+        muted: !!mic.muted,
+        silentFor: mic.muted ? 0 : now - this.lastHeard
+      },
+      clipping: [...this.inputs]
+        .filter(([, entry]) => entry.clippedAt && now - entry.clippedAt <= CLIP_HOLD)
+        .map(([name]) => name)
+    };
+  }
+}
+
+module.exports = {
+  MIN_DB,
+  RAMP_INTERVAL,
+  DUCKING_DEFAULTS,
+  mulToDb,
+  dbToMul,
+  parseVolume,
+  parseDuration,
+  parseTransitionDuration,
+  formatVolume,
+  peakDb,
+  loadDuckingOptions,
+  Ducker,
+  AudioLevels
+};
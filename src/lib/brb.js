@@ -0,0 +1,130 @@
+/**
+ * Breaks (brb / back)
+ *
+ * brb switches to the BRB scene and mutes the mic; back restores the scene and
+ * mute state from before. The break is stored as a "brb" event in the stream
+ * database (detail: { scene, mic, muted, duration }) so back works from
+ * another terminal, and "back" events (detail: ms away) feed the report. end
+ * closes a break that is still open when the stream stops.
+ * Settings come from brb in obs.config.json:
+ *
+ *   "brb": { "scene": "BRB", "text": "BRB Timer", "format": "Back in {remaining}", "done": "Back soon" }
+ */
+
+const { loadConfig } = require('./config');
+const { parseDuration } = require('./audio');
+const { formatMediaTime } = require('./media');
+const { renderFormat } = require('./text-feed');
+
+const BRB_DEFAULTS = {
+  scene: 'BRB',
+  text: null,
+  // Default: "Back in {remaining}" with a duration, "Away for {elapsed}" without
+  format: null,
+  done: 'Back soon'
+};
+
+/**
+ * brb settings: defaults, audio.mic and brb from obs.config.json, then overrides
+ * @param {Object} [overrides] - e.g. { scene, text, duration: '5m' } from flags
+ */
+function loadBrbOptions(overrides = {}) {
+  const config = loadConfig();
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+  const options = { ...BRB_DEFAULTS, mic: config.audio?.mic, ...config.brb, ...defined };
+  return { ...options, durationMs: options.duration ? parseDuration(options.duration) : null };
+}
+
+/**
+ * The break in progress: the last brb event with no back event after it
+ * @param {StreamDatabase} db
+ * @returns {Object|null} { id, startedAt, scene, mic, muted, duration }
+ */
+function getBreak(db) {
+  const last = db.getLastEvent(['brb', 'back']);
+  if (!last || last.type !== 'brb') return null;
+  return { id: last.id, startedAt: new Date(last.timestamp).getTime(), ...JSON.parse(last.detail) };
+}
+
+/**
+ * Switch to the BRB scene, mute the mic and record the break
+ * @param {OBSMetrics} obs
+ * @param {StreamDatabase} db
+ * @param {Object} options - From loadBrbOptions
+ */
+async function startBreak(obs, db, options) {
+  if (getBreak(db)) {
+    throw new Error('Already on a break. Return with: npm run obs back');
+  }
+
+  const scene = await obs.getCurrentScene();
+  if (scene === options.scene) {
+    throw new Error(`Already on "${options.scene}"`);
+  }
+  const mic = await obs.getMicInput(options.mic);
+  const muted = await obs.getMute(mic);
+
+  await obs.switchScene(options.scene);
+  if (!muted) await obs.setMute(mic, true);
+
+  const state = { scene, mic, muted, duration: options.durationMs };
+  const id = db.recordEvent(db.getActiveSession()?.id, 'brb', JSON.stringify(state));
+  return { id, startedAt: Date.now(), ...state };
+}
+
+/**
+ * Restore the scene and mic from before the break
+ * @returns {Promise<Object>} The break, plus away (ms)
+ */
+async function endBreak(obs, db) {
+  const current = getBreak(db);
+  if (!current) {
+    throw new Error('Not on a break. Start one with: npm run obs brb');
+  }
+
+  await obs.switchScene(current.scene);
+  // Leave the mic muted if it was muted before the break
+  if (!current.muted) await obs.setMute(current.mic, false);
+
+  const away = Date.now() - current.startedAt;
+  db.recordEvent(db.getActiveSession()?.id, 'back', String(away));
+  return { ...current, away };
+}
+
+/**
+ * Close a break left open when the stream ends, so it doesn't carry over to
+ * the next stream. The scene and mic are left as they are.
+ * @returns {Object|null} The break, plus away (ms), or null when not on one
+ */
+function closeBreak(db, sessionId) {
+  const current = getBreak(db);
+  if (!current) return null;
+
+  const away = Date.now() - current.startedAt;
+  db.recordEvent(sessionId, 'back', String(away));
+  return { ...current, away };
+}
+
+/**
+ * Timer text for the BRB scene: counts down when the break has a duration,
+ * otherwise counts up
+ */
+function renderBreakText(current, options, now = Date.now()) {
+  if (current.duration) {
+    const remaining = current.startedAt + current.duration - now;
+    if (remaining <= 0) return options.done;
+    // Round up so the last second shows 0:01, not 0:00
+    return renderFormat(options.format || 'Back in {remaining}', { remaining: formatMediaTime(Math.ceil(remaining / 1000) * 1000) });
+  }
+  return renderFormat(options.format || 'Away for {elapsed}', { elapsed: formatMediaTime(Math.max(0, now - current.startedAt)) });
+}
+
+module.exports = {
+  BRB_DEFAULTS,
+  loadBrbOptions,
+  getBreak,
+  startBreak,
+  endBreak,
+  closeBreak,
+  renderBreakText
+};
@@ -0,0 +1,44 @@
+/**
+ * CLI Config
+ *
+ * Settings the CLI remembers between runs (overlay capture target, ...).
+ * Stored in obs.config.json next to stream.config.json, or at OBS_CONFIG.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function getConfigPath() {
+  return path.resolve(process.env.OBS_CONFIG || path.join(process.cwd(), 'obs.config.json'));
+}
+
+function loadConfig() {
+  const file = getConfigPath();
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read ${path.basename(file)}: ${e.message}`);
+  }
+}
+
+function saveConfig(config) {
+  const file = getConfigPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(config, null, 2) + '\n');
+}
+
+/**
+ * Merge values into one section of the config and save it
+ * @param {string} section - Top-level key, e.g. 'overlay'
+ * @param {Object} values
+ * @returns {Object} The updated section
+ */
+function updateConfig(section, values) {
+  const config = loadConfig();
+  config[section] = { ...config[section], ...values };
+  saveConfig(config);
+  return config[section];
+}
+
+module.exports = { getConfigPath, loadConfig, saveConfig, updateConfig };
@@ -9,7 +9,7 @@ class StreamDatabase {
       fs.mkdirSync(dataDir, { recursive: true });
     }
 
-    this.dbPath = dbPath || path.join(dataDir, 'streams.db');
+    this.dbPath = dbPath || process.env.OBS_STREAM_DB || path.join(dataDir, 'streams.db');
     this.db = new Database(this.dbPath);
     this.init();
   }
@@ -56,9 +56,44 @@ class StreamDatabase {
         FOREIGN KEY (session_id) REFERENCES sessions(id)
       );
 
+      CREATE TABLE IF NOT EXISTS recordings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        started_at TEXT NOT NULL,
+        ended_at TEXT,
+        output_path TEXT,
+        duration_ms INTEGER,
+        bytes INTEGER
+      );
+
+      CREATE TABLE IF NOT EXISTS events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id INTEGER,
+        timestamp TEXT NOT NULL,
+        type TEXT NOT NULL,
+        detail TEXT,
+        FOREIGN KEY (session_id) REFERENCES sessions(id)
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        dedupe_key TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at TEXT NOT NULL,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        delivered_at TEXT
+      );
+
       CREATE INDEX IF NOT EXISTS idx_metrics_session ON metrics(session_id);
       CREATE INDEX IF NOT EXISTS idx_metrics_timestamp ON metrics(timestamp);
       CREATE INDEX IF NOT EXISTS idx_errors_session ON errors(session_id);
+      CREATE INDEX IF NOT EXISTS idx_events_session ON events(session_id);
+      CREATE INDEX IF NOT EXISTS idx_webhook_due ON webhook_outbox(status, next_attempt_at);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_dedupe ON webhook_outbox(url, dedupe_key);
     `);
   }
 
@@ -87,17 +122,44 @@ class StreamDatabase {
     stmt.run(
       new Date().toISOString(),
       summary.duration,
-      summary.avgBitrate,
-      summary.totalFrames,
-      summary.droppedFrames,
-      summary.droppedPercent,
-      summary.peakCpu,
-      summary.peakMemory,
+      summary.avgBitrate ?? null,
+      summary.totalFrames ?? null,
+      summary.droppedFrames ?? null,
+      summary.droppedPercent ?? null,
+      summary.peakCpu ?? null,
+      summary.peakMemory ?? null,
       summary.errors,
       sessionId
     );
   }
 
+  /**
+   * End a session with a summary built from its recorded metrics and errors.
+   * Used by the monitor when the stream stops and by the end command.
+   * @param {number} sessionId
+   * @param {number} duration - Stream duration in ms, as OBS reports it
+   */
+  finalizeSession(sessionId, duration) {
+    const metrics = this.getSessionMetrics(sessionId);
+    const errors = this.getSessionErrors(sessionId).reduce((sum, e) => sum + e.count, 0);
+    if (metrics.length === 0) {
+      this.endSession(sessionId, { duration, errors });
+      return;
+    }
+
+    const last = metrics[metrics.length - 1];
+    this.endSession(sessionId, {
+      duration,
+      avgBitrate: metrics.reduce((a, m) => a + m.bitrate, 0) / metrics.length,
+      totalFrames: last.total_frames,
+      droppedFrames: last.dropped_frames,
+      droppedPercent: last.total_frames > 0 ? last.dropped_frames / last.total_frames * 100 : 0,
+      peakCpu: Math.max(...metrics.map(m => m.cpu_usage)),
+      peakMemory: Math.max(...metrics.map(m => m.memory_mb)),
+      errors
+    });
+  }
+
   recordMetric(sessionId, metric) {
     const stmt = this.db.prepare(`
       INSERT INTO metrics (
@@ -139,11 +201,107 @@ class StreamDatabase {
     }
   }
 
+  recordEvent(sessionId, type, detail, options = {}) {
+    // Unique events (e.g. a saved file) may be reported by both the CLI and the monitor
+    if (options.unique) {
+      const existing = this.db.prepare(`
+        SELECT id FROM events WHERE type = ? AND detail = ?
+      `).get(type, detail);
+      if (existing) return existing.id;
+    }
+
+    const result = this.db.prepare(`
+      INSERT INTO events (session_id, timestamp, type, detail)
+      VALUES (?, ?, ?, ?)
+    `).run(sessionId || null, new Date().toISOString(), type, detail);
+    return result.lastInsertRowid;
+  }
+
+  getSessionEvents(sessionId, type) {
+    if (type) {
+      return this.db.prepare(`
+        SELECT * FROM events WHERE session_id = ? AND type = ? ORDER BY timestamp
+      `).all(sessionId, type);
+    }
+    return this.db.prepare(`
+      SELECT * FROM events WHERE session_id = ? ORDER BY timestamp
+    `).all(sessionId);
+  }
+
+  // Most recent event of any of the given types, across sessions
+  getLastEvent(types) {
+    const list = [].concat(types);
+    return this.db.prepare(`
+      SELECT * FROM events WHERE type IN (${list.map(() => '?').join(', ')}) ORDER BY id DESC LIMIT 1
+    `).get(...list);
+  }
+
+  startRecording(outputPath) {
+    // CLI commands and the monitor can both see the same recording start
+    const open = this.db.prepare(`
+      SELECT id FROM recordings
+      WHERE ended_at IS NULL AND output_path IS ?
+      ORDER BY started_at DESC LIMIT 1
+    `).get(outputPath || null);
+    if (open) return open.id;
+
+    const result = this.db.prepare(`
+      INSERT INTO recordings (started_at, output_path) VALUES (?, ?)
+    `).run(new Date().toISOString(), outputPath || null);
+    return result.lastInsertRowid;
+  }
+
+  endRecording(outputPath, summary = {}) {
+    // Match the open recording by file, falling back to the latest open one
+    const open = this.db.prepare(`
+      SELECT id FROM recordings
+      WHERE ended_at IS NULL AND (output_path = ? OR ? IS NULL)
+      ORDER BY started_at DESC LIMIT 1
+    `).get(outputPath || null, outputPath || null) || this.db.prepare(`
+      SELECT id FROM recordings WHERE ended_at IS NULL ORDER BY started_at DESC LIMIT 1
+    `).get();
+    if (!open) return null;
+
+    this.db.prepare(`
+      UPDATE recordings SET
+        ended_at = ?,
+        output_path = COALESCE(output_path, ?),
+        duration_ms = ?,
+        bytes = ?
+      WHERE id = ?
+    `).run(
+      new Date().toISOString(),
+      outputPath || null,
+      summary.duration || null,
+      summary.bytes || null,
+      open.id
+    );
+    return open.id;
+  }
+
+  getSessionRecordings(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session) return [];
+
+    // Recordings overlapping the stream session's time range
+    return this.db.prepare(`
+      SELECT * FROM recordings
+      WHERE started_at <= ?
+      AND (ended_at IS NULL OR ended_at >= ?)
+      ORDER BY started_at
+    `).all(session.ended_at || new Date().toISOString(), session.started_at);
+  }
+
   getSession(sessionId) {
     return this.db.prepare(`SELECT * FROM sessions WHERE id = ?`).get(sessionId);
   }
 
-  getSessionMetrics(sessionId) {
+  getSessionMetrics(sessionId, since) {
+    if (since) {
+      return this.db.prepare(`
+        SELECT * FROM metrics WHERE session_id = ? AND timestamp >= ? ORDER BY timestamp
+      `).all(sessionId, since.toISOString());
+    }
     return this.db.prepare(`
       SELECT * FROM metrics WHERE session_id = ? ORDER BY timestamp
     `).all(sessionId);
@@ -236,6 +394,85 @@ class StreamDatabase {
     return Math.max(0, score);
   }
 
+  /**
+   * Queue a webhook delivery. With a dedupe key, an event already queued for
+   * the same URL (by the monitor or a CLI command) is not queued twice.
+   * @returns {number|null} Outbox id, or null for a duplicate
+   */
+  enqueueWebhook({ url, event, payload, dedupeKey }) {
+    const now = new Date().toISOString();
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO webhook_outbox (url, event, payload, dedupe_key, next_attempt_at, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(url, event, payload, dedupeKey || null, now, now);
+    return result.changes > 0 ? result.lastInsertRowid : null;
+  }
+
+  /**
+   * Take the pending deliveries that are due, pushing their next attempt back
+   * by leaseMs so a second process flushing at the same time skips them
+   */
+  claimDueWebhooks(leaseMs, limit = 50) {
+    const now = new Date();
+    const claim = this.db.transaction(() => {
+      const rows = this.db.prepare(`
+        SELECT * FROM webhook_outbox
+        WHERE status = 'pending' AND next_attempt_at <= ?
+        ORDER BY id LIMIT ?
+      `).all(now.toISOString(), limit);
+      const lease = this.db.prepare(`UPDATE webhook_outbox SET next_attempt_at = ? WHERE id = ?`);
+      const until = new Date(now.getTime() + leaseMs).toISOString();
+      for (const row of rows) lease.run(until, row.id);
+      return rows;
+    });
+    return claim.immediate();
+  }
+
+  markWebhookDelivered(id) {
+    this.db.prepare(`
+      UPDATE webhook_outbox SET
+        status = 'delivered', attempts = attempts + 1, delivered_at = ?, last_error = NULL
+      WHERE id = ?
+    `).run(new Date().toISOString(), id);
+  }
+
+  /**
+   * @param {number} id
+   * @param {string} error
+   * @param {Date|null} retryAt - null gives up on the delivery
+   */
+  markWebhookFailed(id, error, retryAt) {
+    this.db.prepare(`
+      UPDATE webhook_outbox SET
+        status = ?, attempts = attempts + 1, last_error = ?, next_attempt_at = COALESCE(?, next_attempt_at)
+      WHERE id = ?
+    `).run(retryAt ? 'pending' : 'failed', error, retryAt ? retryAt.toISOString() : null, id);
+  }
+
+  // Failed deliveries go back in the queue with a fresh set of attempts
+  retryFailedWebhooks() {
+    return this.db.prepare(`
+      UPDATE webhook_outbox SET status = 'pending', attempts = 0, next_attempt_at = ?
+      WHERE status = 'failed'
+    `).run(new Date().toISOString()).changes;
+  }
+
+  getWebhookCounts() {
+    const counts = { pending: 0, delivered: 0, failed: 0 };
+    for (const row of this.db.prepare(`
+      SELECT status, COUNT(*) AS count FROM webhook_outbox GROUP BY status
+    `).all()) {
+      counts[row.status] = row.count;
+    }
+    return counts;
+  }
+
+  getWebhookOutbox(status, limit = 10) {
+    return this.db.prepare(`
+      SELECT * FROM webhook_outbox WHERE status = ? ORDER BY id DESC LIMIT ?
+    `).all(status, limit);
+  }
+
   close() {
     this.db.close();
   }
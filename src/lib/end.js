@@ -0,0 +1,139 @@
+/**
+ * End-of-Stream Sequence
+ *
+ * Switch to the Ending scene, optionally raid another channel, wait out a
+ * delay (optionally counted down into a text source), stop the stream and
+ * finalise the session in the stream database, closing any break still open.
+ * Settings come from end in obs.config.json:
+ *
+ *   "end": { "scene": "Ending", "delay": "30s", "raid": "somefriend",
+ *            "text": "Ending Timer", "format": "Ending in {remaining}", "done": "Thanks for watching!" }
+ */
+
+const { loadConfig } = require('./config');
+const { parseDuration } = require('./audio');
+const { formatMediaTime } = require('./media');
+const { runCountdown } = require('./go-live');
+const { closeBreak } = require('./brb');
+
+const END_DEFAULTS = {
+  scene: 'Ending',
+  delay: '30s',
+  raid: null,
+  text: null,
+  format: 'Ending in {remaining}',
+  done: 'Thanks for watching!',
+  transition: null,
+  duration: undefined
+};
+
+/**
+ * end settings: defaults, then end from obs.config.json, then overrides
+ * @param {Object} [overrides] - e.g. from command line flags
+ */
+function loadEndOptions(overrides = {}) {
+  const config = loadConfig().end || {};
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+  const options = { ...END_DEFAULTS, ...config, ...defined };
+  return { ...options, delayMs: parseDuration(options.delay) };
+}
+
+/**
+ * @param {Object} options - From loadEndOptions
+ * @returns {Object[]} Steps for runSequence; they expect context { obs, twitch, db, signal, onTick }
+ *   and leave context.sessionId set to the session that was live when the stream stopped
+ */
+function buildEndSteps(options) {
+  const transition = [options.transition, options.duration !== undefined && `${options.duration}ms`].filter(Boolean).join(', ');
+
+  return [
+    {
+      id: 'ending-scene',
+      title: `Switch to "${options.scene}"${transition ? ` (${transition})` : ''}`,
+      async run({ obs }) {
+        const { stream } = await obs.getFullMetrics();
+        if (!stream.active) {
+          throw new Error('Stream is not running');
+        }
+        await obs.switchScene(options.scene, { transition: options.transition, duration: options.duration });
+        return options.scene;
+      }
+    },
+    {
+      id: 'raid',
+      title: options.raid ? `Raid ${options.raid}` : 'Raid',
+      skip: options.raid ? false : 'no --raid channel',
+      async run({ twitch }) {
+        if (!twitch.isConfigured()) {
+          throw new Error('Twitch credentials missing (~/twitch-secrets/.env)');
+        }
+        const { target } = await twitch.startRaid(options.raid);
+        return `raiding ${target}`;
+      }
+    },
+    {
+      id: 'delay',
+      title: `Wait ${formatMediaTime(options.delayMs)}${options.text ? ` (counting down in "${options.text}")` : ''}`,
+      skip: options.delayMs > 0 ? false : 'no delay',
+      async run({ obs, signal, onTick }) {
+        const text = options.text ? await obs.resolveTextInput(options.text) : null;
+        await runCountdown(obs, options.delayMs, {
+          text,
+          format: options.format,
+          done: options.done,
+          signal,
+          onTick
+        });
+        return formatMediaTime(options.delayMs);
+      }
+    },
+    {
+      id: 'stop-stream',
+      title: 'Stop streaming',
+      async run(context) {
+        const { obs } = context;
+        // Read the duration before OBS resets it
+        const { stream } = await obs.getFullMetrics();
+        context.duration = stream.duration;
+        // And the session, before the monitor can see the stop and finalise it
+        context.sessionId = context.db.getActiveSession()?.id ?? null;
+
+        const failed = new AbortController();
+        const stopped = obs.waitForEvent('StreamStateChanged',
+          (data) => data.outputState === 'OBS_WEBSOCKET_OUTPUT_STOPPED', 15000, failed.signal);
+        try {
+          await obs.stopStream();
+        } catch (error) {
+          failed.abort();
+          throw error;
+        }
+        if (!await stopped) {
+          throw new Error('Stream did not stop within 15s');
+        }
+        return 'offline';
+      }
+    },
+    {
+      id: 'finalize-session',
+      title: 'Finalise the stream session',
+      async run(context) {
+        closeBreak(context.db, context.sessionId);
+        if (!context.sessionId) {
+          return 'no session recorded (monitor not running)';
+        }
+        const session = context.db.getSession(context.sessionId);
+        if (session.ended_at) {
+          return `session ${session.id} (finalised by the monitor)`;
+        }
+        context.db.finalizeSession(session.id, context.duration || Date.now() - new Date(session.started_at).getTime());
+        return `session ${session.id}`;
+      }
+    }
+  ];
+}
+
+module.exports = {
+  END_DEFAULTS,
+  loadEndOptions,
+  buildEndSteps
+};
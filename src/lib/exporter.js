@@ -0,0 +1,228 @@
+/**
+ * Prometheus Exporter
+ *
+ * Serves OBS and Twitch health at /metrics in the Prometheus text format, for
+ * Grafana and friends. Scrapes are cached, so a fast scraper (or several)
+ * costs at most one OBS round trip per cache period and one Twitch call per
+ * twitchCache period. Settings come from exporter in obs.config.json:
+ *
+ *   "exporter": { "port": 9464, "host": "127.0.0.1", "cache": "5s", "twitchCache": "60s" }
+ *
+ * While OBS is down obs_up is 0 and the other obs_* series are left out, so
+ * graphs show a gap rather than zeros. twitch_up works the same way.
+ */
+
+const http = require('http');
+const EventEmitter = require('events');
+const { loadConfig } = require('./config');
+const { parseDuration } = require('./audio');
+
+const EXPORTER_DEFAULTS = {
+  port: 9464,
+  host: '127.0.0.1',
+  cache: '5s',
+  twitchCache: '60s'
+};
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Exporter settings: defaults, exporter from obs.config.json, then overrides
+ * @param {Object} [overrides] - e.g. { port, cache } from flags
+ */
+function loadExporterOptions(overrides = {}) {
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+  const options = { ...EXPORTER_DEFAULTS, ...loadConfig().exporter, ...defined };
+  const port = parseInt(options.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port "${options.port}"`);
+  }
+  return {
+    ...options,
+    port,
+    cacheMs: parseDuration(options.cache),
+    twitchCacheMs: parseDuration(options.twitchCache)
+  };
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+const num = (value) => {
+  const n = typeof value === 'boolean' ? Number(value) : parseFloat(value);
+  return Number.isFinite(n) ? n : 0;
+};
+
+/**
+ * Build the exposition text
+ * @param {Object} sample
+ * @param {Object|null} sample.metrics - From OBSMetrics.getFullMetrics(); null while OBS is down
+ * @param {Object|null} [sample.twitch] - { live, viewers, followers }; null when unavailable
+ * @param {boolean} [sample.twitchConfigured]
+ * @param {number} [sample.scrapeSeconds] - How long the OBS scrape took
+ * @returns {string}
+ */
+function renderMetrics({ metrics, twitch = null, twitchConfigured = false, scrapeSeconds }) {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) {
+      const text = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',');
+      lines.push(`${name}${text ? `{${text}}` : ''} ${value}`);
+    }
+  };
+  const gauge = (name, help, value) => metric(name, 'gauge', help, [[{}, num(value)]]);
+  const counter = (name, help, value) => metric(name, 'counter', help, [[{}, num(value)]]);
+
+  gauge('obs_up', 'Whether OBS answered the last scrape', metrics ? 1 : 0);
+  if (metrics) {
+    const { stream, record, system } = metrics;
+    metric('obs_scene_info', 'gauge', 'The current program scene', [[{ scene: metrics.scene }, 1]]);
+    gauge('obs_stream_active', 'Whether the stream output is live', stream.active);
+    gauge('obs_stream_reconnecting', 'Whether the stream output is reconnecting', stream.reconnecting);
+    gauge('obs_stream_duration_seconds', 'Time since the stream started', num(stream.duration) / 1000);
+    gauge('obs_stream_bitrate_kbps', 'Stream bitrate over the bitrate window', stream.bitrate);
+    gauge('obs_stream_lifetime_bitrate_kbps', 'Average stream bitrate since the stream started', stream.lifetimeBitrate);
+    gauge('obs_stream_dropped_frames_percent', 'Dropped frames over the bitrate window', stream.droppedPercent);
+    counter('obs_stream_dropped_frames_total', 'Frames dropped by the stream output (network)', stream.skippedFrames);
+    counter('obs_stream_frames_total', 'Frames sent by the stream output', stream.totalFrames);
+    counter('obs_stream_bytes_total', 'Bytes sent by the stream output', stream.bytes);
+    gauge('obs_stream_congestion', 'Stream output congestion, 0 to 1', stream.congestion);
+    gauge('obs_record_active', 'Whether recording is on', record.active);
+    gauge('obs_record_paused', 'Whether recording is paused', record.paused);
+    counter('obs_render_skipped_frames_total', 'Frames skipped by the renderer (GPU)', system.renderSkipped);
+    counter('obs_render_frames_total', 'Frames rendered', system.renderTotal);
+    gauge('obs_cpu_usage_percent', 'OBS CPU usage', system.cpuUsage);
+    gauge('obs_memory_usage_bytes', 'OBS memory usage', num(system.memoryUsage) * 1024 * 1024);
+    gauge('obs_active_fps', 'Frames per second OBS is rendering', system.fps);
+    // To whole microseconds, so 2.10 ms prints as 0.0021
+    gauge('obs_frame_render_time_seconds', 'Average time to render a frame', Math.round(num(system.frameRenderTime) * 1000) / 1e6);
+  }
+  if (scrapeSeconds !== undefined) {
+    gauge('obs_scrape_duration_seconds', 'How long the last OBS scrape took', scrapeSeconds);
+  }
+
+  if (twitchConfigured) {
+    gauge('twitch_up', 'Whether the Twitch API answered the last scrape', twitch ? 1 : 0);
+    if (twitch) {
+      gauge('twitch_live', 'Whether the channel is live on Twitch', twitch.live);
+      gauge('twitch_viewers', 'Current viewers on Twitch', twitch.viewers);
+      gauge('twitch_followers', 'Channel followers on Twitch', twitch.followers);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// One in-flight or recent result per key; failures are cached too so a down OBS isn't hammered
+function createCache() {
+  const entries = new Map();
+  return (key, ttl, load) => {
+    const entry = entries.get(key);
+    if (entry && Date.now() - entry.at < ttl) return entry.promise;
+    const promise = load();
+    entries.set(key, { at: Date.now(), promise });
+    promise.catch(() => {});
+    return promise;
+  };
+}
+
+class MetricsExporter extends EventEmitter {
+  /**
+   * @param {OBSMetrics} obs - Shared connection; create it with { reconnect: true }
+   * @param {Object} [options] - From loadExporterOptions
+   * @param {TwitchClient} [options.twitch] - Left out when not configured
+   */
+  constructor(obs, options = {}) {
+    super();
+    this.obs = obs;
+    this.twitch = options.twitch?.isConfigured() ? options.twitch : null;
+    this.port = options.port ?? EXPORTER_DEFAULTS.port;
+    this.host = options.host || EXPORTER_DEFAULTS.host;
+    this.cacheMs = options.cacheMs ?? parseDuration(EXPORTER_DEFAULTS.cache);
+    this.twitchCacheMs = options.twitchCacheMs ?? parseDuration(EXPORTER_DEFAULTS.twitchCache);
+    this.cached = createCache();
+    this.server = null;
+  }
+
+  scrapeObs() {
+    return this.cached('obs', this.cacheMs, async () => {
+      const started = process.hrtime.bigint();
+      try {
+        const metrics = await this.obs.getFullMetrics();
+        return { metrics, scrapeSeconds: Number(process.hrtime.bigint() - started) / 1e9 };
+      } catch (error) {
+        this.emit('scrape-error', { source: 'obs', error });
+        return { metrics: null };
+      }
+    });
+  }
+
+  scrapeTwitch() {
+    if (!this.twitch) return Promise.resolve(null);
+    return this.cached('twitch', this.twitchCacheMs, async () => {
+      try {
+        const [stream, followers] = await Promise.all([this.twitch.getStreamStatus(), this.twitch.getFollowerCount()]);
+        return { live: stream.live, viewers: stream.viewers || 0, followers };
+      } catch (error) {
+        this.emit('scrape-error', { source: 'twitch', error });
+        return null;
+      }
+    });
+  }
+
+  /**
+   * @returns {Promise<string>} The /metrics body
+   */
+  async collect() {
+    const [obs, twitch] = await Promise.all([this.scrapeObs(), this.scrapeTwitch()]);
+    return renderMetrics({ ...obs, twitch, twitchConfigured: !!this.twitch });
+  }
+
+  async handle(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    let status = 200;
+    if (pathname === '/metrics' && req.method === 'GET') {
+      const body = await this.collect();
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(body);
+    } else if (pathname === '/' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('OBS exporter - metrics at /metrics\n');
+    } else {
+      status = 404;
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+    }
+    this.emit('request', { method: req.method, path: pathname, status });
+  }
+
+  /**
+   * @returns {Promise<number>} The port the server listens on
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(`${error.message}\n`);
+      });
+    });
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+    return this.port;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const closed = new Promise(resolve => this.server.close(resolve));
+    this.server.closeAllConnections();
+    await closed;
+    this.server = null;
+  }
+}
+
+module.exports = { EXPORTER_DEFAULTS, loadExporterOptions, renderMetrics, MetricsExporter };
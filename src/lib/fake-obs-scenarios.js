@@ -0,0 +1,85 @@
+/**
+ * Fake OBS Scenarios
+ *
+ * Timed scripts for the fake OBS server. Each step runs once the simulated
+ * clock reaches `at` (ms since the server started):
+ *
+ *   { at: 30000, action: 'set', state: { stream: { bitrate: 800 } } }
+ *
+ * Actions: set (deep-merge into the model), startStream, stopStream,
+ * startRecord, stopRecord, setScene (sceneName), setMute (inputName,
+ * inputMuted), dropConnections, exit.
+ * A scenario file is a JSON array of steps or { "steps": [...] }.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SCENARIOS = {
+  idle: [],
+
+  live: [
+    { at: 0, action: 'startStream' }
+  ],
+
+  'bitrate-collapse': [
+    { at: 0, action: 'startStream' },
+    { at: 30000, action: 'set', state: { stream: { bitrate: 900, dropRate: 0.08, congestion: 0.8 } } },
+    { at: 150000, action: 'set', state: { stream: { bitrate: 6000, dropRate: 0, congestion: 0 } } }
+  ],
+
+  reconnecting: [
+    { at: 0, action: 'startStream' },
+    { at: 20000, action: 'set', state: { stream: { reconnecting: true, congestion: 1 } } },
+    { at: 35000, action: 'set', state: { stream: { reconnecting: false, congestion: 0 } } }
+  ],
+
+  'cpu-spike': [
+    { at: 0, action: 'startStream' },
+    { at: 10000, action: 'set', state: { stats: { cpuUsage: 96, activeFps: 48, averageFrameRenderTime: 21 } } },
+    { at: 40000, action: 'set', state: { stats: { cpuUsage: 14, activeFps: 60, averageFrameRenderTime: 2.1 } } }
+  ],
+
+  // Mic input level (dBFS) rising and falling, for ducking and audio warnings
+  talking: [
+    { at: 0, action: 'startStream' },
+    { at: 5000, action: 'set', state: { inputs: { 'Mic/Aux': { level: -14 } } } },
+    { at: 12000, action: 'set', state: { inputs: { 'Mic/Aux': { level: -55 } } } },
+    { at: 20000, action: 'set', state: { inputs: { 'Mic/Aux': { level: -10 } } } },
+    { at: 24000, action: 'set', state: { inputs: { 'Mic/Aux': { level: -55 } } } }
+  ],
+
+  // Muted mic, then an unmuted but dead one, then a clipping one
+  'dead-mic': [
+    { at: 0, action: 'startStream' },
+    { at: 5000, action: 'setMute', inputName: 'Mic/Aux', inputMuted: true },
+    { at: 20000, action: 'setMute', inputName: 'Mic/Aux', inputMuted: false },
+    { at: 20000, action: 'set', state: { inputs: { 'Mic/Aux': { level: -100 } } } },
+    { at: 70000, action: 'set', state: { inputs: { 'Mic/Aux': { level: 0 } } } },
+    { at: 80000, action: 'set', state: { inputs: { 'Mic/Aux': { level: -14 } } } }
+  ],
+
+  'obs-restart': [
+    { at: 0, action: 'startStream' },
+    { at: 20000, action: 'exit' }
+  ]
+};
+
+function getScenario(scenario) {
+  if (!scenario) return [];
+  if (Array.isArray(scenario)) return scenario;
+
+  if (SCENARIOS[scenario]) {
+    return SCENARIOS[scenario];
+  }
+
+  const file = path.resolve(scenario);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Unknown scenario "${scenario}". Built-in: ${Object.keys(SCENARIOS).join(', ')}`);
+  }
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return Array.isArray(data) ? data : data.steps || [];
+}
+
+module.exports = { SCENARIOS, getScenario };
@@ -0,0 +1,1371 @@
+/**
+ * Fake OBS WebSocket Server
+ *
+ * A scriptable stand-in for OBS that speaks the obs-websocket v5 protocol
+ * (Hello/Identify/Request/Event) over the JSON or MessagePack subprotocols
+ * (obs-websocket-js picks MessagePack when loaded via require). It keeps an
+ * in-memory model of scenes, inputs, stream state and stats so the CLI and
+ * OBSMetrics can be exercised on a machine without OBS.
+ *
+ * Time is simulated: call advance(ms) to move the clock forward (tests), or
+ * start with { realtime: true } to tick along with the wall clock.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { WebSocketServer } = require('ws');
+const msgpack = require('@msgpack/msgpack');
+const { getScenario } = require('./fake-obs-scenarios');
+
+const CODECS = {
+  'obswebsocket.json': {
+    encode: (message) => JSON.stringify(message),
+    decode: (raw) => JSON.parse(raw.toString())
+  },
+  'obswebsocket.msgpack': {
+    encode: (message) => msgpack.encode(message),
+    decode: (raw) => msgpack.decode(raw)
+  }
+};
+const RPC_VERSION = 1;
+
+const OpCode = {
+  Hello: 0,
+  Identify: 1,
+  Identified: 2,
+  Reidentify: 3,
+  Event: 5,
+  Request: 6,
+  RequestResponse: 7,
+  RequestBatch: 8,
+  RequestBatchResponse: 9
+};
+
+// Subset of obs-websocket RequestStatus codes used by the handlers
+const Status = {
+  Success: 100,
+  MissingRequestType: 203,
+  UnknownRequestType: 204,
+  MissingRequestField: 300,
+  InvalidRequestField: 400,
+  OutputRunning: 500,
+  OutputNotRunning: 501,
+  OutputPaused: 502,
+  OutputNotPaused: 503,
+  ResourceNotFound: 600,
+  ResourceAlreadyExists: 601,
+  InvalidResourceState: 604,
+  InvalidInputKind: 605,
+  StudioModeNotActive: 506
+};
+
+// EventSubscription bit each event belongs to
+const EVENT_INTENTS = {
+  ExitStarted: 1,
+  CurrentProgramSceneChanged: 4,
+  CurrentPreviewSceneChanged: 4,
+  SceneListChanged: 4,
+  SceneCreated: 4,
+  SceneRemoved: 4,
+  InputCreated: 8,
+  InputRemoved: 8,
+  InputMuteStateChanged: 8,
+  InputVolumeChanged: 8,
+  InputSettingsChanged: 8,
+  CurrentSceneTransitionChanged: 16,
+  CurrentSceneTransitionDurationChanged: 16,
+  SceneTransitionStarted: 16,
+  SceneTransitionEnded: 16,
+  SourceFilterCreated: 32,
+  SourceFilterSettingsChanged: 32,
+  SourceFilterRemoved: 32,
+  SourceFilterEnableStateChanged: 32,
+  StreamStateChanged: 64,
+  RecordStateChanged: 64,
+  RecordFileChanged: 64,
+  ReplayBufferStateChanged: 64,
+  ReplayBufferSaved: 64,
+  MediaInputPlaybackStarted: 256,
+  MediaInputPlaybackEnded: 256,
+  MediaInputActionTriggered: 256,
+  SceneItemCreated: 128,
+  SceneItemRemoved: 128,
+  SceneItemEnableStateChanged: 128,
+  StudioModeStateChanged: 1024,
+  InputVolumeMeters: 65536
+};
+
+const DEFAULT_SUBSCRIPTIONS = 2047;
+
+class FakeRequestError extends Error {
+  constructor(code, comment) {
+    super(comment);
+    this.code = code;
+  }
+}
+
+const MEDIA_KINDS = ['ffmpeg_source', 'vlc_source'];
+
+// 1x1 PNG returned for every screenshot
+const PLACEHOLDER_IMAGE = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const IMAGE_FORMATS = ['png', 'jpg', 'jpeg', 'bmp', 'webp'];
+
+function createDefaultState() {
+  return {
+    video: {
+      baseWidth: 1920,
+      baseHeight: 1080,
+      outputWidth: 1920,
+      outputHeight: 1080,
+      fpsNumerator: 60,
+      fpsDenominator: 1
+    },
+    scenes: [
+      {
+        sceneName: 'Main',
+        items: [
+          { sceneItemId: 1, sourceName: 'Webcam', enabled: true },
+          { sceneItemId: 2, sourceName: 'Terminal', enabled: true },
+          { sceneItemId: 3, sourceName: 'Mic/Aux', enabled: true }
+        ]
+      },
+      { sceneName: 'Starting Soon', items: [] },
+      { sceneName: 'BRB', items: [] },
+      { sceneName: 'Ending', items: [] }
+    ],
+    sceneCollection: 'Untitled',
+    currentProgramScene: 'Main',
+    // Only set while studio mode is on
+    currentPreviewScene: null,
+    studioMode: false,
+    transitions: [
+      { transitionName: 'Cut', transitionKind: 'cut_transition', transitionFixed: true, transitionConfigurable: false },
+      { transitionName: 'Fade', transitionKind: 'fade_transition', transitionFixed: false, transitionConfigurable: false },
+      { transitionName: 'Swipe', transitionKind: 'swipe_transition', transitionFixed: false, transitionConfigurable: true }
+    ],
+    currentTransition: 'Fade',
+    transitionDuration: 300,
+    inputs: {
+      'Webcam': { inputKind: 'v4l2_input', inputSettings: {} },
+      'Terminal': {
+        inputKind: 'xcomposite_input',
+        inputSettings: { capture_window: 'Terminal', capture_audio: false }
+      },
+      // level is the incoming signal in dBFS, before the fader
+      'Mic/Aux': { inputKind: 'pulse_input_capture', inputSettings: {}, muted: false, volumeDb: 0, level: -55 },
+      'Desktop Audio': { inputKind: 'pulse_output_capture', inputSettings: {}, muted: false, volumeDb: -6, level: -18 }
+    },
+    specialInputs: {
+      desktop1: 'Desktop Audio',
+      desktop2: null,
+      mic1: 'Mic/Aux',
+      mic2: null,
+      mic3: null,
+      mic4: null
+    },
+    // Capturable windows listed by window/xcomposite capture properties
+    windows: [
+      { itemName: 'Terminal', itemValue: '\r\nTerminal\r\ngnome-terminal-server' },
+      { itemName: 'nvim ~/code/obs-twitch', itemValue: '\r\nnvim ~/code/obs-twitch\r\nkitty' },
+      { itemName: 'Mozilla Firefox', itemValue: '\r\nMozilla Firefox\r\nfirefox' }
+    ],
+    filters: {},
+    stream: {
+      active: false,
+      reconnecting: false,
+      duration: 0,
+      bytes: 0,
+      skippedFrames: 0,
+      totalFrames: 0,
+      congestion: 0,
+      // Simulation knobs: target kbps and fraction of frames dropped
+      bitrate: 6000,
+      dropRate: 0
+    },
+    record: {
+      active: false,
+      paused: false,
+      duration: 0,
+      bytes: 0,
+      outputPath: null,
+      directory: '/home/streamer/Videos',
+      // Simulation knob: recording kbps
+      bitrate: 12000
+    },
+    replayBuffer: {
+      active: false,
+      lastReplayPath: null
+    },
+    stats: {
+      cpuUsage: 12.5,
+      memoryUsage: 512,
+      availableDiskSpace: 100000,
+      activeFps: 60,
+      averageFrameRenderTime: 2.1,
+      renderSkippedFrames: 0,
+      renderTotalFrames: 0,
+      outputSkippedFrames: 0,
+      outputTotalFrames: 0
+    }
+  };
+}
+
+function mergeDeep(target, patch) {
+  for (const [key, value] of Object.entries(patch)) {
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        target[key] && typeof target[key] === 'object') {
+      mergeDeep(target[key], value);
+    } else {
+      target[key] = value;
+    }
+  }
+  return target;
+}
+
+function formatTimecode(ms) {
+  const pad = (n, len = 2) => String(Math.floor(n)).padStart(len, '0');
+  return `${pad(ms / 3600000)}:${pad((ms / 60000) % 60)}:${pad((ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+class FakeOBS extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.port] - Port to listen on (0 picks a free port)
+   * @param {string} [options.password] - Require obs-websocket authentication
+   * @param {string|Object[]} [options.scenario] - Built-in scenario name, JSON file path, or step list
+   * @param {Object} [options.state] - Patch merged over the default in-memory model
+   */
+  constructor(options = {}) {
+    super();
+    this.port = options.port || 0;
+    this.password = options.password || null;
+    this.state = mergeDeep(createDefaultState(), options.state || {});
+    this.steps = getScenario(options.scenario)
+      .map(step => ({ ...step }))
+      .sort((a, b) => a.at - b.at);
+    this.clock = 0;
+    this.server = null;
+    this.clients = new Set();
+    this.ticker = null;
+    this.nextSceneItemId = 100;
+    this.recordingCount = 0;
+    this.replayCount = 0;
+    this.requestLog = [];
+  }
+
+  async start({ realtime = false } = {}) {
+    this.server = new WebSocketServer({
+      port: this.port,
+      handleProtocols: (protocols) => [...protocols].find(p => CODECS[p]) || false
+    });
+    this.server.on('connection', (socket) => this.handleConnection(socket));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('listening', resolve);
+      this.server.once('error', reject);
+    });
+    this.port = this.server.address().port;
+
+    // Steps scheduled at t=0 apply immediately
+    this.advance(0);
+
+    if (realtime) {
+      let last = Date.now();
+      this.ticker = setInterval(() => {
+        const now = Date.now();
+        this.advance(now - last);
+        last = now;
+      }, 250);
+    }
+
+    return this.port;
+  }
+
+  async stop() {
+    if (this.ticker) {
+      clearInterval(this.ticker);
+      this.ticker = null;
+    }
+    if (!this.server) return;
+
+    for (const client of this.clients) {
+      client.socket.terminate();
+    }
+    this.clients.clear();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  get url() {
+    return `ws://localhost:${this.port}`;
+  }
+
+  // ---- Simulation -------------------------------------------------------
+
+  advance(ms) {
+    const target = this.clock + ms;
+
+    // Step through due scenario steps in order so state changes land at their time
+    for (const step of this.steps) {
+      if (step.done || step.at > target) continue;
+      this.tick(step.at - this.clock);
+      this.runStep(step);
+      step.done = true;
+    }
+
+    this.tick(target - this.clock);
+  }
+
+  tick(ms) {
+    if (ms <= 0) return;
+    this.clock += ms;
+
+    const { stream, record, stats } = this.state;
+    const fps = stats.activeFps;
+    const frames = fps * ms / 1000;
+
+    stats.renderTotalFrames += Math.round(frames);
+
+    if (stream.active) {
+      stream.duration += ms;
+      if (!stream.reconnecting) {
+        stream.bytes += Math.round(stream.bitrate * 1024 / 8 * ms / 1000);
+        stream.totalFrames += Math.round(frames);
+        stream.skippedFrames += Math.round(frames * stream.dropRate);
+      }
+    }
+
+    if (record.active && !record.paused) {
+      record.duration += ms;
+      record.bytes += Math.round(record.bitrate * 1024 / 8 * ms / 1000);
+    }
+
+    this.tickMedia(ms);
+
+    this.emitVolumeMeters();
+  }
+
+  // Play media inputs forward, ending (or looping) at their duration
+  tickMedia(ms) {
+    for (const [inputName, input] of Object.entries(this.state.inputs)) {
+      const { media } = input;
+      if (!media || media.state !== 'OBS_MEDIA_STATE_PLAYING') continue;
+
+      media.cursor += ms;
+      if (media.cursor < media.duration) continue;
+      if (input.inputSettings.looping) {
+        media.cursor %= media.duration;
+      } else {
+        media.cursor = media.duration;
+        media.state = 'OBS_MEDIA_STATE_ENDED';
+        this.broadcast('MediaInputPlaybackEnded', { inputName });
+      }
+    }
+  }
+
+  // Post-fader stereo levels as [magnitude, peak, inputPeak] multipliers, like OBS
+  emitVolumeMeters() {
+    const inputs = Object.entries(this.state.inputs)
+      .filter(([, input]) => input.volumeDb !== undefined)
+      .map(([inputName, input]) => {
+        const signal = Math.pow(10, (input.level ?? -60) / 20);
+        const output = input.muted ? 0 : signal * Math.pow(10, input.volumeDb / 20);
+        const channel = [output * 0.7, output, signal];
+        return { inputName, inputLevelsMul: [channel, [...channel]] };
+      });
+    this.broadcast('InputVolumeMeters', { inputs });
+  }
+
+  runStep(step) {
+    const { action = 'set' } = step;
+    this.emit('step', step);
+
+    switch (action) {
+      case 'set':
+        this.setState(step.state || {});
+        break;
+      case 'startStream':
+        this.startStream();
+        break;
+      case 'stopStream':
+        this.stopStream();
+        break;
+      case 'startRecord':
+        this.startRecord();
+        break;
+      case 'stopRecord':
+        this.stopRecord();
+        break;
+      case 'setScene':
+        this.setScene(step.sceneName);
+        break;
+      case 'setMute':
+        this.setMute(step.inputName, step.inputMuted);
+        break;
+      case 'dropConnections':
+        this.dropConnections();
+        break;
+      case 'exit':
+        this.exit();
+        break;
+      default:
+        throw new Error(`Unknown scenario action "${action}"`);
+    }
+  }
+
+  setState(patch) {
+    const wasReconnecting = this.state.stream.reconnecting;
+    mergeDeep(this.state, patch);
+
+    const { stream } = this.state;
+    if (stream.active && wasReconnecting !== stream.reconnecting) {
+      this.broadcast('StreamStateChanged', {
+        outputActive: true,
+        outputState: stream.reconnecting
+          ? 'OBS_WEBSOCKET_OUTPUT_RECONNECTING'
+          : 'OBS_WEBSOCKET_OUTPUT_RECONNECTED'
+      });
+    }
+  }
+
+  startStream() {
+    const { stream } = this.state;
+    if (stream.active) {
+      throw new FakeRequestError(Status.OutputRunning, 'The stream output is already active.');
+    }
+    Object.assign(stream, { active: true, reconnecting: false, duration: 0, bytes: 0, skippedFrames: 0, totalFrames: 0 });
+    this.broadcast('StreamStateChanged', { outputActive: false, outputState: 'OBS_WEBSOCKET_OUTPUT_STARTING' });
+    this.broadcast('StreamStateChanged', { outputActive: true, outputState: 'OBS_WEBSOCKET_OUTPUT_STARTED' });
+  }
+
+  stopStream() {
+    const { stream } = this.state;
+    if (!stream.active) {
+      throw new FakeRequestError(Status.OutputNotRunning, 'The stream output is not active.');
+    }
+    Object.assign(stream, { active: false, reconnecting: false });
+    this.broadcast('StreamStateChanged', { outputActive: true, outputState: 'OBS_WEBSOCKET_OUTPUT_STOPPING' });
+    this.broadcast('StreamStateChanged', { outputActive: false, outputState: 'OBS_WEBSOCKET_OUTPUT_STOPPED' });
+  }
+
+  nextRecordingPath() {
+    this.recordingCount++;
+    return `${this.state.record.directory}/fake-recording-${this.recordingCount}.mkv`;
+  }
+
+  startRecord() {
+    const { record } = this.state;
+    if (record.active) {
+      throw new FakeRequestError(Status.OutputRunning, 'The record output is already active.');
+    }
+    Object.assign(record, { active: true, paused: false, duration: 0, bytes: 0, outputPath: this.nextRecordingPath() });
+    this.broadcast('RecordStateChanged', { outputActive: false, outputState: 'OBS_WEBSOCKET_OUTPUT_STARTING', outputPath: null });
+    this.broadcast('RecordStateChanged', { outputActive: true, outputState: 'OBS_WEBSOCKET_OUTPUT_STARTED', outputPath: record.outputPath });
+  }
+
+  stopRecord() {
+    const { record } = this.state;
+    if (!record.active) {
+      throw new FakeRequestError(Status.OutputNotRunning, 'The record output is not active.');
+    }
+    const outputPath = record.outputPath;
+    Object.assign(record, { active: false, paused: false });
+    this.broadcast('RecordStateChanged', { outputActive: true, outputState: 'OBS_WEBSOCKET_OUTPUT_STOPPING', outputPath: null });
+    this.broadcast('RecordStateChanged', { outputActive: false, outputState: 'OBS_WEBSOCKET_OUTPUT_STOPPED', outputPath });
+    return outputPath;
+  }
+
+  // Transitions finish instantly; only the events are simulated
+  setScene(sceneName) {
+    this.findScene(sceneName);
+    const transitionName = this.state.currentTransition;
+    this.broadcast('SceneTransitionStarted', { transitionName });
+    this.state.currentProgramScene = sceneName;
+    this.broadcast('CurrentProgramSceneChanged', { sceneName });
+    this.broadcast('SceneTransitionEnded', { transitionName });
+  }
+
+  setPreviewScene(sceneName) {
+    this.findScene(sceneName);
+    this.state.currentPreviewScene = sceneName;
+    this.broadcast('CurrentPreviewSceneChanged', { sceneName });
+  }
+
+  requireStudioMode() {
+    if (!this.state.studioMode) {
+      throw new FakeRequestError(Status.StudioModeNotActive, 'Studio mode is not active.');
+    }
+  }
+
+  findTransition(transitionName) {
+    const transition = this.state.transitions.find(t => t.transitionName === transitionName);
+    if (!transition) {
+      throw new FakeRequestError(Status.ResourceNotFound, `No transition was found by the name of \`${transitionName}\`.`);
+    }
+    return transition;
+  }
+
+  setMute(inputName, muted) {
+    const input = this.findAudioInput(inputName);
+    input.muted = muted;
+    this.broadcast('InputMuteStateChanged', { inputName, inputMuted: muted });
+  }
+
+  dropConnections() {
+    for (const client of this.clients) {
+      client.socket.close(1001, 'Server stopping');
+    }
+  }
+
+  exit() {
+    this.broadcast('ExitStarted', {});
+    this.dropConnections();
+  }
+
+  // ---- Model lookups ----------------------------------------------------
+
+  findScene(sceneName) {
+    const scene = this.state.scenes.find(s => s.sceneName === sceneName);
+    if (!scene) {
+      throw new FakeRequestError(Status.ResourceNotFound, `No source was found by the name of \`${sceneName}\`.`);
+    }
+    return scene;
+  }
+
+  findInput(inputName) {
+    const input = this.state.inputs[inputName];
+    if (!input) {
+      throw new FakeRequestError(Status.ResourceNotFound, `No source was found by the name of \`${inputName}\`.`);
+    }
+    return input;
+  }
+
+  // Only inputs with a volume in the model have audio
+  findAudioInput(inputName) {
+    const input = this.findInput(inputName);
+    if (input.volumeDb === undefined) {
+      throw new FakeRequestError(Status.InvalidResourceState, 'The specified input does not support audio.');
+    }
+    return input;
+  }
+
+  findSceneItem(sceneName, sceneItemId) {
+    const item = this.findScene(sceneName).items.find(i => i.sceneItemId === sceneItemId);
+    if (!item) {
+      throw new FakeRequestError(Status.ResourceNotFound, `No scene items were found in scene \`${sceneName}\` with the ID \`${sceneItemId}\`.`);
+    }
+    return item;
+  }
+
+  findSourceFilters(sourceName) {
+    if (!this.state.inputs[sourceName] && !this.state.scenes.some(s => s.sceneName === sourceName)) {
+      throw new FakeRequestError(Status.ResourceNotFound, `No source was found by the name of \`${sourceName}\`.`);
+    }
+    if (!this.state.filters[sourceName]) {
+      this.state.filters[sourceName] = [];
+    }
+    return this.state.filters[sourceName];
+  }
+
+  findMediaInput(inputName) {
+    const input = this.findInput(inputName);
+    if (!input.media) {
+      throw new FakeRequestError(Status.InvalidInputKind, 'The specified input is not a media input.');
+    }
+    return input.media;
+  }
+
+  findFilter(sourceName, filterName) {
+    const filter = this.findSourceFilters(sourceName).find(f => f.filterName === filterName);
+    if (!filter) {
+      throw new FakeRequestError(Status.ResourceNotFound, `No filter was found in the source \`${sourceName}\` with the name \`${filterName}\`.`);
+    }
+    return filter;
+  }
+
+  requireFields(data, ...fields) {
+    for (const field of fields) {
+      if (data[field] === undefined) {
+        throw new FakeRequestError(Status.MissingRequestField, `Your request is missing the \`${field}\` field.`);
+      }
+    }
+  }
+
+  // ---- Protocol ---------------------------------------------------------
+
+  handleConnection(socket) {
+    const client = {
+      socket,
+      codec: CODECS[socket.protocol],
+      identified: false,
+      eventSubscriptions: DEFAULT_SUBSCRIPTIONS
+    };
+    this.clients.add(client);
+
+    const hello = { obsWebSocketVersion: '5.5.0', rpcVersion: RPC_VERSION };
+    if (this.password) {
+      client.challenge = crypto.randomBytes(32).toString('base64');
+      client.salt = crypto.randomBytes(32).toString('base64');
+      hello.authentication = { challenge: client.challenge, salt: client.salt };
+    }
+    this.send(client, OpCode.Hello, hello);
+
+    socket.on('message', (raw) => {
+      let message;
+      try {
+        message = client.codec.decode(raw);
+      } catch (e) {
+        socket.close(4002, 'Message could not be decoded');
+        return;
+      }
+      this.handleMessage(client, message);
+    });
+
+    socket.on('close', () => {
+      this.clients.delete(client);
+    });
+  }
+
+  handleMessage(client, { op, d = {} }) {
+    if (op === OpCode.Identify) {
+      if (this.password && !this.checkAuthentication(client, d.authentication)) {
+        client.socket.close(4009, 'Authentication failed.');
+        return;
+      }
+      client.identified = true;
+      if (d.eventSubscriptions !== undefined) {
+        client.eventSubscriptions = d.eventSubscriptions;
+      }
+      this.send(client, OpCode.Identified, { negotiatedRpcVersion: RPC_VERSION });
+      return;
+    }
+
+    if (!client.identified) {
+      client.socket.close(4007, 'Not identified');
+      return;
+    }
+
+    if (op === OpCode.Reidentify) {
+      if (d.eventSubscriptions !== undefined) {
+        client.eventSubscriptions = d.eventSubscriptions;
+      }
+      this.send(client, OpCode.Identified, { negotiatedRpcVersion: RPC_VERSION });
+      return;
+    }
+
+    if (op === OpCode.Request) {
+      this.send(client, OpCode.RequestResponse, {
+        requestId: d.requestId,
+        ...this.processRequest(d.requestType, d.requestData || {})
+      });
+      return;
+    }
+
+    if (op === OpCode.RequestBatch) {
+      const results = [];
+      for (const request of d.requests || []) {
+        const result = this.processRequest(request.requestType, request.requestData || {});
+        results.push({ requestId: request.requestId, ...result });
+        if (d.haltOnFailure && !result.requestStatus.result) break;
+      }
+      this.send(client, OpCode.RequestBatchResponse, { requestId: d.requestId, results });
+    }
+  }
+
+  checkAuthentication(client, authentication) {
+    const hash = (value) => crypto.createHash('sha256').update(value).digest('base64');
+    const secret = hash(this.password + client.salt);
+    return authentication === hash(secret + client.challenge);
+  }
+
+  processRequest(requestType, requestData) {
+    this.requestLog.push({ requestType, requestData });
+    this.emit('request', { requestType, requestData });
+
+    if (!requestType) {
+      return { requestType, requestStatus: { result: false, code: Status.MissingRequestType } };
+    }
+
+    const handler = this.requests[requestType];
+    if (!handler) {
+      return {
+        requestType,
+        requestStatus: { result: false, code: Status.UnknownRequestType, comment: 'Your request type is not valid.' }
+      };
+    }
+
+    try {
+      const responseData = handler.call(this, requestData);
+      return {
+        requestType,
+        requestStatus: { result: true, code: Status.Success },
+        ...(responseData ? { responseData } : {})
+      };
+    } catch (error) {
+      if (!(error instanceof FakeRequestError)) throw error;
+      return {
+        requestType,
+        requestStatus: { result: false, code: error.code, comment: error.message }
+      };
+    }
+  }
+
+  send(client, op, d) {
+    if (client.socket.readyState === client.socket.OPEN) {
+      client.socket.send(client.codec.encode({ op, d }));
+    }
+  }
+
+  broadcast(eventType, eventData) {
+    const eventIntent = EVENT_INTENTS[eventType] || 0;
+    this.emit('event', { eventType, eventData });
+
+    for (const client of this.clients) {
+      if (client.identified && (client.eventSubscriptions & eventIntent)) {
+        this.send(client, OpCode.Event, { eventType, eventIntent, eventData });
+      }
+    }
+  }
+}
+
+// Request handlers, called with `this` bound to the FakeOBS instance
+FakeOBS.prototype.requests = {
+  GetVersion() {
+    return {
+      obsVersion: '30.0.0',
+      obsWebSocketVersion: '5.5.0',
+      rpcVersion: RPC_VERSION,
+      availableRequests: Object.keys(this.requests),
+      supportedImageFormats: IMAGE_FORMATS
+    };
+  },
+
+  GetStats() {
+    const { stats, stream } = this.state;
+    return {
+      ...stats,
+      outputSkippedFrames: stream.skippedFrames,
+      outputTotalFrames: stream.totalFrames
+    };
+  },
+
+  GetVideoSettings() {
+    return { ...this.state.video };
+  },
+
+  GetStreamStatus() {
+    const { stream } = this.state;
+    return {
+      outputActive: stream.active,
+      outputReconnecting: stream.reconnecting,
+      outputTimecode: formatTimecode(stream.duration),
+      outputDuration: stream.duration,
+      outputCongestion: stream.congestion,
+      outputBytes: stream.bytes,
+      outputSkippedFrames: stream.skippedFrames,
+      outputTotalFrames: stream.totalFrames
+    };
+  },
+
+  StartStream() {
+    this.startStream();
+  },
+
+  StopStream() {
+    this.stopStream();
+  },
+
+  ToggleStream() {
+    const active = !this.state.stream.active;
+    if (active) this.startStream(); else this.stopStream();
+    return { outputActive: active };
+  },
+
+  GetRecordStatus() {
+    const { record } = this.state;
+    return {
+      outputActive: record.active,
+      outputPaused: record.paused,
+      outputTimecode: formatTimecode(record.duration),
+      outputDuration: record.duration,
+      outputBytes: record.bytes
+    };
+  },
+
+  GetRecordDirectory() {
+    return { recordDirectory: this.state.record.directory };
+  },
+
+  StartRecord() {
+    this.startRecord();
+  },
+
+  StopRecord() {
+    return { outputPath: this.stopRecord() };
+  },
+
+  ToggleRecord() {
+    const active = !this.state.record.active;
+    if (active) this.startRecord(); else this.stopRecord();
+    return { outputActive: active };
+  },
+
+  PauseRecord() {
+    const { record } = this.state;
+    if (!record.active) {
+      throw new FakeRequestError(Status.OutputNotRunning, 'The record output is not active.');
+    }
+    if (record.paused) {
+      throw new FakeRequestError(Status.OutputPaused, 'The record output is already paused.');
+    }
+    record.paused = true;
+    this.broadcast('RecordStateChanged', { outputActive: true, outputState: 'OBS_WEBSOCKET_OUTPUT_PAUSED', outputPath: null });
+  },
+
+  ResumeRecord() {
+    const { record } = this.state;
+    if (!record.active) {
+      throw new FakeRequestError(Status.OutputNotRunning, 'The record output is not active.');
+    }
+    if (!record.paused) {
+      throw new FakeRequestError(Status.OutputNotPaused, 'The record output is not paused.');
+    }
+    record.paused = false;
+    this.broadcast('RecordStateChanged', { outputActive: true, outputState: 'OBS_WEBSOCKET_OUTPUT_RESUMED', outputPath: null });
+  },
+
+  SplitRecordFile() {
+    const { record } = this.state;
+    if (!record.active) {
+      throw new FakeRequestError(Status.OutputNotRunning, 'The record output is not active.');
+    }
+    record.outputPath = this.nextRecordingPath();
+    this.broadcast('RecordFileChanged', { newOutputPath: record.outputPath });
+  },
+
+  GetReplayBufferStatus() {
+    return { outputActive: this.state.replayBuffer.active };
+  },
+
+  StartReplayBuffer() {
+    const { replayBuffer } = this.state;
+    if (replayBuffer.active) {
+      throw new FakeRequestError(Status.OutputRunning, 'The replay buffer output is already active.');
+    }
+    replayBuffer.active = true;
+    this.broadcast('ReplayBufferStateChanged', { outputActive: true, outputState: 'OBS_WEBSOCKET_OUTPUT_STARTED' });
+  },
+
+  StopReplayBuffer() {
+    const { replayBuffer } = this.state;
+    if (!replayBuffer.active) {
+      throw new FakeRequestError(Status.OutputNotRunning, 'The replay buffer output is not active.');
+    }
+    replayBuffer.active = false;
+    this.broadcast('ReplayBufferStateChanged', { outputActive: false, outputState: 'OBS_WEBSOCKET_OUTPUT_STOPPED' });
+  },
+
+  SaveReplayBuffer() {
+    const { replayBuffer } = this.state;
+    if (!replayBuffer.active) {
+      throw new FakeRequestError(Status.OutputNotRunning, 'The replay buffer output is not active.');
+    }
+    this.replayCount++;
+    replayBuffer.lastReplayPath = `${this.state.record.directory}/Replay-${this.replayCount}.mkv`;
+    this.broadcast('ReplayBufferSaved', { savedReplayPath: replayBuffer.lastReplayPath });
+  },
+
+  GetLastReplayBufferReplay() {
+    return { savedReplayPath: this.state.replayBuffer.lastReplayPath };
+  },
+
+  GetSceneCollectionList() {
+    return {
+      currentSceneCollectionName: this.state.sceneCollection,
+      sceneCollections: [this.state.sceneCollection]
+    };
+  },
+
+  CreateScene(data) {
+    this.requireFields(data, 'sceneName');
+    if (this.state.scenes.some(s => s.sceneName === data.sceneName) || this.state.inputs[data.sceneName]) {
+      throw new FakeRequestError(Status.ResourceAlreadyExists, 'A source already exists by that scene name.');
+    }
+    this.state.scenes.push({ sceneName: data.sceneName, items: [] });
+    this.broadcast('SceneCreated', { sceneName: data.sceneName, isGroup: false });
+  },
+
+  RemoveScene(data) {
+    this.requireFields(data, 'sceneName');
+    const scene = this.findScene(data.sceneName);
+    this.state.scenes.splice(this.state.scenes.indexOf(scene), 1);
+    delete this.state.filters[data.sceneName];
+    this.broadcast('SceneRemoved', { sceneName: data.sceneName, isGroup: false });
+  },
+
+  GetSceneList() {
+    const { scenes, currentProgramScene, currentPreviewScene } = this.state;
+    return {
+      currentProgramSceneName: currentProgramScene,
+      currentPreviewSceneName: currentPreviewScene,
+      // OBS lists scenes bottom-up
+      scenes: scenes.map((s, i) => ({ sceneName: s.sceneName, sceneIndex: scenes.length - 1 - i })).reverse()
+    };
+  },
+
+  GetCurrentProgramScene() {
+    return { currentProgramSceneName: this.state.currentProgramScene };
+  },
+
+  SetCurrentProgramScene(data) {
+    this.requireFields(data, 'sceneName');
+    this.setScene(data.sceneName);
+  },
+
+  GetStudioModeEnabled() {
+    return { studioModeEnabled: this.state.studioMode };
+  },
+
+  SetStudioModeEnabled(data) {
+    this.requireFields(data, 'studioModeEnabled');
+    if (data.studioModeEnabled === this.state.studioMode) return;
+    this.state.studioMode = data.studioModeEnabled;
+    // OBS opens studio mode with the program scene in preview
+    this.state.currentPreviewScene = data.studioModeEnabled ? this.state.currentProgramScene : null;
+    this.broadcast('StudioModeStateChanged', { studioModeEnabled: data.studioModeEnabled });
+  },
+
+  GetCurrentPreviewScene() {
+    this.requireStudioMode();
+    return { currentPreviewSceneName: this.state.currentPreviewScene };
+  },
+
+  SetCurrentPreviewScene(data) {
+    this.requireFields(data, 'sceneName');
+    this.requireStudioMode();
+    this.setPreviewScene(data.sceneName);
+  },
+
+  // Swaps preview and program, like OBS with "swap preview/program" on
+  TriggerStudioModeTransition() {
+    this.requireStudioMode();
+    const { currentProgramScene, currentPreviewScene } = this.state;
+    this.setScene(currentPreviewScene);
+    this.setPreviewScene(currentProgramScene);
+  },
+
+  GetSceneTransitionList() {
+    const current = this.findTransition(this.state.currentTransition);
+    return {
+      currentSceneTransitionName: current.transitionName,
+      currentSceneTransitionKind: current.transitionKind,
+      transitions: this.state.transitions.map(t => ({ ...t }))
+    };
+  },
+
+  GetCurrentSceneTransition() {
+    const current = this.findTransition(this.state.currentTransition);
+    return {
+      ...current,
+      transitionDuration: current.transitionFixed ? null : this.state.transitionDuration,
+      transitionSettings: current.transitionConfigurable ? {} : null
+    };
+  },
+
+  SetCurrentSceneTransition(data) {
+    this.requireFields(data, 'transitionName');
+    this.state.currentTransition = this.findTransition(data.transitionName).transitionName;
+    this.broadcast('CurrentSceneTransitionChanged', { transitionName: data.transitionName });
+  },
+
+  SetCurrentSceneTransitionDuration(data) {
+    this.requireFields(data, 'transitionDuration');
+    if (data.transitionDuration < 50 || data.transitionDuration > 20000) {
+      throw new FakeRequestError(Status.InvalidRequestField, 'The field value of `transitionDuration` is out of range.');
+    }
+    this.state.transitionDuration = data.transitionDuration;
+    this.broadcast('CurrentSceneTransitionDurationChanged', { transitionDuration: data.transitionDuration });
+  },
+
+  GetSceneItemList(data) {
+    this.requireFields(data, 'sceneName');
+    const scene = this.findScene(data.sceneName);
+    return {
+      sceneItems: scene.items.map((item, index) => ({
+        sceneItemId: item.sceneItemId,
+        sceneItemIndex: index,
+        sceneItemEnabled: item.enabled,
+        sceneItemLocked: false,
+        sceneItemTransform: item.transform || {},
+        sourceName: item.sourceName,
+        sourceType: 'OBS_SOURCE_TYPE_INPUT',
+        inputKind: this.state.inputs[item.sourceName]?.inputKind || null,
+        isGroup: null
+      }))
+    };
+  },
+
+  GetSceneItemId(data) {
+    this.requireFields(data, 'sceneName', 'sourceName');
+    const item = this.findScene(data.sceneName).items.find(i => i.sourceName === data.sourceName);
+    if (!item) {
+      throw new FakeRequestError(Status.ResourceNotFound, 'No scene items were found in the specified scene by that name or offset.');
+    }
+    return { sceneItemId: item.sceneItemId };
+  },
+
+  CreateSceneItem(data) {
+    this.requireFields(data, 'sceneName', 'sourceName');
+    const scene = this.findScene(data.sceneName);
+    if (!this.state.inputs[data.sourceName]) {
+      this.findScene(data.sourceName);
+    }
+    const sceneItemId = this.nextSceneItemId++;
+    scene.items.push({ sceneItemId, sourceName: data.sourceName, enabled: data.sceneItemEnabled !== false });
+    this.broadcast('SceneItemCreated', { sceneName: data.sceneName, sourceName: data.sourceName, sceneItemId });
+    return { sceneItemId };
+  },
+
+  RemoveSceneItem(data) {
+    this.requireFields(data, 'sceneName', 'sceneItemId');
+    const scene = this.findScene(data.sceneName);
+    const item = this.findSceneItem(data.sceneName, data.sceneItemId);
+    scene.items.splice(scene.items.indexOf(item), 1);
+    this.broadcast('SceneItemRemoved', { sceneName: data.sceneName, sourceName: item.sourceName, sceneItemId: item.sceneItemId });
+  },
+
+  SetSceneItemEnabled(data) {
+    this.requireFields(data, 'sceneName', 'sceneItemId', 'sceneItemEnabled');
+    const item = this.findSceneItem(data.sceneName, data.sceneItemId);
+    item.enabled = data.sceneItemEnabled;
+    this.broadcast('SceneItemEnableStateChanged', {
+      sceneName: data.sceneName,
+      sceneItemId: data.sceneItemId,
+      sceneItemEnabled: data.sceneItemEnabled
+    });
+  },
+
+  GetSceneItemTransform(data) {
+    this.requireFields(data, 'sceneName', 'sceneItemId');
+    const item = this.findSceneItem(data.sceneName, data.sceneItemId);
+    return { sceneItemTransform: { ...item.transform } };
+  },
+
+  SetSceneItemTransform(data) {
+    this.requireFields(data, 'sceneName', 'sceneItemId', 'sceneItemTransform');
+    const item = this.findSceneItem(data.sceneName, data.sceneItemId);
+    item.transform = { ...item.transform, ...data.sceneItemTransform };
+  },
+
+  SetSceneItemIndex(data) {
+    this.requireFields(data, 'sceneName', 'sceneItemId', 'sceneItemIndex');
+    const scene = this.findScene(data.sceneName);
+    const item = this.findSceneItem(data.sceneName, data.sceneItemId);
+    scene.items.splice(scene.items.indexOf(item), 1);
+    scene.items.splice(data.sceneItemIndex, 0, item);
+  },
+
+  GetInputList(data) {
+    return {
+      inputs: Object.entries(this.state.inputs)
+        .filter(([, input]) => !data.inputKind || input.inputKind === data.inputKind)
+        .map(([inputName, input]) => ({
+          inputName,
+          inputKind: input.inputKind,
+          unversionedInputKind: input.inputKind.replace(/_v\d+$/, '')
+        }))
+    };
+  },
+
+  GetSpecialInputs() {
+    return { ...this.state.specialInputs };
+  },
+
+  CreateInput(data) {
+    this.requireFields(data, 'sceneName', 'inputName', 'inputKind');
+    const scene = this.findScene(data.sceneName);
+    if (this.state.inputs[data.inputName]) {
+      throw new FakeRequestError(Status.ResourceAlreadyExists, 'A source already exists by that input name.');
+    }
+    this.state.inputs[data.inputName] = {
+      inputKind: data.inputKind,
+      inputSettings: { ...data.inputSettings },
+      // Audio capture kinds get a mixer channel
+      ...(/^(pulse|wasapi|coreaudio|alsa|jack)_|audio/.test(data.inputKind) ? { muted: false, volumeDb: 0 } : {}),
+      // Media kinds play a simulated file (duration is a knob, in ms)
+      ...(MEDIA_KINDS.includes(data.inputKind) ? { media: { state: 'OBS_MEDIA_STATE_STOPPED', cursor: 0, duration: 30000 } } : {})
+    };
+    const sceneItemId = this.nextSceneItemId++;
+    scene.items.push({ sceneItemId, sourceName: data.inputName, enabled: data.sceneItemEnabled !== false });
+    this.broadcast('InputCreated', { inputName: data.inputName, inputKind: data.inputKind });
+    return { sceneItemId };
+  },
+
+  RemoveInput(data) {
+    this.requireFields(data, 'inputName');
+    this.findInput(data.inputName);
+    delete this.state.inputs[data.inputName];
+    for (const scene of this.state.scenes) {
+      scene.items = scene.items.filter(i => i.sourceName !== data.inputName);
+    }
+    this.broadcast('InputRemoved', { inputName: data.inputName });
+  },
+
+  GetInputSettings(data) {
+    this.requireFields(data, 'inputName');
+    const input = this.findInput(data.inputName);
+    return { inputKind: input.inputKind, inputSettings: { ...input.inputSettings } };
+  },
+
+  SetInputSettings(data) {
+    this.requireFields(data, 'inputName', 'inputSettings');
+    const input = this.findInput(data.inputName);
+    input.inputSettings = data.overlay === false
+      ? { ...data.inputSettings }
+      : { ...input.inputSettings, ...data.inputSettings };
+    this.broadcast('InputSettingsChanged', { inputName: data.inputName, inputSettings: input.inputSettings });
+  },
+
+  GetInputPropertiesListPropertyItems(data) {
+    this.requireFields(data, 'inputName', 'propertyName');
+    this.findInput(data.inputName);
+    if (!['window', 'capture_window'].includes(data.propertyName)) {
+      throw new FakeRequestError(Status.ResourceNotFound, 'Unable to find a property by that name.');
+    }
+    return {
+      propertyItems: this.state.windows.map(w => ({ itemName: w.itemName, itemEnabled: true, itemValue: w.itemValue }))
+    };
+  },
+
+  PressInputPropertiesButton(data) {
+    this.requireFields(data, 'inputName', 'propertyName');
+    this.findInput(data.inputName);
+  },
+
+  GetInputMute(data) {
+    this.requireFields(data, 'inputName');
+    const input = this.findAudioInput(data.inputName);
+    return { inputMuted: !!input.muted };
+  },
+
+  SetInputMute(data) {
+    this.requireFields(data, 'inputName', 'inputMuted');
+    this.setMute(data.inputName, data.inputMuted);
+  },
+
+  ToggleInputMute(data) {
+    this.requireFields(data, 'inputName');
+    const muted = !this.findAudioInput(data.inputName).muted;
+    this.setMute(data.inputName, muted);
+    return { inputMuted: muted };
+  },
+
+  GetInputVolume(data) {
+    this.requireFields(data, 'inputName');
+    const { volumeDb } = this.findAudioInput(data.inputName);
+    return { inputVolumeDb: volumeDb, inputVolumeMul: Math.pow(10, volumeDb / 20) };
+  },
+
+  SetInputVolume(data) {
+    this.requireFields(data, 'inputName');
+    const input = this.findAudioInput(data.inputName);
+    if (data.inputVolumeDb !== undefined) {
+      input.volumeDb = data.inputVolumeDb;
+    } else if (data.inputVolumeMul !== undefined) {
+      input.volumeDb = data.inputVolumeMul > 0 ? 20 * Math.log10(data.inputVolumeMul) : -100;
+    } else {
+      throw new FakeRequestError(Status.MissingRequestField, 'You must specify one volume parameter.');
+    }
+    this.broadcast('InputVolumeChanged', {
+      inputName: data.inputName,
+      inputVolumeDb: input.volumeDb,
+      inputVolumeMul: Math.pow(10, input.volumeDb / 20)
+    });
+  },
+
+  GetInputAudioSyncOffset(data) {
+    this.requireFields(data, 'inputName');
+    return { inputAudioSyncOffset: this.findAudioInput(data.inputName).syncOffset ?? 0 };
+  },
+
+  SetInputAudioSyncOffset(data) {
+    this.requireFields(data, 'inputName', 'inputAudioSyncOffset');
+    this.findAudioInput(data.inputName).syncOffset = data.inputAudioSyncOffset;
+  },
+
+  GetInputAudioMonitorType(data) {
+    this.requireFields(data, 'inputName');
+    return { monitorType: this.findAudioInput(data.inputName).monitorType ?? 'OBS_MONITORING_TYPE_NONE' };
+  },
+
+  SetInputAudioMonitorType(data) {
+    this.requireFields(data, 'inputName', 'monitorType');
+    this.findAudioInput(data.inputName).monitorType = data.monitorType;
+  },
+
+  GetInputAudioBalance(data) {
+    this.requireFields(data, 'inputName');
+    return { inputAudioBalance: this.findAudioInput(data.inputName).balance ?? 0.5 };
+  },
+
+  SetInputAudioBalance(data) {
+    this.requireFields(data, 'inputName', 'inputAudioBalance');
+    this.findAudioInput(data.inputName).balance = data.inputAudioBalance;
+  },
+
+  GetInputAudioTracks(data) {
+    this.requireFields(data, 'inputName');
+    const tracks = this.findAudioInput(data.inputName).tracks;
+    return { inputAudioTracks: tracks || { 1: true, 2: false, 3: false, 4: false, 5: false, 6: false } };
+  },
+
+  SetInputAudioTracks(data) {
+    this.requireFields(data, 'inputName', 'inputAudioTracks');
+    const input = this.findAudioInput(data.inputName);
+    input.tracks = { ...this.requests.GetInputAudioTracks.call(this, data).inputAudioTracks, ...data.inputAudioTracks };
+  },
+
+  GetSourceScreenshot(data) {
+    this.requireFields(data, 'sourceName', 'imageFormat');
+    if (!this.state.inputs[data.sourceName]) {
+      this.findScene(data.sourceName);
+    }
+    if (!IMAGE_FORMATS.includes(data.imageFormat)) {
+      throw new FakeRequestError(Status.InvalidRequestField, 'Your specified image format is invalid or not supported by this system.');
+    }
+    for (const field of ['imageWidth', 'imageHeight']) {
+      if (data[field] !== undefined && (data[field] < 8 || data[field] > 4096)) {
+        throw new FakeRequestError(Status.InvalidRequestField, `The field value of \`${field}\` is out of range.`);
+      }
+    }
+    return { imageData: `data:image/${data.imageFormat};base64,${PLACEHOLDER_IMAGE}` };
+  },
+
+  GetMediaInputStatus(data) {
+    this.requireFields(data, 'inputName');
+    const media = this.findMediaInput(data.inputName);
+    const known = media.state !== 'OBS_MEDIA_STATE_STOPPED' && media.state !== 'OBS_MEDIA_STATE_NONE';
+    return {
+      mediaState: media.state,
+      mediaDuration: known ? media.duration : null,
+      mediaCursor: known ? media.cursor : null
+    };
+  },
+
+  TriggerMediaInputAction(data) {
+    this.requireFields(data, 'inputName', 'mediaAction');
+    const media = this.findMediaInput(data.inputName);
+    const action = data.mediaAction.replace('OBS_WEBSOCKET_MEDIA_INPUT_ACTION_', '');
+    const wasPlaying = ['OBS_MEDIA_STATE_PLAYING', 'OBS_MEDIA_STATE_PAUSED'].includes(media.state);
+
+    switch (action) {
+      case 'PLAY':
+        if (!wasPlaying) media.cursor = 0;
+        media.state = 'OBS_MEDIA_STATE_PLAYING';
+        break;
+      case 'PAUSE':
+        if (media.state === 'OBS_MEDIA_STATE_PLAYING') media.state = 'OBS_MEDIA_STATE_PAUSED';
+        break;
+      case 'STOP':
+        media.state = 'OBS_MEDIA_STATE_STOPPED';
+        media.cursor = 0;
+        break;
+      case 'RESTART':
+        media.state = 'OBS_MEDIA_STATE_PLAYING';
+        media.cursor = 0;
+        break;
+      case 'NEXT':
+      case 'PREVIOUS':
+      case 'NONE':
+        break;
+      default:
+        throw new FakeRequestError(Status.InvalidRequestField, 'The field value of `mediaAction` is invalid.');
+    }
+
+    this.broadcast('MediaInputActionTriggered', { inputName: data.inputName, mediaAction: data.mediaAction });
+    if (action === 'RESTART' || (action === 'PLAY' && !wasPlaying)) {
+      this.broadcast('MediaInputPlaybackStarted', { inputName: data.inputName });
+    }
+  },
+
+  SetMediaInputCursor(data) {
+    this.requireFields(data, 'inputName', 'mediaCursor');
+    const media = this.findMediaInput(data.inputName);
+    media.cursor = Math.max(0, Math.min(media.duration, data.mediaCursor));
+  },
+
+  OffsetMediaInputCursor(data) {
+    this.requireFields(data, 'inputName', 'mediaCursorOffset');
+    const media = this.findMediaInput(data.inputName);
+    media.cursor = Math.max(0, Math.min(media.duration, media.cursor + data.mediaCursorOffset));
+  },
+
+  GetSourceFilterList(data) {
+    this.requireFields(data, 'sourceName');
+    return {
+      filters: this.findSourceFilters(data.sourceName).map((f, index) => ({ ...f, filterIndex: index }))
+    };
+  },
+
+  GetSourceFilter(data) {
+    this.requireFields(data, 'sourceName', 'filterName');
+    const filters = this.findSourceFilters(data.sourceName);
+    const index = filters.findIndex(f => f.filterName === data.filterName);
+    if (index === -1) {
+      throw new FakeRequestError(Status.ResourceNotFound, `No filter was found in the source \`${data.sourceName}\` with the name \`${data.filterName}\`.`);
+    }
+    const { filterName, ...filter } = filters[index];
+    return { ...filter, filterIndex: index };
+  },
+
+  CreateSourceFilter(data) {
+    this.requireFields(data, 'sourceName', 'filterName', 'filterKind');
+    const filters = this.findSourceFilters(data.sourceName);
+    if (filters.some(f => f.filterName === data.filterName)) {
+      throw new FakeRequestError(Status.ResourceAlreadyExists, 'A filter already exists by that name.');
+    }
+    filters.push({
+      filterName: data.filterName,
+      filterKind: data.filterKind,
+      filterEnabled: true,
+      filterSettings: { ...data.filterSettings }
+    });
+    this.broadcast('SourceFilterCreated', { sourceName: data.sourceName, filterName: data.filterName, filterKind: data.filterKind });
+  },
+
+  SetSourceFilterEnabled(data) {
+    this.requireFields(data, 'sourceName', 'filterName', 'filterEnabled');
+    const filter = this.findFilter(data.sourceName, data.filterName);
+    filter.filterEnabled = data.filterEnabled;
+    this.broadcast('SourceFilterEnableStateChanged', data);
+  },
+
+  RemoveSourceFilter(data) {
+    this.requireFields(data, 'sourceName', 'filterName');
+    const filters = this.findSourceFilters(data.sourceName);
+    filters.splice(filters.indexOf(this.findFilter(data.sourceName, data.filterName)), 1);
+    this.broadcast('SourceFilterRemoved', { sourceName: data.sourceName, filterName: data.filterName });
+  },
+
+  SetSourceFilterIndex(data) {
+    this.requireFields(data, 'sourceName', 'filterName', 'filterIndex');
+    const filters = this.findSourceFilters(data.sourceName);
+    const filter = this.findFilter(data.sourceName, data.filterName);
+    filters.splice(filters.indexOf(filter), 1);
+    filters.splice(data.filterIndex, 0, filter);
+  },
+
+  SetSourceFilterSettings(data) {
+    this.requireFields(data, 'sourceName', 'filterName', 'filterSettings');
+    const filter = this.findFilter(data.sourceName, data.filterName);
+    filter.filterSettings = data.overlay === false
+      ? { ...data.filterSettings }
+      : { ...filter.filterSettings, ...data.filterSettings };
+    this.broadcast('SourceFilterSettingsChanged', { sourceName: data.sourceName, filterName: data.filterName, filterSettings: filter.filterSettings });
+  }
+};
+
+FakeOBS.FakeRequestError = FakeRequestError;
+FakeOBS.Status = Status;
+
+module.exports = FakeOBS;
@@ -0,0 +1,133 @@
+/**
+ * Source Filter Presets
+ *
+ * Short names for the filters people toggle most, so `filter add Mic noise`
+ * or a macro step doesn't need OBS's internal kind names. Anything with an
+ * underscore is passed through as a raw filterKind (e.g. gain_filter).
+ */
+
+const FILTER_PRESETS = {
+  noise: {
+    name: 'Noise Suppression',
+    kind: 'noise_suppress_filter_v2',
+    settings: { method: 'rnnoise', suppress_level: -30 }
+  },
+  compressor: {
+    name: 'Compressor',
+    kind: 'compressor_filter',
+    settings: { ratio: 10, threshold: -18, attack_time: 6, release_time: 60, output_gain: 0 }
+  },
+  limiter: {
+    name: 'Limiter',
+    kind: 'limiter_filter',
+    settings: { threshold: -6, release_time: 60 }
+  },
+  gain: {
+    name: 'Gain',
+    kind: 'gain_filter',
+    settings: { db: 0 }
+  },
+  color: {
+    name: 'Color Correction',
+    kind: 'color_filter_v2',
+    settings: { gamma: 0, contrast: 0, brightness: 0, saturation: 0, hue_shift: 0, opacity: 1 }
+  },
+  chroma: {
+    name: 'Chroma Key',
+    kind: 'chroma_key_filter_v2',
+    settings: { key_color_type: 'green', similarity: 400, smoothness: 80, spill: 100 }
+  }
+};
+
+const PRESET_ALIASES = {
+  'noise-suppression': 'noise',
+  'noise-suppress': 'noise',
+  'color-correction': 'color',
+  'chroma-key': 'chroma',
+  'green-screen': 'chroma'
+};
+
+/**
+ * Look up a preset by name or alias
+ * @returns {Object|null} { preset, name, kind, settings }
+ */
+function getPreset(name) {
+  const key = PRESET_ALIASES[name.toLowerCase()] || name.toLowerCase();
+  const preset = FILTER_PRESETS[key];
+  return preset ? { preset: key, ...preset, settings: { ...preset.settings } } : null;
+}
+
+/**
+ * Resolve "noise", "chroma-key" or a raw kind like "gain_filter"
+ * @returns {Object} { preset, name, kind, settings } - preset is null for raw kinds
+ */
+function resolveFilterKind(value) {
+  const preset = getPreset(value);
+  if (preset) return preset;
+
+  if (value.includes('_')) {
+    return { preset: null, name: null, kind: value, settings: {} };
+  }
+  throw new Error(`Unknown filter "${value}". Presets: ${Object.keys(FILTER_PRESETS).join(', ')} (or an OBS kind like gain_filter)`);
+}
+
+// "12" -> 12, "true" -> true, '{"a":1}' -> object, anything else stays a string
+function parseValue(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value !== '' && !isNaN(Number(value))) return Number(value);
+  if (/^[[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (e) {}
+  }
+  return value;
+}
+
+/**
+ * Parse key=value pairs (or a single JSON object) into filter settings
+ * @param {string[]} args - e.g. ['similarity=350', 'key_color_type=blue']
+ */
+function parseSettings(args) {
+  if (args.length === 1 && args[0].trim().startsWith('{')) {
+    try {
+      return JSON.parse(args[0]);
+    } catch (e) {
+      throw new Error(`Invalid settings JSON: ${e.message}`);
+    }
+  }
+
+  const settings = {};
+  for (const arg of args) {
+    const eq = arg.indexOf('=');
+    if (eq <= 0) {
+      throw new Error(`Invalid setting "${arg}". Use key=value`);
+    }
+    settings[arg.slice(0, eq).trim()] = parseValue(arg.slice(eq + 1).trim());
+  }
+  return settings;
+}
+
+/**
+ * Find a filter on a source by exact name, preset kind, then partial name
+ * @param {Object[]} filters - From GetSourceFilterList
+ * @param {string} query - Filter name, part of it, or a preset name
+ */
+function findFilter(filters, query) {
+  const lower = query.toLowerCase();
+  const preset = getPreset(query);
+
+  return filters.find(f => f.filterName === query) ||
+    filters.find(f => f.filterName.toLowerCase() === lower) ||
+    (preset && filters.find(f => f.filterKind === preset.kind)) ||
+    filters.find(f => f.filterName.toLowerCase().includes(lower)) ||
+    null;
+}
+
+module.exports = {
+  FILTER_PRESETS,
+  getPreset,
+  resolveFilterKind,
+  parseSettings,
+  findFilter
+};
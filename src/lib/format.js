@@ -0,0 +1,29 @@
+/**
+ * Formatting Helpers
+ *
+ * Small text helpers shared by commands: file-safe names for captures and
+ * backups, and the before/after values in backup and layout diffs.
+ */
+
+const chalk = require('chalk');
+
+/**
+ * @param {string} name - e.g. a source or scene collection name
+ * @param {string} [fallback] - Used when nothing file-safe is left
+ * @returns {string} Lowercase words joined by dashes
+ */
+function slugify(name, fallback = '') {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || fallback;
+}
+
+/**
+ * @param {*} value - A setting value from a diff (undefined when unset)
+ * @returns {string} Its JSON, cut to 60 characters
+ */
+function formatValue(value) {
+  if (value === undefined) return chalk.gray('(unset)');
+  const text = JSON.stringify(value);
+  return text.length > 60 ? text.slice(0, 57) + '...' : text;
+}
+
+module.exports = { slugify, formatValue };
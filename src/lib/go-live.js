@@ -0,0 +1,202 @@
+/**
+ * Go-Live Sequence
+ *
+ * Apply stream.config.json to Twitch, run pre-flight checks, switch to the
+ * Starting Soon scene, start streaming (opening the session in the stream
+ * database), count down (optionally into a text source), then switch to the
+ * main scene. Settings come from goLive in obs.config.json:
+ *
+ *   "goLive": { "startingScene": "Starting Soon", "mainScene": "Main", "countdown": "2m",
+ *               "text": "Countdown", "format": "Starting in {remaining}", "done": "Starting now",
+ *               "transition": "Fade", "duration": 800, "fixWifi": true }
+ */
+
+const { loadConfig } = require('./config');
+const { parseDuration } = require('./audio');
+const { formatMediaTime } = require('./media');
+const { renderFormat } = require('./text-feed');
+const { loadStreamConfig, buildChannelUpdate } = require('./stream-config');
+const { runPreflight } = require('./preflight');
+const { sleep } = require('./sequence');
+
+const GO_LIVE_DEFAULTS = {
+  startingScene: 'Starting Soon',
+  mainScene: 'Main',
+  countdown: '60s',
+  text: null,
+  format: 'Starting in {remaining}',
+  done: 'Starting now',
+  transition: null,
+  duration: undefined,
+  twitch: true,
+  fixWifi: false
+};
+
+/**
+ * go-live settings: defaults, then goLive from obs.config.json, then overrides
+ * @param {Object} [overrides] - e.g. from command line flags
+ */
+function loadGoLiveOptions(overrides = {}) {
+  const config = loadConfig().goLive || {};
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+  const options = { ...GO_LIVE_DEFAULTS, ...config, ...defined };
+  return { ...options, countdownMs: parseDuration(options.countdown) };
+}
+
+/**
+ * Count down, writing the remaining time into a text source once a second
+ * @param {OBSMetrics} obs
+ * @param {number} ms - Countdown length
+ * @param {Object} [options]
+ * @param {string} [options.text] - Exact text input name; omit to only call onTick
+ * @param {string} [options.format] - e.g. "Starting in {remaining}"
+ * @param {string} [options.done] - Text left in the source afterwards
+ * @param {AbortSignal} [options.signal] - Stops the countdown with an "Aborted" error
+ * @param {Function} [options.onTick] - Called with the remaining ms each second
+ */
+async function runCountdown(obs, ms, options = {}) {
+  const { text, format = GO_LIVE_DEFAULTS.format, done = GO_LIVE_DEFAULTS.done, signal, onTick } = options;
+  const endsAt = Date.now() + ms;
+  let last = null;
+
+  for (;;) {
+    const remaining = Math.max(0, endsAt - Date.now());
+    if (remaining === 0) break;
+
+    onTick?.(remaining);
+    // Round up so the last second shows 0:01, not 0:00
+    const value = renderFormat(format, { remaining: formatMediaTime(Math.ceil(remaining / 1000) * 1000) });
+    if (text && value !== last) {
+      await obs.setText(text, value);
+      last = value;
+    }
+    await sleep(Math.min(remaining, remaining % 1000 || 1000), signal);
+  }
+
+  onTick?.(0);
+  if (text) await obs.setText(text, done);
+}
+
+/**
+ * @param {Object} options - From loadGoLiveOptions
+ * @returns {Object[]} Steps for runSequence; they expect context { obs, twitch, db, signal, onCheck, onTick, onLive }
+ *   and leave context.sessionId set to the session opened when the stream started
+ */
+function buildGoLiveSteps(options) {
+  const streamConfig = options.twitch ? loadStreamConfig() : null;
+  const transition = [options.transition, options.duration !== undefined && `${options.duration}ms`].filter(Boolean).join(', ');
+
+  return [
+    {
+      id: 'stream-config',
+      title: 'Apply stream.config.json to Twitch',
+      skip: !options.twitch ? 'disabled with --no-twitch' : !streamConfig ? 'no stream.config.json' : false,
+      plan: streamConfig ? [
+        streamConfig.title && `title: ${streamConfig.title}`,
+        streamConfig.category && `category: ${streamConfig.category}`,
+        streamConfig.tags && `tags: ${streamConfig.tags.join(', ')}`
+      ].filter(Boolean) : [],
+      async run({ twitch }) {
+        if (!twitch.isConfigured()) {
+          throw new Error('Twitch credentials missing (~/twitch-secrets/.env). Use --no-twitch to skip');
+        }
+        const { update, lines } = await buildChannelUpdate(twitch, streamConfig);
+        const skipped = lines.filter(l => l.skipped);
+        if (skipped.length > 0) {
+          throw new Error(skipped.map(l => `${l.label} "${l.value}" not found`).join(', '));
+        }
+        if (Object.keys(update).length > 0) {
+          await twitch.updateChannel(update);
+        }
+        return streamConfig.title || `${Object.keys(update).length} settings`;
+      }
+    },
+    {
+      id: 'preflight',
+      title: 'Pre-flight checks',
+      plan: [`scenes ${options.startingScene} and ${options.mainScene}, mic, OBS load${options.text ? `, text source ${options.text}` : ''}${options.fixWifi ? ', WiFi (reconnect to 5 GHz if needed)' : ''}`],
+      async run({ obs, onCheck }) {
+        const checks = await runPreflight(obs, {
+          scenes: [options.startingScene, options.mainScene],
+          text: options.text,
+          mic: options.mic,
+          fixWifi: options.fixWifi
+        });
+        checks.forEach(c => onCheck?.(c));
+
+        const failed = checks.filter(c => c.level === 'fail');
+        if (failed.length > 0) {
+          throw new Error(failed.map(c => c.message).join('; '));
+        }
+        const warnings = checks.filter(c => c.level === 'warn').length;
+        return `${checks.length} checks${warnings ? `, ${warnings} warning${warnings > 1 ? 's' : ''}` : ''}`;
+      }
+    },
+    {
+      id: 'starting-scene',
+      title: `Switch to "${options.startingScene}"`,
+      async run({ obs }) {
+        await obs.switchScene(options.startingScene);
+        return options.startingScene;
+      }
+    },
+    {
+      id: 'start-stream',
+      title: 'Start streaming',
+      async run(context) {
+        const { obs, db } = context;
+        const since = Date.now();
+        // Listen before starting so the event can't be missed; stop listening if the request fails
+        const failed = new AbortController();
+        const started = obs.waitForEvent('StreamStateChanged',
+          (data) => data.outputState === 'OBS_WEBSOCKET_OUTPUT_STARTED', 15000, failed.signal);
+        try {
+          await obs.startStream();
+        } catch (error) {
+          failed.abort();
+          throw error;
+        }
+        if (!await started) {
+          throw new Error('Stream did not start within 15s');
+        }
+
+        // Open the session unless a running monitor already has; the monitor picks this one up
+        const open = db.getActiveSession();
+        context.sessionId = open && Date.parse(open.started_at) >= since ? open.id : db.startSession();
+        await context.onLive?.(context.sessionId);
+        return 'live';
+      }
+    },
+    {
+      id: 'countdown',
+      title: `Count down ${formatMediaTime(options.countdownMs)}${options.text ? ` in "${options.text}"` : ''}`,
+      skip: options.countdownMs > 0 ? false : 'no countdown',
+      async run({ obs, signal, onTick }) {
+        const text = options.text ? await obs.resolveTextInput(options.text) : null;
+        await runCountdown(obs, options.countdownMs, {
+          text,
+          format: options.format,
+          done: options.done,
+          signal,
+          onTick
+        });
+        return formatMediaTime(options.countdownMs);
+      }
+    },
+    {
+      id: 'main-scene',
+      title: `Switch to "${options.mainScene}"${transition ? ` (${transition})` : ''}`,
+      async run({ obs }) {
+        await obs.switchScene(options.mainScene, { transition: options.transition, duration: options.duration });
+        return options.mainScene;
+      }
+    }
+  ];
+}
+
+module.exports = {
+  GO_LIVE_DEFAULTS,
+  loadGoLiveOptions,
+  runCountdown,
+  buildGoLiveSteps
+};
@@ -0,0 +1,467 @@
+/**
+ * Declarative Scene Layouts
+ *
+ * A layout file describes the scenes you want and what is in them. Planning
+ * compares it with a live snapshot (see scene-collection.js) and produces the
+ * steps needed to make OBS match; applying runs them in order.
+ *
+ *   {
+ *     "scenes": [
+ *       {
+ *         "name": "Main",
+ *         "items": [
+ *           { "source": "Terminal", "kind": "xcomposite_input", "settings": { "capture_window": "..." },
+ *             "transform": { "positionX": 0, "positionY": 0, "scaleX": 1, "scaleY": 1 } },
+ *           { "source": "Webcam", "enabled": true, "filters": [
+ *             { "name": "Color", "kind": "color_filter_v2", "settings": { "saturation": 0.2 } }
+ *           ] }
+ *         ],
+ *         "filters": []
+ *       }
+ *     ],
+ *     "inputs": [
+ *       { "name": "Webcam", "kind": "v4l2_input", "settings": {} }
+ *     ]
+ *   }
+ *
+ * Items are listed top to bottom, the same way OBS's Sources dock shows them.
+ * A source's kind, settings and filters can be given inline on an item or in
+ * `inputs`, but only in one place. Only what the file mentions is managed:
+ * undeclared settings and transform fields are left alone, a scene's items are
+ * only pruned when it lists `items`, and a source's filters only when it lists
+ * `filters`. Scenes missing from the file are kept unless pruning is enabled.
+ */
+
+const { exportSceneCollection, READ_ONLY_TRANSFORM } = require('./scene-collection');
+
+function sameValue(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) < 0.001;
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Only compare the keys the layout declares
+function diffDeclared(prefix, desired = {}, current = {}) {
+  return Object.keys(desired)
+    .filter(key => !sameValue(desired[key], current?.[key]))
+    .map(key => ({ key: prefix + key, before: current?.[key], after: desired[key] }));
+}
+
+function normalizeFilters(filters, owner, problems) {
+  if (filters === undefined) return undefined;
+  if (!Array.isArray(filters)) {
+    problems.push(`${owner}: "filters" must be an array`);
+    return undefined;
+  }
+
+  const seen = new Set();
+  return filters.map(f => {
+    if (!f.name || !f.kind) problems.push(`${owner}: every filter needs a "name" and "kind"`);
+    if (seen.has(f.name)) problems.push(`${owner}: filter "${f.name}" is listed twice`);
+    seen.add(f.name);
+    return { name: f.name, kind: f.kind, enabled: f.enabled, settings: f.settings || {} };
+  });
+}
+
+/**
+ * Validate a layout and gather scene and input definitions
+ * @throws {Error} Listing every problem found
+ */
+function normalizeLayout(layout) {
+  const problems = [];
+  if (!layout || typeof layout !== 'object' || !Array.isArray(layout.scenes)) {
+    throw new Error('Layout must have a "scenes" array');
+  }
+
+  const inputs = new Map();
+  const defineInput = (name, definition, owner) => {
+    if (definition.kind === undefined && definition.settings === undefined && definition.filters === undefined) return;
+    if (inputs.has(name)) {
+      problems.push(`${owner}: "${name}" is already defined elsewhere - define kind, settings and filters once`);
+      return;
+    }
+    inputs.set(name, {
+      name,
+      kind: definition.kind,
+      settings: definition.settings,
+      filters: normalizeFilters(definition.filters, name, problems)
+    });
+  };
+
+  for (const input of layout.inputs || []) {
+    if (!input.name) {
+      problems.push('inputs: every input needs a "name"');
+      continue;
+    }
+    defineInput(input.name, input, 'inputs');
+  }
+
+  const sceneNames = new Set();
+  const scenes = layout.scenes.map(scene => {
+    if (!scene.name) {
+      problems.push('scenes: every scene needs a "name"');
+    } else if (sceneNames.has(scene.name)) {
+      problems.push(`scenes: "${scene.name}" is listed twice`);
+    }
+    sceneNames.add(scene.name);
+
+    let items;
+    if (scene.items !== undefined) {
+      const sources = new Set();
+      items = scene.items.map(item => {
+        if (!item.source) problems.push(`${scene.name}: every item needs a "source"`);
+        if (sources.has(item.source)) problems.push(`${scene.name}: "${item.source}" is listed twice`);
+        sources.add(item.source);
+
+        const readOnly = Object.keys(item.transform || {}).filter(k => READ_ONLY_TRANSFORM.includes(k));
+        if (readOnly.length) {
+          problems.push(`${scene.name} › ${item.source}: ${readOnly.join(', ')} can't be set - use scaleX/scaleY or bounds`);
+        }
+
+        defineInput(item.source, item, `${scene.name} › ${item.source}`);
+        return { source: item.source, enabled: item.enabled, transform: item.transform };
+      });
+    }
+
+    return { name: scene.name, items, filters: normalizeFilters(scene.filters, scene.name, problems) };
+  });
+
+  for (const name of inputs.keys()) {
+    if (sceneNames.has(name)) problems.push(`"${name}" is used as both a scene and an input name`);
+  }
+
+  if (problems.length) {
+    throw new Error(`Invalid layout:\n  ${problems.join('\n  ')}`);
+  }
+  return { scenes, inputs };
+}
+
+async function getSceneItemId(call, sceneName, sourceName) {
+  const { sceneItemId } = await call('GetSceneItemId', { sceneName, sourceName });
+  return sceneItemId;
+}
+
+function planFilters(steps, sourceName, desired, liveFilters) {
+  const live = new Map(liveFilters.map(f => [f.name, f]));
+  const kept = [];
+
+  for (const filter of liveFilters) {
+    const wanted = desired.find(f => f.name === filter.name);
+    if (wanted && wanted.kind === filter.kind) {
+      kept.push(filter.name);
+    } else if (!wanted) {
+      steps.push({
+        action: 'remove',
+        kind: 'filter',
+        target: `${sourceName} › ${filter.name}`,
+        run: (call) => call('RemoveSourceFilter', { sourceName, filterName: filter.name })
+      });
+    }
+  }
+
+  const create = (filter) => async (call) => {
+    await call('CreateSourceFilter', {
+      sourceName,
+      filterName: filter.name,
+      filterKind: filter.kind,
+      filterSettings: filter.settings
+    });
+    if (filter.enabled === false) {
+      await call('SetSourceFilterEnabled', { sourceName, filterName: filter.name, filterEnabled: false });
+    }
+  };
+
+  for (const filter of desired) {
+    const current = live.get(filter.name);
+    const target = `${sourceName} › ${filter.name}`;
+
+    if (!current) {
+      steps.push({ action: 'create', kind: 'filter', target, run: create(filter) });
+      continue;
+    }
+
+    if (current.kind !== filter.kind) {
+      steps.push({
+        action: 'replace',
+        kind: 'filter',
+        target,
+        details: [{ key: 'kind', before: current.kind, after: filter.kind }],
+        run: async (call) => {
+          await call('RemoveSourceFilter', { sourceName, filterName: filter.name });
+          await create(filter)(call);
+        }
+      });
+      continue;
+    }
+
+    const details = diffDeclared('', filter.settings, current.settings);
+    if (filter.enabled !== undefined && filter.enabled !== current.enabled) {
+      details.push({ key: 'enabled', before: current.enabled, after: filter.enabled });
+    }
+    if (details.length) {
+      steps.push({
+        action: 'update',
+        kind: 'filter',
+        target,
+        details,
+        run: async (call) => {
+          await call('SetSourceFilterSettings', { sourceName, filterName: filter.name, filterSettings: filter.settings });
+          if (filter.enabled !== undefined) {
+            await call('SetSourceFilterEnabled', { sourceName, filterName: filter.name, filterEnabled: filter.enabled });
+          }
+        }
+      });
+    }
+  }
+
+  // New and replaced filters end up at the bottom of the chain
+  const after = [...kept, ...desired.map(f => f.name).filter(name => !kept.includes(name))];
+  const wanted = desired.map(f => f.name);
+  if (!sameValue(after, wanted)) {
+    steps.push({
+      action: 'update',
+      kind: 'filter',
+      target: `${sourceName} (order)`,
+      details: [{ key: 'order', before: after, after: wanted }],
+      run: async (call) => {
+        for (const [filterIndex, filterName] of wanted.entries()) {
+          await call('SetSourceFilterIndex', { sourceName, filterName, filterIndex });
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Work out the steps that make OBS match a layout
+ * @param {Object} layout - Parsed layout file
+ * @param {Object} live - Snapshot from exportSceneCollection
+ * @param {Object} [options]
+ * @param {boolean} [options.prune] - Remove scenes the layout doesn't mention
+ * @returns {Object[]} Steps: { action: create|update|replace|remove, kind, target, details?, run(call) }
+ */
+function planLayout(layout, live, options = {}) {
+  const desired = normalizeLayout(layout);
+  const steps = [];
+  const liveScenes = new Map(live.scenes.map(s => [s.name, s]));
+  const liveInputs = new Map(live.inputs.map(i => [i.name, i]));
+  const desiredScenes = new Set(desired.scenes.map(s => s.name));
+  const isScene = (name) => desiredScenes.has(name) || liveScenes.has(name);
+
+  for (const scene of desired.scenes) {
+    if (!liveScenes.has(scene.name)) {
+      steps.push({
+        action: 'create',
+        kind: 'scene',
+        target: scene.name,
+        run: (call) => call('CreateScene', { sceneName: scene.name })
+      });
+    }
+  }
+
+  // Inputs whose kind changed are removed here and recreated with their items below
+  const missing = new Set();
+  for (const input of desired.inputs.values()) {
+    const current = liveInputs.get(input.name);
+    if (!current) {
+      if (!input.kind) {
+        throw new Error(`"${input.name}" doesn't exist in OBS - give it a "kind" so it can be created`);
+      }
+      missing.add(input.name);
+    } else if (input.kind && input.kind !== current.kind) {
+      missing.add(input.name);
+      steps.push({
+        action: 'replace',
+        kind: 'input',
+        target: input.name,
+        details: [{ key: 'kind', before: current.kind, after: input.kind }],
+        run: (call) => call('RemoveInput', { inputName: input.name })
+      });
+    } else if (input.settings) {
+      const details = diffDeclared('', input.settings, current.settings);
+      if (details.length) {
+        steps.push({
+          action: 'update',
+          kind: 'input',
+          target: input.name,
+          details,
+          run: (call) => call('SetInputSettings', { inputName: input.name, inputSettings: input.settings })
+        });
+      }
+    }
+  }
+
+  const placed = new Set();
+  for (const scene of desired.scenes) {
+    if (!scene.items) continue;
+
+    const liveItems = (liveScenes.get(scene.name)?.items || [])
+      .filter(item => !(missing.has(item.sourceName) && liveInputs.has(item.sourceName)));
+    const liveBySource = new Map(liveItems.map(item => [item.sourceName, item]));
+    const wantedSources = new Set(scene.items.map(item => item.source));
+
+    for (const item of liveItems) {
+      if (wantedSources.has(item.sourceName)) continue;
+      steps.push({
+        action: 'remove',
+        kind: 'item',
+        target: `${scene.name} › ${item.sourceName}`,
+        run: async (call) => call('RemoveSceneItem', {
+          sceneName: scene.name,
+          sceneItemId: await getSceneItemId(call, scene.name, item.sourceName)
+        })
+      });
+    }
+
+    // Create from the bottom up so new items stack in the declared order
+    for (const item of [...scene.items].reverse()) {
+      const target = `${scene.name} › ${item.source}`;
+      const current = liveBySource.get(item.source);
+      const transform = item.transform;
+
+      if (!current) {
+        const input = desired.inputs.get(item.source);
+        const createsInput = missing.has(item.source) && !placed.has(item.source);
+        if (!createsInput && !missing.has(item.source) && !liveInputs.has(item.source) && !isScene(item.source)) {
+          throw new Error(`${target}: "${item.source}" doesn't exist in OBS - give it a "kind" so it can be created`);
+        }
+        placed.add(item.source);
+
+        steps.push({
+          action: 'create',
+          kind: createsInput ? 'input' : 'item',
+          target,
+          run: async (call) => {
+            const { sceneItemId } = createsInput
+              ? await call('CreateInput', {
+                sceneName: scene.name,
+                inputName: input.name,
+                inputKind: input.kind,
+                inputSettings: input.settings || {},
+                sceneItemEnabled: item.enabled !== false
+              })
+              : await call('CreateSceneItem', {
+                sceneName: scene.name,
+                sourceName: item.source,
+                sceneItemEnabled: item.enabled !== false
+              });
+            if (transform) {
+              await call('SetSceneItemTransform', { sceneName: scene.name, sceneItemId, sceneItemTransform: transform });
+            }
+          }
+        });
+        continue;
+      }
+
+      const details = diffDeclared('transform.', transform, current.transform);
+      if (item.enabled !== undefined && item.enabled !== current.enabled) {
+        details.unshift({ key: 'enabled', before: current.enabled, after: item.enabled });
+      }
+      if (details.length) {
+        steps.push({
+          action: 'update',
+          kind: 'item',
+          target,
+          details,
+          run: async (call) => {
+            const sceneItemId = await getSceneItemId(call, scene.name, item.source);
+            if (item.enabled !== undefined) {
+              await call('SetSceneItemEnabled', { sceneName: scene.name, sceneItemId, sceneItemEnabled: item.enabled });
+            }
+            if (transform) {
+              await call('SetSceneItemTransform', { sceneName: scene.name, sceneItemId, sceneItemTransform: transform });
+            }
+          }
+        });
+      }
+    }
+
+    // Snapshot items are bottom-up and new items land on top
+    const kept = liveItems.filter(item => wantedSources.has(item.sourceName)).map(item => item.sourceName);
+    const wanted = scene.items.map(i => i.source).reverse();
+    const bottomUp = [...kept, ...wanted.filter(s => !liveBySource.has(s))];
+    if (!sameValue(bottomUp, wanted)) {
+      steps.push({
+        action: 'update',
+        kind: 'scene',
+        target: `${scene.name} (order)`,
+        details: [{ key: 'order', before: [...bottomUp].reverse(), after: scene.items.map(i => i.source) }],
+        run: async (call) => {
+          for (const [sceneItemIndex, sourceName] of wanted.entries()) {
+            const sceneItemId = await getSceneItemId(call, scene.name, sourceName);
+            await call('SetSceneItemIndex', { sceneName: scene.name, sceneItemId, sceneItemIndex });
+          }
+        }
+      });
+    }
+  }
+
+  for (const name of missing) {
+    if (!placed.has(name)) {
+      throw new Error(`"${name}" has to be placed in a scene's items before OBS can create it`);
+    }
+  }
+
+  for (const scene of desired.scenes) {
+    if (scene.filters) {
+      planFilters(steps, scene.name, scene.filters, liveScenes.get(scene.name)?.filters || []);
+    }
+  }
+  for (const input of desired.inputs.values()) {
+    if (input.filters) {
+      const liveFilters = missing.has(input.name) ? [] : liveInputs.get(input.name)?.filters || [];
+      planFilters(steps, input.name, input.filters, liveFilters);
+    }
+  }
+
+  if (options.prune) {
+    for (const scene of live.scenes) {
+      if (desiredScenes.has(scene.name)) continue;
+      steps.push({
+        action: 'remove',
+        kind: 'scene',
+        target: scene.name,
+        run: (call) => call('RemoveScene', { sceneName: scene.name })
+      });
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Run planned steps in order, stopping at the first failure
+ * @param {OBSMetrics} obs
+ * @param {Object[]} steps - From planLayout
+ * @returns {Promise<Object[]>} The same steps with ok/error set on those that ran
+ */
+async function applyPlan(obs, steps) {
+  await obs.connect();
+  const call = (requestType, requestData) => obs.obs.call(requestType, requestData);
+
+  for (const step of steps) {
+    try {
+      await step.run(call);
+      step.ok = true;
+    } catch (error) {
+      step.ok = false;
+      step.error = error.message;
+      break;
+    }
+  }
+  return steps;
+}
+
+/**
+ * Plan a layout against the live scene collection
+ * @param {OBSMetrics} obs
+ * @param {Object} layout
+ * @param {Object} [options] - See planLayout
+ */
+async function planLayoutFor(obs, layout, options = {}) {
+  const live = await exportSceneCollection(obs);
+  return planLayout(layout, live, options);
+}
+
+module.exports = { normalizeLayout, planLayout, planLayoutFor, applyPlan };
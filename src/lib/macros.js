@@ -0,0 +1,291 @@
+/**
+ * Macros
+ *
+ * User-defined workflows from macros in obs.config.json, run with `obs run <macro>`.
+ * Each macro is a list of steps; every step names an action and its parameters,
+ * and may have an "if" condition:
+ *
+ *   "macros": {
+ *     "intro": {
+ *       "description": "Intro video, then Main",
+ *       "vars": { "main": "Main" },
+ *       "steps": [
+ *         { "action": "scene", "scene": "Starting Soon" },
+ *         { "action": "media", "source": "Intro Video", "control": "play", "wait": true },
+ *         { "action": "scene", "scene": "{main}", "transition": "fade", "duration": 500 },
+ *         { "action": "unmute", "source": "Mic/Aux" },
+ *         { "action": "title", "title": "Live: {topic}", "if": "live" },
+ *         { "action": "shell", "command": "notify-send 'Intro done'" }
+ *       ]
+ *     }
+ *   }
+ *
+ * Scene durations are ms when a bare number, as with scene --duration.
+ * Strings can use {vars}: the macro's vars, name=value arguments to `obs run`,
+ * and the built-ins {scene}, {live}, {recording}, {studio}, {date} and {time},
+ * read from OBS when the step runs. Conditions are live, recording or studio
+ * (prefix ! to negate), or a comparison like "{scene} == Main" / "{mode} != chill".
+ */
+
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const { loadConfig } = require('./config');
+const { parseDuration, parseTransitionDuration } = require('./audio');
+const { MEDIA_ACTIONS } = require('./media');
+const { sleep } = require('./sequence');
+
+const STATE_VARS = ['scene', 'live', 'recording', 'studio'];
+const SHELL_TIMEOUT = 60000;
+
+// Each action: required params, a title for progress and --dry-run, and run(params, context) => detail
+const MACRO_ACTIONS = {
+  scene: {
+    params: ['scene'],
+    title: (p) => `Switch to "${p.scene}"${p.transition ? ` (${p.transition})` : ''}`,
+    run: (p, { obs }) => obs.switchScene(p.scene, { transition: p.transition, duration: parseTransitionDuration(p.duration) })
+  },
+  mute: {
+    params: ['source'],
+    title: (p) => `Mute ${p.source}`,
+    run: (p, { obs }) => obs.setMute(p.source, true)
+  },
+  unmute: {
+    params: ['source'],
+    title: (p) => `Unmute ${p.source}`,
+    run: (p, { obs }) => obs.setMute(p.source, false)
+  },
+  enable: {
+    params: ['source'],
+    title: (p) => `Enable ${p.source}`,
+    run: (p, { obs }) => obs.setSourceEnabled(p.source, true)
+  },
+  disable: {
+    params: ['source'],
+    title: (p) => `Disable ${p.source}`,
+    run: (p, { obs }) => obs.setSourceEnabled(p.source, false)
+  },
+  wait: {
+    params: ['duration'],
+    title: (p) => `Wait ${p.duration}`,
+    async run(p, { signal }) {
+      await sleep(parseDuration(p.duration), signal);
+      return p.duration;
+    }
+  },
+  media: {
+    params: ['source'],
+    title: (p) => `${capitalize(p.control || 'play')} ${p.source}${p.wait ? ' and wait for it to finish' : ''}`,
+    async run(p, { obs }) {
+      const name = await obs.resolveMediaInput(p.source);
+      const control = p.control || 'play';
+      await obs.controlMedia(name, control);
+      if (p.wait) {
+        const status = await obs.waitForMediaEnd(name, { timeout: p.timeout ? parseDuration(p.timeout) : 0 });
+        return `${name} ${status.state}`;
+      }
+      return `${name} ${control}`;
+    }
+  },
+  text: {
+    params: ['source', 'text'],
+    title: (p) => `Set ${p.source} to "${p.text}"`,
+    async run(p, { obs }) {
+      const name = await obs.resolveTextInput(p.source);
+      await obs.setText(name, p.text);
+      return name;
+    }
+  },
+  title: {
+    params: ['title'],
+    title: (p) => `Set the Twitch title to "${p.title}"`,
+    async run(p, { twitch }) {
+      if (!twitch.isConfigured()) {
+        throw new Error('Twitch credentials missing (~/twitch-secrets/.env)');
+      }
+      await twitch.updateChannel({ title: p.title });
+      return p.title;
+    }
+  },
+  shell: {
+    params: ['command'],
+    title: (p) => `Run: ${p.command}`,
+    async run(p) {
+      const timeout = p.timeout ? parseDuration(p.timeout) : SHELL_TIMEOUT;
+      try {
+        const { stdout } = await promisify(exec)(p.command, { timeout });
+        return lastLine(stdout) || 'ok';
+      } catch (error) {
+        if (error.killed) throw new Error(`Timed out after ${timeout / 1000}s`);
+        throw new Error(`Exit ${error.code}${lastLine(error.stderr) ? `: ${lastLine(error.stderr)}` : ''}`);
+      }
+    }
+  }
+};
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+function lastLine(output) {
+  const lines = String(output || '').trim().split('\n');
+  return lines[lines.length - 1].trim();
+}
+
+function loadMacros() {
+  return loadConfig().macros || {};
+}
+
+/**
+ * Look up a macro and check its steps before anything runs
+ * @returns {Object} { name, description, vars, steps }
+ */
+function getMacro(name, macros = loadMacros()) {
+  const macro = macros[name];
+  if (!macro) {
+    const names = Object.keys(macros);
+    throw new Error(`Macro "${name}" not found${names.length ? `. Macros: ${names.join(', ')}` : ''}`);
+  }
+  const steps = Array.isArray(macro) ? macro : macro.steps;
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error(`Macro "${name}" has no steps`);
+  }
+
+  steps.forEach((step, i) => {
+    const where = `Macro "${name}" step ${i + 1}`;
+    const action = MACRO_ACTIONS[step.action];
+    if (!action) {
+      throw new Error(`${where}: unknown action "${step.action}". Actions: ${Object.keys(MACRO_ACTIONS).join(', ')}`);
+    }
+    const missing = action.params.filter(param => step[param] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`${where} (${step.action}): missing ${missing.join(', ')}`);
+    }
+    if (step.action === 'media' && step.control && !MEDIA_ACTIONS[step.control]) {
+      throw new Error(`${where} (media): invalid control "${step.control}". Use: ${Object.keys(MEDIA_ACTIONS).join(', ')}`);
+    }
+  });
+
+  return { name, description: macro.description || '', vars: macro.vars || {}, steps };
+}
+
+/**
+ * Parse name=value arguments to `obs run`
+ * @param {string[]} args
+ */
+function parseVars(args = []) {
+  const vars = {};
+  for (const arg of args) {
+    const eq = arg.indexOf('=');
+    if (eq <= 0) {
+      throw new Error(`Invalid variable "${arg}". Use name=value`);
+    }
+    vars[arg.slice(0, eq)] = arg.slice(eq + 1);
+  }
+  return vars;
+}
+
+/**
+ * Replace {name} with its variable; unknown names are an error
+ * @param {*} value - Strings are interpolated, other values returned as is
+ * @param {Object} vars
+ */
+function interpolate(value, vars) {
+  if (typeof value !== 'string') return value;
+  return value.replace(/\{(\w+)\}/g, (match, key) => {
+    if (vars[key] === undefined) {
+      throw new Error(`Unknown variable {${key}}`);
+    }
+    return String(vars[key]);
+  });
+}
+
+/**
+ * @param {string} condition - e.g. "live", "!recording", "{scene} == Main"
+ * @param {Object} vars - Including the OBS state built-ins
+ * @returns {boolean}
+ */
+function evaluateCondition(condition, vars) {
+  const text = interpolate(condition, vars).trim();
+
+  const comparison = text.match(/^(.*?)\s*(==|!=)\s*(.*)$/);
+  if (comparison) {
+    const [, left, op, right] = comparison;
+    return (left.trim() === right.trim()) === (op === '==');
+  }
+
+  const flag = text.match(/^(!)?\s*(live|recording|studio)$/);
+  if (flag) {
+    return vars[flag[2]] !== (flag[1] === '!');
+  }
+
+  throw new Error(`Invalid condition "${condition}". Use live, recording, studio (! to negate) or "a == b"`);
+}
+
+// Only talk to OBS when a step uses the state built-ins
+function usesState(step) {
+  const text = JSON.stringify(step);
+  return Boolean(step.if) || STATE_VARS.some(name => text.includes(`{${name}}`));
+}
+
+async function readState(obs) {
+  const [{ current }, stream, record, studio] = await Promise.all([
+    obs.getScenes(),
+    obs.getStreamStatus(),
+    obs.getRecordStatus(),
+    obs.getStudioMode()
+  ]);
+  return { scene: current, live: stream.active, recording: record.active, studio };
+}
+
+/**
+ * Turn a macro into steps for runSequence. Variables and conditions are resolved
+ * as each step is reached, so built-ins like {scene} see earlier steps' changes.
+ * @param {Object} macro - From getMacro
+ * @param {Object} [vars] - name=value arguments, overriding the macro's vars
+ * @returns {Object[]} Steps expecting context { obs, twitch, signal }
+ */
+function buildMacroSteps(macro, vars = {}) {
+  const resolveVars = async (step, context) => {
+    const now = new Date();
+    const resolved = {
+      date: now.toISOString().slice(0, 10),
+      time: now.toTimeString().slice(0, 5),
+      ...macro.vars,
+      ...vars
+    };
+    return usesState(step) ? { ...resolved, ...await readState(context.obs) } : resolved;
+  };
+
+  return macro.steps.map((step, i) => {
+    const action = MACRO_ACTIONS[step.action];
+    const { action: name, if: condition, ...params } = step;
+    let values = null;
+
+    const sequenceStep = {
+      id: `${i + 1}-${name}`,
+      title: action.title(params) + (condition ? ` (if ${condition})` : ''),
+      // Resolve once per run so the condition and the params see the same state
+      async skip(context) {
+        const resolved = await resolveVars(step, context);
+        if (condition && !evaluateCondition(condition, resolved)) {
+          return `not ${condition}`;
+        }
+        values = Object.fromEntries(Object.entries(params).map(([key, value]) => [key, interpolate(value, resolved)]));
+        sequenceStep.title = action.title(values);
+        return false;
+      },
+      run: (context) => action.run(values, context)
+    };
+    return sequenceStep;
+  });
+}
+
+module.exports = {
+  MACRO_ACTIONS,
+  loadMacros,
+  getMacro,
+  parseVars,
+  interpolate,
+  evaluateCondition,
+  buildMacroSteps
+};
@@ -0,0 +1,70 @@
+/**
+ * Media Input Helpers
+ *
+ * Names and parsing for media sources (intro/outro videos): the actions
+ * TriggerMediaInputAction understands, OBS media states and seek positions.
+ */
+
+const { parseDuration } = require('./audio');
+
+// Input kinds that report media status
+const MEDIA_KINDS = ['ffmpeg_source', 'vlc_source'];
+
+const MEDIA_ACTIONS = {
+  play: 'OBS_WEBSOCKET_MEDIA_INPUT_ACTION_PLAY',
+  pause: 'OBS_WEBSOCKET_MEDIA_INPUT_ACTION_PAUSE',
+  stop: 'OBS_WEBSOCKET_MEDIA_INPUT_ACTION_STOP',
+  restart: 'OBS_WEBSOCKET_MEDIA_INPUT_ACTION_RESTART',
+  next: 'OBS_WEBSOCKET_MEDIA_INPUT_ACTION_NEXT',
+  previous: 'OBS_WEBSOCKET_MEDIA_INPUT_ACTION_PREVIOUS'
+};
+
+// States where the media still has something left to play
+const ACTIVE_STATES = ['playing', 'paused', 'opening', 'buffering'];
+
+// OBS_MEDIA_STATE_PLAYING -> playing
+function mediaStateName(state) {
+  return (state || 'OBS_MEDIA_STATE_NONE').replace('OBS_MEDIA_STATE_', '').toLowerCase();
+}
+
+// 95000 -> 1:35, 3725000 -> 1:02:05
+function formatMediaTime(ms) {
+  if (ms === null || ms === undefined) return '--:--';
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * Parse a seek position: "1:30", "0:01:30" or "90s" jump there; "+10s" / "-5s" skip
+ * @returns {Object} { cursor } for an absolute position or { offset } in ms
+ */
+function parseSeek(value) {
+  const text = String(value).trim();
+  const sign = text[0] === '+' ? 1 : text[0] === '-' ? -1 : 0;
+  const rest = sign ? text.slice(1) : text;
+
+  let ms;
+  if (/^\d+(:\d{1,2}){1,2}$/.test(rest)) {
+    ms = rest.split(':').reduce((total, part) => total * 60 + parseInt(part), 0) * 1000;
+  } else {
+    try {
+      ms = parseDuration(rest);
+    } catch (e) {
+      throw new Error(`Invalid position "${value}". Use 1:30, 90s, +10s or -5s`);
+    }
+  }
+
+  return sign ? { offset: sign * ms } : { cursor: ms };
+}
+
+module.exports = {
+  MEDIA_KINDS,
+  MEDIA_ACTIONS,
+  ACTIVE_STATES,
+  mediaStateName,
+  formatMediaTime,
+  parseSeek
+};
@@ -1,35 +1,261 @@
 require('dotenv').config();
+const EventEmitter = require('events');
 const OBSWebSocket = require('obs-websocket-js').default;
+const { EventSubscription } = require('obs-websocket-js');
+const {
+  parsePosition,
+  applyPosition,
+  boxToTransform,
+  transformToBox,
+  loadPresets,
+  savePresets,
+  rememberLast
+} = require('./overlay-position');
+const { CAPTURE_KINDS, captureInput } = require('./window-capture');
+const { loadConfig } = require('./config');
+const { RAMP_INTERVAL } = require('./audio');
+const { resolveFilterKind, findFilter } = require('./filters');
+const { MEDIA_KINDS, MEDIA_ACTIONS, ACTIVE_STATES, mediaStateName } = require('./media');
+
+// Text (GDI+ on Windows, FreeType elsewhere) input kinds
+const TEXT_KIND = /^text_(gdiplus|ft2_source)/;
+
+// obs-websocket events re-emitted by OBSMetrics for long-running consumers
+const FORWARDED_EVENTS = [
+  'StreamStateChanged',
+  'CurrentProgramSceneChanged',
+  'CurrentPreviewSceneChanged',
+  'StudioModeStateChanged',
+  'InputMuteStateChanged',
+  'InputVolumeChanged',
+  'SceneItemEnableStateChanged',
+  'InputVolumeMeters',
+  'RecordStateChanged',
+  'RecordFileChanged',
+  'ReplayBufferStateChanged',
+  'ReplayBufferSaved',
+  'MediaInputPlaybackStarted',
+  'MediaInputPlaybackEnded',
+  'ExitStarted'
+];
+
+// Set by OBSMetrics.share() while obs shell holds one connection for every command
+let shared = null;
+
+// A view of the shared instance whose disconnect() only drops the listeners added through it
+function borrow(obs) {
+  const listeners = [];
+  const view = new Proxy(obs, {
+    get(target, prop) {
+      if (prop === 'on' || prop === 'addListener' || prop === 'once') {
+        return (event, listener) => {
+          listeners.push([event, listener]);
+          target[prop](event, listener);
+          return view;
+        };
+      }
+      if (prop === 'disconnect') {
+        return async () => {
+          for (const [event, listener] of listeners.splice(0)) {
+            target.removeListener(event, listener);
+          }
+        };
+      }
+      return Reflect.get(target, prop, target);
+    }
+  });
+  return view;
+}
 
-class OBSMetrics {
-  constructor() {
+class OBSMetrics extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.reconnect] - Keep the session alive, reconnecting with exponential backoff
+   * @param {number} [options.reconnectDelay] - Initial reconnect delay in ms
+   * @param {number} [options.maxReconnectDelay] - Upper bound for the reconnect delay in ms
+   * @param {number} [options.bitrateWindow] - Rolling window for bitrate/dropped-frame figures in ms
+   * @param {boolean} [options.volumeMeters] - Subscribe to InputVolumeMeters (high-volume, every 50ms)
+   */
+  constructor(options = {}) {
+    super();
+    if (shared) {
+      return borrow(shared);
+    }
     this.obs = new OBSWebSocket();
     this.connected = false;
+    this.state = 'disconnected';
     this.config = {
       url: `ws://localhost:${process.env.OBS_WEBSOCKET_PORT || 4455}`,
-      password: process.env.OBS_WEBSOCKET_PASSWORD
+      password: process.env.OBS_WEBSOCKET_PASSWORD,
+      reconnect: options.reconnect || false,
+      reconnectDelay: options.reconnectDelay || 1000,
+      maxReconnectDelay: options.maxReconnectDelay || 30000,
+      bitrateWindow: options.bitrateWindow || parseInt(process.env.OBS_BITRATE_WINDOW_MS) || 10000,
+      eventSubscriptions: EventSubscription.General |
+        EventSubscription.Scenes |
+        EventSubscription.Inputs |
+        EventSubscription.Transitions |
+        EventSubscription.Outputs |
+        EventSubscription.SceneItems |
+        EventSubscription.MediaInputs |
+        EventSubscription.Ui |
+        (options.volumeMeters ? EventSubscription.InputVolumeMeters : 0)
     };
+
+    this.connecting = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.closing = false;
+    this.currentScene = null;
+    this.streamSamples = [];
+
+    this.obs.on('ConnectionClosed', (error) => this.handleConnectionClosed(error));
+    this.obs.on('CurrentProgramSceneChanged', ({ sceneName }) => {
+      this.currentScene = sceneName;
+    });
+    for (const event of FORWARDED_EVENTS) {
+      this.obs.on(event, (data) => this.emit(event, data));
+    }
+  }
+
+  /**
+   * Share this connection with every OBSMetrics created from now on, so
+   * commands run inside obs shell reuse it instead of connecting themselves.
+   * Their disconnect() leaves it open; so does this one's until share(null).
+   * @param {OBSMetrics|null} obs
+   */
+  static share(obs) {
+    shared = obs;
+  }
+
+  setState(state, details = {}) {
+    this.state = state;
+    this.emit('state', { state, ...details });
+    this.emit(state, details);
   }
 
   async connect() {
     if (this.connected) return true;
-    try {
-      await this.obs.connect(this.config.url, this.config.password);
-      this.connected = true;
-      return true;
-    } catch (error) {
-      if (error.message.includes('ECONNREFUSED')) {
-        throw new Error('OBS not running or WebSocket not enabled');
+    if (this.connecting) return this.connecting;
+
+    this.closing = false;
+    this.connecting = (async () => {
+      try {
+        await this.obs.connect(this.config.url, this.config.password, {
+          eventSubscriptions: this.config.eventSubscriptions
+        });
+        this.connected = true;
+        this.reconnectAttempts = 0;
+        this.clearReconnect();
+        this.setState('connected');
+        return true;
+      } catch (error) {
+        if (this.config.reconnect && !this.closing) {
+          this.scheduleReconnect();
+        }
+        if (error.message.includes('ECONNREFUSED')) {
+          throw new Error('OBS not running or WebSocket not enabled');
+        }
+        throw error;
+      } finally {
+        this.connecting = null;
       }
-      throw error;
-    }
+    })();
+
+    return this.connecting;
   }
 
   async disconnect() {
+    if (this === shared) return;
+    this.closing = true;
+    this.clearReconnect();
     if (this.connected) {
       await this.obs.disconnect();
       this.connected = false;
     }
+    if (this.state !== 'disconnected') {
+      this.setState('disconnected');
+    }
+  }
+
+  // Turn on live audio levels, re-identifying if already connected
+  async enableVolumeMeters() {
+    if (this.config.eventSubscriptions & EventSubscription.InputVolumeMeters) return;
+    this.config.eventSubscriptions |= EventSubscription.InputVolumeMeters;
+    if (this.connected) {
+      await this.obs.reidentify({ eventSubscriptions: this.config.eventSubscriptions });
+    }
+  }
+
+  handleConnectionClosed(error) {
+    // Failed connection attempts also close the socket; only react to losing a live session
+    if (!this.connected) return;
+
+    this.connected = false;
+    this.currentScene = null;
+
+    if (this.closing) return;
+
+    this.setState('disconnected', { code: error?.code, reason: error?.message });
+    if (this.config.reconnect) {
+      this.scheduleReconnect();
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+
+    const delay = Math.min(
+      this.config.reconnectDelay * 2 ** this.reconnectAttempts,
+      this.config.maxReconnectDelay
+    );
+    this.reconnectAttempts++;
+    this.setState('reconnecting', { attempt: this.reconnectAttempts, delay });
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.connect();
+      } catch (e) {
+        // connect() schedules the next attempt
+      }
+    }, delay);
+  }
+
+  clearReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  // Resolve with the next matching event, or null if it doesn't arrive in time or the signal
+  // fires (so a failed request doesn't leave the timer holding the process open)
+  waitForEvent(eventName, predicate = () => true, timeout = 5000, signal) {
+    return new Promise(resolve => {
+      const finish = (data) => {
+        clearTimeout(timer);
+        this.obs.off(eventName, onEvent);
+        signal?.removeEventListener('abort', onAbort);
+        resolve(data);
+      };
+      const onEvent = (data) => {
+        if (predicate(data)) finish(data);
+      };
+      const onAbort = () => finish(null);
+      const timer = setTimeout(onAbort, timeout);
+      this.obs.on(eventName, onEvent);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  async getCurrentScene() {
+    await this.connect();
+    if (!this.currentScene) {
+      const sceneList = await this.obs.call('GetSceneList');
+      this.currentScene = sceneList.currentProgramSceneName;
+    }
+    return this.currentScene;
   }
 
   async getStats() {
@@ -66,21 +292,29 @@ class OBSMetrics {
   async getFullMetrics() {
     await this.connect();
 
-    const [stats, streamStatus, videoSettings, sceneList] = await Promise.all([
+    const [stats, streamStatus, recordStatus, videoSettings, scene] = await Promise.all([
       this.obs.call('GetStats'),
       this.obs.call('GetStreamStatus'),
+      this.obs.call('GetRecordStatus'),
       this.obs.call('GetVideoSettings'),
-      this.obs.call('GetSceneList')
+      this.getCurrentScene()
     ]);
 
-    const bitrate = streamStatus.outputActive && streamStatus.outputDuration > 0
+    const lifetimeBitrate = streamStatus.outputActive && streamStatus.outputDuration > 0
       ? (streamStatus.outputBytes / (streamStatus.outputDuration / 1000) * 8 / 1024)
       : 0;
 
-    const droppedPercent = streamStatus.outputTotalFrames > 0
+    const lifetimeDroppedPercent = streamStatus.outputTotalFrames > 0
       ? (streamStatus.outputSkippedFrames / streamStatus.outputTotalFrames * 100)
       : 0;
 
+    // Fall back to lifetime figures until there is a second sample to diff against
+    const windowed = this.sampleStream(streamStatus) || {
+      bitrate: lifetimeBitrate,
+      droppedPercent: lifetimeDroppedPercent,
+      windowMs: 0
+    };
+
     return {
       timestamp: Date.now(),
       stream: {
@@ -88,11 +322,22 @@ class OBSMetrics {
         reconnecting: streamStatus.outputReconnecting,
         duration: streamStatus.outputDuration,
         timecode: streamStatus.outputTimecode,
+        congestion: streamStatus.outputCongestion,
         bytes: streamStatus.outputBytes,
-        bitrate: Math.round(bitrate),
+        bitrate: Math.round(windowed.bitrate),
+        lifetimeBitrate: Math.round(lifetimeBitrate),
         skippedFrames: streamStatus.outputSkippedFrames,
         totalFrames: streamStatus.outputTotalFrames,
-        droppedPercent: droppedPercent.toFixed(2)
+        droppedPercent: windowed.droppedPercent.toFixed(2),
+        lifetimeDroppedPercent: lifetimeDroppedPercent.toFixed(2),
+        windowMs: windowed.windowMs
+      },
+      record: {
+        active: recordStatus.outputActive,
+        paused: recordStatus.outputPaused,
+        duration: recordStatus.outputDuration,
+        timecode: recordStatus.outputTimecode,
+        bytes: recordStatus.outputBytes
       },
       system: {
         cpuUsage: stats.cpuUsage.toFixed(1),
@@ -109,14 +354,48 @@ class OBSMetrics {
         outputHeight: videoSettings.outputHeight,
         fps: videoSettings.fpsNumerator / videoSettings.fpsDenominator
       },
-      scene: sceneList.currentProgramSceneName
+      scene
+    };
+  }
+
+  sampleStream(streamStatus) {
+    const sample = {
+      duration: streamStatus.outputDuration,
+      bytes: streamStatus.outputBytes,
+      skippedFrames: streamStatus.outputSkippedFrames,
+      totalFrames: streamStatus.outputTotalFrames
+    };
+
+    // A stopped or restarted stream invalidates the previous samples
+    const last = this.streamSamples[this.streamSamples.length - 1];
+    if (!streamStatus.outputActive || (last && sample.duration < last.duration)) {
+      this.streamSamples = [];
+    }
+    if (!streamStatus.outputActive) return null;
+
+    this.streamSamples.push(sample);
+
+    // Keep the newest sample at or before the window start as the baseline
+    const windowStart = sample.duration - this.config.bitrateWindow;
+    while (this.streamSamples.length > 2 && this.streamSamples[1].duration <= windowStart) {
+      this.streamSamples.shift();
+    }
+
+    const base = this.streamSamples[0];
+    const elapsed = sample.duration - base.duration;
+    if (base === sample || elapsed <= 0) return null;
+
+    const frames = sample.totalFrames - base.totalFrames;
+    return {
+      bitrate: (sample.bytes - base.bytes) / (elapsed / 1000) * 8 / 1024,
+      droppedPercent: frames > 0 ? (sample.skippedFrames - base.skippedFrames) / frames * 100 : 0,
+      windowMs: elapsed
     };
   }
 
   async getSources() {
     await this.connect();
-    const sceneList = await this.obs.call('GetSceneList');
-    const currentScene = sceneList.currentProgramSceneName;
+    const currentScene = await this.getCurrentScene();
     const items = await this.obs.call('GetSceneItemList', { sceneName: currentScene });
 
     const sources = [];
@@ -203,10 +482,155 @@ class OBSMetrics {
     await this.obs.call('StopStream');
   }
 
-  async setSourceEnabled(sourceName, enabled) {
+  async getRecordStatus() {
     await this.connect();
-    const sceneList = await this.obs.call('GetSceneList');
-    const currentScene = sceneList.currentProgramSceneName;
+    const status = await this.obs.call('GetRecordStatus');
+    return {
+      active: status.outputActive,
+      paused: status.outputPaused,
+      timecode: status.outputTimecode,
+      duration: status.outputDuration,
+      bytes: status.outputBytes
+    };
+  }
+
+  async startRecord() {
+    await this.connect();
+    // StartRecord doesn't return the file; OBS reports it once the output starts
+    // Stop waiting if OBS refuses, so the timer doesn't hold the process open
+    const failed = new AbortController();
+    const started = this.waitForEvent('RecordStateChanged',
+      e => e.outputState === 'OBS_WEBSOCKET_OUTPUT_STARTED', 5000, failed.signal);
+    try {
+      await this.obs.call('StartRecord');
+    } catch (error) {
+      failed.abort();
+      throw error;
+    }
+    const event = await started;
+    return { outputPath: event?.outputPath || null };
+  }
+
+  async stopRecord() {
+    await this.connect();
+    const status = await this.getRecordStatus();
+    const { outputPath } = await this.obs.call('StopRecord');
+    return { outputPath, duration: status.duration, bytes: status.bytes };
+  }
+
+  async pauseRecord() {
+    await this.connect();
+    await this.obs.call('PauseRecord');
+    return this.getRecordStatus();
+  }
+
+  async resumeRecord() {
+    await this.connect();
+    await this.obs.call('ResumeRecord');
+    return this.getRecordStatus();
+  }
+
+  async splitRecordFile() {
+    await this.connect();
+    const status = await this.getRecordStatus();
+    const failed = new AbortController();
+    const changed = this.waitForEvent('RecordFileChanged', () => true, 5000, failed.signal);
+    try {
+      await this.obs.call('SplitRecordFile');
+    } catch (error) {
+      failed.abort();
+      throw error;
+    }
+    const event = await changed;
+    return { newOutputPath: event?.newOutputPath || null, duration: status.duration, bytes: status.bytes };
+  }
+
+  async getReplayBufferStatus() {
+    await this.connect();
+    const status = await this.obs.call('GetReplayBufferStatus');
+    return { active: status.outputActive };
+  }
+
+  async startReplayBuffer() {
+    await this.connect();
+    await this.obs.call('StartReplayBuffer');
+  }
+
+  async stopReplayBuffer() {
+    await this.connect();
+    await this.obs.call('StopReplayBuffer');
+  }
+
+  async saveReplayBuffer() {
+    await this.connect();
+    // With the replay buffer off OBS refuses, and no file is coming
+    const failed = new AbortController();
+    const saved = this.waitForEvent('ReplayBufferSaved', () => true, 5000, failed.signal);
+    try {
+      await this.obs.call('SaveReplayBuffer');
+    } catch (error) {
+      failed.abort();
+      throw error;
+    }
+    const event = await saved;
+    if (event) {
+      return { savedReplayPath: event.savedReplayPath };
+    }
+    // Event missed (e.g. slow disk) - ask OBS for the last file instead
+    const last = await this.obs.call('GetLastReplayBufferReplay');
+    return { savedReplayPath: last.savedReplayPath };
+  }
+
+  async resolveSourceName(sourceName) {
+    const [sceneList, inputs] = await Promise.all([
+      this.obs.call('GetSceneList'),
+      this.obs.call('GetInputList')
+    ]);
+    const names = [
+      ...sceneList.scenes.map(s => s.sceneName),
+      ...inputs.inputs.map(i => i.inputName)
+    ];
+
+    const match = names.find(n => n === sourceName) ||
+      names.find(n => n.toLowerCase().includes(sourceName.toLowerCase()));
+    if (!match) {
+      throw new Error(`Source "${sourceName}" not found`);
+    }
+    return match;
+  }
+
+  /**
+   * Capture a source (or the program scene) as an image
+   * @param {string} [sourceName] - Scene or input name; defaults to the program scene
+   * @param {Object} [options]
+   * @param {string} [options.format] - Image format (png, jpg, ...)
+   * @param {number} [options.width] - Scale to this width (8-4096)
+   * @param {number} [options.height] - Scale to this height (8-4096)
+   * @param {number} [options.quality] - Compression quality 0-100 (-1 = default)
+   * @returns {Promise<{sourceName: string, format: string, data: Buffer}>}
+   */
+  async getSourceScreenshot(sourceName, options = {}) {
+    await this.connect();
+    const name = sourceName
+      ? await this.resolveSourceName(sourceName)
+      : await this.getCurrentScene();
+    const format = options.format || 'png';
+
+    const request = { sourceName: name, imageFormat: format };
+    if (options.width) request.imageWidth = options.width;
+    if (options.height) request.imageHeight = options.height;
+    if (options.quality !== undefined) request.imageCompressionQuality = options.quality;
+
+    const { imageData } = await this.obs.call('GetSourceScreenshot', request);
+    // imageData is a data URI: data:image/png;base64,...
+    const base64 = imageData.slice(imageData.indexOf(',') + 1);
+    return { sourceName: name, format, data: Buffer.from(base64, 'base64') };
+  }
+
+  // Scene item in the current scene whose source name contains sourceName
+  async findSceneItem(sourceName) {
+    await this.connect();
+    const currentScene = await this.getCurrentScene();
     const items = await this.obs.call('GetSceneItemList', { sceneName: currentScene });
 
     const item = items.sceneItems.find(i =>
@@ -216,9 +640,13 @@ class OBSMetrics {
     if (!item) {
       throw new Error(`Source "${sourceName}" not found`);
     }
+    return { sceneName: currentScene, item };
+  }
 
+  async setSourceEnabled(sourceName, enabled) {
+    const { sceneName, item } = await this.findSceneItem(sourceName);
     await this.obs.call('SetSceneItemEnabled', {
-      sceneName: currentScene,
+      sceneName,
       sceneItemId: item.sceneItemId,
       sceneItemEnabled: enabled
     });
@@ -226,6 +654,17 @@ class OBSMetrics {
     return item.sourceName;
   }
 
+  async toggleSource(sourceName) {
+    const { sceneName, item } = await this.findSceneItem(sourceName);
+    const enabled = !item.sceneItemEnabled;
+    await this.obs.call('SetSceneItemEnabled', {
+      sceneName,
+      sceneItemId: item.sceneItemId,
+      sceneItemEnabled: enabled
+    });
+    return { name: item.sourceName, enabled };
+  }
+
   async refreshSource(sourceName) {
     const name = await this.setSourceEnabled(sourceName, false);
     await new Promise(r => setTimeout(r, 500));
@@ -233,14 +672,13 @@ class OBSMetrics {
     return name;
   }
 
-  async setMute(inputName, mute) {
+  async resolveAudioInput(inputName) {
     await this.connect();
     const inputs = await this.obs.call('GetInputList');
     const special = await this.obs.call('GetSpecialInputs');
 
-    let targetName = inputs.inputs.find(i =>
-      i.inputName.toLowerCase().includes(inputName.toLowerCase())
-    )?.inputName;
+    let targetName = inputs.inputs.find(i => i.inputName === inputName)?.inputName ||
+      inputs.inputs.find(i => i.inputName.toLowerCase().includes(inputName.toLowerCase()))?.inputName;
 
     if (!targetName) {
       for (const [key, name] of Object.entries(special)) {
@@ -254,11 +692,92 @@ class OBSMetrics {
     if (!targetName) {
       throw new Error(`Audio input "${inputName}" not found`);
     }
+    return targetName;
+  }
 
+  async setMute(inputName, mute) {
+    const targetName = await this.resolveAudioInput(inputName);
     await this.obs.call('SetInputMute', { inputName: targetName, inputMuted: mute });
     return targetName;
   }
 
+  async toggleMute(inputName) {
+    const targetName = await this.resolveAudioInput(inputName);
+    const { inputMuted } = await this.obs.call('ToggleInputMute', { inputName: targetName });
+    return { name: targetName, muted: inputMuted };
+  }
+
+  async getMute(inputName) {
+    await this.connect();
+    const { inputMuted } = await this.obs.call('GetInputMute', { inputName });
+    return inputMuted;
+  }
+
+  // The mic the audio warnings and ducking listen to (default: global Mic/Aux)
+  async getMicInput(mic) {
+    await this.connect();
+    const micName = mic ? await this.resolveAudioInput(mic) : (await this.obs.call('GetSpecialInputs')).mic1;
+    if (!micName) {
+      throw new Error('No mic input found. Set audio.mic in obs.config.json or pass --mic');
+    }
+    return micName;
+  }
+
+  async getVolume(inputName) {
+    await this.connect();
+    const volume = await this.obs.call('GetInputVolume', { inputName });
+    return { name: inputName, volumeDb: volume.inputVolumeDb, volumeMul: volume.inputVolumeMul };
+  }
+
+  async setVolume(inputName, volumeDb) {
+    await this.connect();
+    await this.obs.call('SetInputVolume', { inputName, inputVolumeDb: volumeDb });
+  }
+
+  /**
+   * Move a fader to a level over time (linear in dB, which sounds even)
+   * @param {string} inputName - Exact input name (see resolveAudioInput)
+   * @param {number} volumeDb - Target level
+   * @param {number} duration - Fade length in ms
+   * @returns {Promise<Object>} { name, from, to }
+   */
+  async fadeVolume(inputName, volumeDb, duration) {
+    const { volumeDb: from } = await this.getVolume(inputName);
+    const steps = Math.max(1, Math.round(duration / RAMP_INTERVAL));
+
+    for (let i = 1; i <= steps; i++) {
+      if (i > 1) await new Promise(resolve => setTimeout(resolve, duration / steps));
+      await this.setVolume(inputName, from + (volumeDb - from) * (i / steps));
+    }
+    return { name: inputName, from, to: volumeDb };
+  }
+
+  /**
+   * Inputs the Ducker listens to and lowers
+   * @param {string} [mic] - Defaults to the global Mic/Aux input
+   * @param {string[]} [targets] - Defaults to global desktop audio plus inputs named like "music"
+   */
+  async getDuckingInputs(mic, targets) {
+    const micName = await this.getMicInput(mic);
+    const special = await this.obs.call('GetSpecialInputs');
+
+    let targetNames;
+    if (targets && targets.length > 0) {
+      targetNames = [];
+      for (const target of targets) {
+        targetNames.push(await this.resolveAudioInput(target));
+      }
+    } else {
+      const { inputs } = await this.obs.call('GetInputList');
+      targetNames = [
+        special.desktop1,
+        ...inputs.map(i => i.inputName).filter(name => /music/i.test(name))
+      ].filter(Boolean);
+    }
+
+    return { mic: micName, targets: [...new Set(targetNames)].filter(name => name !== micName) };
+  }
+
   async setCaptureAudio(sourceName, enable) {
     await this.connect();
     const inputs = await this.obs.call('GetInputList');
@@ -280,71 +799,471 @@ class OBSMetrics {
     return match.inputName;
   }
 
-  async switchScene(sceneName) {
+  /**
+   * Filters on a scene or input, in the order OBS applies them
+   * @returns {Promise<Object>} { sourceName, filters } - filters as returned by GetSourceFilterList
+   */
+  async getSourceFilters(sourceName) {
     await this.connect();
-    await this.obs.call('SetCurrentProgramScene', { sceneName });
+    const name = await this.resolveSourceName(sourceName);
+    const { filters } = await this.obs.call('GetSourceFilterList', { sourceName: name });
+    return { sourceName: name, filters };
+  }
+
+  // Source and filter by (partial) name or preset, e.g. ("mic", "noise")
+  async resolveFilter(sourceName, filterName) {
+    const { sourceName: name, filters } = await this.getSourceFilters(sourceName);
+    const filter = findFilter(filters, filterName);
+    if (!filter) {
+      throw new Error(`Filter "${filterName}" not found on ${name}`);
+    }
+    return { sourceName: name, filter };
+  }
+
+  /**
+   * Enable or disable a filter
+   * @param {boolean} [enabled] - Omit to toggle
+   */
+  async setFilterEnabled(sourceName, filterName, enabled) {
+    const { sourceName: name, filter } = await this.resolveFilter(sourceName, filterName);
+    const filterEnabled = enabled === undefined ? !filter.filterEnabled : enabled;
+    await this.obs.call('SetSourceFilterEnabled', { sourceName: name, filterName: filter.filterName, filterEnabled });
+    return { sourceName: name, filterName: filter.filterName, enabled: filterEnabled };
+  }
+
+  // Merge settings into a filter's current ones
+  async setFilterSettings(sourceName, filterName, settings) {
+    const { sourceName: name, filter } = await this.resolveFilter(sourceName, filterName);
+    await this.obs.call('SetSourceFilterSettings', {
+      sourceName: name,
+      filterName: filter.filterName,
+      filterSettings: settings
+    });
+    return { sourceName: name, filterName: filter.filterName, settings: { ...filter.filterSettings, ...settings } };
+  }
+
+  /**
+   * Add a filter from a preset (noise, compressor, chroma, ...) or a raw OBS kind
+   * @param {Object} [options]
+   * @param {string} [options.name] - Filter name (default: the preset's name)
+   * @param {Object} [options.settings] - Merged over the preset's settings
+   */
+  async addFilter(sourceName, kind, options = {}) {
+    await this.connect();
+    const preset = resolveFilterKind(kind);
+    const name = await this.resolveSourceName(sourceName);
+    const filterName = options.name || preset.name;
+    if (!filterName) {
+      throw new Error(`Name the new ${preset.kind} filter with --name`);
+    }
+
+    const filterSettings = { ...preset.settings, ...options.settings };
+    await this.obs.call('CreateSourceFilter', {
+      sourceName: name,
+      filterName,
+      filterKind: preset.kind,
+      filterSettings
+    });
+    return { sourceName: name, filterName, kind: preset.kind, settings: filterSettings };
+  }
+
+  async removeFilter(sourceName, filterName) {
+    const { sourceName: name, filter } = await this.resolveFilter(sourceName, filterName);
+    await this.obs.call('RemoveSourceFilter', { sourceName: name, filterName: filter.filterName });
+    return { sourceName: name, filterName: filter.filterName };
+  }
+
+  async resolveTextInput(inputName) {
+    await this.connect();
+    const { inputs } = await this.obs.call('GetInputList');
+    const names = inputs.filter(i => TEXT_KIND.test(i.inputKind)).map(i => i.inputName);
+    const match = names.find(n => n === inputName) ||
+      names.find(n => n.toLowerCase().includes(inputName.toLowerCase()));
+    if (!match) {
+      throw new Error(`Text source "${inputName}" not found${names.length ? `. Available: ${names.join(', ')}` : ''}`);
+    }
+    return match;
+  }
+
+  async getText(inputName) {
+    await this.connect();
+    const { inputSettings } = await this.obs.call('GetInputSettings', { inputName });
+    return inputSettings.text || '';
+  }
+
+  async setText(inputName, text) {
+    await this.connect();
+    await this.obs.call('SetInputSettings', { inputName, inputSettings: { text } });
+    return text;
+  }
+
+  // Media sources (video/audio files), e.g. for intro and outro videos
+  async getMediaInputs() {
+    await this.connect();
+    const { inputs } = await this.obs.call('GetInputList');
+    return inputs.filter(i => MEDIA_KINDS.includes(i.inputKind)).map(i => i.inputName);
+  }
+
+  async resolveMediaInput(inputName) {
+    const names = await this.getMediaInputs();
+    const match = names.find(n => n === inputName) ||
+      names.find(n => n.toLowerCase().includes(inputName.toLowerCase()));
+    if (!match) {
+      throw new Error(`Media source "${inputName}" not found${names.length ? `. Available: ${names.join(', ')}` : ''}`);
+    }
+    return match;
+  }
+
+  /**
+   * @param {string} inputName - Exact media input name (see resolveMediaInput)
+   * @returns {Promise<Object>} { name, state, duration, cursor } - state like playing, paused, ended;
+   *   duration and cursor in ms, null when OBS doesn't know them
+   */
+  async getMediaStatus(inputName) {
+    await this.connect();
+    const status = await this.obs.call('GetMediaInputStatus', { inputName });
+    return {
+      name: inputName,
+      state: mediaStateName(status.mediaState),
+      duration: status.mediaDuration,
+      cursor: status.mediaCursor
+    };
+  }
+
+  /**
+   * @param {string} inputName - Exact media input name
+   * @param {string} action - play, pause, stop, restart, next, previous
+   */
+  async controlMedia(inputName, action) {
+    const mediaAction = MEDIA_ACTIONS[action];
+    if (!mediaAction) {
+      throw new Error(`Invalid media action. Use: ${Object.keys(MEDIA_ACTIONS).join(', ')}`);
+    }
+    await this.connect();
+    await this.obs.call('TriggerMediaInputAction', { inputName, mediaAction });
+    return { name: inputName, action };
+  }
+
+  /**
+   * @param {string} inputName - Exact media input name
+   * @param {Object} position - { cursor } to jump to or { offset } to skip, in ms (see parseSeek)
+   */
+  async seekMedia(inputName, position) {
+    await this.connect();
+    if (position.offset !== undefined) {
+      await this.obs.call('OffsetMediaInputCursor', { inputName, mediaCursorOffset: position.offset });
+    } else {
+      await this.obs.call('SetMediaInputCursor', { inputName, mediaCursor: position.cursor });
+    }
+    return this.getMediaStatus(inputName);
+  }
+
+  /**
+   * Resolve once a media input has finished (ended, stopped or errored)
+   * @param {string} inputName - Exact media input name
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Give up after this many ms (default: wait forever)
+   * @param {number} [options.pollInterval] - Status check interval in ms, in case the end event is missed
+   * @param {number} [options.startGrace] - A just-triggered file may still report stopped this long
+   * @returns {Promise<Object>} Final media status
+   */
+  async waitForMediaEnd(inputName, options = {}) {
+    const { timeout = 0, pollInterval = 1000, startGrace = 2000 } = options;
+    await this.connect();
+    const startedAt = Date.now();
+    let sawActive = false;
+
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      let poll = null;
+      let done = false;
+
+      const finish = (error, status) => {
+        if (done) return;
+        done = true;
+        clearTimeout(timer);
+        clearInterval(poll);
+        this.obs.off('MediaInputPlaybackEnded', onEnded);
+        if (error) reject(error);
+        else resolve(status);
+      };
+
+      const check = async () => {
+        try {
+          const status = await this.getMediaStatus(inputName);
+          if (ACTIVE_STATES.includes(status.state)) {
+            sawActive = true;
+          } else if (sawActive || Date.now() - startedAt >= startGrace) {
+            finish(null, status);
+          }
+        } catch (error) {
+          finish(error);
+        }
+      };
+
+      const onEnded = (data) => {
+        if (data.inputName !== inputName) return;
+        sawActive = true;
+        check();
+      };
+
+      this.obs.on('MediaInputPlaybackEnded', onEnded);
+      poll = setInterval(check, pollInterval);
+      if (timeout) {
+        timer = setTimeout(() => finish(new Error(`Timed out waiting for ${inputName} to finish`)), timeout);
+      }
+      check();
+    });
+  }
+
+  /**
+   * Switch the program scene
+   * @param {string} sceneName
+   * @param {Object} [options] - transition and/or duration for this switch only (see withTransition)
+   */
+  async switchScene(sceneName, options = {}) {
+    await this.connect();
+    await this.withTransition(options, () =>
+      this.obs.call('SetCurrentProgramScene', { sceneName })
+    );
+    this.currentScene = sceneName;
     return sceneName;
   }
 
+  /**
+   * @returns {Promise<Object>} { current, preview, scenes } - preview is null unless studio mode is on
+   */
   async getScenes() {
     await this.connect();
     const sceneList = await this.obs.call('GetSceneList');
+    this.currentScene = sceneList.currentProgramSceneName;
     return {
       current: sceneList.currentProgramSceneName,
+      preview: sceneList.currentPreviewSceneName || null,
       scenes: sceneList.scenes.map(s => s.sceneName)
     };
   }
 
-  async controlOverlay(action) {
+  /**
+   * Scene and source names, e.g. for tab completion
+   * @returns {Promise<Object>} { scenes, sources } - sources are inputs, then scenes (a scene can be a source too)
+   */
+  async getNames() {
     await this.connect();
-    const sceneList = await this.obs.call('GetSceneList');
-    const currentScene = sceneList.currentProgramSceneName;
-    const items = await this.obs.call('GetSceneItemList', { sceneName: currentScene });
+    const [sceneList, { inputs }] = await Promise.all([
+      this.obs.call('GetSceneList'),
+      this.obs.call('GetInputList')
+    ]);
+    const scenes = sceneList.scenes.map(s => s.sceneName);
+    return { scenes, sources: [...new Set([...inputs.map(i => i.inputName), ...scenes])] };
+  }
 
-    // Find terminal overlay source
-    let overlay = items.sceneItems.find(i =>
-      i.sourceName.toLowerCase().includes('terminal') ||
-      i.sourceName.toLowerCase().includes('overlay')
-    );
+  async getStudioMode() {
+    await this.connect();
+    const { studioModeEnabled } = await this.obs.call('GetStudioModeEnabled');
+    return studioModeEnabled;
+  }
+
+  async setStudioMode(enabled) {
+    await this.connect();
+    await this.obs.call('SetStudioModeEnabled', { studioModeEnabled: enabled });
+    return enabled;
+  }
+
+  async requireStudioMode() {
+    if (!await this.getStudioMode()) {
+      throw new Error('Studio mode is off. Turn it on with: npm run obs studio on');
+    }
+  }
+
+  // Load a scene into the studio mode preview without touching the program output
+  async setPreviewScene(sceneName) {
+    await this.requireStudioMode();
+    await this.obs.call('SetCurrentPreviewScene', { sceneName });
+    return sceneName;
+  }
+
+  /**
+   * Send the preview scene to program (the studio mode "Transition" button)
+   * @param {Object} [options] - transition and/or duration for this transition only
+   * @returns {Promise<Object>} { program, preview } after the transition
+   */
+  async triggerStudioTransition(options = {}) {
+    await this.requireStudioMode();
+    await this.withTransition(options, () => this.obs.call('TriggerStudioModeTransition'));
+    this.currentScene = null;
+    const { current, preview } = await this.getScenes();
+    return { program: current, preview };
+  }
+
+  /**
+   * Available transitions and the current one
+   * @returns {Promise<Object>} { current, duration, transitions: [{ name, kind, fixed }] }
+   *   - duration is null for fixed transitions like Cut
+   */
+  async getTransitions() {
+    await this.connect();
+    const [list, current] = await Promise.all([
+      this.obs.call('GetSceneTransitionList'),
+      this.obs.call('GetCurrentSceneTransition')
+    ]);
+    return {
+      current: list.currentSceneTransitionName,
+      duration: current.transitionDuration,
+      transitions: list.transitions.map(t => ({
+        name: t.transitionName,
+        kind: t.transitionKind,
+        fixed: t.transitionFixed
+      }))
+    };
+  }
+
+  async resolveTransition(name) {
+    const { transitions } = await this.getTransitions();
+    const match = transitions.find(t => t.name === name) ||
+      transitions.find(t => t.name.toLowerCase() === name.toLowerCase()) ||
+      transitions.find(t => t.name.toLowerCase().includes(name.toLowerCase()) || t.kind.startsWith(name.toLowerCase()));
+    if (!match) {
+      throw new Error(`Transition "${name}" not found. Available: ${transitions.map(t => t.name).join(', ')}`);
+    }
+    return match;
+  }
+
+  /**
+   * Select the current transition and/or its duration
+   * @param {string} [name] - Transition name (partial match)
+   * @param {number} [duration] - Duration in ms (ignored by fixed transitions like Cut)
+   * @returns {Promise<Object>} { current, duration }
+   */
+  async setTransition(name, duration) {
+    await this.connect();
+    if (name) {
+      const transition = await this.resolveTransition(name);
+      await this.obs.call('SetCurrentSceneTransition', { transitionName: transition.name });
+    }
+    if (duration !== undefined) {
+      await this.obs.call('SetCurrentSceneTransitionDuration', { transitionDuration: duration });
+    }
+    const { current, duration: currentDuration } = await this.getTransitions();
+    return { current, duration: currentDuration };
+  }
+
+  /**
+   * Run a scene change with a one-off transition, then put the previous one back
+   * once the transition has finished
+   * @param {Object} options
+   * @param {string} [options.transition] - Transition name for this change
+   * @param {number} [options.duration] - Duration in ms for this change
+   * @param {Function} change - Makes the request that starts the transition
+   */
+  async withTransition({ transition, duration } = {}, change) {
+    if (!transition && duration === undefined) {
+      return change();
+    }
+
+    const previous = await this.getTransitions();
+    await this.setTransition(transition, duration);
+
+    // A change OBS refuses (e.g. an unknown scene) starts no transition to wait for
+    const failed = new AbortController();
+    const ended = this.waitForEvent('SceneTransitionEnded', () => true, (duration ?? previous.duration) + 2000, failed.signal);
+    try {
+      await change();
+      await ended;
+    } catch (error) {
+      failed.abort();
+      throw error;
+    } finally {
+      await this.obs.call('SetCurrentSceneTransition', { transitionName: previous.current });
+      // Fixed transitions like Cut have no duration to restore
+      if (previous.duration !== null) {
+        await this.obs.call('SetCurrentSceneTransitionDuration', { transitionDuration: previous.duration });
+      }
+    }
+  }
+
+  /**
+   * Control the terminal overlay in the current scene
+   * @param {string} action - create, show, hide, an opacity (0.0-1.0), save/load
+   *   <name>, presets, or a position: bigger/smaller [percent], left, right,
+   *   full, top, bottom, center, a corner, or a size like "80%" plus an anchor
+   * @param {...string} args - Rest of the position or the preset name
+   */
+  async controlOverlay(action, ...args) {
+    await this.connect();
+    const currentScene = await this.getCurrentScene();
+    const overlay = await this.findTerminalOverlay(currentScene);
 
     // Create overlay if it doesn't exist
     if (!overlay && action === 'create') {
       const video = await this.obs.call('GetVideoSettings');
       const baseWidth = video.baseWidth;
       const baseHeight = video.baseHeight;
+      const { last } = loadPresets();
+      const { inputKind, inputSettings } = captureInput(loadConfig().overlay);
 
+      // Capture the window picked with `overlay pick` last time
       const result = await this.obs.call('CreateInput', {
         sceneName: currentScene,
         inputName: 'Terminal Overlay',
-        inputKind: 'window_capture',
-        inputSettings: {
-          cursor: true,
-          method: 2,
-          window: ':CASCADIA_HOSTING_WINDOW_CLASS:WindowsTerminal.exe'
-        }
+        inputKind,
+        inputSettings
       });
 
-      // Scale to fill the entire base canvas
+      // Put it back where it was last time, or fill the entire base canvas
+      const box = last || { x: 0, y: 0, width: 1, height: 1, anchor: 'full' };
       await this.obs.call('SetSceneItemTransform', {
         sceneName: currentScene,
         sceneItemId: result.sceneItemId,
-        sceneItemTransform: {
-          positionX: 0,
-          positionY: 0,
-          boundsType: 'OBS_BOUNDS_SCALE_INNER',
-          boundsWidth: baseWidth,
-          boundsHeight: baseHeight,
-          boundsAlignment: 0
-        }
+        sceneItemTransform: boxToTransform(box, { width: baseWidth, height: baseHeight })
       });
 
-      return { created: true, name: 'Terminal Overlay', width: baseWidth, height: baseHeight };
+      return { created: true, name: 'Terminal Overlay', inputKind, width: baseWidth, height: baseHeight, restored: !!last };
     }
 
     if (!overlay) {
       throw new Error('Terminal overlay not found. Run: npm run obs overlay create');
     }
 
+    if (action === 'create') {
+      return { created: false, name: overlay.sourceName };
+    }
+
+    if (action === 'presets') {
+      return { action: 'presets', name: overlay.sourceName, ...loadPresets() };
+    }
+
+    if (action === 'save' || action === 'load') {
+      const preset = args[0];
+      if (!preset) {
+        throw new Error(`Missing preset name. Use: overlay ${action} <name>`);
+      }
+
+      const store = loadPresets();
+      if (action === 'save') {
+        const box = await this.getOverlayBox(currentScene, overlay);
+        store.presets[preset] = box;
+        store.last = box;
+        savePresets(store);
+        return { action: 'save', name: overlay.sourceName, preset, box };
+      }
+
+      const box = store.presets[preset];
+      if (!box) {
+        const saved = Object.keys(store.presets);
+        throw new Error(`No overlay preset "${preset}"${saved.length ? `. Saved: ${saved.join(', ')}` : ''}`);
+      }
+      const transform = await this.setOverlayBox(currentScene, overlay, box);
+      return { action: 'load', name: overlay.sourceName, preset, box, transform };
+    }
+
+    const position = parsePosition([action, ...args]);
+    if (position) {
+      const box = applyPosition(await this.getOverlayBox(currentScene, overlay), position);
+      const transform = await this.setOverlayBox(currentScene, overlay, box);
+      return { action: 'position', name: overlay.sourceName, box, transform };
+    }
+
     if (action === 'show') {
       await this.obs.call('SetSceneItemEnabled', {
         sceneName: currentScene,
@@ -365,7 +1284,10 @@ class OBSMetrics {
 
     // Opacity value
     const opacity = parseFloat(action);
-    if (isNaN(opacity) || opacity < 0 || opacity > 1) {
+    if (isNaN(opacity)) {
+      throw new Error('Invalid action. Use: create, show, hide, 0.0-1.0 (opacity), bigger, smaller, left, right, full, "80% top-left", save <name>, load <name>, presets');
+    }
+    if (opacity < 0 || opacity > 1) {
       throw new Error('Invalid opacity. Use a value between 0.0 and 1.0');
     }
 
@@ -393,10 +1315,85 @@ class OBSMetrics {
     return { action: 'opacity', name: overlay.sourceName, opacity };
   }
 
+  async findTerminalOverlay(sceneName) {
+    const { sceneItems } = await this.obs.call('GetSceneItemList', { sceneName });
+    const name = (item) => item.sourceName.toLowerCase();
+
+    // Prefer an explicit terminal; "overlay" alone would also match the celebration overlay
+    return sceneItems.find(i => name(i).includes('terminal')) ||
+      sceneItems.find(i => name(i).includes('overlay') && !name(i).includes('celebration')) ||
+      null;
+  }
+
+  /**
+   * List the windows a capture input can be pointed at
+   * @param {string} inputName
+   * @returns {Promise<Object>} { inputKind, property, button, windows: [{ name, value }] }
+   */
+  async getCaptureWindows(inputName) {
+    await this.connect();
+    const { inputKind } = await this.obs.call('GetInputSettings', { inputName });
+    const capture = CAPTURE_KINDS[inputKind];
+    if (!capture) {
+      throw new Error(`"${inputName}" is a ${inputKind} input, not a window capture`);
+    }
+
+    // PipeWire picks through the desktop portal instead of a list
+    if (!capture.property) {
+      return { inputKind, button: capture.button, windows: [] };
+    }
+
+    const { propertyItems } = await this.obs.call('GetInputPropertiesListPropertyItems', {
+      inputName,
+      propertyName: capture.property
+    });
+    return {
+      inputKind,
+      property: capture.property,
+      windows: propertyItems
+        .filter(item => item.itemEnabled !== false && item.itemValue !== '')
+        .map(item => ({ name: item.itemName, value: item.itemValue }))
+    };
+  }
+
+  async setCaptureWindow(inputName, property, value) {
+    await this.connect();
+    await this.obs.call('SetInputSettings', { inputName, inputSettings: { [property]: value } });
+  }
+
+  async openCapturePicker(inputName, button) {
+    await this.connect();
+    await this.obs.call('PressInputPropertiesButton', { inputName, propertyName: button });
+  }
+
+  async getCanvasSize() {
+    const video = await this.obs.call('GetVideoSettings');
+    return { width: video.baseWidth, height: video.baseHeight };
+  }
+
+  async getOverlayBox(sceneName, overlay) {
+    const { sceneItemTransform } = await this.obs.call('GetSceneItemTransform', {
+      sceneName,
+      sceneItemId: overlay.sceneItemId
+    });
+    return transformToBox(sceneItemTransform, await this.getCanvasSize());
+  }
+
+  // Moves the overlay and remembers the box for the next `overlay create`
+  async setOverlayBox(sceneName, overlay, box) {
+    const transform = boxToTransform(box, await this.getCanvasSize());
+    await this.obs.call('SetSceneItemTransform', {
+      sceneName,
+      sceneItemId: overlay.sceneItemId,
+      sceneItemTransform: transform
+    });
+    rememberLast(box);
+    return transform;
+  }
+
   async controlCelebrationOverlay(action) {
     await this.connect();
-    const sceneList = await this.obs.call('GetSceneList');
-    const currentScene = sceneList.currentProgramSceneName;
+    const currentScene = await this.getCurrentScene();
     const items = await this.obs.call('GetSceneItemList', { sceneName: currentScene });
 
     // Find celebration overlay source
@@ -460,6 +1457,10 @@ class OBSMetrics {
       throw new Error('Celebration overlay not found. Run: npm run obs celebration create');
     }
 
+    if (action === 'create') {
+      return { created: false, name: overlay.sourceName };
+    }
+
     if (action === 'show') {
       await this.obs.call('SetSceneItemEnabled', {
         sceneName: currentScene,
@@ -499,4 +1500,7 @@ class OBSMetrics {
   }
 }
 
+// Events a long-running consumer (e.g. obs serve) can subscribe to
+OBSMetrics.FORWARDED_EVENTS = FORWARDED_EVENTS;
+
 module.exports = OBSMetrics;
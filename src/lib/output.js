@@ -0,0 +1,199 @@
+/**
+ * Machine-readable output
+ *
+ * The global --json and --format text|json|yaml|table options. Commands that
+ * support them build a plain data object and pass it to printData(); in text
+ * mode they print their usual coloured output instead. The schemas are
+ * documented in docs/json-output.md.
+ *
+ * In the machine formats a failure prints { error: { code, message } } on
+ * stdout and sets the exit code (EXIT_CODES). An offline stream is data, not
+ * a failure: status exits 0 with stream.active false.
+ */
+
+const FORMATS = ['text', 'json', 'yaml', 'table'];
+
+// Commands with structured output; others refuse --json rather than print text
+const MACHINE_READABLE = ['status', 'diagnose', 'sources', 'audio', 'scene', 'report', 'affiliate'];
+
+const EXIT_CODES = {
+  failed: 1,
+  obs_unavailable: 2,
+  not_found: 3
+};
+
+let current = 'text';
+
+class CommandError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - A key of EXIT_CODES
+   */
+  constructor(message, code = 'failed') {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * @param {Object} options - { json, format } from the command line
+ * @returns {string} One of FORMATS
+ */
+function resolveFormat({ json, format } = {}) {
+  if (json) return 'json';
+  if (format === undefined) return 'text';
+  const value = String(format).toLowerCase();
+  if (!FORMATS.includes(value)) {
+    throw new CommandError(`Unknown format "${format}". Use: ${FORMATS.join(', ')}`);
+  }
+  return value;
+}
+
+function setFormat(format) {
+  current = format;
+}
+
+function getFormat() {
+  return current;
+}
+
+function isMachineReadable() {
+  return current !== 'text';
+}
+
+function errorCode(error) {
+  if (EXIT_CODES[error.code]) return error.code;
+  return error.message.includes('OBS not running') ? 'obs_unavailable' : 'failed';
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isBlock = (value) => (Array.isArray(value) && value.length > 0) || (isObject(value) && Object.keys(value).length > 0);
+
+// Plain scalars only where YAML can't read them as something else
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (Array.isArray(value)) return '[]';
+  if (isObject(value)) return '{}';
+  const text = String(value);
+  const plain = /^[A-Za-z_][\w ./()-]*$/.test(text) && !text.endsWith(' ') &&
+    !/^(true|false|null|yes|no|on|off|y|n)$/i.test(text);
+  return plain ? text : JSON.stringify(text);
+}
+
+function toYaml(value, indent = '') {
+  if (Array.isArray(value) && value.length > 0) {
+    return value.map(item => `${indent}- ${isBlock(item) ? toYaml(item, indent + '  ').trimStart() : yamlScalar(item)}`).join('\n');
+  }
+  if (isObject(value) && Object.keys(value).length > 0) {
+    return Object.entries(value)
+      .filter(([, v]) => v !== undefined)
+      .map(([key, v]) => isBlock(v)
+        ? `${indent}${yamlScalar(key)}:\n${toYaml(v, indent + '  ')}`
+        : `${indent}${yamlScalar(key)}: ${yamlScalar(v)}`)
+      .join('\n');
+  }
+  return indent + yamlScalar(value);
+}
+
+function cell(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(cell).join(', ');
+  if (isObject(value)) return JSON.stringify(value);
+  return String(value);
+}
+
+function renderColumns(rows) {
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+  const line = (row) => row.map((text, i) => text.padEnd(widths[i])).join('  ').trimEnd();
+  return [line(rows[0]), widths.map(w => '-'.repeat(w)).join('  '), ...rows.slice(1).map(line)].join('\n');
+}
+
+function renderList(list) {
+  if (list.length === 0) return '(none)';
+  if (!list.every(isObject)) {
+    return renderColumns([['value'], ...list.map(item => [cell(item)])]);
+  }
+  const keys = [...new Set(list.flatMap(item => Object.keys(item)))];
+  return renderColumns([keys, ...list.map(item => keys.map(key => cell(item[key])))]);
+}
+
+// Nested objects flatten to dotted keys; lists of objects get their own table
+function flatten(value, prefix, pairs, tables) {
+  for (const [key, v] of Object.entries(value)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(v) && v.some(isObject)) {
+      tables.push([name, v]);
+    } else if (isObject(v)) {
+      flatten(v, name, pairs, tables);
+    } else {
+      pairs.push([name, cell(v)]);
+    }
+  }
+}
+
+function toTable(value) {
+  if (Array.isArray(value)) return renderList(value);
+  if (!isObject(value)) return cell(value);
+
+  const pairs = [];
+  const tables = [];
+  flatten(value, '', pairs, tables);
+  const sections = [];
+  if (pairs.length > 0) sections.push(renderColumns([['key', 'value'], ...pairs]));
+  for (const [name, list] of tables) {
+    sections.push(`${name}:\n${renderList(list)}`);
+  }
+  return sections.join('\n\n');
+}
+
+/**
+ * Render data in a machine format
+ * @param {*} data
+ * @param {string} format - json, yaml or table
+ */
+function formatData(data, format) {
+  switch (format) {
+    case 'json': return JSON.stringify(data, null, 2);
+    case 'yaml': return toYaml(data);
+    case 'table': return toTable(data);
+    default: throw new Error(`No renderer for format "${format}"`);
+  }
+}
+
+function printData(data, format = current) {
+  process.stdout.write(formatData(data, format) + '\n');
+}
+
+/**
+ * Report a failure: the usual red "Failed:" line in text mode, otherwise
+ * { error: { code, message } } on stdout. Either way the exit code is set.
+ * @param {Error} error
+ * @param {string} [label] - Text-mode prefix
+ */
+function printError(error, label = 'Failed:') {
+  const code = errorCode(error);
+  process.exitCode = EXIT_CODES[code];
+  if (!isMachineReadable()) {
+    const chalk = require('chalk');
+    console.error(chalk.red(label), error.message);
+    return;
+  }
+  printData({ error: { code, message: error.message } });
+}
+
+module.exports = {
+  FORMATS,
+  MACHINE_READABLE,
+  EXIT_CODES,
+  CommandError,
+  resolveFormat,
+  setFormat,
+  getFormat,
+  isMachineReadable,
+  formatData,
+  printData,
+  printError,
+  toYaml,
+  toTable
+};
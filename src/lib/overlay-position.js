@@ -0,0 +1,210 @@
+/**
+ * Overlay Positioning
+ *
+ * Turns commands like `bigger`, `left` or `80% top-left` into scene item
+ * transforms. Positions are kept as boxes in canvas fractions
+ * ({ x, y, width, height, anchor }) so saved presets survive a change of
+ * canvas resolution. Named presets and the last used position live in
+ * data/overlay-presets.json (or OBS_OVERLAY_PRESETS).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PRESETS_PATH = path.join(__dirname, '../../data/overlay-presets.json');
+
+// obs_alignment bits
+const ALIGN_LEFT = 1;
+const ALIGN_RIGHT = 2;
+const ALIGN_TOP = 4;
+const ALIGN_BOTTOM = 8;
+
+const RESIZE_STEP = 0.1;
+const MIN_SIZE = 0.1;
+
+// Edges and full snap to part of the canvas; corners and center keep the current size
+const ANCHORS = {
+  full: { h: 'center', v: 'center', width: 1, height: 1 },
+  left: { h: 'left', v: 'center', width: 0.5, height: 1 },
+  right: { h: 'right', v: 'center', width: 0.5, height: 1 },
+  top: { h: 'center', v: 'top', width: 1, height: 0.5 },
+  bottom: { h: 'center', v: 'bottom', width: 1, height: 0.5 },
+  center: { h: 'center', v: 'center' },
+  'top-left': { h: 'left', v: 'top' },
+  'top-right': { h: 'right', v: 'top' },
+  'bottom-left': { h: 'left', v: 'bottom' },
+  'bottom-right': { h: 'right', v: 'bottom' }
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Parse overlay positioning arguments
+ * @param {string[]} args - e.g. ['bigger'], ['smaller', '20'], ['left'], ['80%', 'top-left']
+ * @returns {Object|null} { type: 'resize', step } or { type: 'anchor', anchor, size? }, null if not a position
+ */
+function parsePosition(args) {
+  const words = args.filter(Boolean).map(a => String(a).toLowerCase());
+  if (words.length === 0) return null;
+
+  if (words[0] === 'bigger' || words[0] === 'smaller') {
+    const amount = words[1] !== undefined ? parseFloat(words[1]) : RESIZE_STEP * 100;
+    if (isNaN(amount) || amount <= 0 || amount > 100) {
+      throw new Error('Invalid resize step. Use a percentage, e.g. overlay bigger 20');
+    }
+    const step = amount / 100;
+    return { type: 'resize', step: words[0] === 'bigger' ? step : -step };
+  }
+
+  let size;
+  let anchor;
+  for (const word of words) {
+    if (/^\d+(\.\d+)?%$/.test(word)) {
+      size = parseFloat(word) / 100;
+      if (size < MIN_SIZE || size > 1) {
+        throw new Error(`Size must be between ${MIN_SIZE * 100}% and 100%`);
+      }
+    } else if (ANCHORS[word]) {
+      anchor = word;
+    } else {
+      return null;
+    }
+  }
+
+  return { type: 'anchor', anchor: anchor || 'center', size };
+}
+
+function alignedEdge(align, size) {
+  if (align === 'left' || align === 'top') return 0;
+  if (align === 'right' || align === 'bottom') return 1 - size;
+  return (1 - size) / 2;
+}
+
+/**
+ * Place a box of the given size against an anchor
+ */
+function anchorBox(anchor, width, height) {
+  const { h, v } = ANCHORS[anchor];
+  return {
+    x: round(alignedEdge(h, width)),
+    y: round(alignedEdge(v, height)),
+    width: round(width),
+    height: round(height),
+    anchor
+  };
+}
+
+// Which edges a box hugs decides where it grows from
+function inferAnchor(box) {
+  const near = (a, b) => Math.abs(a - b) < 0.005;
+  const h = near(box.x, 0) ? 'left' : near(box.x + box.width, 1) ? 'right' : 'center';
+  const v = near(box.y, 0) ? 'top' : near(box.y + box.height, 1) ? 'bottom' : 'center';
+  if (h === 'center' && v === 'center') return 'center';
+  if (h === 'center') return v;
+  if (v === 'center') return h;
+  return `${v}-${h}`;
+}
+
+/**
+ * Apply a parsed position to the current box
+ * @param {Object} box - Current box in canvas fractions
+ * @param {Object} position - From parsePosition
+ * @returns {Object} New box
+ */
+function applyPosition(box, position) {
+  if (position.type === 'resize') {
+    const width = clamp(box.width + position.step, MIN_SIZE, 1);
+    const height = clamp(box.height + position.step, MIN_SIZE, 1);
+    return anchorBox(inferAnchor(box), width, height);
+  }
+
+  const preset = ANCHORS[position.anchor];
+  const width = position.size ?? preset.width ?? box.width;
+  const height = position.size ?? preset.height ?? box.height;
+  return anchorBox(position.anchor, width, height);
+}
+
+function alignmentBits(anchor) {
+  const { h, v } = ANCHORS[anchor] || ANCHORS.center;
+  return (h === 'left' ? ALIGN_LEFT : h === 'right' ? ALIGN_RIGHT : 0) |
+    (v === 'top' ? ALIGN_TOP : v === 'bottom' ? ALIGN_BOTTOM : 0);
+}
+
+/**
+ * Scene item transform that fits the source inside a box
+ * @param {Object} box - Canvas fractions
+ * @param {Object} canvas - { width, height } in pixels
+ */
+function boxToTransform(box, canvas) {
+  return {
+    positionX: Math.round(box.x * canvas.width),
+    positionY: Math.round(box.y * canvas.height),
+    alignment: ALIGN_LEFT | ALIGN_TOP,
+    boundsType: 'OBS_BOUNDS_SCALE_INNER',
+    boundsWidth: Math.round(box.width * canvas.width),
+    boundsHeight: Math.round(box.height * canvas.height),
+    // Keep the content against the anchored edges when aspect ratios differ
+    boundsAlignment: alignmentBits(box.anchor)
+  };
+}
+
+/**
+ * Read the box a scene item currently occupies
+ * @param {Object} transform - From GetSceneItemTransform / GetSceneItemList
+ * @param {Object} canvas - { width, height } in pixels
+ */
+function transformToBox(transform = {}, canvas) {
+  const bounded = transform.boundsType && transform.boundsType !== 'OBS_BOUNDS_NONE';
+  const width = (bounded ? transform.boundsWidth : transform.width) || canvas.width;
+  const height = (bounded ? transform.boundsHeight : transform.height) || canvas.height;
+  const alignment = transform.alignment ?? (ALIGN_LEFT | ALIGN_TOP);
+
+  let x = transform.positionX || 0;
+  let y = transform.positionY || 0;
+  if (alignment & ALIGN_RIGHT) x -= width;
+  else if (!(alignment & ALIGN_LEFT)) x -= width / 2;
+  if (alignment & ALIGN_BOTTOM) y -= height;
+  else if (!(alignment & ALIGN_TOP)) y -= height / 2;
+
+  const box = {
+    x: round(x / canvas.width),
+    y: round(y / canvas.height),
+    width: round(width / canvas.width),
+    height: round(height / canvas.height)
+  };
+  box.anchor = inferAnchor(box);
+  return box;
+}
+
+function getPresetsPath() {
+  return process.env.OBS_OVERLAY_PRESETS || DEFAULT_PRESETS_PATH;
+}
+
+function loadPresets() {
+  const file = getPresetsPath();
+  if (!fs.existsSync(file)) return { last: null, presets: {} };
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { last: data.last || null, presets: data.presets || {} };
+}
+
+function savePresets(data) {
+  const file = getPresetsPath();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+function rememberLast(box) {
+  savePresets({ ...loadPresets(), last: box });
+}
+
+module.exports = {
+  ANCHORS,
+  parsePosition,
+  applyPosition,
+  boxToTransform,
+  transformToBox,
+  loadPresets,
+  savePresets,
+  rememberLast
+};
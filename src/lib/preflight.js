@@ -0,0 +1,132 @@
+/**
+ * Pre-flight Checks
+ *
+ * Run before going live. Each check reports ok, warn or fail; go-live aborts
+ * on any fail and prints warnings. With fixWifi (go-live --fix-wifi) a 2.4 GHz
+ * WiFi connection is reconnected to 5 GHz, like the old go command did.
+ */
+
+const { execSync } = require('child_process');
+const { getLevel } = require('./alerts');
+const { sleep } = require('./sequence');
+
+// The network and adapter the wifi command and --fix-wifi reconnect
+const WIFI_SSID = 'shemonhedin';
+const WIFI_INTERFACE = 'Wi-Fi';
+
+/**
+ * WiFi band and signal from netsh (Windows only)
+ * @returns {Object|null} { band, signal } or null when netsh isn't available
+ */
+function getWifiStatus() {
+  if (process.platform !== 'win32') return null;
+  try {
+    const status = execSync('netsh wlan show interfaces', { encoding: 'utf8' });
+    const band = status.match(/Band\s*:\s*(.+)/i);
+    const signal = status.match(/Signal\s*:\s*(\d+)%/i);
+    return {
+      band: band ? band[1].trim() : 'Unknown',
+      signal: signal ? parseInt(signal[1]) : 0
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Disconnect and reconnect so the adapter's "Prefer 5GHz" setting can pick the
+ * 5 GHz band (Windows only)
+ * @returns {Promise<Object|null>} The WiFi status afterwards, as getWifiStatus
+ */
+async function reconnectWifi() {
+  execSync(`netsh wlan disconnect interface="${WIFI_INTERFACE}"`, { encoding: 'utf8' });
+  await sleep(2000);
+  execSync(`netsh wlan connect name="${WIFI_SSID}" interface="${WIFI_INTERFACE}"`, { encoding: 'utf8' });
+  await sleep(2000);
+  return getWifiStatus();
+}
+
+/**
+ * @param {OBSMetrics} obs
+ * @param {Object} options
+ * @param {string[]} options.scenes - Scenes the sequence switches to
+ * @param {string} [options.text] - Text source the countdown is drawn into
+ * @param {string} [options.mic] - Mic input to check (default: global Mic/Aux)
+ * @param {boolean} [options.fixWifi] - Reconnect to 5 GHz when on 2.4 GHz instead of only warning
+ * @returns {Promise<Object[]>} [{ name, level: ok|warn|fail, message }]
+ */
+async function runPreflight(obs, options = {}) {
+  const checks = [];
+  const check = async (name, fn) => {
+    try {
+      checks.push({ name, ...await fn() });
+    } catch (error) {
+      checks.push({ name, level: 'fail', message: error.message });
+    }
+  };
+
+  await check('obs', async () => {
+    await obs.connect();
+    return { level: 'ok', message: 'OBS connected' };
+  });
+  // Nothing else can be checked without OBS
+  if (checks[0].level === 'fail') return checks;
+
+  await check('stream', async () => {
+    const metrics = await obs.getFullMetrics();
+    if (metrics.stream.active) {
+      return { level: 'fail', message: 'Stream is already live' };
+    }
+    const cpu = getLevel('cpu', metrics.system.cpuUsage);
+    const fps = getLevel('fps', metrics.system.fps);
+    if (cpu !== 'green' || fps !== 'green') {
+      return { level: 'warn', message: `OBS under load: CPU ${metrics.system.cpuUsage}%, ${metrics.system.fps} fps` };
+    }
+    return { level: 'ok', message: `OBS idle: CPU ${metrics.system.cpuUsage}%, ${metrics.system.fps} fps` };
+  });
+
+  await check('scenes', async () => {
+    const { scenes } = await obs.getScenes();
+    const missing = (options.scenes || []).filter(s => !scenes.includes(s));
+    if (missing.length > 0) {
+      return { level: 'fail', message: `Scene${missing.length > 1 ? 's' : ''} not found: ${missing.join(', ')}` };
+    }
+    return { level: 'ok', message: `Scenes found: ${options.scenes.join(', ')}` };
+  });
+
+  if (options.text) {
+    await check('text', async () => {
+      const name = await obs.resolveTextInput(options.text);
+      return { level: 'ok', message: `Countdown text source: ${name}` };
+    });
+  }
+
+  await check('mic', async () => {
+    const mic = await obs.getMicInput(options.mic);
+    if (await obs.getMute(mic)) {
+      return { level: 'warn', message: `${mic} is muted` };
+    }
+    return { level: 'ok', message: `${mic} is live` };
+  });
+
+  const wifi = getWifiStatus();
+  if (wifi) {
+    await check('wifi', async () => {
+      if (!wifi.band.includes('5')) {
+        if (!options.fixWifi) {
+          return { level: 'warn', message: `WiFi on ${wifi.band} (${wifi.signal}%) - run: npm run obs wifi, or go-live --fix-wifi` };
+        }
+        const fixed = await reconnectWifi();
+        if (!fixed?.band.includes('5')) {
+          return { level: 'warn', message: `Still on ${fixed?.band || 'Unknown'} after reconnecting - stream may have issues` };
+        }
+        return { level: 'ok', message: `WiFi fixed: now on ${fixed.band}, signal ${fixed.signal}%` };
+      }
+      return { level: wifi.signal >= 50 ? 'ok' : 'warn', message: `WiFi ${wifi.band}, signal ${wifi.signal}%` };
+    });
+  }
+
+  return checks;
+}
+
+module.exports = { WIFI_SSID, WIFI_INTERFACE, getWifiStatus, reconnectWifi, runPreflight };
@@ -0,0 +1,365 @@
+/**
+ * Scene Collection Snapshots
+ *
+ * Serializes the current OBS scene collection (scenes, scene items with
+ * transforms, input settings, filters and audio settings) into a versioned
+ * plain object, restores missing pieces from one, and diffs two snapshots.
+ */
+
+const BACKUP_VERSION = 1;
+
+// Transform fields OBS computes itself and rejects in SetSceneItemTransform
+const READ_ONLY_TRANSFORM = ['sourceWidth', 'sourceHeight', 'width', 'height'];
+
+async function tryCall(obs, requestType, requestData) {
+  try {
+    return await obs.obs.call(requestType, requestData);
+  } catch (e) {
+    return null;
+  }
+}
+
+async function getFilters(obs, sourceName) {
+  const result = await tryCall(obs, 'GetSourceFilterList', { sourceName });
+  return (result?.filters || []).map(f => ({
+    name: f.filterName,
+    kind: f.filterKind,
+    enabled: f.filterEnabled,
+    settings: f.filterSettings
+  }));
+}
+
+async function getAudio(obs, inputName) {
+  const [mute, volume, syncOffset, monitorType, balance, tracks] = await Promise.all([
+    tryCall(obs, 'GetInputMute', { inputName }),
+    tryCall(obs, 'GetInputVolume', { inputName }),
+    tryCall(obs, 'GetInputAudioSyncOffset', { inputName }),
+    tryCall(obs, 'GetInputAudioMonitorType', { inputName }),
+    tryCall(obs, 'GetInputAudioBalance', { inputName }),
+    tryCall(obs, 'GetInputAudioTracks', { inputName })
+  ]);
+
+  // Video-only inputs have no audio state at all
+  if (!mute && !volume) return null;
+
+  return {
+    muted: mute?.inputMuted ?? false,
+    volumeDb: volume?.inputVolumeDb ?? 0,
+    syncOffset: syncOffset?.inputAudioSyncOffset ?? 0,
+    monitorType: monitorType?.monitorType ?? 'OBS_MONITORING_TYPE_NONE',
+    balance: balance?.inputAudioBalance ?? 0.5,
+    tracks: tracks?.inputAudioTracks ?? null
+  };
+}
+
+/**
+ * Capture the current scene collection
+ * @param {OBSMetrics} obs
+ * @returns {Promise<Object>} Snapshot (see BACKUP_VERSION)
+ */
+async function exportSceneCollection(obs) {
+  await obs.connect();
+
+  const [collections, version, video, sceneList, inputList] = await Promise.all([
+    tryCall(obs, 'GetSceneCollectionList'),
+    tryCall(obs, 'GetVersion'),
+    obs.obs.call('GetVideoSettings'),
+    obs.obs.call('GetSceneList'),
+    obs.obs.call('GetInputList')
+  ]);
+
+  // GetSceneList is bottom-up; store scenes in the order OBS shows them
+  const scenes = [];
+  for (const scene of [...sceneList.scenes].reverse()) {
+    const { sceneItems } = await obs.obs.call('GetSceneItemList', { sceneName: scene.sceneName });
+    scenes.push({
+      name: scene.sceneName,
+      filters: await getFilters(obs, scene.sceneName),
+      items: sceneItems
+        .sort((a, b) => a.sceneItemIndex - b.sceneItemIndex)
+        .map(item => ({
+          sourceName: item.sourceName,
+          inputKind: item.inputKind || null,
+          isGroup: !!item.isGroup,
+          enabled: item.sceneItemEnabled,
+          locked: item.sceneItemLocked,
+          index: item.sceneItemIndex,
+          transform: item.sceneItemTransform
+        }))
+    });
+  }
+
+  const inputs = [];
+  for (const input of inputList.inputs) {
+    const settings = await obs.obs.call('GetInputSettings', { inputName: input.inputName });
+    inputs.push({
+      name: input.inputName,
+      kind: input.inputKind,
+      settings: settings.inputSettings,
+      audio: await getAudio(obs, input.inputName),
+      filters: await getFilters(obs, input.inputName)
+    });
+  }
+
+  return {
+    version: BACKUP_VERSION,
+    createdAt: new Date().toISOString(),
+    sceneCollection: collections?.currentSceneCollectionName || null,
+    obsVersion: version?.obsVersion || null,
+    video: {
+      baseWidth: video.baseWidth,
+      baseHeight: video.baseHeight,
+      outputWidth: video.outputWidth,
+      outputHeight: video.outputHeight,
+      fpsNumerator: video.fpsNumerator,
+      fpsDenominator: video.fpsDenominator
+    },
+    currentProgramScene: sceneList.currentProgramSceneName,
+    scenes,
+    inputs
+  };
+}
+
+function validateSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot !== 'object' || !Array.isArray(snapshot.scenes)) {
+    throw new Error('Not a scene collection backup');
+  }
+  if (snapshot.version > BACKUP_VERSION) {
+    throw new Error(`Backup format v${snapshot.version} is newer than this CLI supports (v${BACKUP_VERSION})`);
+  }
+}
+
+function writableTransform(transform = {}) {
+  const result = { ...transform };
+  for (const key of READ_ONLY_TRANSFORM) delete result[key];
+  return result;
+}
+
+async function applyAudio(call, inputName, audio) {
+  if (!audio) return;
+  await call('SetInputMute', { inputName, inputMuted: audio.muted });
+  await call('SetInputVolume', { inputName, inputVolumeDb: audio.volumeDb });
+  await call('SetInputAudioSyncOffset', { inputName, inputAudioSyncOffset: audio.syncOffset });
+  await call('SetInputAudioMonitorType', { inputName, monitorType: audio.monitorType });
+  await call('SetInputAudioBalance', { inputName, inputAudioBalance: audio.balance });
+  if (audio.tracks) {
+    await call('SetInputAudioTracks', { inputName, inputAudioTracks: audio.tracks });
+  }
+}
+
+async function applyFilter(call, sourceName, filter) {
+  await call('CreateSourceFilter', {
+    sourceName,
+    filterName: filter.name,
+    filterKind: filter.kind,
+    filterSettings: filter.settings
+  });
+  if (!filter.enabled) {
+    await call('SetSourceFilterEnabled', { sourceName, filterName: filter.name, filterEnabled: false });
+  }
+}
+
+/**
+ * Work out which parts of a backup are missing from the live collection.
+ * Each step has a description and a run(call) function that performs it.
+ */
+function planRestore(backup, live) {
+  validateSnapshot(backup);
+
+  const steps = [];
+  const liveScenes = new Map(live.scenes.map(s => [s.name, s]));
+  const liveInputs = new Map(live.inputs.map(i => [i.name, i]));
+  const backupInputs = new Map(backup.inputs.map(i => [i.name, i]));
+  const createdInputs = new Set();
+
+  for (const scene of backup.scenes) {
+    if (!liveScenes.has(scene.name)) {
+      steps.push({
+        kind: 'scene',
+        target: scene.name,
+        run: (call) => call('CreateScene', { sceneName: scene.name })
+      });
+    }
+  }
+
+  for (const scene of backup.scenes) {
+    const liveItems = new Set((liveScenes.get(scene.name)?.items || []).map(i => i.sourceName));
+
+    for (const item of scene.items) {
+      if (liveItems.has(item.sourceName)) continue;
+      if (item.isGroup) {
+        steps.push({ kind: 'skip', target: `${scene.name} › ${item.sourceName}`, reason: 'groups are not restored' });
+        continue;
+      }
+
+      const input = backupInputs.get(item.sourceName);
+      const isNewInput = input && !liveInputs.has(item.sourceName) && !createdInputs.has(item.sourceName);
+      if (isNewInput) createdInputs.add(item.sourceName);
+
+      steps.push({
+        kind: isNewInput ? 'input' : 'sceneItem',
+        target: `${scene.name} › ${item.sourceName}`,
+        run: async (call) => {
+          const { sceneItemId } = isNewInput
+            ? await call('CreateInput', {
+              sceneName: scene.name,
+              inputName: input.name,
+              inputKind: input.kind,
+              inputSettings: input.settings,
+              sceneItemEnabled: item.enabled
+            })
+            : await call('CreateSceneItem', {
+              sceneName: scene.name,
+              sourceName: item.sourceName,
+              sceneItemEnabled: item.enabled
+            });
+
+          await call('SetSceneItemTransform', {
+            sceneName: scene.name,
+            sceneItemId,
+            sceneItemTransform: writableTransform(item.transform)
+          });
+          await call('SetSceneItemIndex', { sceneName: scene.name, sceneItemId, sceneItemIndex: item.index });
+          if (isNewInput) {
+            await applyAudio(call, input.name, input.audio);
+          }
+        }
+      });
+    }
+  }
+
+  // Inputs that only exist outside scenes can't be created without one
+  for (const input of backup.inputs) {
+    if (!liveInputs.has(input.name) && !createdInputs.has(input.name)) {
+      steps.push({ kind: 'skip', target: input.name, reason: 'input is not in any scene' });
+    }
+  }
+
+  const sources = [
+    ...backup.scenes.map(s => ({ name: s.name, filters: s.filters, live: liveScenes.get(s.name) })),
+    ...backup.inputs.map(i => ({ name: i.name, filters: i.filters, live: liveInputs.get(i.name) }))
+  ];
+  for (const source of sources) {
+    const liveFilters = new Set((source.live?.filters || []).map(f => f.name));
+    for (const filter of source.filters || []) {
+      if (liveFilters.has(filter.name)) continue;
+      steps.push({
+        kind: 'filter',
+        target: `${source.name} › ${filter.name}`,
+        run: (call) => applyFilter(call, source.name, filter)
+      });
+    }
+  }
+
+  return steps;
+}
+
+/**
+ * Recreate whatever in the backup is missing from OBS
+ * @param {OBSMetrics} obs
+ * @param {Object} backup - Snapshot from exportSceneCollection
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only plan, don't change OBS
+ * @returns {Promise<Object[]>} Steps, each with ok/error once run
+ */
+async function restoreSceneCollection(obs, backup, options = {}) {
+  const live = await exportSceneCollection(obs);
+  const steps = planRestore(backup, live);
+  if (options.dryRun) return steps;
+
+  const call = (requestType, requestData) => obs.obs.call(requestType, requestData);
+  for (const step of steps) {
+    if (!step.run) continue;
+    try {
+      await step.run(call);
+      step.ok = true;
+    } catch (error) {
+      step.ok = false;
+      step.error = error.message;
+    }
+  }
+  return steps;
+}
+
+function diffValues(before = {}, after = {}) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  for (const key of keys) {
+    const a = JSON.stringify(before?.[key]);
+    const b = JSON.stringify(after?.[key]);
+    if (a !== b) changes.push({ key, before: before?.[key], after: after?.[key] });
+  }
+  return changes;
+}
+
+function diffNamed(kind, prefix, before = [], after = [], key, compare) {
+  const changes = [];
+  const beforeMap = new Map(before.map(x => [x[key], x]));
+  const afterMap = new Map(after.map(x => [x[key], x]));
+
+  for (const [name, item] of afterMap) {
+    if (!beforeMap.has(name)) changes.push({ change: 'added', kind, target: prefix + name });
+    else changes.push(...compare(beforeMap.get(name), item, prefix + name));
+  }
+  for (const name of beforeMap.keys()) {
+    if (!afterMap.has(name)) changes.push({ change: 'removed', kind, target: prefix + name });
+  }
+  return changes;
+}
+
+function diffFilters(prefix, before, after) {
+  return diffNamed('filter', `${prefix} › `, before, after, 'name', (a, b, target) => {
+    const details = diffValues(
+      { kind: a.kind, enabled: a.enabled, ...a.settings },
+      { kind: b.kind, enabled: b.enabled, ...b.settings }
+    );
+    return details.length ? [{ change: 'changed', kind: 'filter', target, details }] : [];
+  });
+}
+
+/**
+ * Compare two snapshots
+ * @returns {Object[]} Changes: { change: added|removed|changed, kind, target, details? }
+ */
+function diffSceneCollections(before, after) {
+  validateSnapshot(before);
+  validateSnapshot(after);
+
+  const changes = [];
+
+  changes.push(...diffNamed('scene', '', before.scenes, after.scenes, 'name', (a, b, target) => [
+    ...diffNamed('sceneItem', `${target} › `, a.items, b.items, 'sourceName', (x, y, itemTarget) => {
+      const details = diffValues(
+        { enabled: x.enabled, locked: x.locked, index: x.index, ...writableTransform(x.transform) },
+        { enabled: y.enabled, locked: y.locked, index: y.index, ...writableTransform(y.transform) }
+      );
+      return details.length ? [{ change: 'changed', kind: 'sceneItem', target: itemTarget, details }] : [];
+    }),
+    ...diffFilters(target, a.filters, b.filters)
+  ]));
+
+  changes.push(...diffNamed('input', '', before.inputs, after.inputs, 'name', (a, b, target) => {
+    const result = [];
+    const settings = diffValues({ kind: a.kind, ...a.settings }, { kind: b.kind, ...b.settings });
+    if (settings.length) result.push({ change: 'changed', kind: 'input', target, details: settings });
+    const audio = diffValues(a.audio, b.audio);
+    if (audio.length) result.push({ change: 'changed', kind: 'audio', target, details: audio });
+    return [...result, ...diffFilters(target, a.filters, b.filters)];
+  }));
+
+  const video = diffValues(before.video, after.video);
+  if (video.length) changes.push({ change: 'changed', kind: 'video', target: 'Video settings', details: video });
+
+  return changes;
+}
+
+module.exports = {
+  BACKUP_VERSION,
+  exportSceneCollection,
+  planRestore,
+  restoreSceneCollection,
+  diffSceneCollections,
+  validateSnapshot,
+  writableTransform,
+  READ_ONLY_TRANSFORM
+};
@@ -0,0 +1,74 @@
+/**
+ * Step Sequences
+ *
+ * Ordered steps that stop at the first failure, used by go-live, end and macros.
+ * A step is { id, title, plan?, skip?, run(context) }:
+ *   - plan: extra lines printed by --dry-run
+ *   - skip: a reason string to skip the step, or async (context) => reason|false
+ *     to decide when the step is reached
+ *   - run: does the work and returns a short detail string; throwing aborts the sequence
+ */
+
+/**
+ * @param {Object[]} steps
+ * @param {Object} context - Passed to each step; context.signal (AbortSignal) stops between steps
+ * @param {Object} [hooks] - onStart(step), onDone(step, detail), onSkip(step, reason), onFail(step, error)
+ * @returns {Promise<Object>} { ok, results: [{ id, status, detail?, error? }], failed? }
+ */
+async function runSequence(steps, context = {}, hooks = {}) {
+  const results = [];
+
+  for (const step of steps) {
+    if (context.signal?.aborted) {
+      const error = new Error('Aborted');
+      results.push({ id: step.id, status: 'failed', error });
+      hooks.onFail?.(step, error);
+      return { ok: false, results, failed: step };
+    }
+
+    try {
+      const skip = typeof step.skip === 'function' ? await step.skip(context) : step.skip;
+      if (skip) {
+        results.push({ id: step.id, status: 'skipped', detail: skip });
+        hooks.onSkip?.(step, skip);
+        continue;
+      }
+
+      hooks.onStart?.(step);
+      const detail = await step.run(context);
+      results.push({ id: step.id, status: 'done', detail });
+      hooks.onDone?.(step, detail);
+    } catch (error) {
+      results.push({ id: step.id, status: 'failed', error });
+      hooks.onFail?.(step, error);
+      return { ok: false, results, failed: step };
+    }
+  }
+
+  return { ok: true, results };
+}
+
+/**
+ * Resolve after ms, or reject with "Aborted" as soon as the signal fires
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new Error('Aborted'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new Error('Aborted'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = { runSequence, sleep };
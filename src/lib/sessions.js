@@ -0,0 +1,90 @@
+/**
+ * Stream Sessions
+ *
+ * Opens and closes sessions in the stream database as the monitor sees the
+ * stream start and stop, and sends the stream.started, stream.stopped and
+ * session.completed webhooks (keyed by session, so go-live's and end's copies
+ * aren't sent twice). A session only ends when OBS reports the stream has
+ * stopped: quitting the monitor mid-stream leaves it open, and the next
+ * monitor picks it up again (or end finalises it).
+ */
+
+const { sessionCompletedData } = require('./webhooks');
+const { getStreamProgress, sendMilestones } = require('./affiliate');
+
+// How far a session may predate the stream and still count as part of it
+const SESSION_SLACK = 60 * 1000;
+
+/**
+ * @param {Object} session - A sessions row
+ * @param {Object} metrics - From OBSMetrics.getFullMetrics()
+ * @returns {boolean} Whether the session started with the stream that is live now
+ */
+function isCurrentStream(session, metrics, now = Date.now()) {
+  const streamStarted = now - metrics.stream.duration;
+  return Date.parse(session.started_at) >= streamStarted - SESSION_SLACK;
+}
+
+class SessionTracker {
+  /**
+   * @param {StreamDatabase} db
+   * @param {Object} [options]
+   * @param {Function} [options.notify] - (event, data, options) => deliveries queued
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.notify = options.notify || (() => 0);
+    this.id = null;
+  }
+
+  /**
+   * Open, pick up or end the session for the latest metrics
+   * @param {Object} metrics - From OBSMetrics.getFullMetrics()
+   * @returns {Object|null} { id, started | resumed | ended: true } when the session changed
+   */
+  update(metrics) {
+    if (metrics.stream.active && !this.id) return this.open(metrics);
+    if (!metrics.stream.active && this.id) return this.end(metrics);
+    return null;
+  }
+
+  open(metrics) {
+    const open = this.db.getActiveSession();
+    const resumed = open && isCurrentStream(open, metrics);
+    if (open && !resumed) this.closeStale(open);
+
+    // An open session for this stream came from go-live or a monitor that quit mid-stream
+    this.id = resumed ? open.id : this.db.startSession();
+    this.notify('stream.started', { sessionId: this.id, scene: metrics.scene }, { dedupeKey: `stream.started:${this.id}` });
+    return { id: this.id, ...(resumed ? { resumed: true } : { started: true }) };
+  }
+
+  end(metrics) {
+    const sessionId = this.id;
+    this.id = null;
+
+    const duration = metrics.stream.duration || 0;
+    this.db.finalizeSession(sessionId, duration);
+
+    this.notify('stream.stopped', { sessionId, durationMs: duration }, { dedupeKey: `stream.stopped:${sessionId}` });
+    this.notify('session.completed', sessionCompletedData(this.db, sessionId), { dedupeKey: `session.completed:${sessionId}` });
+    sendMilestones({ send: this.notify }, getStreamProgress(this.db));
+    return { id: sessionId, ended: true };
+  }
+
+  // An open session from a stream that stopped while no monitor was running. Nobody saw
+  // it stop, so it's finalised from its own metrics without lifecycle webhooks.
+  closeStale(session) {
+    const last = this.db.getSessionMetrics(session.id).pop();
+    this.db.finalizeSession(session.id, last ? Date.parse(last.timestamp) - Date.parse(session.started_at) : 0);
+  }
+
+  /**
+   * Stop tracking without ending the session: the stream may still be live
+   */
+  detach() {
+    this.id = null;
+  }
+}
+
+module.exports = { SESSION_SLACK, isCurrentStream, SessionTracker };
@@ -0,0 +1,71 @@
+/**
+ * Stream Config
+ *
+ * stream.config.json holds the Twitch channel settings for a stream (title,
+ * category, language, tags, branded content). Used by stream-config and go-live.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function getStreamConfigPath() {
+  return path.join(process.cwd(), 'stream.config.json');
+}
+
+// null when there is no stream.config.json
+function loadStreamConfig() {
+  const file = getStreamConfigPath();
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read stream.config.json: ${e.message}`);
+  }
+}
+
+/**
+ * Turn stream.config.json into a Helix channel update
+ * @param {TwitchClient} twitch - Used to look up the category ID
+ * @param {Object} config
+ * @returns {Promise<Object>} { update, lines } - lines describe each setting for printing;
+ *   skipped settings have skipped: true
+ */
+async function buildChannelUpdate(twitch, config) {
+  const update = {};
+  const lines = [];
+
+  if (config.title) {
+    update.title = config.title;
+    lines.push({ label: 'Title', value: config.title });
+  }
+
+  if (config.category) {
+    // Look up category ID
+    const category = await twitch.getCategoryByName(config.category);
+    if (category) {
+      update.game_id = category.id;
+      lines.push({ label: 'Category', value: config.category, detail: category.id });
+    } else {
+      lines.push({ label: 'Category', value: config.category, skipped: true });
+    }
+  }
+
+  if (config.language) {
+    update.broadcaster_language = config.language;
+    lines.push({ label: 'Language', value: config.language });
+  }
+
+  if (config.tags) {
+    update.tags = config.tags;
+    lines.push({ label: 'Tags', value: config.tags.join(', ') });
+  }
+
+  if (config.branded_content !== undefined) {
+    update.is_branded_content = config.branded_content;
+    lines.push({ label: 'Branded Content', value: config.branded_content ? 'Yes' : 'No' });
+  }
+
+  return { update, lines };
+}
+
+module.exports = { getStreamConfigPath, loadStreamConfig, buildChannelUpdate };
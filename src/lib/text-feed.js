@@ -0,0 +1,266 @@
+/**
+ * Text Feed
+ *
+ * Keeps OBS text sources in sync with live data. Each binding ties a text
+ * source to a provider and a format string:
+ *
+ *   "textFeed": [
+ *     { "source": "Branch", "provider": "git", "dir": "~/code/app", "format": "{repo} · {branch}" },
+ *     { "source": "Countdown", "provider": "countdown", "to": "19:00", "done": "Starting now" },
+ *     { "source": "Uptime", "provider": "uptime" },
+ *     { "source": "Followers", "provider": "followers", "goal": 50 }
+ *   ]
+ *
+ * Sources are only written (SetInputSettings) when their text changes.
+ */
+
+const EventEmitter = require('events');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const os = require('os');
+const path = require('path');
+const { parseDuration } = require('./audio');
+const { formatMediaTime } = require('./media');
+
+const run = promisify(execFile);
+
+/**
+ * Providers return the values for their format string, or null to show the
+ * binding's fallback text (countdown finished, not live, ...)
+ */
+const PROVIDERS = {
+  git: {
+    option: 'dir',
+    interval: 5000,
+    format: '{repo} ({branch}) · {subject}',
+    fallback: '',
+    read: readGit
+  },
+  countdown: {
+    option: 'to',
+    interval: 1000,
+    format: 'Starting in {remaining}',
+    fallback: 'Starting now',
+    read: readCountdown
+  },
+  uptime: {
+    option: null,
+    interval: 1000,
+    format: 'Live for {uptime}',
+    fallback: '',
+    read: readUptime
+  },
+  followers: {
+    option: 'goal',
+    interval: 60000,
+    format: '{count} followers',
+    fallback: '',
+    read: readFollowers
+  }
+};
+
+function expandHome(dir) {
+  return dir.startsWith('~') ? path.join(os.homedir(), dir.slice(1)) : dir;
+}
+
+async function readGit(binding) {
+  const dir = expandHome(binding.dir || '.');
+  const git = async (...args) => (await run('git', ['-C', dir, ...args])).stdout.trim();
+
+  let root;
+  try {
+    root = await git('rev-parse', '--show-toplevel');
+  } catch (e) {
+    throw new Error(`${dir} is not a git repository`);
+  }
+  const branch = await git('rev-parse', '--abbrev-ref', 'HEAD');
+  // A fresh repo has no commits yet
+  const last = await git('log', '-1', '--format=%h%x00%s').catch(() => '');
+  const [hash = '', subject = ''] = last.split('\0');
+
+  return { repo: path.basename(root), branch, hash, subject, commit: `${hash} ${subject}`.trim() };
+}
+
+/**
+ * When a countdown ends: "19:00" (next time it's 19:00), an ISO date, or a
+ * duration like "10m" from when the feed started
+ * @returns {number} Epoch ms
+ */
+function parseTarget(value, now = Date.now()) {
+  const text = String(value).trim();
+
+  const clock = text.match(/^(\d{1,2}):(\d{2})$/);
+  if (clock) {
+    const target = new Date(now);
+    target.setHours(parseInt(clock[1]), parseInt(clock[2]), 0, 0);
+    if (target.getTime() <= now) target.setDate(target.getDate() + 1);
+    return target.getTime();
+  }
+
+  if (/^\d+(\.\d+)?\s*(ms|s|m)$/i.test(text)) {
+    return now + parseDuration(text);
+  }
+
+  const date = Date.parse(text);
+  if (isNaN(date)) {
+    throw new Error(`Invalid countdown target "${value}". Use 19:00, 10m or an ISO date`);
+  }
+  return date;
+}
+
+async function readCountdown(binding, context) {
+  const remaining = binding.target - context.now();
+  if (remaining <= 0) return null;
+  // Round up so the last second shows 0:01, not 0:00
+  return { remaining: formatMediaTime(Math.ceil(remaining / 1000) * 1000) };
+}
+
+async function readUptime(binding, context) {
+  const session = context.db.getActiveSession();
+  if (!session) return null;
+  return { uptime: formatMediaTime(context.now() - Date.parse(session.started_at)) };
+}
+
+async function readFollowers(binding, context) {
+  if (!context.twitch.isConfigured()) {
+    throw new Error('Twitch credentials missing (~/twitch-secrets/.env)');
+  }
+  const count = await context.twitch.getFollowerCount();
+  return { count, goal: binding.goal ?? '', left: binding.goal ? Math.max(0, binding.goal - count) : '' };
+}
+
+// "Live for {uptime}" + { uptime: '1:02:03' } -> "Live for 1:02:03"
+function renderFormat(format, values) {
+  return format.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+}
+
+/**
+ * Fill in provider defaults and check a binding from obs.config.json
+ * @param {Object} binding - { source, provider, format?, interval?, ...provider options }
+ */
+function normalizeBinding(binding, now = Date.now()) {
+  const provider = PROVIDERS[binding.provider];
+  if (!binding.source) {
+    throw new Error('Every text feed binding needs a "source"');
+  }
+  if (!provider) {
+    throw new Error(`Unknown text feed provider "${binding.provider}". Use: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  if (binding.provider === 'countdown' && !binding.to) {
+    throw new Error(`Countdown for ${binding.source} needs "to" (e.g. 19:00)`);
+  }
+
+  return {
+    ...binding,
+    format: binding.format || provider.format,
+    fallback: binding.fallback ?? binding.done ?? provider.fallback,
+    interval: binding.interval || provider.interval,
+    target: binding.provider === 'countdown' ? parseTarget(binding.to, now) : undefined
+  };
+}
+
+/**
+ * Parse a --bind flag: "source:provider[:option]", e.g. "Branch:git:~/code/app"
+ * or "Countdown:countdown:19:00" (everything after the second colon is the option)
+ */
+function parseBinding(spec) {
+  const [source, providerName, ...rest] = spec.split(':');
+  const provider = PROVIDERS[providerName];
+  if (!source || !provider) {
+    throw new Error(`Invalid binding "${spec}". Use source:provider[:option] with ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  const binding = { source, provider: providerName };
+  if (rest.length > 0 && provider.option) {
+    binding[provider.option] = rest.join(':');
+  }
+  return binding;
+}
+
+async function renderBinding(binding, context) {
+  const values = await PROVIDERS[binding.provider].read(binding, context);
+  return values === null ? binding.fallback : renderFormat(binding.format, values);
+}
+
+class TextFeed extends EventEmitter {
+  /**
+   * @param {OBSMetrics} obs
+   * @param {Object[]} bindings - From obs.config.json textFeed or parseBinding
+   * @param {Object} [context] - { db: StreamDatabase, twitch: TwitchClient, now }, needed by uptime and followers
+   */
+  constructor(obs, bindings, context = {}) {
+    super();
+    this.obs = obs;
+    this.context = { now: Date.now, ...context };
+    this.bindings = bindings.map(b => normalizeBinding(b, this.context.now()));
+    this.timers = [];
+  }
+
+  // Resolve the text sources and remember what they show now
+  async resolve() {
+    for (const binding of this.bindings) {
+      if (binding.inputName) continue;
+      binding.inputName = await this.obs.resolveTextInput(binding.source);
+      binding.last = await this.obs.getText(binding.inputName);
+    }
+  }
+
+  /**
+   * Refresh one binding, writing to OBS only if the text changed
+   * @returns {Promise<boolean>} Whether the source was updated
+   */
+  async update(binding) {
+    if (binding.busy) return false;
+    binding.busy = true;
+
+    try {
+      const text = await renderBinding(binding, this.context);
+      binding.error = null;
+      if (text === binding.last) return false;
+
+      await this.obs.setText(binding.inputName, text);
+      binding.last = text;
+      this.emit('update', { source: binding.inputName, provider: binding.provider, text });
+      return true;
+    } catch (error) {
+      // Report each distinct failure once instead of every interval
+      if (error.message !== binding.error) {
+        binding.error = error.message;
+        this.emit('error', { source: binding.inputName || binding.source, provider: binding.provider, error });
+      }
+      return false;
+    } finally {
+      binding.busy = false;
+    }
+  }
+
+  // Update every binding once (for --once and tests)
+  async updateAll() {
+    await this.resolve();
+    const results = [];
+    for (const binding of this.bindings) {
+      results.push(await this.update(binding));
+    }
+    return results;
+  }
+
+  async start() {
+    await this.updateAll();
+    for (const binding of this.bindings) {
+      this.timers.push(setInterval(() => this.update(binding), binding.interval));
+    }
+  }
+
+  stop() {
+    this.timers.forEach(clearInterval);
+    this.timers = [];
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  parseTarget,
+  renderFormat,
+  normalizeBinding,
+  parseBinding,
+  TextFeed
+};
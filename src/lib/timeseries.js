@@ -0,0 +1,196 @@
+/**
+ * Metric History
+ *
+ * Recent samples for the monitor's charts: a fixed-size ring buffer, min/avg/max
+ * over a window, and text charts - block sparklines and braille area charts.
+ * A sample is { at, bitrate, droppedPercent, cpu, fps }; null is a gap (bitrate
+ * and dropped frames while offline).
+ */
+
+// The chart windows the monitor cycles through
+const HISTORY_WINDOWS = [
+  { label: '1m', ms: 60 * 1000 },
+  { label: '5m', ms: 5 * 60 * 1000 },
+  { label: '30m', ms: 30 * 60 * 1000 }
+];
+
+const SPARK_LEVELS = '▁▂▃▄▅▆▇█';
+
+// Braille dot bits per column, top to bottom (U+2800 + bits)
+const BRAILLE_BASE = 0x2800;
+const BRAILLE_DOTS = [
+  [0x01, 0x02, 0x04, 0x40],
+  [0x08, 0x10, 0x20, 0x80]
+];
+
+class RingBuffer {
+  /**
+   * @param {number} capacity - Oldest items are dropped beyond this
+   */
+  constructor(capacity) {
+    this.capacity = Math.max(1, Math.floor(capacity));
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  push(item) {
+    this.items[(this.start + this.length) % this.capacity] = item;
+    if (this.length < this.capacity) {
+      this.length++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  clear() {
+    this.items = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+  }
+
+  /**
+   * @returns {Array} Oldest first
+   */
+  toArray() {
+    return Array.from({ length: this.length }, (_, i) => this.items[(this.start + i) % this.capacity]);
+  }
+}
+
+const isValue = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * @param {Object} metrics - From OBSMetrics.getFullMetrics()
+ */
+function sampleFromMetrics(metrics) {
+  const live = metrics.stream.active;
+  return {
+    at: metrics.timestamp,
+    bitrate: live ? metrics.stream.bitrate : null,
+    droppedPercent: live ? parseFloat(metrics.stream.droppedPercent) : null,
+    cpu: parseFloat(metrics.system.cpuUsage),
+    fps: parseFloat(metrics.system.fps)
+  };
+}
+
+/**
+ * @param {Object} row - From StreamDatabase.getSessionMetrics()
+ */
+function sampleFromRow(row) {
+  return {
+    at: Date.parse(row.timestamp),
+    bitrate: row.bitrate,
+    droppedPercent: row.dropped_percent,
+    cpu: row.cpu_usage,
+    fps: row.fps
+  };
+}
+
+/**
+ * @param {Array<number|null>} values
+ * @returns {Object|null} { min, avg, max }, or null without any values
+ */
+function summarize(values) {
+  const present = values.filter(isValue);
+  if (present.length === 0) return null;
+  return {
+    min: Math.min(...present),
+    avg: present.reduce((sum, v) => sum + v, 0) / present.length,
+    max: Math.max(...present)
+  };
+}
+
+/**
+ * Average one series into equal time buckets, the last ending at `end`
+ * @param {Object[]} samples - Oldest first
+ * @param {string} key - e.g. 'bitrate'
+ * @param {Object} options
+ * @param {number} options.window - ms covered by all the buckets
+ * @param {number} options.width - Number of buckets
+ * @param {number} [options.end] - Defaults to now
+ * @param {number} [options.hold] - Carry a value into empty buckets for this long (ms), so
+ *   buckets narrower than the sample interval don't show as gaps
+ * @returns {Array<number|null>} null where there is no data
+ */
+function bucketize(samples, key, { window, width, end = Date.now(), hold = 0 }) {
+  const start = end - window;
+  const size = window / width;
+  const sums = new Array(width).fill(0);
+  const counts = new Array(width).fill(0);
+
+  for (const sample of samples) {
+    const value = sample[key];
+    if (!isValue(value) || sample.at <= start || sample.at > end) continue;
+    const i = Math.min(width - 1, Math.floor((sample.at - start) / size));
+    sums[i] += value;
+    counts[i]++;
+  }
+
+  let last = null;
+  return sums.map((sum, i) => {
+    if (counts[i] > 0) {
+      last = { value: sum / counts[i], index: i };
+      return last.value;
+    }
+    return last && (i - last.index) * size <= hold ? last.value : null;
+  });
+}
+
+// 0..1 within min..max; a flat series sits at the bottom
+const scale = (value, min, max) => (max > min ? Math.min(1, Math.max(0, (value - min) / (max - min))) : 0);
+
+/**
+ * One line of block characters, blank for gaps
+ * @param {Array<number|null>} values
+ * @param {Object} [options] - { min, max }; defaults to 0 and the largest value
+ * @returns {string}
+ */
+function sparkline(values, options = {}) {
+  const { min = 0, max = summarize(values)?.max ?? 0 } = options;
+  return values.map(value => {
+    if (!isValue(value)) return ' ';
+    return SPARK_LEVELS[Math.round(scale(value, min, max) * (SPARK_LEVELS.length - 1))];
+  }).join('');
+}
+
+/**
+ * A filled area chart in braille: two values per character, four dots per row
+ * @param {Array<number|null>} values - Twice the chart width
+ * @param {Object} [options] - { height (rows, default 2), min, max }
+ * @returns {string[]} One string per row, top first
+ */
+function brailleChart(values, options = {}) {
+  const { height = 2, min = 0, max = summarize(values)?.max ?? 0 } = options;
+  const levels = height * 4;
+  // Any value shows at least one dot, so a low reading doesn't look like a gap
+  const dots = values.map(value => (isValue(value) ? Math.max(1, Math.round(scale(value, min, max) * levels)) : 0));
+
+  const rows = [];
+  for (let row = 0; row < height; row++) {
+    const floor = (height - 1 - row) * 4;
+    let line = '';
+    for (let i = 0; i < dots.length; i += 2) {
+      let bits = 0;
+      for (const [column, count] of [dots[i], dots[i + 1] ?? 0].entries()) {
+        const filled = Math.min(4, Math.max(0, count - floor));
+        for (let d = 0; d < filled; d++) {
+          bits |= BRAILLE_DOTS[column][3 - d];
+        }
+      }
+      line += String.fromCharCode(BRAILLE_BASE + bits);
+    }
+    rows.push(line);
+  }
+  return rows;
+}
+
+module.exports = {
+  HISTORY_WINDOWS,
+  RingBuffer,
+  sampleFromMetrics,
+  sampleFromRow,
+  summarize,
+  bucketize,
+  sparkline,
+  brailleChart
+};
@@ -4,6 +4,7 @@
  * Provides access to Twitch Helix API for:
  * - Affiliate tracking (followers, stream status)
  * - Channel configuration (title, category, tags)
+ * - Raids at the end of a stream
  *
  * Credentials loaded from ~/twitch-secrets/.env
  */
@@ -207,6 +208,43 @@ class TwitchClient {
     const error = await response.json();
     throw new Error(error.message || 'Failed to update channel');
   }
+
+  /**
+   * Raid another channel. Twitch shows the raid banner and sends viewers
+   * after its own countdown (up to 90 seconds).
+   * @param {string} login - Channel to raid
+   * @returns {Promise<Object>} { target, isMature }
+   */
+  async startRaid(login) {
+    if (!this.userId) {
+      await this.getUser();
+    }
+    const data = await this.apiCall(`/users?login=${encodeURIComponent(login)}`);
+    const target = data.data?.[0];
+    if (!target) {
+      throw new Error(`Twitch channel "${login}" not found`);
+    }
+
+    const response = await fetch(`${API_BASE}/raids?from_broadcaster_id=${this.userId}&to_broadcaster_id=${target.id}`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Client-Id': CLIENT_ID,
+      },
+    });
+
+    if (response.status === 200) {
+      const result = await response.json();
+      return { target: target.display_name, isMature: result.data?.[0]?.is_mature || false };
+    }
+
+    if (response.status === 401) {
+      throw new Error('Token missing channel:manage:raids scope. Re-run: cd ~/twitch-client && node auth.js user');
+    }
+
+    const error = await response.json();
+    throw new Error(error.message || 'Failed to start raid');
+  }
 }
 
 module.exports = TwitchClient;
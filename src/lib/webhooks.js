@@ -0,0 +1,239 @@
+/**
+ * Webhooks
+ *
+ * Signed JSON POSTs to external services, configured in obs.config.json:
+ *
+ *   "webhooks": [
+ *     { "name": "discord-bot", "url": "https://example.com/obs", "secret": "...",
+ *       "events": ["stream.started", "stream.stopped"] }
+ *   ]
+ *
+ * Without "events" a hook receives all of them. Deliveries go through an outbox
+ * in the stream database, so events raised while offline (or while the receiver
+ * is down) are retried with backoff until they are delivered or give up.
+ *
+ * Each request body is { id, event, timestamp, data } with the headers
+ *   X-OBS-Event:     the event name
+ *   X-OBS-Delivery:  the payload id (the same across retries)
+ *   X-OBS-Signature: sha256=<hex HMAC-SHA256 of the raw body with the secret>
+ * The signature is only sent when the hook has a secret.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { loadConfig } = require('./config');
+
+const WEBHOOK_EVENTS = [
+  'stream.started',
+  'stream.stopped',
+  'scene.changed',
+  'health.changed',
+  'session.completed',
+  'affiliate.milestone'
+];
+
+const DELIVERY_TIMEOUT = 10000;
+const RETRY_BASE = 5000;
+const RETRY_MAX = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 12;
+const FLUSH_INTERVAL = 5000;
+
+/**
+ * Webhooks from obs.config.json, checked up front
+ * @returns {Object[]} [{ name, url, secret, events }]
+ */
+function loadWebhooks(config = loadConfig()) {
+  const hooks = config.webhooks || [];
+  if (!Array.isArray(hooks)) {
+    throw new Error('"webhooks" in obs.config.json must be a list');
+  }
+
+  return hooks.map((hook, i) => {
+    const where = `Webhook ${hook.name ? `"${hook.name}"` : i + 1}`;
+    let url;
+    try {
+      url = new URL(hook.url);
+    } catch (e) {
+      throw new Error(`${where}: invalid url "${hook.url}"`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`${where}: url must be http or https`);
+    }
+    const events = hook.events || WEBHOOK_EVENTS;
+    const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0) {
+      throw new Error(`${where}: unknown event ${unknown.join(', ')}. Events: ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+    return { name: hook.name || url.host, url: url.href, secret: hook.secret || null, events };
+  });
+}
+
+/**
+ * @param {string} body - The exact request body
+ * @param {string} secret
+ * @returns {string} sha256=<hex>
+ */
+function signPayload(body, secret) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Wait before retry n: 5s, 10s, 20s... capped at an hour
+ * @param {number} attempts - Attempts made so far
+ */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE * 2 ** (attempts - 1), RETRY_MAX);
+}
+
+function buildPayload(event, data) {
+  return JSON.stringify({ id: crypto.randomUUID(), event, timestamp: new Date().toISOString(), data });
+}
+
+/**
+ * POST a payload once
+ * @returns {Promise<number>} The HTTP status; anything but 2xx throws
+ */
+async function deliver(url, event, body, secret) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'obs-stream-tools',
+    'X-OBS-Event': event,
+    'X-OBS-Delivery': JSON.parse(body).id
+  };
+  if (secret) headers['X-OBS-Signature'] = signPayload(body, secret);
+
+  let res;
+  try {
+    res = await fetch(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(DELIVERY_TIMEOUT) });
+  } catch (error) {
+    const reason = error.name === 'TimeoutError' ? `no response in ${DELIVERY_TIMEOUT / 1000}s` : error.cause?.code || error.cause?.message || error.message;
+    throw new Error(reason);
+  }
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status}`);
+  }
+  return res.status;
+}
+
+class WebhookDispatcher extends EventEmitter {
+  /**
+   * @param {StreamDatabase} db - Holds the outbox
+   * @param {Object} [options]
+   * @param {Object[]} [options.webhooks] - Defaults to loadWebhooks()
+   * @param {number} [options.interval] - How often start() flushes the outbox
+   */
+  constructor(db, options = {}) {
+    super();
+    this.db = db;
+    this.webhooks = options.webhooks || loadWebhooks();
+    this.interval = options.interval || FLUSH_INTERVAL;
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Queue an event for every hook subscribed to it
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data
+   * @param {Object} [options]
+   * @param {string} [options.dedupeKey] - Queue at most once per hook, e.g. per session
+   * @returns {number} Deliveries queued
+   */
+  send(event, data, options = {}) {
+    if (!WEBHOOK_EVENTS.includes(event)) {
+      throw new Error(`Unknown webhook event "${event}"`);
+    }
+    const payload = buildPayload(event, data);
+    let queued = 0;
+    for (const hook of this.webhooks.filter(h => h.events.includes(event))) {
+      if (this.db.enqueueWebhook({ url: hook.url, event, payload, dedupeKey: options.dedupeKey })) {
+        queued++;
+      }
+    }
+    return queued;
+  }
+
+  /**
+   * Deliver everything that is due. Emits 'delivered' and 'failed' per attempt.
+   * @returns {Promise<Object>} { delivered, failed }
+   */
+  flush() {
+    // One flush at a time; a timer tick during a slow delivery joins it
+    if (!this.flushing) {
+      this.flushing = this.deliverDue().finally(() => {
+        this.flushing = null;
+      });
+    }
+    return this.flushing;
+  }
+
+  async deliverDue() {
+    const result = { delivered: 0, failed: 0 };
+    const rows = this.db.claimDueWebhooks(DELIVERY_TIMEOUT * 3);
+
+    for (const row of rows) {
+      // The secret stays in the config; hooks removed from it are dropped
+      const hook = this.webhooks.find(h => h.url === row.url);
+      try {
+        if (!hook) throw new Error('no longer in obs.config.json');
+        const status = await deliver(row.url, row.event, row.payload, hook.secret);
+        this.db.markWebhookDelivered(row.id);
+        result.delivered++;
+        this.emit('delivered', { name: hook.name, event: row.event, status });
+      } catch (error) {
+        const attempts = row.attempts + 1;
+        const retryAt = hook && attempts < MAX_ATTEMPTS ? new Date(Date.now() + retryDelay(attempts)) : null;
+        this.db.markWebhookFailed(row.id, error.message, retryAt);
+        result.failed++;
+        this.emit('failed', { name: hook?.name || row.url, event: row.event, error: error.message, attempts, retryAt });
+      }
+    }
+    return result;
+  }
+
+  // Flush now and then every interval, until stop()
+  start() {
+    if (this.timer || this.webhooks.length === 0) return;
+    const tick = () => this.flush().catch(error => this.emit('error', error));
+    this.timer = setInterval(tick, this.interval);
+    tick();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.flushing) await this.flushing;
+  }
+}
+
+/**
+ * Payload for session.completed, from the finalised session row
+ */
+function sessionCompletedData(db, sessionId) {
+  const data = db.getSessionSummary(sessionId);
+  if (!data) return null;
+  const { session, summary } = data;
+  return {
+    sessionId: session.id,
+    startedAt: session.started_at,
+    endedAt: session.ended_at,
+    durationMs: session.duration_ms,
+    avgBitrate: summary?.avgBitrate ?? null,
+    peakDropped: summary ? parseFloat(summary.peakDropped) : null,
+    peakCpu: summary ? parseFloat(summary.peakCpu) : null,
+    errors: summary?.totalErrors ?? 0,
+    healthScore: summary ? db.calculateHealthScore(summary) : null
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  loadWebhooks,
+  signPayload,
+  retryDelay,
+  buildPayload,
+  deliver,
+  WebhookDispatcher,
+  sessionCompletedData
+};
@@ -0,0 +1,53 @@
+/**
+ * Window Capture Targets
+ *
+ * Each platform captures windows with a different input kind, and each kind
+ * keeps its target in a different setting. Kinds with a `property` list their
+ * windows through GetInputPropertiesListPropertyItems; PipeWire has no list
+ * and instead opens the desktop portal's picker from a properties button.
+ */
+
+const CAPTURE_KINDS = {
+  window_capture: { property: 'window' },
+  game_capture: { property: 'window' },
+  screen_capture: { property: 'window' },
+  xcomposite_input: { property: 'capture_window' },
+  'pipewire-window-capture-source': { button: 'Reload' },
+  'pipewire-screen-capture-source': { button: 'Reload' }
+};
+
+const DEFAULT_SETTINGS = {
+  window_capture: { cursor: true, method: 2 },
+  screen_capture: { type: 1, show_cursor: true },
+  xcomposite_input: { show_cursor: true },
+  'pipewire-window-capture-source': { ShowCursor: true }
+};
+
+/**
+ * Input kind for a new window capture on this machine
+ * @param {string} [platform] - Defaults to process.platform
+ * @param {Object} [env] - Defaults to process.env
+ */
+function defaultCaptureKind(platform = process.platform, env = process.env) {
+  if (platform === 'win32') return 'window_capture';
+  if (platform === 'darwin') return 'screen_capture';
+  // XComposite can't see Wayland windows
+  const wayland = env.XDG_SESSION_TYPE === 'wayland' || !!env.WAYLAND_DISPLAY;
+  return wayland ? 'pipewire-window-capture-source' : 'xcomposite_input';
+}
+
+/**
+ * Settings for a new capture input: the kind's defaults plus the remembered target
+ * @param {Object} [target] - Saved { inputKind, property, value }
+ */
+function captureInput(target = {}) {
+  const inputKind = target.inputKind || defaultCaptureKind();
+  const inputSettings = { ...DEFAULT_SETTINGS[inputKind] };
+  if (target.inputKind === inputKind) {
+    if (target.property) inputSettings[target.property] = target.value;
+    Object.assign(inputSettings, target.settings);
+  }
+  return { inputKind, inputSettings };
+}
+
+module.exports = { CAPTURE_KINDS, defaultCaptureKind, captureInput };
@@ -0,0 +1,836 @@
+/**
+ * CLI commands against the fake OBS server
+ * Run: npm test
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { createHmac } from 'node:crypto';
+import http from 'node:http';
+import { promisify } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Command } from 'commander';
+import FakeOBS from '../src/lib/fake-obs.js';
+import OBSMetrics from '../src/lib/metrics.js';
+import StreamDatabase from '../src/lib/db.js';
+import { SessionTracker } from '../src/lib/sessions.js';
+import shell from '../src/commands/shell.js';
+
+const CLI = fileURLToPath(new URL('../src/cli.js', import.meta.url));
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'obs-cli-test-'));
+const dbPath = path.join(tmpDir, 'streams.db');
+let fake;
+
+function cliEnv() {
+  return {
+    ...process.env,
+    FORCE_COLOR: '0',
+    OBS_WEBSOCKET_PORT: String(fake.port),
+    OBS_WEBSOCKET_PASSWORD: '',
+    OBS_STREAM_DB: dbPath,
+    OBS_CONFIG: path.join(tmpDir, 'obs.config.json'),
+    OBS_OVERLAY_PRESETS: path.join(tmpDir, 'overlay-presets.json'),
+    OBS_SHELL_HISTORY: path.join(tmpDir, 'shell_history')
+  };
+}
+
+async function obs(...args) {
+  const { stdout, stderr } = await promisify(execFile)(process.execPath, [CLI, ...args], {
+    env: cliEnv(),
+    timeout: 10000
+  });
+  return stdout + stderr;
+}
+
+// Output of a command that must fail with exit code 1
+async function obsFails(...args) {
+  const error = await obs(...args).then(() => null, e => e);
+  assert.equal(error?.code, 1, `obs ${args.join(' ')} should exit 1`);
+  return error.stdout + error.stderr;
+}
+
+before(async () => {
+  fake = new FakeOBS();
+  await fake.start();
+});
+
+after(async () => {
+  await fake.stop();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('start, status and stop', async () => {
+  assert.match(await obs('status'), /Stream: OFFLINE/);
+
+  assert.match(await obs('start'), /Stream started!/);
+  assert.equal(fake.state.stream.active, true);
+  assert.match(await obs('start'), /Stream is already running/);
+
+  fake.advance(3000);
+  const status = await obs('status');
+  assert.match(status, /Stream: LIVE/);
+  assert.match(status, /Duration: 00:00:03/);
+
+  assert.match(await obs('stop'), /Stream stopped/);
+  assert.match(await obs('stop'), /Stream is not running/);
+});
+
+test('diagnose lists sources, audio and warnings', async () => {
+  fake.startStream();
+  fake.advance(5000);
+  const output = await obs('diagnose');
+  fake.stopStream();
+
+  assert.match(output, /Status: ● HEALTHY/);
+  assert.match(output, /✓ Webcam \(v4l2_input\)/);
+  assert.match(output, /Mic\/Aux: 0.0 dB/);
+});
+
+test('scene lists and switches scenes', async () => {
+  assert.match(await obs('scene'), /Main ← current/);
+  assert.match(await obs('scene', 'BRB'), /Switched to scene: BRB/);
+  assert.equal(fake.state.currentProgramScene, 'BRB');
+  await obs('scene', 'Main');
+});
+
+test('enable, disable and refresh toggle scene items', async () => {
+  assert.match(await obs('disable', 'webcam'), /Webcam DISABLED/);
+  assert.equal(fake.state.scenes[0].items[0].enabled, false);
+  assert.match(await obs('enable', 'webcam'), /Webcam ENABLED/);
+  assert.match(await obs('refresh', 'webcam'), /Webcam refreshed/);
+  assert.equal(fake.state.scenes[0].items[0].enabled, true);
+  assert.match(await obs('sources'), /✓ Terminal \(xcomposite_input\)/);
+});
+
+test('mute and unmute audio inputs', async () => {
+  assert.match(await obs('mute', 'mic'), /Mic\/Aux MUTED/);
+  assert.equal(fake.state.inputs['Mic/Aux'].muted, true);
+  assert.match(await obs('audio'), /MUTED Mic\/Aux/);
+  assert.match(await obs('unmute', 'mic'), /Mic\/Aux UNMUTED/);
+  assert.match(await obsFails('mute', 'kazoo'), /Audio input "kazoo" not found/);
+});
+
+test('record controls recording and logs files for the report', async () => {
+  const db = new StreamDatabase(dbPath);
+  const sessionId = db.startSession();
+  db.close();
+
+  const started = await obs('record', 'start');
+  assert.match(started, /Recording started/);
+  assert.match(started, /File: \/home\/streamer\/Videos\/fake-recording-1\.mkv/);
+  // A refused start doesn't wait out the recording-started timeout
+  const refusedAt = Date.now();
+  assert.match(await obs('record', 'start'), /Recording is already running/);
+  assert.ok(Date.now() - refusedAt < 3000);
+
+  fake.advance(65000);
+  assert.match(await obs('status'), /Recording: REC 00:01:05/);
+  assert.match(await obs('record', 'pause'), /Recording PAUSED at 00:01:05/);
+  assert.match(await obs('record', 'status'), /State: PAUSED/);
+  assert.match(await obs('record', 'resume'), /Recording RESUMED/);
+  assert.match(await obs('record', 'split'), /New file: .*fake-recording-2\.mkv/);
+
+  const stopped = await obs('record', 'stop');
+  assert.match(stopped, /File: .*fake-recording-2\.mkv/);
+  assert.match(await obs('record', 'stop'), /Recording is not running/);
+
+  const check = new StreamDatabase(dbPath);
+  const recordings = check.getSessionRecordings(sessionId);
+  // Close it so later tests don't take it for a live stream's session
+  check.finalizeSession(sessionId, 0);
+  check.close();
+  assert.deepEqual(recordings.map(r => r.output_path), [
+    '/home/streamer/Videos/fake-recording-1.mkv',
+    '/home/streamer/Videos/fake-recording-2.mkv'
+  ]);
+  assert.ok(recordings.every(r => r.ended_at));
+});
+
+test('replay saves are logged against the active session', async () => {
+  const db = new StreamDatabase(dbPath);
+  const sessionId = db.startSession();
+  db.close();
+
+  const refusedAt = Date.now();
+  assert.match(await obsFails('replay', 'save'), /Replay buffer is not running/);
+  assert.ok(Date.now() - refusedAt < 3000);
+  assert.match(await obs('replay', 'start'), /Replay buffer started/);
+  assert.match(await obs('replay', 'status'), /Replay buffer: ACTIVE/);
+  assert.match(await obs('replay', 'save'), /File: .*Replay-1\.mkv/);
+  assert.match(await obs('replay', 'stop'), /Replay buffer stopped/);
+
+  const check = new StreamDatabase(dbPath);
+  const replays = check.getSessionEvents(sessionId, 'replay_saved');
+  // Close it so later tests don't take it for a live stream's session
+  check.finalizeSession(sessionId, 0);
+  check.close();
+  assert.deepEqual(replays.map(r => r.detail), ['/home/streamer/Videos/Replay-1.mkv']);
+});
+
+test('screenshot saves the program scene to the thumbnails directory', async () => {
+  const dir = path.join(tmpDir, 'thumbs');
+  const output = await obs('screenshot', '--dir', dir, '--width', '640');
+  assert.match(output, /Captured Main/);
+
+  const [file] = fs.readdirSync(dir);
+  assert.match(file, /^main-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}\.png$/);
+
+  assert.match(await obs('screenshot', 'webcam', '--dir', dir, '--format', 'jpg'), /Captured Webcam/);
+  assert.match(await obsFails('screenshot', 'nothing-here', '--dir', dir), /Source "nothing-here" not found/);
+});
+
+test('backup, diff and restore recreate missing scenes, sources and filters', async () => {
+  fake.state.filters.Webcam = [{ filterName: 'Sharpen', filterKind: 'sharpness_filter_v2', filterEnabled: false, filterSettings: { sharpness: 0.2 } }];
+  const file = path.join(tmpDir, 'backup.json');
+  assert.match(await obs('backup', '--output', file), /4 scenes, 4 inputs, 1 filters/);
+
+  const main = fake.state.scenes.find(s => s.sceneName === 'Main');
+  main.items = main.items.filter(i => i.sourceName !== 'Terminal');
+  delete fake.state.inputs.Terminal;
+  fake.state.scenes = fake.state.scenes.filter(s => s.sceneName !== 'BRB');
+  fake.state.filters.Webcam = [];
+
+  const diff = await obs('backup', '--diff', file);
+  assert.match(diff, /- scene\s+BRB/);
+  assert.match(diff, /- input\s+Terminal/);
+  assert.match(diff, /- filter\s+Webcam › Sharpen/);
+
+  assert.match(await obs('restore', file, '--dry-run'), /Dry run - nothing was changed/);
+  assert.equal(fake.state.inputs.Terminal, undefined);
+
+  const restored = await obs('restore', file);
+  assert.doesNotMatch(restored, /✗/);
+  assert.ok(fake.state.scenes.some(s => s.sceneName === 'BRB'));
+  assert.equal(fake.state.inputs.Terminal.inputKind, 'xcomposite_input');
+  assert.ok(main.items.some(i => i.sourceName === 'Terminal'));
+  assert.deepEqual(fake.state.filters.Webcam.map(f => [f.filterName, f.filterEnabled]), [['Sharpen', false]]);
+
+  assert.match(await obs('backup', '--diff', file), /No differences/);
+});
+
+test('apply plans and reconciles a layout file', async () => {
+  const file = path.join(tmpDir, 'layout.json');
+  fs.writeFileSync(file, JSON.stringify({
+    scenes: [
+      {
+        name: 'Coding',
+        items: [
+          { source: 'Chat', kind: 'browser_source', settings: { url: 'https://example.com/chat' }, transform: { positionX: 1500 } },
+          { source: 'Webcam', filters: [{ name: 'Color', kind: 'color_filter_v2', settings: { saturation: 0.2 } }] },
+          { source: 'Terminal', enabled: false }
+        ]
+      },
+      { name: 'Main', items: [{ source: 'Webcam' }, { source: 'Terminal' }] }
+    ]
+  }));
+
+  const plan = await obs('apply', file, '--dry-run');
+  assert.match(plan, /\+ scene\s+Coding/);
+  assert.match(plan, /\+ input\s+Coding › Chat/);
+  assert.match(plan, /- item\s+Main › Mic\/Aux/);
+  assert.match(plan, /~ scene\s+Main \(order\)/);
+  assert.match(plan, /\+ filter\s+Webcam › Color/);
+  assert.match(plan, /Dry run - nothing was changed/);
+  assert.ok(!fake.state.scenes.some(s => s.sceneName === 'Coding'));
+
+  assert.match(await obsFails('apply', file), /re-run with --yes/);
+
+  assert.match(await obs('apply', file, '--yes'), /Applied \d+ changes/);
+  const coding = fake.state.scenes.find(s => s.sceneName === 'Coding');
+  assert.deepEqual(coding.items.map(i => [i.sourceName, i.enabled]).reverse(), [['Chat', true], ['Webcam', true], ['Terminal', false]]);
+  assert.equal(coding.items[2].transform.positionX, 1500);
+  assert.equal(fake.state.inputs.Chat.inputSettings.url, 'https://example.com/chat');
+  assert.deepEqual(fake.state.scenes.find(s => s.sceneName === 'Main').items.map(i => i.sourceName), ['Terminal', 'Webcam']);
+
+  assert.match(await obs('apply', file, '--dry-run'), /OBS already matches the layout/);
+});
+
+test('overlay pick remembers the window and create reuses it', async () => {
+  assert.match(await obs('overlay', 'pick'), /Mozilla Firefox[\s\S]*re-run with --window/);
+
+  assert.match(await obs('overlay', 'pick', '--window', 'nvim'), /Terminal now captures "nvim ~\/code\/obs-twitch"/);
+  assert.match(fake.state.inputs.Terminal.inputSettings.capture_window, /nvim/);
+  const config = JSON.parse(fs.readFileSync(path.join(tmpDir, 'obs.config.json'), 'utf8'));
+  assert.equal(config.overlay.inputKind, 'xcomposite_input');
+
+  assert.match(await obs('overlay', '80%', 'top-left'), /Terminal → 80% top-left/);
+
+  await fake.requests.RemoveInput.call(fake, { inputName: 'Terminal' });
+  const created = await obs('overlay', 'create');
+  assert.match(created, /Created Terminal Overlay/);
+  assert.match(created, /Restored its last position/);
+  const input = fake.state.inputs['Terminal Overlay'];
+  assert.equal(input.inputKind, 'xcomposite_input');
+  assert.equal(input.inputSettings.capture_window, config.overlay.value);
+  assert.match(await obs('overlay', 'create'), /already exists/);
+
+  assert.match(await obs('celebration', 'create'), /Created Celebration Overlay/);
+  assert.match(await obs('celebration', 'hide'), /Celebration Overlay hidden/);
+  assert.match(await obs('overlay', 'hide'), /Terminal Overlay hidden/);
+});
+
+test('volume sets and fade ramps an audio source', async () => {
+  assert.match(await obs('volume', 'desktop'), /Desktop Audio: -6\.0 dB \(50%\)/);
+  assert.match(await obs('volume', 'desktop', '-12dB'), /Desktop Audio: -12\.0 dB/);
+  assert.equal(fake.state.inputs['Desktop Audio'].volumeDb, -12);
+  assert.match(await obs('volume', 'desktop', '100%'), /Desktop Audio: 0\.0 dB \(100%\)/);
+  assert.match(await obsFails('volume', 'desktop', 'loud'), /Invalid volume "loud"/);
+
+  const before = fake.requestLog.filter(r => r.requestType === 'SetInputVolume').length;
+  assert.match(await obs('fade', 'desktop', '-20dB', '300ms'), /0\.0 dB \(100%\) → -20\.0 dB \(10%\) over 0\.3s/);
+  assert.equal(fake.state.inputs['Desktop Audio'].volumeDb, -20);
+  assert.equal(fake.requestLog.filter(r => r.requestType === 'SetInputVolume').length - before, 6);
+});
+
+test('filters lists and filter adds, toggles, sets and removes filters', async () => {
+  assert.match(await obs('filters', 'mic'), /No filters[\s\S]*noise\s+Noise Suppression/);
+
+  assert.match(await obs('filter', 'add', 'mic', 'noise'), /Added Noise Suppression \(noise_suppress_filter_v2\) to Mic\/Aux/);
+  assert.match(await obs('filter', 'add', 'mic', 'compressor', 'ratio=4'), /Added Compressor/);
+  assert.equal(fake.state.filters['Mic/Aux'][1].filterSettings.ratio, 4);
+  assert.match(await obsFails('filter', 'add', 'mic', 'reverb'), /Unknown filter "reverb"/);
+
+  assert.match(await obs('filter', 'disable', 'mic', 'noise'), /Noise Suppression disabled/);
+  assert.equal(fake.state.filters['Mic/Aux'][0].filterEnabled, false);
+  assert.match(await obs('filter', 'toggle', 'mic', 'noise'), /Noise Suppression enabled/);
+
+  assert.match(await obs('filter', 'set', 'mic', 'comp', 'threshold=-24', 'ratio=6'), /Compressor updated[\s\S]*ratio=6  threshold=-24/);
+  assert.deepEqual(
+    [fake.state.filters['Mic/Aux'][1].filterSettings.threshold, fake.state.filters['Mic/Aux'][1].filterSettings.attack_time],
+    [-24, 6]
+  );
+
+  const list = await obs('filters', 'mic');
+  assert.match(list, /● on\s+Noise Suppression \(noise_suppress_filter_v2\)/);
+  assert.match(list, /method=rnnoise  suppress_level=-30/);
+
+  assert.match(await obs('filter', 'remove', 'mic', 'compressor'), /Removed Compressor from Mic\/Aux/);
+  assert.match(await obsFails('filter', 'enable', 'mic', 'compressor'), /Filter "compressor" not found on Mic\/Aux/);
+  assert.match(await obs('filter', 'remove', 'mic', 'noise'), /Removed Noise Suppression/);
+});
+
+test('studio mode previews scenes and transitions can be chosen per switch', async () => {
+  assert.match(await obs('studio'), /Studio mode: off/);
+  await assert.rejects(obs('scene', 'BRB', '--preview'), { code: 1, stderr: /Studio mode is off/ });
+
+  assert.match(await obs('studio', 'on'), /Studio mode on/);
+  assert.match(await obs('scene', 'BRB', '--preview'), /Preview: BRB/);
+  const list = await obs('scene');
+  assert.match(list, /Main ← program/);
+  assert.match(list, /BRB ← preview/);
+
+  assert.match(await obs('studio', 'go'), /Program: BRB\nPreview: Main/);
+  assert.equal(fake.state.currentProgramScene, 'BRB');
+
+  const transitions = await obs('transition');
+  assert.match(transitions, /Fade \(fade_transition\) ← current \(300ms\)/);
+  assert.match(await obs('transition', 'swipe', '--duration', '1.5s'), /Transition: Swipe 1500ms/);
+  assert.match(await obsFails('transition', 'wipe-out'), /Transition "wipe-out" not found/);
+
+  // A one-off transition is used for the switch and the previous one put back
+  const before = fake.requestLog.length;
+  assert.match(await obs('scene', 'Main', '--transition', 'cut', '--duration', '800'), /Switched to scene: Main \(cut, 800ms\)/);
+  const calls = fake.requestLog.slice(before)
+    .filter(r => r.requestType.startsWith('SetCurrent'))
+    .map(r => `${r.requestType} ${JSON.stringify(r.requestData)}`);
+  assert.deepEqual(calls, [
+    'SetCurrentSceneTransition {"transitionName":"Cut"}',
+    'SetCurrentSceneTransitionDuration {"transitionDuration":800}',
+    'SetCurrentProgramScene {"sceneName":"Main"}',
+    'SetCurrentSceneTransition {"transitionName":"Swipe"}',
+    'SetCurrentSceneTransitionDuration {"transitionDuration":1500}'
+  ]);
+
+  // A switch OBS refuses doesn't wait out the transition before giving up
+  const refusedAt = Date.now();
+  await assert.rejects(obs('scene', 'NoSuchScene', '--transition', 'fade', '--duration', '3000'), { code: 1, stderr: /NoSuchScene/ });
+  assert.ok(Date.now() - refusedAt < 3000);
+
+  assert.match(await obs('studio', 'off'), /Studio mode off/);
+  await obs('transition', 'fade', '-d', '300');
+});
+
+test('media controls playback and waits for a video to finish', async () => {
+  fake.requests.CreateInput.call(fake, {
+    sceneName: 'Starting Soon',
+    inputName: 'Intro Video',
+    inputKind: 'ffmpeg_source',
+    inputSettings: { local_file: '/home/streamer/Videos/intro.mp4' }
+  });
+  const media = fake.state.inputs['Intro Video'].media;
+  media.duration = 95000;
+
+  assert.match(await obs('media'), /Intro Video: stopped/);
+  assert.match(await obs('media', 'play', 'intro'), /Intro Video: play/);
+  fake.advance(5000);
+  assert.match(await obs('media', 'status', 'intro'), /Intro Video: playing\s+0:05 \/ 1:35/);
+
+  assert.match(await obs('media', 'seek', 'intro', '1:00'), /playing\s+1:00 \/ 1:35/);
+  assert.match(await obs('media', 'seek', 'intro', '-5s'), /0:55 \/ 1:35/);
+  assert.match(await obs('media', 'pause', 'intro'), /Intro Video: pause/);
+  assert.equal(media.state, 'OBS_MEDIA_STATE_PAUSED');
+  assert.match(await obsFails('media', 'play', 'webcam'), /Media source "webcam" not found. Available: Intro Video/);
+
+  // The intro ends while the CLI waits, then the scene switches
+  await obs('media', 'play', 'intro');
+  const switched = obs('scene', 'BRB', '--after', 'intro');
+  const clock = setInterval(() => fake.advance(10000), 300);
+  try {
+    const output = await switched;
+    assert.match(output, /Waiting for Intro Video to finish[\s\S]*Switched to scene: BRB/);
+  } finally {
+    clearInterval(clock);
+  }
+  assert.equal(media.state, 'OBS_MEDIA_STATE_ENDED');
+  assert.equal(fake.state.currentProgramScene, 'BRB');
+
+  assert.match(await obs('media', 'restart', 'intro'), /Intro Video: restart/);
+  assert.equal(media.cursor, 0);
+  assert.match(await obs('media', 'stop', 'intro'), /Intro Video: stop/);
+  await obs('scene', 'Main');
+});
+
+test('text sets text sources and text-feed only writes changed values', async () => {
+  for (const inputName of ['Now Coding', 'Countdown', 'Uptime']) {
+    fake.requests.CreateInput.call(fake, {
+      sceneName: 'Main',
+      inputName,
+      inputKind: 'text_ft2_source_v2',
+      inputSettings: { text: '' }
+    });
+  }
+
+  assert.match(await obs('text', 'coding', 'Focused Coding Session'), /Now Coding: Focused Coding Session/);
+  assert.equal(fake.state.inputs['Now Coding'].inputSettings.text, 'Focused Coding Session');
+  assert.match(await obs('text', 'coding'), /Now Coding: Focused Coding Session/);
+  assert.match(await obs('text', 'coding', 'Focused Coding Session'), /already shows/);
+  assert.match(await obsFails('text', 'webcam', 'hi'), /Text source "webcam" not found/);
+
+  const repo = path.join(tmpDir, 'my-app');
+  const git = (...args) => promisify(execFile)('git', ['-C', repo, '-c', 'user.name=t', '-c', 'user.email=t@t', ...args]);
+  fs.mkdirSync(repo);
+  await git('init', '-q', '-b', 'feature/text-feed');
+  await git('commit', '-q', '--allow-empty', '-m', 'Add text feed');
+
+  const binds = ['--bind', `coding:git:${repo}`, '--bind', 'Countdown:countdown:10m'];
+  const output = await obs('text-feed', '--once', ...binds, '--bind', 'Uptime:uptime');
+  assert.match(output, /Now Coding: my-app \(feature\/text-feed\) · Add text feed/);
+  assert.match(output, /Countdown: Starting in 10:00/);
+  assert.equal(fake.state.inputs.Countdown.inputSettings.text, 'Starting in 10:00');
+
+  const before = fake.requestLog.filter(r => r.requestType === 'SetInputSettings').length;
+  assert.match(await obs('text-feed', '--once', ...binds), /0 of 2 sources changed/);
+  assert.equal(fake.requestLog.filter(r => r.requestType === 'SetInputSettings').length, before);
+
+  assert.match(await obsFails('text-feed', '--once', '--bind', 'Countdown:countdown:soon'), /Invalid countdown target "soon"/);
+  assert.match(await obsFails('text-feed', '--bind', 'Countdown:weather'), /Invalid binding "Countdown:weather"/);
+});
+
+test('go-live runs pre-flight, counts down on Starting Soon and hands off to the main scene', async () => {
+  const plan = await obs('go-live', '--dry-run', '--no-twitch', '--countdown', '2m', '--text', 'Countdown', '--fix-wifi');
+  assert.match(plan, /1\. Apply stream.config.json to Twitch - skipped: disabled with --no-twitch/);
+  assert.match(plan, /2\. Pre-flight checks\n\s+scenes Starting Soon and Main, mic, OBS load, text source Countdown, WiFi \(reconnect to 5 GHz if needed\)/);
+  assert.match(plan, /4\. Start streaming/);
+  assert.match(plan, /5\. Count down 2:00 in "Countdown"/);
+  assert.equal(fake.state.stream.active, false);
+
+  assert.match(await obsFails('go-live', '--no-twitch', '--starting', 'Lobby'), /Scene not found: Lobby[\s\S]*Go-live stopped at: Pre-flight checks/);
+  assert.equal(fake.state.stream.active, false);
+
+  // A failed StartStream ends go-live right away rather than waiting out the 15s for the stream to start
+  const failStart = ({ requestType }) => {
+    if (requestType === 'StartStream') fake.state.stream.active = true;
+  };
+  fake.on('request', failStart);
+  try {
+    assert.match(await obsFails('go-live', '--no-twitch', '--countdown', '0s'), /✗ Start streaming: .*already active[\s\S]*Go-live stopped at: Start streaming/);
+  } finally {
+    fake.off('request', failStart);
+    fake.state.stream.active = false;
+  }
+
+  const output = await obs('go-live', '--no-twitch', '--countdown', '2s', '--text', 'Countdown', '-t', 'cut');
+  assert.match(output, /Pre-flight checks[\s\S]*✓ Scenes found: Starting Soon, Main/);
+  assert.match(output, /Switch to "Starting Soon"[\s\S]*Start streaming[\s\S]*Count down 0:02[\s\S]*Switch to "Main" \(cut\)/);
+  assert.match(output, /Live on "Main"!/);
+  assert.equal(fake.state.stream.active, true);
+  assert.equal(fake.state.currentProgramScene, 'Main');
+  assert.equal(fake.state.inputs.Countdown.inputSettings.text, 'Starting now');
+  const countdown = fake.requestLog
+    .filter(r => r.requestType === 'SetInputSettings' && r.requestData.inputName === 'Countdown')
+    .map(r => r.requestData.inputSettings.text);
+  assert.deepEqual(countdown.slice(-3), ['Starting in 0:02', 'Starting in 0:01', 'Starting now']);
+
+  assert.match(await obsFails('go-live', '--no-twitch'), /Stream is already live/);
+  // end finalises the session go-live opened
+  assert.match(await obs('end', '--delay', '0'), /✓ session \d+\n/);
+  await obs('scene', 'Main');
+});
+
+test('brb mutes the mic until back, and end stops the stream and finalises the session', async () => {
+  await obs('start');
+  const db = new StreamDatabase(dbPath);
+  const sessionId = db.startSession();
+  db.recordMetric(sessionId, { bitrate: 6000, cpuUsage: 12, memoryMb: 400, fps: 60, droppedFrames: 0, totalFrames: 600, droppedPercent: 0 });
+  db.close();
+
+  const brb = await obs('brb', '5m');
+  assert.match(brb, /BRB on "BRB" \(was Main\)/);
+  assert.match(brb, /Mic\/Aux muted/);
+  assert.match(brb, /Back in 5:00/);
+  assert.equal(fake.state.currentProgramScene, 'BRB');
+  assert.equal(fake.state.inputs['Mic/Aux'].muted, true);
+  assert.match(await obsFails('brb'), /Already on a break/);
+
+  assert.match(await obs('back'), /Back on "Main" after 0:0\d/);
+  assert.equal(fake.state.currentProgramScene, 'Main');
+  assert.equal(fake.state.inputs['Mic/Aux'].muted, false);
+  assert.match(await obsFails('back'), /Not on a break/);
+
+  // The timer keeps running until back is run from another terminal
+  const timer = obs('brb', '--text', 'Countdown');
+  const countdown = () => fake.state.inputs.Countdown.inputSettings.text;
+  for (let i = 0; i < 50 && !/^Away for/.test(countdown()); i++) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  assert.match(countdown(), /^Away for 0:0\d/);
+  await obs('back');
+  assert.match(await timer, /Back - timer stopped/);
+
+  const plan = await obs('end', '--dry-run', '--raid', 'somefriend');
+  assert.match(plan, /1\. Switch to "Ending"\n2\. Raid somefriend\n3\. Wait 0:30\n4\. Stop streaming/);
+
+  // A break still open when the stream ends doesn't carry over to the next one
+  assert.match(await obs('brb'), /BRB on "BRB" \(was Main\)/);
+
+  // A running monitor sees the stop and finalises the session before end gets to it
+  const onRequest = ({ requestType }) => {
+    if (requestType !== 'StopStream') return;
+    const monitorDb = new StreamDatabase(dbPath);
+    monitorDb.finalizeSession(sessionId, 5000);
+    monitorDb.close();
+  };
+  fake.on('request', onRequest);
+  let end;
+  try {
+    end = await obs('end', '--delay', '1s', '--text', 'Countdown');
+  } finally {
+    fake.off('request', onRequest);
+  }
+  assert.match(end, /- Raid \(skipped: no --raid channel\)/);
+  assert.match(end, /✓ offline[\s\S]*✓ session \d+ \(finalised by the monitor\)/);
+  assert.match(end, /STREAM REPORT[\s\S]*Breaks: 3/);
+  assert.equal(fake.state.stream.active, false);
+  assert.equal(fake.state.currentProgramScene, 'Ending');
+  assert.equal(countdown(), 'Thanks for watching!');
+
+  const check = new StreamDatabase(dbPath);
+  const session = check.getSession(sessionId);
+  check.close();
+  assert.ok(session.ended_at);
+  assert.equal(session.avg_bitrate, 6000);
+
+  assert.match(await obsFails('end'), /Stream is not running/);
+  assert.match(await obsFails('back'), /Not on a break/);
+  await obs('scene', 'Main');
+  await obs('unmute', 'Mic/Aux');
+});
+
+test('end finalises the session a monitor left open when it quit mid-stream', async () => {
+  await obs('start');
+  fake.advance(5000);
+  const metrics = () => ({ scene: fake.state.currentProgramScene, stream: { ...fake.state.stream } });
+  const sent = [];
+  const notify = (event) => {
+    sent.push(event);
+    return 0;
+  };
+
+  // A monitor quits and another starts and quits again, all while live
+  const db = new StreamDatabase(dbPath);
+  let sessionId;
+  try {
+    const monitor = new SessionTracker(db, { notify });
+    sessionId = monitor.update(metrics()).id;
+    db.recordMetric(sessionId, { bitrate: 6000, cpuUsage: 12, memoryMb: 400, fps: 60, droppedFrames: 0, totalFrames: 300, droppedPercent: 0 });
+    monitor.detach();
+    fake.advance(2000);
+    const restarted = new SessionTracker(db, { notify });
+    assert.deepEqual(restarted.update(metrics()), { id: sessionId, resumed: true });
+    restarted.detach();
+  } finally {
+    db.close();
+  }
+  assert.deepEqual(sent, ['stream.started', 'stream.started']);
+
+  const end = await obs('end', '--delay', '0');
+  assert.match(end, new RegExp(`✓ session ${sessionId}\n`));
+  assert.match(end, /STREAM REPORT/);
+
+  const check = new StreamDatabase(dbPath);
+  const session = check.getSession(sessionId);
+  const newer = check.getRecentSessions(100).filter(s => s.id > sessionId);
+  check.close();
+  assert.ok(session.ended_at);
+  assert.equal(newer.length, 0);
+  await obs('scene', 'Main');
+});
+
+test('run executes config macros with variables, conditions and per-step results', async () => {
+  const configPath = path.join(tmpDir, 'obs.config.json');
+  const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+  config.macros = {
+    demo: {
+      description: 'Quick break',
+      vars: { main: 'Main' },
+      steps: [
+        { action: 'scene', scene: 'BRB' },
+        { action: 'mute', source: 'Mic/Aux' },
+        { action: 'text', source: 'Countdown', text: '{greeting} from {scene}' },
+        { action: 'title', title: 'Back soon', if: 'live' },
+        { action: 'shell', command: 'echo hello {main}' },
+        { action: 'scene', scene: '{main}', duration: 800, if: '{scene} == BRB' },
+        { action: 'unmute', source: 'mic' }
+      ]
+    },
+    broken: [{ action: 'shell', command: 'echo oops >&2; exit 3' }, { action: 'scene', scene: 'BRB' }],
+    typo: [{ action: 'sene', scene: 'BRB' }]
+  };
+  fs.writeFileSync(configPath, JSON.stringify(config));
+
+  assert.match(await obs('run'), /demo - Quick break \(7 steps\)[\s\S]*broken \(2 steps\)/);
+  const plan = await obs('run', 'demo', '--dry-run');
+  assert.match(plan, /4\. Set the Twitch title to "Back soon" \(if live\)/);
+  assert.match(plan, /6\. Switch to "\{main\}" \(if \{scene\} == BRB\)/);
+
+  const logged = fake.requestLog.length;
+  const output = await obs('run', 'demo', 'greeting=Hi');
+  assert.match(output, /Set Countdown to "Hi from BRB"/);
+  assert.match(output, /- Set the Twitch title to "Back soon" \(if live\) \(skipped: not live\)/);
+  assert.match(output, /Run: echo hello Main\n\s+✓ hello Main/);
+  assert.match(output, /✓ demo: 6 done, 1 skipped/);
+  assert.equal(fake.state.inputs.Countdown.inputSettings.text, 'Hi from BRB');
+  assert.equal(fake.state.currentProgramScene, 'Main');
+  // Like scene --duration, a bare number is ms
+  assert.equal(fake.requestLog.slice(logged).find(r => r.requestType === 'SetCurrentSceneTransitionDuration')?.requestData.transitionDuration, 800);
+  assert.equal(fake.state.inputs['Mic/Aux'].muted, false);
+
+  assert.match(await obsFails('run', 'demo'), /Unknown variable \{greeting\}[\s\S]*stopped at step 3 of 7 \(2 done, 0 skipped\)/);
+  assert.match(await obsFails('run', 'broken'), /✗ Run: echo oops >&2; exit 3: Exit 3: oops[\s\S]*stopped at step 1 of 2/);
+  assert.equal(fake.state.currentProgramScene, 'BRB');
+  assert.match(await obsFails('run', 'typo'), /Macro "typo" step 1: unknown action "sene"/);
+  assert.match(await obsFails('run', 'nope'), /Macro "nope" not found. Macros: demo, broken, typo/);
+  await obs('unmute', 'mic');
+  await obs('scene', 'Main');
+});
+
+test('webhooks deliver signed events from go-live and end, retry from the outbox and test a local receiver', async () => {
+  const received = [];
+  let failNext = 1;
+  const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (failNext > 0) {
+        failNext--;
+        res.writeHead(503).end();
+        return;
+      }
+      received.push({ headers: req.headers, body });
+      res.writeHead(204).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${receiver.address().port}/hook`;
+  const verify = ({ headers, body }, secret) =>
+    headers['x-obs-signature'] === 'sha256=' + createHmac('sha256', secret).update(body).digest('hex');
+
+  try {
+    const configPath = path.join(tmpDir, 'obs.config.json');
+    const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+    config.webhooks = [{ name: 'receiver', url, secret: 's3cret', events: ['stream.started', 'stream.stopped', 'session.completed'] }];
+    fs.writeFileSync(configPath, JSON.stringify(config));
+
+    assert.match(await obs('webhooks'), /receiver http:\/\/127\.0\.0\.1:\d+\/hook\n\s+stream\.started, stream\.stopped, session\.completed[\s\S]*0 pending, 0 delivered, 0 failed/);
+
+    // go-live opens the session; its stream.started gets a 503 and stays in the outbox
+    const live = await obs('go-live', '--no-twitch', '--countdown', '0s');
+    assert.match(live, /Webhooks: 0 delivered, 1 queued for retry/);
+    const db = new StreamDatabase(dbPath);
+    const sessionId = db.getActiveSession().id;
+    db.close();
+
+    // The monitor finalises the session first; end still sends for it, deduped against the monitor's
+    const onRequest = ({ requestType }) => {
+      if (requestType !== 'StopStream') return;
+      const monitorDb = new StreamDatabase(dbPath);
+      monitorDb.finalizeSession(sessionId, 1000);
+      monitorDb.close();
+    };
+    fake.on('request', onRequest);
+    let end;
+    try {
+      end = await obs('end', '--delay', '1s');
+    } finally {
+      fake.off('request', onRequest);
+    }
+    assert.match(end, /Webhooks: 2 delivered/);
+    assert.match(await obs('webhooks'), /1 pending, 2 delivered[\s\S]*⟳ stream\.started → .*: HTTP 503 \(attempt 1/);
+
+    const outbox = new StreamDatabase(dbPath);
+    assert.deepEqual(outbox.db.prepare(`SELECT dedupe_key FROM webhook_outbox ORDER BY id`).all().map(r => r.dedupe_key),
+      [`stream.started:${sessionId}`, `stream.stopped:${sessionId}`, `session.completed:${sessionId}`]);
+    outbox.db.prepare(`UPDATE webhook_outbox SET next_attempt_at = ?`).run(new Date(0).toISOString());
+    outbox.close();
+    assert.match(await obs('webhooks', 'flush'), /✓ stream\.started → receiver: HTTP 204/);
+    assert.match(await obs('webhooks', 'flush'), /Nothing due in the outbox/);
+
+    assert.equal(received.length, 3);
+    assert.ok(received.every(r => verify(r, 's3cret')));
+    const events = Object.fromEntries(received.map(r => [r.headers['x-obs-event'], JSON.parse(r.body)]));
+    assert.deepEqual(events['stream.started'].data, { sessionId, scene: 'Starting Soon' });
+    assert.equal(events['stream.stopped'].data.sessionId, sessionId);
+    assert.equal(typeof events['stream.stopped'].data.durationMs, 'number');
+    assert.equal(events['session.completed'].data.sessionId, sessionId);
+    assert.ok(events['session.completed'].data.endedAt);
+    assert.equal(received[2].headers['x-obs-delivery'], events['stream.started'].id);
+
+    const sent = await obs('webhooks', 'test', url, '--secret', 'other');
+    assert.match(sent, /✓ http:.*: HTTP 204 \(signed\)/);
+    assert.equal(received[3].headers['x-obs-event'], 'test');
+    assert.ok(verify(received[3], 'other'));
+
+    delete config.webhooks;
+    fs.writeFileSync(configPath, JSON.stringify(config));
+  } finally {
+    await new Promise(resolve => receiver.close(resolve));
+  }
+  assert.match(await obsFails('webhooks', 'test', url), /✗ .*: ECONNREFUSED/);
+  await obs('scene', 'Main');
+});
+
+test('--json and --format print command data with error codes for scripts', async () => {
+  const status = JSON.parse(await obs('status', '--json'));
+  assert.equal(status.stream.active, false);
+  assert.equal(status.scene, 'Main');
+  assert.equal(status.video.fps, 60);
+
+  const scenes = JSON.parse(await obs('--json', 'scene'));
+  assert.deepEqual({ current: scenes.current, preview: scenes.preview }, { current: 'Main', preview: null });
+  assert.deepEqual(JSON.parse(await obs('scene', 'BRB', '--json')), { scene: 'BRB', preview: false, transition: null, duration: null });
+  await obs('scene', 'Main');
+
+  const diagnose = JSON.parse(await obs('diagnose', '--format', 'json'));
+  assert.ok(['green', 'yellow', 'red'].includes(diagnose.health.level));
+  assert.ok(diagnose.sources.some(s => s.name === 'Webcam'));
+  assert.ok(diagnose.audio.some(a => a.name === 'Mic/Aux'));
+
+  assert.match(await obs('audio', '--format', 'yaml'), /^- name: Desktop Audio\n  kind: desktop1\n  muted: false\n  volumeDb: "-\d+\.\d"/m);
+  assert.match(await obs('sources', '--format', 'table'), /scene  Main[\s\S]*name\s+kind\s+enabled\s+id[\s\S]*Webcam\s+v4l2_input\s+true\s+1/);
+
+  const report = JSON.parse(await obs('report', '--json'));
+  assert.equal(typeof report.session.id, 'number');
+  assert.ok(Array.isArray(report.recommendations));
+  assert.equal(report.breaks.count, 0);
+
+  const affiliate = JSON.parse(await obs('affiliate', '--json'));
+  assert.deepEqual(affiliate.requirements, { streamDays: 7, streamHours: 8, avgViewers: 3, followers: 50 });
+  assert.equal(affiliate.eligible, false);
+
+  // Failures are JSON on stdout with an exit code
+  const failure = async (...args) => {
+    const error = await obs(...args).then(() => null, e => e);
+    assert.ok(error, `${args.join(' ')} should fail`);
+    return { code: error.code, body: error.stdout ? JSON.parse(error.stdout) : null, stderr: error.stderr };
+  };
+  assert.deepEqual(await failure('report', '--session', '9999', '--json'), {
+    code: 3, body: { error: { code: 'not_found', message: 'Session 9999 not found' } }, stderr: ''
+  });
+  const unsupported = await failure('start', '--json');
+  assert.equal(unsupported.code, 1);
+  assert.match(unsupported.body.error.message, /"start" has no machine-readable output/);
+  assert.match((await failure('status', '--format', 'xml')).stderr, /Unknown format "xml"/);
+  assert.equal(fake.state.stream.active, false);
+
+  // Text failures use the same exit codes
+  const missing = await obs('report', '--session', '9999').then(() => null, e => e);
+  assert.equal(missing?.code, 3);
+  assert.match(missing.stdout, /Session 9999 not found/);
+
+  const down = await promisify(execFile)(process.execPath, [CLI, 'status', '--json'], {
+    env: { ...process.env, OBS_WEBSOCKET_PORT: '1', OBS_STREAM_DB: dbPath },
+    timeout: 10000
+  }).then(() => null, e => e);
+  assert.equal(down.code, 2);
+  assert.equal(JSON.parse(down.stdout).error.code, 'obs_unavailable');
+
+  const downText = await promisify(execFile)(process.execPath, [CLI, 'status'], {
+    env: { ...process.env, OBS_WEBSOCKET_PORT: '1', OBS_STREAM_DB: dbPath },
+    timeout: 10000
+  }).then(() => null, e => e);
+  assert.equal(downText?.code, 2);
+});
+
+test('shell runs commands on one connection, keeps history and completes live names', async () => {
+  let connections = 0;
+  const onConnection = () => connections++;
+  fake.server.on('connection', onConnection);
+  const lines = ['scene "Starting Soon"', 'mute Mic/Aux', 'scene BRB --preview', 'scene Main', 'unmute Mic/Aux', 'monitor', 'exit'];
+  let output;
+  try {
+    output = await new Promise((resolve, reject) => {
+      const child = execFile(process.execPath, [CLI, 'shell'], { env: cliEnv(), timeout: 10000 }, (error, stdout, stderr) => {
+        if (error) reject(error);
+        else resolve(stdout + stderr);
+      });
+      child.stdin.end(lines.join('\n') + '\n');
+    });
+  } finally {
+    fake.server.off('connection', onConnection);
+  }
+
+  assert.equal(connections, 1);
+  assert.match(output, /\[Main OFFLINE\] obs> Switched to scene: Starting Soon\n\[Starting Soon OFFLINE\] obs> Mic\/Aux MUTED/);
+  assert.match(output, /Studio mode is off/);
+  // --preview from the line before doesn't stick
+  assert.match(output, /Switched to scene: Main/);
+  assert.match(output, /"monitor" isn't available in the shell/);
+  assert.equal(fake.state.currentProgramScene, 'Main');
+  assert.deepEqual(fake.requestLog.filter(r => r.requestType === 'SetInputMute').slice(-2).map(r => r.requestData.inputMuted), [true, false]);
+  assert.deepEqual(fs.readFileSync(path.join(tmpDir, 'shell_history'), 'utf8').trim().split('\n'), lines);
+
+  const program = new Command();
+  program.command('scene [name]').option('-t, --transition <name>');
+  program.command('mute <source>');
+  program.command('brb [duration]').option('-s, --scene <scene>');
+  const live = new OBSMetrics();
+  live.config.url = fake.url;
+  try {
+    const complete = shell.createCompleter(program, () => live.getNames());
+    assert.deepEqual(await complete('sc'), [['scene'], 'sc']);
+    assert.deepEqual(await complete('scene St'), [['Starting\\ Soon'], 'St']);
+    assert.deepEqual(await complete('scene "St'), [['"Starting Soon"'], '"St']);
+    assert.deepEqual(await complete('mute M'), [['Mic/Aux', 'Main'], 'M']);
+    assert.deepEqual(await complete('brb 5m -s E'), [['Ending'], 'E']);
+    assert.deepEqual(await complete('brb --'), [['--scene'], '--']);
+    assert.deepEqual(await complete('scene Main --transition f'), [[], 'f']);
+  } finally {
+    await live.disconnect();
+  }
+});
+
+test('shell commands that use the database run more than once', async () => {
+  const output = await new Promise((resolve, reject) => {
+    const child = execFile(process.execPath, [CLI, 'shell'], { env: cliEnv(), timeout: 10000 }, (error, stdout, stderr) => {
+      if (error) reject(error);
+      else resolve(stdout + stderr);
+    });
+    child.stdin.end(['report', 'report', 'exit'].join('\n') + '\n');
+  });
+
+  assert.doesNotMatch(output, /not open/);
+  assert.equal(output.match(/STREAM REPORT|No stream sessions|No metrics recorded/g)?.length, 2, output);
+});
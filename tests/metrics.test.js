@@ -0,0 +1,452 @@
+/**
+ * OBSMetrics against the fake OBS server
+ * Run: npm test
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import FakeOBS from '../src/lib/fake-obs.js';
+import OBSMetrics from '../src/lib/metrics.js';
+import { analyzeMetrics } from '../src/lib/alerts.js';
+import { Ducker, AudioLevels } from '../src/lib/audio.js';
+import { ApiServer } from '../src/lib/api-server.js';
+import { MetricsExporter } from '../src/lib/exporter.js';
+import { getMilestones } from '../src/lib/affiliate.js';
+import { SessionTracker } from '../src/lib/sessions.js';
+import { RingBuffer, sampleFromMetrics, sampleFromRow, summarize, bucketize, sparkline, brailleChart } from '../src/lib/timeseries.js';
+import StreamDatabase from '../src/lib/db.js';
+import { WebSocket } from 'ws';
+
+let fake;
+let obs;
+
+async function setup(fakeOptions = {}, obsOptions = {}) {
+  fake = new FakeOBS(fakeOptions);
+  await fake.start();
+  obs = new OBSMetrics(obsOptions);
+  obs.config.url = fake.url;
+  obs.config.password = fakeOptions.password;
+}
+
+beforeEach(() => {
+  fake = null;
+  obs = null;
+});
+
+afterEach(async () => {
+  if (obs) await obs.disconnect();
+  if (fake) await fake.stop();
+});
+
+test('getFullMetrics reports the simulated stream', async () => {
+  await setup({ scenario: 'live' });
+  fake.advance(5000);
+
+  const metrics = await obs.getFullMetrics();
+  assert.equal(metrics.stream.active, true);
+  assert.equal(metrics.stream.duration, 5000);
+  assert.equal(metrics.stream.bitrate, 6000);
+  assert.equal(metrics.scene, 'Main');
+  assert.equal(metrics.video.fps, 60);
+});
+
+test('windowed bitrate drops when the scenario collapses bitrate', async () => {
+  await setup({ scenario: 'bitrate-collapse' }, { bitrateWindow: 10000 });
+
+  for (let t = 0; t < 60; t += 2) {
+    fake.advance(2000);
+    await obs.getFullMetrics();
+  }
+
+  const metrics = await obs.getFullMetrics();
+  assert.equal(metrics.stream.bitrate, 900);
+  assert.ok(metrics.stream.lifetimeBitrate > 3000, 'lifetime average hides the collapse');
+  assert.ok(parseFloat(metrics.stream.droppedPercent) > 5);
+
+  const warnings = analyzeMetrics(metrics);
+  assert.ok(warnings.some(w => w.level === 'critical' && w.message.includes('Bitrate')));
+});
+
+test('authenticates with a password', async () => {
+  await setup({ password: 'hunter2' });
+  const { scenes } = await obs.getScenes();
+  assert.deepEqual(scenes.sort(), ['BRB', 'Ending', 'Main', 'Starting Soon']);
+});
+
+test('forwards pushed events and tracks the program scene', async () => {
+  await setup();
+  await obs.getCurrentScene();
+
+  const changed = once(obs, 'CurrentProgramSceneChanged');
+  fake.setScene('BRB');
+  const [{ sceneName }] = await changed;
+  assert.equal(sceneName, 'BRB');
+
+  const before = fake.requestLog.filter(r => r.requestType === 'GetSceneList').length;
+  assert.equal(await obs.getCurrentScene(), 'BRB');
+  assert.equal(fake.requestLog.filter(r => r.requestType === 'GetSceneList').length, before);
+});
+
+test('reconnects after OBS drops the connection', async () => {
+  await setup({}, { reconnect: true, reconnectDelay: 20 });
+  await obs.connect();
+
+  const reconnecting = once(obs, 'reconnecting');
+  fake.exit();
+  const [{ attempt }] = await reconnecting;
+  assert.equal(attempt, 1);
+
+  await once(obs, 'connected');
+  assert.equal(obs.state, 'connected');
+  assert.equal((await obs.getScenes()).current, 'Main');
+});
+
+test('surfaces request errors for unknown sources', async () => {
+  await setup();
+  await assert.rejects(obs.setSourceEnabled('nope', false), /Source "nope" not found/);
+  await assert.rejects(obs.switchScene('Nowhere'), /No source was found/);
+});
+
+test('overlay positions, presets and restores the last position on create', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'obs-overlay-test-'));
+  process.env.OBS_OVERLAY_PRESETS = path.join(dir, 'overlay-presets.json');
+  try {
+    await setup();
+    const transform = () => fake.state.scenes.find(s => s.sceneName === 'Main').items
+      .find(i => /terminal/i.test(i.sourceName)).transform;
+
+    await obs.controlOverlay('left');
+    assert.deepEqual([transform().positionX, transform().boundsWidth, transform().boundsHeight], [0, 960, 1080]);
+
+    const { box } = await obs.controlOverlay('smaller');
+    assert.deepEqual(box, { x: 0, y: 0, width: 0.4, height: 0.9, anchor: 'top-left' });
+
+    await obs.controlOverlay('80%', 'bottom-right');
+    assert.deepEqual([transform().positionX, transform().positionY, transform().boundsWidth], [384, 216, 1536]);
+
+    await obs.controlOverlay('save', 'coding');
+    await obs.controlOverlay('full');
+    assert.equal(transform().positionX, 0);
+    await obs.controlOverlay('load', 'coding');
+    assert.equal(transform().positionX, 384);
+    await assert.rejects(obs.controlOverlay('load', 'nope'), /No overlay preset "nope". Saved: coding/);
+
+    await obs.obs.call('RemoveInput', { inputName: 'Terminal' });
+    const created = await obs.controlOverlay('create');
+    assert.equal(created.restored, true);
+    assert.deepEqual([transform().positionX, transform().boundsHeight], [384, 864]);
+  } finally {
+    delete process.env.OBS_OVERLAY_PRESETS;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('ducker lowers targets while the mic is live and restores them', async () => {
+  await setup();
+  const ducker = new Ducker(obs, { attack: 0, release: 0, hold: 0, amount: 10, threshold: -30 });
+  const { mic, targets } = await ducker.start();
+  assert.equal(mic, 'Mic/Aux');
+  assert.deepEqual(targets, ['Desktop Audio']);
+
+  const ducked = once(ducker, 'duck');
+  fake.state.inputs['Mic/Aux'].level = -12;
+  fake.advance(50);
+  await ducked;
+  await obs.waitForEvent('InputVolumeChanged');
+  assert.equal(fake.state.inputs['Desktop Audio'].volumeDb, -16);
+
+  const released = once(ducker, 'release');
+  fake.state.inputs['Mic/Aux'].level = -55;
+  fake.advance(50);
+  await released;
+  await obs.waitForEvent('InputVolumeChanged');
+  assert.equal(fake.state.inputs['Desktop Audio'].volumeDb, -6);
+
+  await ducker.stop();
+});
+
+test('audio levels warn about a muted, silent or clipping mic while live', async () => {
+  await setup({ scenario: 'live' });
+  fake.advance(1000);
+  const levels = new AudioLevels(obs, { mic: 'Mic/Aux' });
+  await levels.start();
+
+  const meters = obs.waitForEvent('InputVolumeMeters');
+  fake.advance(50);
+  await meters;
+  const metrics = await obs.getFullMetrics();
+  const audioWarnings = (audio) => analyzeMetrics({ ...metrics, audio }).filter(w => w.type);
+
+  let audio = levels.snapshot();
+  assert.deepEqual(audio.inputs.map(i => i.name).sort(), ['Desktop Audio', 'Mic/Aux']);
+  assert.deepEqual(audioWarnings(audio), []);
+
+  const muted = obs.waitForEvent('InputMuteStateChanged');
+  fake.setMute('Mic/Aux', true);
+  await muted;
+  audio = levels.snapshot();
+  assert.equal(audio.mic.muted, true);
+  assert.deepEqual(audioWarnings(audio).map(w => [w.level, w.type]), [['critical', 'mic_muted']]);
+
+  const unmuted = obs.waitForEvent('InputMuteStateChanged');
+  fake.setMute('Mic/Aux', false);
+  await unmuted;
+
+  // A dead mic: meters keep arriving but nothing is above the silence floor
+  const now = Date.now();
+  const silent = { inputs: [{ inputName: 'Mic/Aux', inputLevelsMul: [[0, 0, 0], [0, 0, 0]] }] };
+  levels.handleMeters(silent, now + 10000);
+  assert.deepEqual(audioWarnings(levels.snapshot(now + 10000)), []);
+  levels.handleMeters(silent, now + 31000);
+  const [warning] = audioWarnings(levels.snapshot(now + 31000));
+  assert.equal(warning.type, 'mic_silent');
+  assert.match(warning.message, /Mic silent for 3\ds while live: Mic\/Aux/);
+
+  levels.handleMeters({ inputs: [{ inputName: 'Mic/Aux', inputLevelsMul: [[0.7, 1, 1]] }] }, now + 32000);
+  audio = levels.snapshot(now + 33000);
+  assert.deepEqual(audioWarnings(audio).map(w => w.type), ['audio_clipping']);
+  assert.deepEqual(audio.clipping, ['Mic/Aux']);
+  assert.ok(audio.inputs.find(i => i.name === 'Mic/Aux').peakDb < 0, 'peak falls back between updates');
+  assert.deepEqual(audioWarnings(levels.snapshot(now + 36000)), []);
+
+  levels.stop();
+});
+
+test('control API switches scenes, toggles sources, runs macros and streams events', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'obs-api-test-'));
+  process.env.OBS_CONFIG = path.join(dir, 'obs.config.json');
+  fs.writeFileSync(process.env.OBS_CONFIG, JSON.stringify({
+    macros: {
+      away: [{ action: 'scene', scene: 'BRB' }, { action: 'mute', source: 'mic', if: 'live' }],
+      note: { vars: { x: 'hello' }, steps: [{ action: 'shell', command: 'echo {x}' }] }
+    }
+  }));
+  await setup({}, { reconnect: true });
+  const server = new ApiServer(obs, { token: 'secret', port: 0 });
+  const port = await server.start();
+  const api = async (method, route, body) => {
+    const res = await fetch(`http://127.0.0.1:${port}${route}`, {
+      method,
+      headers: { Authorization: 'Bearer secret' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    const denied = await fetch(`http://127.0.0.1:${port}/scenes`);
+    assert.equal(denied.status, 401);
+    assert.equal((await api('GET', '/scenes')).body.current, 'Main');
+
+    const events = new WebSocket(`ws://127.0.0.1:${port}/events?token=secret`);
+    const messages = [];
+    events.on('message', (raw) => messages.push(JSON.parse(raw)));
+    await once(events, 'open');
+    const waitFor = async (predicate) => {
+      for (let i = 0; i < 50 && !messages.some(predicate); i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      return messages.find(predicate);
+    };
+    assert.deepEqual(await waitFor(m => m.type === 'hello'), { type: 'hello', connection: 'connected', scene: 'Main', live: false });
+
+    assert.deepEqual((await api('POST', '/scenes/BRB')).body, { scene: 'BRB' });
+    const changed = await waitFor(m => m.event === 'CurrentProgramSceneChanged');
+    assert.equal(changed.data.sceneName, 'BRB');
+
+    assert.deepEqual((await api('POST', '/inputs/mic/toggle-mute')).body, { name: 'Mic/Aux', muted: true });
+    assert.ok(await waitFor(m => m.event === 'InputMuteStateChanged' && m.data.inputMuted));
+    await api('POST', '/inputs/mic/unmute');
+
+    await api('POST', '/scenes/Main');
+    assert.deepEqual((await api('POST', '/sources/webcam/toggle')).body, { name: 'Webcam', enabled: false });
+    assert.deepEqual((await api('POST', '/sources/webcam/toggle')).body, { name: 'Webcam', enabled: true });
+    assert.ok(await waitFor(m => m.event === 'SceneItemEnableStateChanged'));
+
+    assert.deepEqual((await api('GET', '/macros')).body.map(m => m.name), ['away', 'note']);
+    const pwned = path.join(dir, 'pwned');
+    const hostile = await api('POST', '/macros/note/run', { vars: { x: `; touch ${pwned}` } });
+    assert.equal(hostile.status, 400);
+    assert.match(hostile.body.error, /runs shell commands and takes no vars/);
+    assert.equal(fs.existsSync(pwned), false);
+    assert.deepEqual((await api('POST', '/macros/note/run')).body.results.map(r => r.detail), ['hello']);
+
+    const run = await api('POST', '/macros/away/run');
+    assert.equal(run.body.ok, true);
+    assert.deepEqual(run.body.results.map(r => r.status), ['done', 'skipped']);
+    assert.equal(fake.state.currentProgramScene, 'BRB');
+
+    assert.equal((await api('POST', '/stream/start')).status, 200);
+    assert.equal((await api('GET', '/status')).body.stream.active, true);
+    assert.ok(await waitFor(m => m.event === 'StreamStateChanged'));
+
+    const missing = await api('POST', '/scenes/Nowhere');
+    assert.equal(missing.status, 400);
+    assert.match(missing.body.error, /No source was found/);
+    assert.equal((await api('GET', '/nope')).status, 404);
+    assert.equal((await api('GET', '/stream/start')).status, 405);
+
+    events.close();
+  } finally {
+    await server.stop();
+    delete process.env.OBS_CONFIG;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('exporter serves cached Prometheus metrics for OBS and Twitch', async () => {
+  await setup({ scenario: 'live' });
+  fake.advance(5000);
+  const calls = { twitch: 0 };
+  const twitch = {
+    isConfigured: () => true,
+    getStreamStatus: async () => ({ live: true, viewers: 7 }),
+    getFollowerCount: async () => { calls.twitch++; return 42; }
+  };
+  const exporter = new MetricsExporter(obs, { port: 0, cacheMs: 200, twitchCacheMs: 60000, twitch });
+  const port = await exporter.start();
+  const scrape = async () => {
+    const res = await fetch(`http://127.0.0.1:${port}/metrics`);
+    assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    return res.text();
+  };
+  const stats = () => fake.requestLog.filter(r => r.requestType === 'GetStats').length;
+
+  try {
+    const body = await scrape();
+    assert.match(body, /^obs_up 1$/m);
+    assert.match(body, /^# TYPE obs_stream_dropped_frames_total counter$/m);
+    assert.match(body, /^obs_scene_info\{scene="Main"\} 1$/m);
+    assert.match(body, /^obs_stream_active 1$/m);
+    assert.match(body, /^obs_stream_bitrate_kbps 6000$/m);
+    assert.match(body, /^obs_stream_duration_seconds 5$/m);
+    assert.match(body, /^obs_cpu_usage_percent 12\.5$/m);
+    assert.match(body, /^obs_memory_usage_bytes 536870912$/m);
+    assert.match(body, /^obs_frame_render_time_seconds 0\.0021$/m);
+    assert.match(body, /^twitch_viewers 7$/m);
+    assert.match(body, /^twitch_followers 42$/m);
+
+    // Scrapes inside the cache period reuse the last OBS answer
+    const before = stats();
+    await Promise.all([scrape(), scrape(), scrape()]);
+    assert.equal(stats(), before);
+    await new Promise(resolve => setTimeout(resolve, 250));
+    fake.setScene('BRB');
+    assert.match(await scrape(), /^obs_scene_info\{scene="BRB"\} 1$/m);
+    assert.equal(stats(), before + 1);
+    assert.equal(calls.twitch, 1);
+
+    assert.equal((await fetch(`http://127.0.0.1:${port}/nope`)).status, 404);
+  } finally {
+    await exporter.stop();
+  }
+
+  // OBS down: obs_up 0 and no stale series
+  const offline = new OBSMetrics();
+  offline.config.url = 'ws://127.0.0.1:1';
+  const down = new MetricsExporter(offline, { port: 0 });
+  const downPort = await down.start();
+  try {
+    const body = await (await fetch(`http://127.0.0.1:${downPort}/metrics`)).text();
+    assert.match(body, /^obs_up 0$/m);
+    assert.doesNotMatch(body, /obs_stream_active|twitch_up/);
+  } finally {
+    await down.stop();
+    await offline.disconnect();
+  }
+});
+
+test('monitor history buffers samples, backfills from the session and draws charts', async () => {
+  await setup({ scenario: 'live' });
+  fake.advance(5000);
+  const sample = sampleFromMetrics(await obs.getFullMetrics());
+  assert.deepEqual({ ...sample, at: 0 }, { at: 0, bitrate: 6000, droppedPercent: 0, cpu: 12.5, fps: 60 });
+
+  const ring = new RingBuffer(3);
+  [1, 2, 3, 4].forEach(at => ring.push({ at }));
+  assert.deepEqual(ring.toArray().map(s => s.at), [2, 3, 4]);
+
+  // A minute of samples every 2s in 40 buckets of 1.5s: hold bridges the empty buckets
+  const samples = Array.from({ length: 30 }, (_, i) => ({ at: (i + 1) * 2000, bitrate: i < 15 ? 6000 : 3000 }));
+  const held = bucketize(samples, 'bitrate', { window: 60000, width: 40, end: 60000, hold: 4000 });
+  assert.equal(held[0], null);
+  assert.ok(held.slice(1).every(v => v !== null));
+  assert.equal(held[39], 3000);
+  assert.equal(bucketize(samples, 'bitrate', { window: 60000, width: 40, end: 60000 })[3], null);
+
+  assert.deepEqual(summarize([null, 2, 4]), { min: 2, avg: 3, max: 4 });
+  assert.equal(summarize([null]), null);
+  assert.equal(sparkline([0, 5, 10, null]), '▁▅█ ');
+  assert.deepEqual(brailleChart([8, 4, 0, null], { height: 2, max: 8 }), ['⡇⠀', '⣿⡀']);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'obs-history-test-'));
+  const db = new StreamDatabase(path.join(dir, 'streams.db'));
+  try {
+    const sessionId = db.startSession();
+    db.recordMetric(sessionId, { bitrate: 5000, cpuUsage: 20, memoryMb: 500, fps: 60, droppedFrames: 0, totalFrames: 100, droppedPercent: 0 });
+    db.recordMetric(sessionId, { bitrate: 5500, cpuUsage: 30, memoryMb: 500, fps: 59, droppedFrames: 1, totalFrames: 200, droppedPercent: 0.5 });
+    const [first] = db.getSessionMetrics(sessionId);
+    db.db.prepare('UPDATE metrics SET timestamp = ? WHERE id = ?').run(new Date(Date.now() - 60 * 60 * 1000).toISOString(), first.id);
+
+    const recent = db.getSessionMetrics(sessionId, new Date(Date.now() - 30 * 60 * 1000)).map(sampleFromRow);
+    assert.equal(recent.length, 1);
+    assert.deepEqual({ ...recent[0], at: 0 }, { at: 0, bitrate: 5500, droppedPercent: 0.5, cpu: 30, fps: 59 });
+  } finally {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('affiliate milestones only count the requirements that were measured', () => {
+  // Everything measurable is met; avg viewers aren't measured
+  const milestones = getMilestones({ streamDays: 9, streamHours: 12.34, followers: 50 });
+  assert.deepEqual(milestones.map(m => m.key), ['streamDays', 'streamHours', 'followers']);
+  assert.equal(milestones[1].current, 12.3);
+  assert.deepEqual(getMilestones({ streamDays: 2, streamHours: 8 }).map(m => m.key), ['streamHours']);
+});
+
+test('quitting the monitor mid-stream leaves the session open for the next one to pick up', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'obs-sessions-test-'));
+  const db = new StreamDatabase(path.join(dir, 'streams.db'));
+  const sent = [];
+  const notify = (event, data, options) => {
+    sent.push({ event, key: options?.dedupeKey });
+    return 1;
+  };
+  const live = (duration) => ({ scene: 'Main', stream: { active: true, duration } });
+  try {
+    // A session left open by a stream that stopped while no monitor ran is closed quietly
+    const stale = db.startSession();
+    db.db.prepare('UPDATE sessions SET started_at = ? WHERE id = ?').run(new Date(Date.now() - 60 * 60 * 1000).toISOString(), stale);
+
+    const first = new SessionTracker(db, { notify });
+    const opened = first.update(live(1000));
+    assert.equal(opened.started, true);
+    assert.ok(db.getSession(stale).ended_at);
+    assert.equal(first.update(live(3000)), null);
+    db.recordMetric(opened.id, { bitrate: 6000, cpuUsage: 10, memoryMb: 400, fps: 60, droppedFrames: 0, totalFrames: 100, droppedPercent: 0 });
+
+    first.detach();
+    assert.equal(db.getSession(opened.id).ended_at, null);
+    assert.deepEqual(sent.map(s => s.event), ['stream.started']);
+
+    // The next monitor carries on with the same session; its stream.started has the same key
+    const second = new SessionTracker(db, { notify });
+    assert.deepEqual(second.update(live(8000)), { id: opened.id, resumed: true });
+    assert.equal(sent[1].key, sent[0].key);
+    assert.equal(db.getRecentSessions(10).length, 2);
+
+    // Only OBS reporting the stop ends it
+    assert.deepEqual(second.update({ scene: 'Main', stream: { active: false, duration: 9000 } }), { id: opened.id, ended: true });
+    const session = db.getSession(opened.id);
+    assert.equal(session.duration_ms, 9000);
+    assert.deepEqual(sent.slice(2).map(s => s.key), [`stream.stopped:${opened.id}`, `session.completed:${opened.id}`]);
+    assert.equal(second.id, null);
+  } finally {
+    db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});